@@ -8,10 +8,10 @@
 const { QueryEngine } = require('./query-engine');
 
 class BrainQueryEngine {
-  constructor(brainPath, openaiKey) {
+  constructor(brainPath, openaiKey, options = {}) {
     // QueryEngine expects a runtime directory
     // For .brain packages, brainPath IS the directory
-    this.queryEngine = new QueryEngine(brainPath, openaiKey);
+    this.queryEngine = new QueryEngine(brainPath, openaiKey, options);
     this.brainPath = brainPath;
   }
 
@@ -1,7 +1,8 @@
 /**
  * Brain Semantic Search Module
  * 
- * Provides semantic search over .brain memory nodes using OpenAI embeddings.
+ * Provides semantic search over .brain memory nodes using the configured
+ * embedding provider (OpenAI, Ollama, or in-process; see embedding-provider.js).
  * Adapted from COSMO's coordinator-indexer.js and query-engine.js patterns.
  * 
  * Architecture:
@@ -13,12 +14,18 @@
  */
 
 const crypto = require('crypto');
+const { toEmbeddingProvider } = require('./embedding-provider');
 
 class BrainSemanticSearch {
-  constructor(brainLoader, openaiClient) {
+  /**
+   * @param {Object} brainLoader
+   * @param {EmbeddingProvider|Object} embedder - Embedding provider (a bare OpenAI client is wrapped)
+   */
+  constructor(brainLoader, embedder) {
     this.brainLoader = brainLoader;
-    this.openai = openaiClient;
+    this.embedder = toEmbeddingProvider(embedder);
     this.embeddingsCache = new Map(); // nodeId -> embedding
+    this.embeddingsModel = this.embedder?.modelId || null; // vector space of cached embeddings
     this.isIndexed = false;
     this.indexingInProgress = false;
     this.lastIndexTime = 0;
@@ -37,6 +44,11 @@ class BrainSemanticSearch {
    * Only runs once per brain load unless explicitly invalidated
    */
   async ensureIndexed() {
+    if (this.embeddingsModel !== this.embedder.modelId) {
+      this.invalidateIndex();
+      this.embeddingsModel = this.embedder.modelId;
+    }
+
     if (this.isIndexed) {
       return; // Already indexed
     }
@@ -115,15 +127,12 @@ class BrainSemanticSearch {
       });
 
       try {
-        const response = await this.openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: texts
-        });
+        const embeddings = await this.embedder.embed(texts);
 
         // Store embeddings in cache
         for (let j = 0; j < batch.length; j++) {
           const nodeId = String(batch[j].id);
-          this.embeddingsCache.set(nodeId, response.data[j].embedding);
+          this.embeddingsCache.set(nodeId, embeddings[j]);
         }
 
         console.log(`[SEMANTIC SEARCH] Batch ${batchNum}/${totalBatches} complete`);
@@ -182,11 +191,7 @@ class BrainSemanticSearch {
     // Generate query embedding
     let queryEmbedding;
     try {
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: query
-      });
-      queryEmbedding = response.data[0].embedding;
+      queryEmbedding = await this.embedder.embedOne(query);
     } catch (error) {
       console.error('[SEMANTIC SEARCH] Failed to generate query embedding:', error);
       // Fallback to keyword search
@@ -231,6 +236,7 @@ class BrainSemanticSearch {
         took,
         total: searchableNodes.length,
         indexed: this.embeddingsCache.size,
+        model: this.embeddingsModel,
         minSimilarity
       }
     };
@@ -406,6 +412,14 @@ class BrainSemanticSearch {
       .sort((a, b) => b.count - a.count);
   }
 
+  /**
+   * Switch embedding provider. Cached vectors from a different model are
+   * dropped on the next search rather than compared across vector spaces.
+   */
+  setEmbeddingProvider(embedder) {
+    this.embedder = toEmbeddingProvider(embedder);
+  }
+
   /**
    * Invalidate cache and force re-indexing
    * (useful if brain state changes)
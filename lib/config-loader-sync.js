@@ -195,7 +195,12 @@ const DEFAULT_CONFIG = {
     internet_enable_gateway_proxy: false,
     internet_enable_terminal: false,
     onlyoffice_callback_allowlist: '',
-    collabora_secret: ''
+    collabora_secret: '',
+    sandbox_mode: '',
+    sandbox_network: '',
+    sandbox_cpu_seconds: '',
+    sandbox_memory_mb: '',
+    sandbox_timeout_ms: ''
   }
 };
 
@@ -411,6 +416,21 @@ function applyConfigToEnv(config) {
   if (config.security?.internet_enable_terminal !== undefined && !process.env.INTERNET_ENABLE_TERMINAL) {
     process.env.INTERNET_ENABLE_TERMINAL = String(Boolean(config.security.internet_enable_terminal));
   }
+  if (config.security?.sandbox_mode !== undefined && config.security.sandbox_mode !== '' && !process.env.SANDBOX_MODE) {
+    process.env.SANDBOX_MODE = String(config.security.sandbox_mode);
+  }
+  if (config.security?.sandbox_network !== undefined && config.security.sandbox_network !== '' && !process.env.SANDBOX_NETWORK) {
+    process.env.SANDBOX_NETWORK = String(config.security.sandbox_network);
+  }
+  if (config.security?.sandbox_cpu_seconds !== undefined && config.security.sandbox_cpu_seconds !== '' && !process.env.SANDBOX_CPU_SECONDS) {
+    process.env.SANDBOX_CPU_SECONDS = String(config.security.sandbox_cpu_seconds);
+  }
+  if (config.security?.sandbox_memory_mb !== undefined && config.security.sandbox_memory_mb !== '' && !process.env.SANDBOX_MEMORY_MB) {
+    process.env.SANDBOX_MEMORY_MB = String(config.security.sandbox_memory_mb);
+  }
+  if (config.security?.sandbox_timeout_ms !== undefined && config.security.sandbox_timeout_ms !== '' && !process.env.SANDBOX_TIMEOUT_MS) {
+    process.env.SANDBOX_TIMEOUT_MS = String(config.security.sandbox_timeout_ms);
+  }
 
   // Terminal
   if (config.terminal?.enabled !== undefined && !process.env.TERMINAL_ENABLED) {
@@ -425,6 +445,30 @@ function applyConfigToEnv(config) {
   if (config.terminal?.max_buffer_bytes !== undefined && !process.env.TERMINAL_MAX_BUFFER_BYTES) {
     process.env.TERMINAL_MAX_BUFFER_BYTES = String(config.terminal.max_buffer_bytes);
   }
+  if (config.terminal?.persist_sessions !== undefined && !process.env.TERMINAL_PERSIST_SESSIONS) {
+    process.env.TERMINAL_PERSIST_SESSIONS = String(Boolean(config.terminal.persist_sessions));
+  }
+  if (config.terminal?.state_dir && !process.env.TERMINAL_STATE_DIR) {
+    process.env.TERMINAL_STATE_DIR = config.terminal.state_dir;
+  }
+  if (config.terminal?.record_sessions !== undefined && !process.env.TERMINAL_RECORD_SESSIONS) {
+    process.env.TERMINAL_RECORD_SESSIONS = String(Boolean(config.terminal.record_sessions));
+  }
+  if (config.terminal?.record_human_input !== undefined && !process.env.TERMINAL_RECORD_HUMAN_INPUT) {
+    process.env.TERMINAL_RECORD_HUMAN_INPUT = String(Boolean(config.terminal.record_human_input));
+  }
+  if (config.terminal?.recordings_dir && !process.env.TERMINAL_RECORDINGS_DIR) {
+    process.env.TERMINAL_RECORDINGS_DIR = config.terminal.recordings_dir;
+  }
+  if (config.terminal?.max_recordings !== undefined && !process.env.TERMINAL_MAX_RECORDINGS) {
+    process.env.TERMINAL_MAX_RECORDINGS = String(config.terminal.max_recordings);
+  }
+  if (config.terminal?.shell_integration !== undefined && !process.env.TERMINAL_SHELL_INTEGRATION) {
+    process.env.TERMINAL_SHELL_INTEGRATION = String(Boolean(config.terminal.shell_integration));
+  }
+  if (config.terminal?.share_ttl_ms !== undefined && !process.env.TERMINAL_SHARE_TTL_MS) {
+    process.env.TERMINAL_SHARE_TTL_MS = String(config.terminal.share_ttl_ms);
+  }
 
   // OpenClaw
   if (config.openclaw?.gateway_url) {
@@ -81,11 +81,37 @@ const DEFAULT_CONFIG = {
       directories: []
     }
   },
+  embeddings: {
+    provider: 'auto',  // auto | openai | ollama | local
+    model: '',         // empty = provider default
+    dimensions: 512,
+    api_key: '',       // openai only (falls back to OPENAI_API_KEY)
+    base_url: ''       // ollama only (falls back to providers.ollama.base_url)
+  },
   terminal: {
     enabled: true,
     max_sessions_per_client: 6,
     idle_timeout_ms: 1800000,
-    max_buffer_bytes: 2097152
+    max_buffer_bytes: 2097152,
+    persist_sessions: false,  // run sessions under a detached supervisor so they survive restarts
+    state_dir: '',            // supervisor state + scrollback (default: ~/.evobrew/terminal-sessions)
+    record_sessions: true,    // asciicast v2 recording of every session
+    record_human_input: false, // also record what people type (passwords included); agent input is always recorded
+    recordings_dir: '',       // default: ~/.evobrew/terminal-recordings
+    max_recordings: 200,      // oldest recordings are pruned beyond this
+    shell_integration: true,  // OSC 133 command tracking in bash/zsh/fish sessions
+    share_ttl_ms: 86400000    // default lifetime of terminal share links
+  },
+  snapshots: {
+    max_per_file: 50,  // versions kept per file (0 = unlimited)
+    max_age_days: 90,  // drop versions older than this (0 = keep forever)
+    max_total: 5000    // snapshots kept per workspace (0 = unlimited)
+  },
+  tool_policies: {
+    default: 'allow',  // allow | ask | deny
+    tools: {},         // per-tool action, e.g. { run_terminal: 'ask' }
+    rules: [],         // [{ tool, paths, commands, action, reason }] — first match wins
+    approval_timeout_ms: 600000
   },
   security: {
     profile: 'local',
@@ -96,7 +122,12 @@ const DEFAULT_CONFIG = {
     internet_enable_terminal: false,
     onlyoffice_callback_allowlist: '',
     collabora_secret: '',
-    encryption_key: ''
+    encryption_key: '',
+    sandbox_mode: '',           // '' = profile default | off | auto | bwrap | restricted
+    sandbox_network: '',        // '' = profile default | true | false
+    sandbox_cpu_seconds: '',
+    sandbox_memory_mb: '',
+    sandbox_timeout_ms: ''
   }
 };
 
@@ -400,6 +431,30 @@ async function migrateFromEnv(envPath) {
   if (env.TERMINAL_MAX_BUFFER_BYTES) {
     config.terminal.max_buffer_bytes = parseInt(env.TERMINAL_MAX_BUFFER_BYTES, 10);
   }
+  if (env.TERMINAL_PERSIST_SESSIONS !== undefined) {
+    config.terminal.persist_sessions = envBool(env.TERMINAL_PERSIST_SESSIONS, false);
+  }
+  if (env.TERMINAL_STATE_DIR) {
+    config.terminal.state_dir = env.TERMINAL_STATE_DIR;
+  }
+  if (env.TERMINAL_RECORD_SESSIONS !== undefined) {
+    config.terminal.record_sessions = envBool(env.TERMINAL_RECORD_SESSIONS, true);
+  }
+  if (env.TERMINAL_RECORD_HUMAN_INPUT !== undefined) {
+    config.terminal.record_human_input = envBool(env.TERMINAL_RECORD_HUMAN_INPUT, false);
+  }
+  if (env.TERMINAL_RECORDINGS_DIR) {
+    config.terminal.recordings_dir = env.TERMINAL_RECORDINGS_DIR;
+  }
+  if (env.TERMINAL_MAX_RECORDINGS) {
+    config.terminal.max_recordings = parseInt(env.TERMINAL_MAX_RECORDINGS, 10);
+  }
+  if (env.TERMINAL_SHELL_INTEGRATION !== undefined) {
+    config.terminal.shell_integration = envBool(env.TERMINAL_SHELL_INTEGRATION, true);
+  }
+  if (env.TERMINAL_SHARE_TTL_MS) {
+    config.terminal.share_ttl_ms = parseInt(env.TERMINAL_SHARE_TTL_MS, 10);
+  }
   
   return config;
 }
@@ -593,6 +648,21 @@ function configToEnv(config) {
   if (config.security?.internet_enable_terminal !== undefined) {
     env.INTERNET_ENABLE_TERMINAL = String(Boolean(config.security.internet_enable_terminal));
   }
+  if (config.security?.sandbox_mode !== undefined && config.security.sandbox_mode !== '') {
+    env.SANDBOX_MODE = String(config.security.sandbox_mode);
+  }
+  if (config.security?.sandbox_network !== undefined && config.security.sandbox_network !== '') {
+    env.SANDBOX_NETWORK = String(config.security.sandbox_network);
+  }
+  if (config.security?.sandbox_cpu_seconds !== undefined && config.security.sandbox_cpu_seconds !== '') {
+    env.SANDBOX_CPU_SECONDS = String(config.security.sandbox_cpu_seconds);
+  }
+  if (config.security?.sandbox_memory_mb !== undefined && config.security.sandbox_memory_mb !== '') {
+    env.SANDBOX_MEMORY_MB = String(config.security.sandbox_memory_mb);
+  }
+  if (config.security?.sandbox_timeout_ms !== undefined && config.security.sandbox_timeout_ms !== '') {
+    env.SANDBOX_TIMEOUT_MS = String(config.security.sandbox_timeout_ms);
+  }
 
   // Terminal
   if (config.terminal?.enabled !== undefined) {
@@ -607,6 +677,30 @@ function configToEnv(config) {
   if (config.terminal?.max_buffer_bytes !== undefined) {
     env.TERMINAL_MAX_BUFFER_BYTES = String(config.terminal.max_buffer_bytes);
   }
+  if (config.terminal?.persist_sessions !== undefined) {
+    env.TERMINAL_PERSIST_SESSIONS = String(Boolean(config.terminal.persist_sessions));
+  }
+  if (config.terminal?.state_dir) {
+    env.TERMINAL_STATE_DIR = config.terminal.state_dir;
+  }
+  if (config.terminal?.record_sessions !== undefined) {
+    env.TERMINAL_RECORD_SESSIONS = String(Boolean(config.terminal.record_sessions));
+  }
+  if (config.terminal?.record_human_input !== undefined) {
+    env.TERMINAL_RECORD_HUMAN_INPUT = String(Boolean(config.terminal.record_human_input));
+  }
+  if (config.terminal?.recordings_dir) {
+    env.TERMINAL_RECORDINGS_DIR = config.terminal.recordings_dir;
+  }
+  if (config.terminal?.max_recordings !== undefined) {
+    env.TERMINAL_MAX_RECORDINGS = String(config.terminal.max_recordings);
+  }
+  if (config.terminal?.shell_integration !== undefined) {
+    env.TERMINAL_SHELL_INTEGRATION = String(Boolean(config.terminal.shell_integration));
+  }
+  if (config.terminal?.share_ttl_ms !== undefined) {
+    env.TERMINAL_SHARE_TTL_MS = String(config.terminal.share_ttl_ms);
+  }
   
   // OpenClaw
   if (config.openclaw?.gateway_url) {
@@ -238,6 +238,9 @@ function generatePlist() {
     <false/>
     <key>ThrottleInterval</key>
     <integer>10</integer>
+    <!-- Persistent terminal supervisors must outlive a restart -->
+    <key>AbandonProcessGroup</key>
+    <true/>
 </dict>
 </plist>`;
 }
@@ -438,6 +441,8 @@ Type=simple
 ExecStart=${nodePath} ${serverPath}
 Restart=always
 RestartSec=10
+# Only stop the server itself; persistent terminal supervisors survive restarts
+KillMode=process
 Environment=EVOBREW_CONFIG_PATH=${CONFIG_PATH}
 Environment=EVOBREW_HOME=${EVOBREW_HOME}
 Environment=NODE_ENV=production
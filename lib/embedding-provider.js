@@ -0,0 +1,303 @@
+/**
+ * Evobrew - Embedding Providers
+ *
+ * One interface for every component that needs vectors (codebase index,
+ * brain semantic search, QueryEngine):
+ *
+ *   provider.modelId            → stable id of the vector space, e.g. "openai/text-embedding-3-small@512"
+ *   await provider.embed(texts) → number[][] (one vector per input)
+ *
+ * Vectors from different modelIds must never be compared. Anything that
+ * caches vectors should store `modelId` next to them and re-embed when it
+ * changes.
+ *
+ * Selected via ~/.evobrew/config.json:
+ *   "embeddings": {
+ *     "provider": "auto" | "openai" | "ollama" | "local",
+ *     "model": "text-embedding-3-small",
+ *     "dimensions": 512,
+ *     "api_key": "",                        // openai only (falls back to OPENAI_API_KEY)
+ *     "base_url": "http://localhost:11434"  // ollama only (falls back to providers.ollama.base_url)
+ *   }
+ *
+ * "auto" uses OpenAI when a key is available and the in-process "local"
+ * provider otherwise, so semantic search keeps working fully offline.
+ *
+ * @module lib/embedding-provider
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const DEFAULT_OLLAMA_MODEL = 'nomic-embed-text';
+const DEFAULT_LOCAL_DIMENSIONS = 512;
+const LOCAL_MODEL = 'hash-v1';
+
+// ============================================================================
+// Base
+// ============================================================================
+
+class EmbeddingProvider {
+  constructor(options = {}) {
+    this.model = options.model;
+    this.dimensions = options.dimensions || null;
+  }
+
+  get id() {
+    throw new Error('Subclass must implement id');
+  }
+
+  /**
+   * Identifier of the vector space these embeddings live in
+   */
+  get modelId() {
+    return `${this.id}/${this.model}${this.dimensions ? `@${this.dimensions}` : ''}`;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    throw new Error('Subclass must implement embed()');
+  }
+
+  async embedOne(text) {
+    const [embedding] = await this.embed([text]);
+    return embedding;
+  }
+}
+
+// ============================================================================
+// OpenAI
+// ============================================================================
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Existing OpenAI SDK client
+   * @param {string} [options.apiKey] - API key (used when no client is given)
+   * @param {string} [options.model]
+   * @param {number} [options.dimensions] - Truncated dimensions (text-embedding-3 models only)
+   */
+  constructor(options = {}) {
+    super({ model: options.model || DEFAULT_OPENAI_MODEL, dimensions: options.dimensions });
+    if (options.client) {
+      this.client = options.client;
+    } else {
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: options.apiKey });
+    }
+  }
+
+  get id() {
+    return 'openai';
+  }
+
+  async embed(texts) {
+    const request = {
+      model: this.model,
+      input: texts,
+      encoding_format: 'float'
+    };
+    if (this.dimensions) {
+      request.dimensions = this.dimensions;
+    }
+    const response = await this.client.embeddings.create(request);
+    return response.data.map(item => item.embedding);
+  }
+}
+
+// ============================================================================
+// Ollama (/api/embeddings)
+// ============================================================================
+
+class OllamaEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - Ollama base URL (default: http://localhost:11434)
+   * @param {string} [options.model] - Embedding model (default: nomic-embed-text)
+   */
+  constructor(options = {}) {
+    super({ model: options.model || DEFAULT_OLLAMA_MODEL });
+    const { OllamaAdapter } = require('../server/providers/adapters/ollama.js');
+    this.adapter = new OllamaAdapter({
+      baseUrl: options.baseUrl,
+      embeddingModel: this.model
+    });
+  }
+
+  get id() {
+    return 'ollama';
+  }
+
+  async embed(texts) {
+    const results = await this.adapter.embedBatch(texts, { model: this.model });
+    return results.map(result => result.embedding);
+  }
+}
+
+// ============================================================================
+// Local (in-process, offline)
+// ============================================================================
+
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase terms, also breaking camelCase and snake_case
+ * identifiers into their parts so `resolveAndValidatePath` matches "validate path".
+ */
+function tokenize(text) {
+  const terms = [];
+  const words = String(text || '').match(/[A-Za-z0-9_$]+/g) || [];
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    terms.push(lower);
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      for (const part of parts) terms.push(part.toLowerCase());
+    }
+  }
+  return terms;
+}
+
+/**
+ * Feature-hashed bag of words + character trigrams. No network, no model
+ * download; quality is below a neural model but well above plain keyword
+ * matching for code and prose.
+ */
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ model: LOCAL_MODEL, dimensions: options.dimensions || DEFAULT_LOCAL_DIMENSIONS });
+  }
+
+  get id() {
+    return 'local';
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    for (const term of tokenize(text)) {
+      add(`w:${term}`, 1);
+      if (term.length > 3) {
+        const padded = `^${term}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`c:${padded.slice(i, i + 3)}`, 0.25);
+        }
+      }
+    }
+
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[hash % this.dimensions] += sign * Math.log1p(count);
+    }
+
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+// ============================================================================
+// Factory
+// ============================================================================
+
+/**
+ * Create the embedding provider selected in config.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Evobrew config (uses config.embeddings and config.providers)
+ * @param {Object} [options.openaiClient] - Existing OpenAI client to reuse
+ * @param {string} [options.apiKey] - OpenAI key override
+ * @param {number} [options.dimensions] - Dimensions override (OpenAI/local)
+ * @returns {EmbeddingProvider}
+ */
+function createEmbeddingProvider(options = {}) {
+  const settings = options.config?.embeddings || {};
+  const requested = String(settings.provider || 'auto').toLowerCase();
+  const dimensions = options.dimensions || Number(settings.dimensions) || null;
+  const apiKey = options.apiKey || settings.api_key || process.env.OPENAI_API_KEY || '';
+  const hasOpenAI = Boolean(options.openaiClient || apiKey);
+
+  if (requested === 'ollama') {
+    return new OllamaEmbeddingProvider({
+      baseUrl: settings.base_url || options.config?.providers?.ollama?.base_url,
+      model: settings.model || DEFAULT_OLLAMA_MODEL
+    });
+  }
+
+  if (requested === 'local') {
+    return new LocalEmbeddingProvider({ dimensions });
+  }
+
+  if ((requested === 'openai' || requested === 'auto') && hasOpenAI) {
+    return new OpenAIEmbeddingProvider({
+      client: options.openaiClient,
+      apiKey,
+      model: settings.model || DEFAULT_OPENAI_MODEL,
+      dimensions
+    });
+  }
+
+  if (requested === 'openai') {
+    console.warn('[EMBEDDINGS] OpenAI embeddings selected but no API key found - using local embeddings');
+  } else if (requested !== 'auto') {
+    console.warn(`[EMBEDDINGS] Unknown embeddings provider "${requested}" - using local embeddings`);
+  }
+  return new LocalEmbeddingProvider({ dimensions });
+}
+
+/**
+ * Wrap a legacy OpenAI client (anything with embeddings.create) as a provider.
+ * Providers pass through unchanged.
+ */
+function toEmbeddingProvider(clientOrProvider, options = {}) {
+  if (!clientOrProvider) return null;
+  if (clientOrProvider instanceof EmbeddingProvider) return clientOrProvider;
+  if (typeof clientOrProvider.embed === 'function' && clientOrProvider.modelId) return clientOrProvider;
+  if (clientOrProvider.embeddings?.create) {
+    return new OpenAIEmbeddingProvider({ client: clientOrProvider, ...options });
+  }
+  throw new Error('Unsupported embedding client');
+}
+
+/**
+ * Short filesystem-safe slug for a modelId (for per-model cache files)
+ */
+function modelSlug(modelId) {
+  const readable = String(modelId).replace(/[^A-Za-z0-9.-]+/g, '-').slice(0, 48);
+  const digest = crypto.createHash('sha256').update(String(modelId)).digest('hex').slice(0, 8);
+  return `${readable}-${digest}`;
+}
+
+module.exports = {
+  EmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  LocalEmbeddingProvider,
+  createEmbeddingProvider,
+  toEmbeddingProvider,
+  modelSlug,
+  tokenize
+};
@@ -0,0 +1,103 @@
+/**
+ * Minimal glob matching for path filters.
+ *
+ * Supports `*` (within a segment), `**` (any number of segments), `?` and
+ * `{a,b}` alternatives. Paths are compared with forward slashes.
+ *
+ * Like .gitignore, a pattern without a slash matches the basename anywhere
+ * ("*.ts"), and a plain path with no wildcards matches itself and everything
+ * beneath it ("server/terminal").
+ */
+
+const regexCache = new Map();
+
+function toPosix(value) {
+  return String(value || '').replace(/\\/g, '/');
+}
+
+function hasGlobChars(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+function escapeRegExp(char) {
+  return char.replace(/[.+^$()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compile a glob pattern to an anchored RegExp
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = toPosix(pattern);
+  if (regexCache.has(source)) return regexCache.get(source);
+
+  let re = '';
+  let inGroup = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '*') {
+      if (source[i + 1] === '*') {
+        // "**/" matches zero or more directories; a trailing "**" matches everything
+        const slash = source[i + 2] === '/';
+        re += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (char === '?') {
+      re += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      re += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      re += ')';
+    } else if (char === ',' && inGroup) {
+      re += '|';
+    } else {
+      re += escapeRegExp(char);
+    }
+  }
+
+  const compiled = new RegExp(`^${re}$`);
+  regexCache.set(source, compiled);
+  return compiled;
+}
+
+/**
+ * Test a path against a glob pattern
+ * @param {string} filePath - Path to test (relative paths match relative patterns)
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchGlob(filePath, pattern) {
+  const target = toPosix(filePath).replace(/^\.\//, '');
+  let glob = toPosix(pattern).trim().replace(/^\.\//, '');
+  if (!glob) return false;
+
+  if (!hasGlobChars(glob)) {
+    glob = glob.replace(/\/+$/, '');
+    return target === glob || target.startsWith(`${glob}/`);
+  }
+
+  if (!glob.includes('/')) {
+    return globToRegExp(glob).test(target.split('/').pop());
+  }
+
+  return globToRegExp(glob).test(target);
+}
+
+/**
+ * True if the path matches any of the patterns
+ */
+function matchAny(filePath, patterns) {
+  return [].concat(patterns || []).some(pattern => matchGlob(filePath, pattern));
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob,
+  matchAny,
+  hasGlobChars
+};
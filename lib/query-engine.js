@@ -20,6 +20,11 @@ const { ContextTracker } = require('./context-tracker');
 const AnthropicClient = require('./anthropic-client');
 const { PGSEngine } = require('./pgs-engine');
 const { getModelId } = require('./model-selection');
+const { OpenAIEmbeddingProvider, modelSlug } = require('./embedding-provider');
+
+// COSMO writes node embeddings (state + embeddings-cache.json) in this vector space
+const BRAIN_EMBEDDING_MODEL_ID = 'openai/text-embedding-3-small@512';
+const PROVIDER_EMBEDDING_BATCH_SIZE = 50;
 
 const CLUSTER_SNAPSHOT_DEFAULT_TTL = Number.parseInt(
   process.env.COSMO_CLUSTER_SNAPSHOT_TTL || '4000',
@@ -83,7 +88,13 @@ function getStateHashForCache(state) {
 }
 
 class QueryEngine {
-  constructor(runtimeDir, openaiKey) {
+  /**
+   * @param {string} runtimeDir
+   * @param {string} [openaiKey]
+   * @param {Object} [options]
+   * @param {EmbeddingProvider} [options.embeddingProvider] - Overrides OpenAI for query/node embeddings
+   */
+  constructor(runtimeDir, openaiKey, options = {}) {
     this.runtimeDir = runtimeDir;
     this.stateFile = path.join(runtimeDir, 'state.json.gz');
     this.thoughtsFile = path.join(runtimeDir, 'thoughts.jsonl');
@@ -98,8 +109,13 @@ class QueryEngine {
     
     // OpenAI is optional - only needed for semantic search embeddings
     this.openai = openaiKey ? new OpenAI({ apiKey: openaiKey }) : null;
-    if (!this.openai) {
-      console.log('[QueryEngine] No OpenAI key - semantic search disabled, keyword search available');
+    this.embeddingProvider = options.embeddingProvider
+      || (this.openai ? new OpenAIEmbeddingProvider({ client: this.openai, dimensions: 512 }) : null);
+    this.providerEmbeddingsCache = null; // node vectors for non-native embedding models
+    if (!this.embeddingProvider) {
+      console.log('[QueryEngine] No embedding provider - semantic search disabled, keyword search available');
+    } else if (!this.isNativeEmbeddingSpace()) {
+      console.log(`[QueryEngine] Using ${this.embeddingProvider.modelId} embeddings (brain nodes re-embedded on first query)`);
     }
     this.gpt5Client = new GPT5Client(console); // Use GPT5Client for queries
     this.anthropicClient = new AnthropicClient({}, console); // Anthropic client (lazy init, OAuth-aware)
@@ -790,10 +806,28 @@ STYLE:
     }
   }
 
+  /**
+   * True when the embedding provider produces vectors in the same space as
+   * the brain's own node embeddings, so those can be compared directly.
+   */
+  isNativeEmbeddingSpace() {
+    return this.embeddingProvider?.modelId === BRAIN_EMBEDDING_MODEL_ID;
+  }
+
+  getProviderEmbeddingsCachePath() {
+    return path.join(this.runtimeDir, `embeddings-cache.${modelSlug(this.embeddingProvider.modelId)}.json`);
+  }
+
   /**
    * Load embeddings cache
+   * For non-native providers this is a per-model side cache, never COSMO's
+   * embeddings-cache.json, so vector spaces are not mixed.
    */
   async loadEmbeddingsCache() {
+    if (this.embeddingProvider && !this.isNativeEmbeddingSpace()) {
+      return this.loadProviderEmbeddingsCache();
+    }
+
     try {
       const content = await fs.readFile(this.embeddingsCache, 'utf-8');
       const cache = JSON.parse(content);
@@ -816,22 +850,79 @@ STYLE:
     }
   }
 
+  async loadProviderEmbeddingsCache() {
+    const modelId = this.embeddingProvider.modelId;
+    if (this.providerEmbeddingsCache?.model === modelId) {
+      return this.providerEmbeddingsCache;
+    }
+
+    let cache = null;
+    try {
+      cache = JSON.parse(await fs.readFile(this.getProviderEmbeddingsCachePath(), 'utf-8'));
+    } catch (error) {
+      // No side cache yet
+    }
+
+    if (!cache || cache.model !== modelId || !Array.isArray(cache.nodes)) {
+      cache = {
+        version: 1,
+        model: modelId,
+        created: new Date().toISOString(),
+        nodes: [],
+        thoughts: []
+      };
+    }
+    cache.thoughts = Array.isArray(cache.thoughts) ? cache.thoughts : [];
+    this.providerEmbeddingsCache = cache;
+    return cache;
+  }
+
+  /**
+   * Embed any nodes missing from the per-model side cache and persist it.
+   * Only used when the provider's vector space differs from the brain's.
+   */
+  async ensureProviderNodeEmbeddings(cache, nodes) {
+    const known = new Set(cache.nodes.map(entry => entry.id));
+    const missing = nodes.filter(node => node.concept && !known.has(getNodeCacheKey(node)));
+    if (missing.length === 0) return;
+
+    console.log(`[QueryEngine] Embedding ${missing.length} nodes with ${cache.model}...`);
+    let added = 0;
+    for (let i = 0; i < missing.length; i += PROVIDER_EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + PROVIDER_EMBEDDING_BATCH_SIZE);
+      try {
+        const vectors = await this.embeddingProvider.embed(batch.map(node => String(node.concept).substring(0, 8000)));
+        batch.forEach((node, j) => {
+          cache.nodes.push({ id: getNodeCacheKey(node), embedding: vectors[j] });
+        });
+        added += batch.length;
+      } catch (error) {
+        console.error('[QueryEngine] Node embedding batch failed:', error.message);
+        break;
+      }
+    }
+
+    if (added > 0) {
+      cache.updated = new Date().toISOString();
+      try {
+        await fs.writeFile(this.getProviderEmbeddingsCachePath(), JSON.stringify(cache), 'utf-8');
+      } catch (error) {
+        // Read-only brain: keep the cache in memory for this session
+        console.warn('[QueryEngine] Could not persist embeddings side cache:', error.message);
+      }
+    }
+  }
+
   /**
    * Get embedding for text
    */
   async getEmbedding(text) {
-    if (!this.openai) {
-      // No OpenAI client - semantic search unavailable, will fall back to keyword search
+    if (!this.embeddingProvider) {
+      // No embedding provider - semantic search unavailable, will fall back to keyword search
       return null;
     }
     try {
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: text.substring(0, 8000),
-        encoding_format: 'float',
-        dimensions: 512  // Must match brain node embedding dimensions
-      });
-      return response.data[0].embedding;
+      return await this.embeddingProvider.embedOne(text.substring(0, 8000));
     } catch (error) {
       console.error('Embedding error:', error.message);
       return null;
@@ -1037,6 +1128,9 @@ STYLE:
       try {
         embeddingsCache = await this.loadEmbeddingsCache();
         queryEmbedding = await this.getEmbedding(query);
+        if (queryEmbedding && !this.isNativeEmbeddingSpace()) {
+          await this.ensureProviderNodeEmbeddings(embeddingsCache, allNodes);
+        }
       } catch (error) {
         console.log('Semantic search unavailable, using keyword-only');
       }
@@ -1050,7 +1144,7 @@ STYLE:
       let semanticScore = 0;
       if (queryEmbedding && embeddingsCache) {
         const nodeCache = this.findNodeEmbedding(embeddingsCache, node);
-        const embeddingVector = nodeCache?.embedding || node.embedding;
+        const embeddingVector = nodeCache?.embedding || (this.isNativeEmbeddingSpace() ? node.embedding : null);
         if (Array.isArray(embeddingVector) && embeddingVector.length === queryEmbedding.length) {
           const similarity = this.cosineSimilarity(queryEmbedding, embeddingVector);
           semanticScore = similarity * 100;
@@ -19,6 +19,66 @@ function normalizeSecurityProfile(value) {
   return normalized;
 }
 
+const SANDBOX_MODES = ['off', 'auto', 'bwrap', 'restricted'];
+
+// Per-profile sandbox defaults for agent-issued commands. Local keeps the
+// previous unsandboxed behaviour; internet isolates by default.
+const SANDBOX_DEFAULTS = Object.freeze({
+  [SECURITY_PROFILES.LOCAL]: {
+    mode: 'off',
+    network: true,
+    cpuSeconds: 0,
+    memoryMb: 0,
+    timeoutMs: 30000
+  },
+  [SECURITY_PROFILES.INTERNET]: {
+    mode: 'auto',
+    network: false,
+    cpuSeconds: 120,
+    memoryMb: 2048,
+    timeoutMs: 120000
+  }
+});
+
+const DEFAULT_SANDBOX_HIDDEN_PATHS = ['~/.evobrew', '~/.ssh', '~/.aws', '~/.gnupg', '~/.config/gcloud', '~/.docker'];
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseNonNegativeInt(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer.`);
+  }
+  return parsed;
+}
+
+function loadSandboxConfig(env, securityProfile) {
+  const defaults = SANDBOX_DEFAULTS[securityProfile];
+  const mode = String(env.SANDBOX_MODE || defaults.mode).trim().toLowerCase();
+  if (!SANDBOX_MODES.includes(mode)) {
+    throw new Error(`Invalid SANDBOX_MODE "${env.SANDBOX_MODE}". Expected one of: ${SANDBOX_MODES.join(', ')}.`);
+  }
+
+  return {
+    mode,
+    network: parseBoolean(env.SANDBOX_NETWORK, defaults.network),
+    cpuSeconds: parseNonNegativeInt(env.SANDBOX_CPU_SECONDS, defaults.cpuSeconds, 'SANDBOX_CPU_SECONDS'),
+    memoryMb: parseNonNegativeInt(env.SANDBOX_MEMORY_MB, defaults.memoryMb, 'SANDBOX_MEMORY_MB'),
+    timeoutMs: parseNonNegativeInt(env.SANDBOX_TIMEOUT_MS, defaults.timeoutMs, 'SANDBOX_TIMEOUT_MS') || defaults.timeoutMs,
+    writablePaths: parseList(env.SANDBOX_WRITABLE_PATHS),
+    hiddenPaths: env.SANDBOX_HIDDEN_PATHS !== undefined
+      ? parseList(env.SANDBOX_HIDDEN_PATHS)
+      : DEFAULT_SANDBOX_HIDDEN_PATHS.slice(),
+    envPassthrough: parseList(env.SANDBOX_ENV_PASSTHROUGH)
+  };
+}
+
 function normalizeAllowlistEntry(entry) {
   const raw = String(entry || '').trim();
   if (!raw) return null;
@@ -109,6 +169,7 @@ function loadSecurityProfile(env = process.env) {
     collaboraSecret,
     onlyOfficeAllowlistRaw,
     onlyOfficeAllowlist,
+    sandbox: loadSandboxConfig(env, securityProfile),
     proxyUserHeaderCandidates: [
       'x-evobrew-auth-user',
       'x-auth-request-user',
@@ -148,6 +209,7 @@ function loadSecurityProfile(env = process.env) {
 
 module.exports = {
   SECURITY_PROFILES,
+  SANDBOX_MODES,
   loadSecurityProfile,
   isOnlyOfficeCallbackUrlAllowed
 };
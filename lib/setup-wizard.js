@@ -1447,7 +1447,7 @@ async function stepBrains(config) {
   // Ensure features.brains object exists
   if (!config.features) config.features = {};
   if (!config.features.brains) config.features.brains = { enabled: false, directories: [] };
-  if (!config.embeddings) config.embeddings = { provider: 'openai', api_key: '', model: 'text-embedding-3-small', dimensions: 512 };
+  if (!config.embeddings) config.embeddings = { provider: 'auto', model: '', dimensions: 512, api_key: '', base_url: '' };
   
   const enableBrains = await confirm('? Enable Brains (research knowledge bases)?', config.features.brains.enabled || false);
   
@@ -1487,7 +1487,7 @@ async function stepBrains(config) {
     // Embeddings API key for semantic search
     console.log(`\n  ${colors.cyan}Semantic Search${colors.reset}`);
     console.log(`  Brains use OpenAI embeddings for semantic queries.`);
-    console.log(`  Without an API key, keyword search is still available.\n`);
+    console.log(`  Without an API key, local embeddings are used (set embeddings.provider to "ollama" to use Ollama).\n`);
     
     const hasKey = config.embeddings.api_key && config.embeddings.api_key.length > 10;
     if (hasKey) {
@@ -1508,7 +1508,7 @@ async function stepBrains(config) {
           success('Embeddings API key saved');
         }
       } else {
-        info('Skipping embeddings - keyword search will be used');
+        info('Skipping OpenAI embeddings - local embeddings will be used');
       }
     }
     
@@ -0,0 +1,80 @@
+-- CreateTable
+CREATE TABLE "Conversation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "folder" TEXT,
+    "brainPath" TEXT,
+    "summary" TEXT,
+    "extra" TEXT,
+    "messageCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Message" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "conversationId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "role" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "model" TEXT,
+    "extra" TEXT,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ToolCall" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "messageId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "tool" TEXT NOT NULL,
+    "summary" TEXT,
+    "success" BOOLEAN NOT NULL DEFAULT true,
+    CONSTRAINT "ToolCall_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Snapshot" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workspace" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "source" TEXT,
+    "timestamp" DATETIME NOT NULL,
+    "totalSize" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateTable
+CREATE TABLE "SnapshotFile" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "snapshotId" TEXT NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "blob" TEXT NOT NULL,
+    "size" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "SnapshotFile_snapshotId_fkey" FOREIGN KEY ("snapshotId") REFERENCES "Snapshot" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Conversation_createdAt_idx" ON "Conversation"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "Conversation_folder_idx" ON "Conversation"("folder");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Message_conversationId_position_key" ON "Message"("conversationId", "position");
+
+-- CreateIndex
+CREATE INDEX "ToolCall_messageId_idx" ON "ToolCall"("messageId");
+
+-- CreateIndex
+CREATE INDEX "ToolCall_tool_idx" ON "ToolCall"("tool");
+
+-- CreateIndex
+CREATE INDEX "Snapshot_workspace_timestamp_idx" ON "Snapshot"("workspace", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "SnapshotFile_snapshotId_idx" ON "SnapshotFile"("snapshotId");
+
+-- CreateIndex
+CREATE INDEX "SnapshotFile_filePath_idx" ON "SnapshotFile"("filePath");
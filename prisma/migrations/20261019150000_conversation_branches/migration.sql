@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "activeLeafId" TEXT;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Message" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" TEXT NOT NULL,
+    "parentId" TEXT,
+    "conversationId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "role" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "model" TEXT,
+    "extra" TEXT,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+-- Existing flat histories become a single branch
+INSERT INTO "new_Message" ("id", "nodeId", "parentId", "conversationId", "position", "role", "content", "model", "extra", "timestamp")
+SELECT m."id", 'msg_' || m."id",
+    (SELECT 'msg_' || p."id" FROM "Message" p WHERE p."conversationId" = m."conversationId" AND p."position" = m."position" - 1),
+    m."conversationId", m."position", m."role", m."content", m."model", m."extra", m."timestamp"
+FROM "Message" m;
+DROP TABLE "Message";
+ALTER TABLE "new_Message" RENAME TO "Message";
+CREATE UNIQUE INDEX "Message_conversationId_nodeId_key" ON "Message"("conversationId", "nodeId");
+CREATE INDEX "Message_conversationId_parentId_idx" ON "Message"("conversationId", "parentId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Point every conversation at its only branch
+UPDATE "Conversation" SET "activeLeafId" = (
+    SELECT 'msg_' || m."id" FROM "Message" m
+    WHERE m."conversationId" = "Conversation"."id"
+    ORDER BY m."position" DESC LIMIT 1
+);
@@ -5,7 +5,7 @@
 
 import { getCurrentFile, getSelectedText } from './editor.js';
 import { currentFolder, buildFileTreeContext } from './file-tree.js';
-import { queueEdit } from './edit-queue.js';
+import { queueChangeset, getEditQueueConversationId } from './edit-queue.js';
 
 // Conversation history is stored per-folder to avoid cross-directory bleed
 // and to keep token usage bounded to the relevant workspace.
@@ -165,6 +165,8 @@ async function sendMessage() {
             fileTreeContext: buildFileTreeContext(),
             // Only send history for the current folder
             conversationHistory: historyForFolder.slice(-12),
+            // Agent edits are queued server-side under this id
+            conversationId: getEditQueueConversationId(),
             stream: true
         };
         
@@ -285,16 +287,12 @@ async function sendMessage() {
                                 edits: event.pendingEdits
                             });
                             
-                            if (event.pendingEdits && event.pendingEdits.length > 0) {
-                                console.log(`[AI] ${event.pendingEdits.length} edit(s) pending`);
-                                
-                                for (const edit of event.pendingEdits) {
-                                    console.log('[FRONTEND] Queueing edit:', { file: edit.file, instructions: edit.instructions, hasEdit: !!edit.edit });
-                                    queueEdit(edit.file, edit.instructions, edit.edit);
-                                }
+                            if (event.changeset && event.changeset.edits.length > 0) {
+                                console.log(`[AI] ${event.changeset.edits.length} edit(s) pending`);
+                                queueChangeset(event.changeset);
                                 
                                 // Show notification
-                                const count = event.pendingEdits.length;
+                                const count = event.changeset.edits.length;
                                 addChatMessage('system', `✅ ${count} edit${count > 1 ? 's' : ''} added to queue for review`);
                             } else {
                                 console.log('[FRONTEND] No pending edits in complete event');
@@ -450,6 +448,7 @@ function getToolIcon(toolName) {
         'search_replace': '🔄',
         'insert_lines': '➕',
         'delete_lines': '➖',
+        'apply_patch': '🩹',
         'create_file': '📝',
         'create_docx': '📄',
         'create_xlsx': '📊',
@@ -460,6 +459,7 @@ function getToolIcon(toolName) {
         'terminal_resize': '💻',
         'terminal_close': '💻',
         'terminal_list': '💻',
+        'terminal_history': '💻',
         'delete_file': '🗑️'
     };
     return icons[toolName] || '🔧';
@@ -1,11 +1,27 @@
 /**
  * Edit Queue Module
- * Handles surgical edits, diff preview, accept/reject
+ * Review UI for the server-side edit queue: changesets of agent edits are
+ * persisted per conversation (/api/edit-queue), applied atomically with
+ * conflict detection, and undone as a whole.
  */
 
-import { editor, openFiles, activeFile } from './editor.js';
+import { openFiles } from './editor.js';
 
-let editQueue = [];
+const QUEUE_ID_STORAGE_KEY = 'cosmo.editQueue.conversationId';
+
+let changesets = [];
+
+/**
+ * Conversation id this client queues edits under (stable across reloads)
+ */
+export function getEditQueueConversationId() {
+    let id = localStorage.getItem(QUEUE_ID_STORAGE_KEY);
+    if (!id) {
+        id = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        localStorage.setItem(QUEUE_ID_STORAGE_KEY, id);
+    }
+    return id;
+}
 
 /**
  * Initialize Edit Queue
@@ -13,67 +29,82 @@ let editQueue = [];
 export async function initializeEditQueue() {
     // Close button
     document.getElementById('close-edit-queue').addEventListener('click', hideEditQueue);
-    
+
     // Accept/Reject all
     document.getElementById('accept-all-edits').addEventListener('click', acceptAllEdits);
     document.getElementById('reject-all-edits').addEventListener('click', rejectAllEdits);
-    
+
     // Click on status to show queue
     document.getElementById('status-edits').addEventListener('click', showEditQueue);
-    
+
+    await loadEditQueue();
+
     console.log('✅ Edit Queue initialized');
 }
 
 /**
- * Queue an edit for review
+ * Load persisted changesets (survives reloads)
  */
-export async function queueEdit(filePath, instructions, surgicalEdit) {
+export async function loadEditQueue() {
     try {
-        // Read current file content
-        const response = await fetch(`/api/folder/read?path=${encodeURIComponent(filePath)}`);
+        const response = await fetch(`/api/edit-queue/${encodeURIComponent(getEditQueueConversationId())}`);
         const data = await response.json();
-        
-        if (!data.success) {
-            throw new Error(data.error || 'Failed to read file');
-        }
-        
-        const originalContent = data.content;
-        
-        // Apply surgical edit to get modified content
-        // Direct replacement (no surgical parsing)
-        const modifiedContent = surgicalEdit;
-        
-        // Add to queue
-        const edit = {
-            id: `edit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            filePath,
-            fileName: filePath.split('/').pop(),
-            instructions,
-            originalContent,
-            modifiedContent,
-            status: 'pending'
-        };
-        
-        editQueue.push(edit);
-        
-        // Update UI
+        if (!data.success) throw new Error(data.error || 'Failed to load edit queue');
+        changesets = data.changesets;
         renderEditQueue();
         updateEditStatus();
-        
-        // Auto-show queue
-        if (editQueue.filter(e => e.status === 'pending').length === 1) {
-            showEditQueue();
-        }
-        
-        console.log(`[EDIT QUEUE] Added: ${filePath} - ${instructions}`);
-        
     } catch (error) {
-        console.error('Failed to queue edit:', error);
-        alert(`Failed to queue edit: ${error.message}`);
+        console.error('[EDIT QUEUE] Failed to load:', error);
     }
 }
 
 /**
+ * Add the changeset returned by a chat run
+ */
+export function queueChangeset(changeset) {
+    changesets = changesets.filter(cs => cs.id !== changeset.id).concat(changeset);
+    renderEditQueue();
+    updateEditStatus();
+    if (getPendingEdits().length > 0) {
+        showEditQueue();
+    }
+    console.log(`[EDIT QUEUE] Added changeset ${changeset.id} (${changeset.edits.length} files)`);
+}
+
+function getPendingEdits() {
+    return changesets.flatMap(cs => cs.edits
+        .filter(edit => edit.status === 'pending')
+        .map(edit => ({ ...edit, changeset: cs })));
+}
+
+async function changesetAction(changeset, action, body = {}) {
+    const url = `/api/edit-queue/${encodeURIComponent(changeset.conversationId)}/changesets/${encodeURIComponent(changeset.id)}/${action}`;
+    const post = (payload) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }).then(response => response.json());
+
+    let data = await post(body);
+    if (!data.success && data.conflicts?.length > 0) {
+        const files = data.conflicts.map(c => `• ${c.filePath.split('/').pop()}: ${c.reason}`).join('\n');
+        if (!confirm(`${data.error}:\n\n${files}\n\nOverwrite anyway?`)) return null;
+        data = await post({ ...body, force: true });
+    }
+    if (!data.success) throw new Error(data.error || `Failed to ${action} changeset`);
+
+    changesets = changesets.map(cs => cs.id === data.changeset.id ? data.changeset : cs);
+    renderEditQueue();
+    updateEditStatus();
+    return data;
+}
+
+function syncOpenFile(filePath, content) {
+    if (content === null || content === undefined || !openFiles.has(filePath)) return;
+    const fileData = openFiles.get(filePath);
+    fileData.model.setValue(content);
+    fileData.dirty = false;
+}
 
 /**
  * Render edit queue
@@ -81,38 +112,33 @@ export async function queueEdit(filePath, instructions, surgicalEdit) {
 function renderEditQueue() {
     const list = document.getElementById('edit-queue-list');
     list.innerHTML = '';
-    
-    const pending = editQueue.filter(e => e.status === 'pending');
-    
+
+    const pending = getPendingEdits();
+
     if (pending.length === 0) {
         list.innerHTML = '<div class="empty-state">No pending edits</div>';
         return;
     }
-    
+
     pending.forEach(edit => {
         const item = document.createElement('div');
         item.className = 'edit-item';
         item.innerHTML = `
             <div class="edit-header">
-                <strong>${edit.fileName}</strong>
-                <span class="edit-instructions">${edit.instructions}</span>
+                <strong>${escapeHtml(edit.fileName)}</strong>
+                <span class="edit-instructions">${escapeHtml(edit.instructions || edit.summary || '')}</span>
             </div>
             <div class="edit-actions">
-                <button class="btn-accept" data-id="${edit.id}">✓ Accept</button>
-                <button class="btn-reject" data-id="${edit.id}">✕ Reject</button>
-                <button class="btn-preview" data-id="${edit.id}">👁 Preview</button>
+                <button class="btn-accept">✓ Accept</button>
+                <button class="btn-reject">✕ Reject</button>
+                <button class="btn-preview">👁 Preview</button>
             </div>
         `;
-        
-        // Accept button
-        item.querySelector('.btn-accept').onclick = () => acceptEdit(edit.id);
-        
-        // Reject button
-        item.querySelector('.btn-reject').onclick = () => rejectEdit(edit.id);
-        
-        // Preview button
-        item.querySelector('.btn-preview').onclick = () => previewEdit(edit.id);
-        
+
+        item.querySelector('.btn-accept').onclick = () => acceptEdit(edit);
+        item.querySelector('.btn-reject').onclick = () => rejectEdit(edit);
+        item.querySelector('.btn-preview').onclick = () => previewEdit(edit);
+
         list.appendChild(item);
     });
 }
@@ -120,57 +146,13 @@ function renderEditQueue() {
 /**
  * Accept edit
  */
-async function acceptEdit(id) {
-    const edit = editQueue.find(e => e.id === id);
-    if (!edit || edit.status !== 'pending') return;
-    
-    console.log(`[EDIT QUEUE] Accepting edit:`, {
-        id,
-        filePath: edit.filePath,
-        hasModifiedContent: !!edit.modifiedContent,
-        modifiedContentLength: edit.modifiedContent?.length
-    });
-    
+async function acceptEdit(edit) {
     try {
-        // Save to file
-        console.log(`[EDIT QUEUE] Writing to disk: ${edit.filePath} (${edit.modifiedContent?.length || 0} chars)`);
-        
-        const response = await fetch('/api/folder/write', {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                path: edit.filePath, 
-                content: edit.modifiedContent 
-            })
-        });
-        
-        const data = await response.json();
-        
-        console.log(`[EDIT QUEUE] Write response:`, data);
-        
-        if (!data.success) {
-            throw new Error(data.error);
-        }
-        
-        console.log(`[EDIT QUEUE] ✓ File written to disk successfully`);
-        
-        // Update in editor if open
-        if (openFiles.has(edit.filePath)) {
-            console.log(`[EDIT QUEUE] File is open in editor, updating...`);
-            const fileData = openFiles.get(edit.filePath);
-            fileData.model.setValue(edit.modifiedContent);
-            fileData.dirty = false;
-            console.log(`[EDIT QUEUE] ✓ Editor updated and marked clean`);
-        } else {
-            console.log(`[EDIT QUEUE] File not open in editor`);
+        const data = await changesetAction(edit.changeset, 'apply', { editIds: [edit.id] });
+        if (data?.applied) {
+            syncOpenFile(edit.filePath, edit.modifiedContent);
+            console.log(`[EDIT] ✓ Accepted: ${edit.fileName}`);
         }
-        
-        edit.status = 'accepted';
-        renderEditQueue();
-        updateEditStatus();
-        
-        console.log(`[EDIT] ✓ Accepted: ${edit.fileName}`);
-        
     } catch (error) {
         console.error('[EDIT QUEUE] Failed to accept edit:', error);
         alert(`Failed to accept edit: ${error.message}`);
@@ -180,65 +162,86 @@ async function acceptEdit(id) {
 /**
  * Reject edit
  */
-function rejectEdit(id) {
-    const edit = editQueue.find(e => e.id === id);
-    if (!edit || edit.status !== 'pending') return;
-    
-    edit.status = 'rejected';
-    renderEditQueue();
-    updateEditStatus();
-    
-    console.log(`[EDIT] ✕ Rejected: ${edit.fileName}`);
+async function rejectEdit(edit) {
+    try {
+        await changesetAction(edit.changeset, 'reject', { editIds: [edit.id] });
+        console.log(`[EDIT] ✕ Rejected: ${edit.fileName}`);
+    } catch (error) {
+        alert(`Failed to reject edit: ${error.message}`);
+    }
 }
 
 /**
- * Accept all pending edits
+ * Accept all pending edits — each changeset is applied atomically
  */
 async function acceptAllEdits() {
-    const pending = editQueue.filter(e => e.status === 'pending');
-    for (const edit of pending) {
-        await acceptEdit(edit.id);
+    for (const changeset of changesets.filter(cs => cs.status === 'pending' || cs.status === 'partial')) {
+        const pending = changeset.edits.filter(edit => edit.status === 'pending');
+        try {
+            const data = await changesetAction(changeset, 'apply');
+            if (data?.applied) {
+                pending.forEach(edit => syncOpenFile(edit.filePath, edit.modifiedContent));
+            }
+        } catch (error) {
+            alert(`Failed to apply changeset: ${error.message}`);
+        }
     }
 }
 
 /**
  * Reject all pending edits
  */
-function rejectAllEdits() {
-    editQueue.filter(e => e.status === 'pending').forEach(e => {
-        e.status = 'rejected';
-    });
-    renderEditQueue();
-    updateEditStatus();
+async function rejectAllEdits() {
+    for (const changeset of changesets.filter(cs => cs.status === 'pending' || cs.status === 'partial')) {
+        try {
+            await changesetAction(changeset, 'reject');
+        } catch (error) {
+            alert(`Failed to reject changeset: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Undo the most recently applied changeset in one step
+ */
+export async function undoLastChangeset() {
+    const last = [...changesets].reverse().find(cs => cs.edits.some(edit => edit.status === 'applied'));
+    if (!last) return;
+    const applied = last.edits.filter(edit => edit.status === 'applied');
+    try {
+        const data = await changesetAction(last, 'undo');
+        if (data?.undone) {
+            applied.forEach(edit => syncOpenFile(edit.filePath, edit.originalContent));
+        }
+    } catch (error) {
+        alert(`Undo failed: ${error.message}`);
+    }
 }
 
 /**
  * Preview edit (show diff)
  */
-function previewEdit(id) {
-    const edit = editQueue.find(e => e.id === id);
-    if (!edit) return;
-    
+function previewEdit(edit) {
     // Simple diff preview (can be enhanced with proper diff library)
-    const originalLines = edit.originalContent.split('\n');
+    const originalLines = (edit.originalContent || '').split('\n');
     const modifiedLines = edit.modifiedContent.split('\n');
-    
+
     let diff = `File: ${edit.filePath}\nInstructions: ${edit.instructions}\n\n`;
     diff += `--- Original (${originalLines.length} lines)\n`;
     diff += `+++ Modified (${modifiedLines.length} lines)\n\n`;
-    
+
     // Simple line-by-line diff
     const maxLines = Math.max(originalLines.length, modifiedLines.length);
     for (let i = 0; i < maxLines; i++) {
         const orig = originalLines[i] || '';
         const mod = modifiedLines[i] || '';
-        
+
         if (orig !== mod) {
             if (orig) diff += `- ${orig}\n`;
             if (mod) diff += `+ ${mod}\n`;
         }
     }
-    
+
     alert(diff); // Simple preview - can enhance with modal + syntax highlighting
 }
 
@@ -258,8 +261,8 @@ function hideEditQueue() {
  */
 function updateEditStatus() {
     const statusEl = document.getElementById('status-edits');
-    const pending = editQueue.filter(e => e.status === 'pending').length;
-    
+    const pending = getPendingEdits().length;
+
     if (pending > 0) {
         statusEl.textContent = `${pending} edit${pending > 1 ? 's' : ''} pending`;
         statusEl.classList.remove('hidden');
@@ -276,7 +279,3 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
-
-// Export
-export { editQueue };
-
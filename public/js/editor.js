@@ -296,6 +296,54 @@ function updateTabDirtyState(filePath, dirty) {
     }
 }
 
+/**
+ * Sync open tabs with on-disk changes pushed by the server file watcher.
+ * Clean tabs reload; tabs with unsaved edits are flagged instead.
+ */
+async function handleDiskChange(change) {
+    const fileData = openFiles.get(change.path);
+    if (!fileData) return;
+    
+    const tab = document.querySelector(`.tab[data-path="${CSS.escape(change.path)}"]`);
+    const fileName = change.path.split('/').pop();
+    
+    if (change.kind === 'deleted') {
+        if (tab) tab.title = 'Deleted on disk';
+        console.warn(`⚠️ ${fileName} was deleted on disk`);
+        return;
+    }
+    
+    const response = await fetch(`/api/folder/read?path=${encodeURIComponent(change.path)}`);
+    const data = await response.json();
+    if (!data.success || data.content === fileData.model.getValue()) {
+        if (tab) tab.removeAttribute('title');
+        return;
+    }
+    
+    if (fileData.dirty) {
+        if (tab) tab.title = 'Changed on disk - you have unsaved edits';
+        console.warn(`⚠️ ${fileName} changed on disk and has unsaved edits`);
+        return;
+    }
+    
+    const viewState = activeFile === change.path ? editor.saveViewState() : null;
+    fileData.model.setValue(data.content);
+    fileData.dirty = false;
+    if (viewState) editor.restoreViewState(viewState);
+    updateTabDirtyState(change.path, false);
+    if (tab) tab.removeAttribute('title');
+    console.log(`🔄 Reloaded from disk: ${change.path}`);
+}
+
+window.addEventListener('evobrew:fsChange', (e) => {
+    for (const change of e.detail?.changes || []) {
+        if (change.isDirectory) continue;
+        handleDiskChange(change).catch(error => {
+            console.error('Failed to sync file from disk:', error);
+        });
+    }
+});
+
 /**
  * Keyboard shortcuts
  */
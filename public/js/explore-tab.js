@@ -18,6 +18,8 @@ let showLabels = false;
 let colorByClusters = false;
 let exploreInitialized = false;
 let exploreBrainListenersBound = false;
+let exploreDiff = null;
+let exploreDiffHighlight = null;
 
 const colors = {
   analyst: '#4ec9b0',
@@ -166,6 +168,7 @@ function initExploreTab() {
               <button onclick="renderNetwork()" class="explore-ctrl-btn explore-ctrl-btn-primary">Render</button>
               <button onclick="fitNetwork()" class="explore-ctrl-btn explore-ctrl-btn-secondary">Fit</button>
               <button onclick="resetView()" class="explore-ctrl-btn explore-ctrl-btn-secondary">Reset</button>
+              <button onclick="showExploreWhatsNew()" class="explore-ctrl-btn explore-ctrl-btn-secondary" title="Compare this brain with an earlier snapshot">🆕 What's New</button>
             </div>
           </div>
 
@@ -247,7 +250,7 @@ function initExploreTab() {
         <!-- Detail Overlay (positioned inside graph area) -->
         <div id="explore-detail-overlay">
           <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:16px;">
-            <div style="font-weight:600;font-size:14px;color:var(--text-primary);">Node Details</div>
+            <div id="explore-detail-title" style="font-weight:600;font-size:14px;color:var(--text-primary);">Node Details</div>
             <button onclick="closeExploreDetail()" style="background:transparent;border:none;color:var(--text-secondary);font-size:24px;cursor:pointer;padding:4px;min-width:44px;min-height:44px;display:flex;align-items:center;justify-content:center;">&times;</button>
           </div>
           <div id="explore-detail-content"></div>
@@ -317,6 +320,8 @@ function bindExploreBrainListeners() {
     allNodes = [];
     allEdges = [];
     selectedNode = null;
+    exploreDiff = null;
+    exploreDiffHighlight = null;
     initExploreTab();
   };
 
@@ -500,6 +505,9 @@ function drawGraph() {
 }
 
 function getNodeColor(node) {
+  if (exploreDiffHighlight) {
+    return exploreDiffHighlight.has(String(node.id)) ? '#ffd700' : '#30363d';
+  }
   if (colorByClusters && node.cluster !== undefined) {
     return `hsl(${(node.cluster * 137.5) % 360}, 50%, 50%)`;
   }
@@ -571,6 +579,8 @@ function showExploreDetail(node) {
   const outgoing = node.outgoingConnections || [];
   const incoming = node.incomingConnections || [];
   const total = outgoing.length + incoming.length;
+  const title = document.getElementById('explore-detail-title');
+  if (title) title.textContent = 'Node Details';
 
   content.innerHTML = `
     <div style="background:var(--bg-tertiary);padding:14px;border-radius:6px;border-left:4px solid var(--accent-primary);margin-bottom:16px;">
@@ -639,6 +649,207 @@ function closeExploreDetail() {
   }
 }
 
+// ============================================================================
+// WHAT'S NEW (brain diff against an earlier snapshot)
+// ============================================================================
+
+function escapeExploreHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function openExploreOverlay(title) {
+  const panel = document.getElementById('explore-detail-overlay');
+  const titleEl = document.getElementById('explore-detail-title');
+  if (titleEl) titleEl.textContent = title;
+  if (panel) panel.style.display = 'block';
+  return document.getElementById('explore-detail-content');
+}
+
+async function showExploreWhatsNew() {
+  const content = openExploreOverlay("What's New");
+  if (!content) return;
+  if (exploreDiff) {
+    renderExploreDiff();
+    return;
+  }
+
+  content.innerHTML = '<div style="text-align:center;padding:20px;color:var(--text-secondary);">Loading snapshots...</div>';
+  try {
+    const currentPath = window.currentBrainInfo?.brainPath;
+    const currentName = (currentPath || '').split('/').pop() || '';
+    const data = await fetch('/api/brains/list').then(r => r.json());
+    // Snapshots of the same research usually share a name prefix — list those first
+    const sharedPrefix = name => {
+      let i = 0;
+      while (i < name.length && i < currentName.length && name[i] === currentName[i]) i++;
+      return i;
+    };
+    const candidates = (data.brains || [])
+      .filter(b => b.path !== currentPath)
+      .sort((a, b) => sharedPrefix(b.name) - sharedPrefix(a.name) || b.name.localeCompare(a.name));
+
+    if (candidates.length === 0) {
+      content.innerHTML = '<div style="text-align:center;padding:20px;color:var(--text-muted);">No other brains to compare with. Snapshots in the configured brain directories appear here.</div>';
+      return;
+    }
+
+    content.innerHTML = `
+      <div style="font-size:12px;color:var(--text-secondary);margin-bottom:8px;line-height:1.5;">
+        Compare <strong style="color:var(--text-primary);">${escapeExploreHtml(currentName)}</strong> with an earlier snapshot:
+      </div>
+      <select id="explore-diff-base" style="width:100%;padding:10px 12px;background:var(--bg-primary);border:1px solid var(--border-color);border-radius:4px;color:var(--text-primary);font-size:13px;min-height:44px;margin-bottom:12px;">
+        ${candidates.map(b => `<option value="${escapeExploreHtml(b.path)}">${escapeExploreHtml(b.name)}${b.location ? ` (${escapeExploreHtml(b.location)})` : ''}</option>`).join('')}
+      </select>
+      <button onclick="runExploreDiff()" class="explore-ctrl-btn explore-ctrl-btn-primary" style="width:100%;">Compare</button>
+    `;
+  } catch (error) {
+    content.innerHTML = `<div style="text-align:center;padding:20px;color:#f87171;">Error: ${escapeExploreHtml(error.message)}</div>`;
+  }
+}
+
+async function runExploreDiff() {
+  const base = document.getElementById('explore-diff-base')?.value;
+  const content = document.getElementById('explore-detail-content');
+  if (!base || !content) return;
+
+  content.innerHTML = '<div style="text-align:center;padding:20px;color:var(--text-secondary);">⏳ Comparing brains...</div>';
+  try {
+    const data = await fetch(`/api/brain/diff?base=${encodeURIComponent(base)}&limit=200`).then(r => r.json());
+    if (!data.success) throw new Error(data.error || 'Diff failed');
+    exploreDiff = data;
+    renderExploreDiff();
+  } catch (error) {
+    content.innerHTML = `<div style="text-align:center;padding:20px;color:#f87171;">Error: ${escapeExploreHtml(error.message)}</div>
+      <button onclick="resetExploreDiff()" class="explore-ctrl-btn explore-ctrl-btn-secondary" style="width:100%;">Back</button>`;
+  }
+}
+
+function resetExploreDiff() {
+  exploreDiff = null;
+  clearExploreDiffHighlight();
+  showExploreWhatsNew();
+}
+
+function renderExploreDiff() {
+  const content = document.getElementById('explore-detail-content');
+  if (!content || !exploreDiff) return;
+  const { summary, nodes: nodeDiff, edges: edgeDiff, clusters } = exploreDiff;
+
+  const stat = (label, value, color) => `
+    <div style="background:var(--bg-tertiary);padding:8px;border-radius:4px;text-align:center;">
+      <div style="font-size:10px;color:var(--text-muted);">${label}</div>
+      <div style="font-size:14px;font-weight:700;color:${color};">${value}</div>
+    </div>`;
+  const sectionTitle = (text, count) => `<div style="font-size:12px;font-weight:600;color:var(--text-secondary);margin:16px 0 8px;">${text} (${count})</div>`;
+  const nodeRow = (node, badge, clickable = true) => `
+    <div ${clickable ? `onclick="exploreSelectById(${escapeExploreHtml(JSON.stringify(node.id))})"` : ''} style="${clickable ? 'cursor:pointer;' : ''}padding:10px;margin:4px 0;background:var(--bg-primary);border-radius:4px;border:1px solid var(--border-color);">
+      <div style="display:flex;justify-content:space-between;margin-bottom:4px;gap:8px;">
+        <span style="font-weight:600;color:var(--accent-primary);font-size:12px;">#${escapeExploreHtml(node.id)}</span>
+        <span style="font-size:10px;background:var(--bg-secondary);padding:2px 6px;border-radius:3px;">${badge}</span>
+      </div>
+      <div style="font-size:11px;color:var(--text-secondary);">${escapeExploreHtml((node.concept || '').substring(0, 120))}</div>
+    </div>`;
+  const signed = value => `${value > 0 ? '+' : ''}${value}`;
+  const more = (shown, total) => total > shown ? `<div style="text-align:center;padding:8px;color:var(--text-muted);font-size:11px;">… and ${total - shown} more</div>` : '';
+
+  content.innerHTML = `
+    <div style="font-size:12px;color:var(--text-secondary);margin-bottom:12px;line-height:1.5;">
+      ${escapeExploreHtml(exploreDiff.base.name)} → <strong style="color:var(--text-primary);">${escapeExploreHtml(exploreDiff.compare.name)}</strong>
+      <span style="color:var(--text-muted);">· cycles ${exploreDiff.base.cycles} → ${exploreDiff.compare.cycles}</span>
+    </div>
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px;margin-bottom:12px;">
+      ${stat('Nodes added', '+' + summary.nodesAdded, 'var(--success)')}
+      ${stat('Nodes removed', '-' + summary.nodesRemoved, '#f87171')}
+      ${stat('Modified', summary.nodesModified, 'var(--warning)')}
+      ${stat('Edges added', '+' + summary.edgesAdded, 'var(--success)')}
+      ${stat('Edges removed', '-' + summary.edgesRemoved, '#f87171')}
+      ${stat('New clusters', summary.clustersNew ?? 'N/A', 'var(--accent-primary)')}
+    </div>
+    <div style="font-size:11px;color:var(--text-muted);margin-bottom:12px;">
+      Avg activation ${summary.averageActivation.from} → ${summary.averageActivation.to}
+      ${summary.edgesReweighted ? ` · ${summary.edgesReweighted} edges reweighted` : ''}
+      ${summary.nodesRenumbered ? ` · ${summary.nodesRenumbered} nodes renumbered` : ''}
+    </div>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;">
+      <button onclick="highlightExploreDiffAdded()" class="explore-ctrl-btn explore-ctrl-btn-primary" ${summary.nodesAdded ? '' : 'disabled'}>Highlight new nodes</button>
+      <button onclick="clearExploreDiffHighlight(); renderNetwork();" class="explore-ctrl-btn explore-ctrl-btn-secondary">Show all</button>
+      <button onclick="resetExploreDiff()" class="explore-ctrl-btn explore-ctrl-btn-secondary">Change snapshot</button>
+    </div>
+
+    ${clusters && clusters.new.length ? `
+      ${sectionTitle('New clusters', clusters.newCount)}
+      ${clusters.new.map((cluster, index) => `
+        <div onclick="showExploreDiffCluster(${index})" style="cursor:pointer;padding:10px;margin:4px 0;background:var(--bg-primary);border-radius:4px;border:1px solid var(--border-color);border-left:3px solid var(--accent-primary);">
+          <div style="display:flex;justify-content:space-between;margin-bottom:4px;">
+            <span style="font-weight:600;color:var(--text-primary);font-size:12px;">${escapeExploreHtml(cluster.keywords.slice(0, 4).join(', ') || 'Cluster ' + cluster.id)}</span>
+            <span style="font-size:10px;background:var(--bg-secondary);padding:2px 6px;border-radius:3px;">${cluster.size} nodes · ${cluster.addedNodes} new</span>
+          </div>
+          <div style="font-size:11px;color:var(--text-secondary);">${escapeExploreHtml((cluster.sample[0]?.concept || '').substring(0, 120))}</div>
+        </div>`).join('')}` : ''}
+
+    ${nodeDiff.added.length ? `
+      ${sectionTitle('Added nodes', summary.nodesAdded)}
+      ${nodeDiff.added.slice(0, 20).map(node => nodeRow(node, escapeExploreHtml(node.tag || 'new'))).join('')}
+      ${more(Math.min(20, nodeDiff.added.length), summary.nodesAdded)}` : ''}
+
+    ${nodeDiff.activationChanges.length ? `
+      ${sectionTitle('Activation changes', nodeDiff.activationChanges.length)}
+      ${nodeDiff.activationChanges.slice(0, 15).map(change => nodeRow(change, `${change.from} → ${change.to} (${signed(change.delta)})`)).join('')}` : ''}
+
+    ${nodeDiff.modified.filter(node => node.changes.concept || node.changes.tag).length ? `
+      ${sectionTitle('Content changes', nodeDiff.modified.filter(node => node.changes.concept || node.changes.tag).length)}
+      ${nodeDiff.modified.filter(node => node.changes.concept || node.changes.tag).slice(0, 15)
+        .map(node => nodeRow(node, node.changes.tag ? `tag → ${escapeExploreHtml(node.changes.tag.to)}` : 'content')).join('')}` : ''}
+
+    ${nodeDiff.removed.length ? `
+      ${sectionTitle('Removed nodes', summary.nodesRemoved)}
+      ${nodeDiff.removed.slice(0, 10).map(node => nodeRow(node, 'removed', false)).join('')}
+      ${more(Math.min(10, nodeDiff.removed.length), summary.nodesRemoved)}` : ''}
+
+    ${edgeDiff.reweighted.length ? `
+      ${sectionTitle('Reweighted edges', summary.edgesReweighted)}
+      ${edgeDiff.reweighted.slice(0, 10).map(edge => `
+        <div style="padding:6px 10px;margin:4px 0;background:var(--bg-primary);border-radius:4px;border:1px solid var(--border-color);font-size:11px;color:var(--text-secondary);">
+          #${escapeExploreHtml(edge.source)} → #${escapeExploreHtml(edge.target)} · ${escapeExploreHtml(edge.type)} · ${edge.from} → ${edge.to}
+        </div>`).join('')}` : ''}
+  `;
+}
+
+function applyExploreDiffHighlight(ids) {
+  exploreDiffHighlight = new Set(ids.map(String));
+  if (nodeElements) nodeElements.attr('fill', d => getNodeColor(d));
+}
+
+function clearExploreDiffHighlight() {
+  exploreDiffHighlight = null;
+  if (nodeElements) nodeElements.attr('fill', d => getNodeColor(d));
+}
+
+function highlightExploreDiffAdded() {
+  if (!exploreDiff) return;
+  if (nodes.length === 0) renderNetwork();
+  applyExploreDiffHighlight(exploreDiff.nodes.added.map(node => node.id));
+}
+
+// Draw just the nodes of a new cluster (its new members highlighted)
+function showExploreDiffCluster(index) {
+  const cluster = exploreDiff?.clusters?.new?.[index];
+  if (!cluster) return;
+  const memberIds = new Set(cluster.nodeIds.map(String));
+  const members = allNodes.filter(n => memberIds.has(String(n.id)));
+  if (members.length === 0) return;
+
+  nodes = members;
+  const nodeIds = new Set(nodes.map(n => n.id));
+  edges = allEdges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target))
+    .map(e => ({ ...e, source: e.source, target: e.target }));
+  const addedIds = new Set(exploreDiff.nodes.added.map(node => String(node.id)));
+  exploreDiffHighlight = new Set(cluster.nodeIds.map(String).filter(id => addedIds.has(id)));
+  drawGraph();
+  updateExploreStats();
+  setTimeout(() => fitNetwork(), 600);
+}
+
 // ============================================================================
 // CONTROLS
 // ============================================================================
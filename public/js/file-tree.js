@@ -145,6 +145,25 @@ async function loadFolder(path) {
     }
 }
 
+/**
+ * Re-render the tree when files are created or deleted on disk
+ * (pushed by the server file watcher over the terminal WebSocket, which
+ * terminal.js subscribes to on cosmo:folderChanged)
+ */
+let diskRefreshTimer = null;
+
+window.addEventListener('evobrew:fsChange', (e) => {
+    const { folder, changes = [] } = e.detail || {};
+    if (!currentFolder || folder !== currentFolder) return;
+    if (!changes.some(change => change.kind !== 'modified')) return;
+    
+    clearTimeout(diskRefreshTimer);
+    diskRefreshTimer = setTimeout(async () => {
+        fileTree = await loadFolderRecursive(currentFolder);
+        renderFileTree();
+    }, 300);
+});
+
 /**
  * Load folder recursively (limited depth)
  */
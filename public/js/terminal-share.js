@@ -0,0 +1,216 @@
+// Guest view of a shared terminal session (terminal-share.html?token=<share token>).
+// Viewers watch; drivers can type, take the input lock and pause the agent.
+(function () {
+  const GUEST_NAME_KEY = 'evobrew.terminal.guest_name.v1';
+
+  const token = new URLSearchParams(window.location.search).get('token') || '';
+  const els = {
+    title: document.getElementById('share-title'),
+    role: document.getElementById('share-role'),
+    status: document.getElementById('share-status'),
+    presence: document.getElementById('share-presence'),
+    terminal: document.getElementById('share-terminal')
+  };
+
+  const state = {
+    ws: null,
+    share: null,
+    sessionId: null,
+    connectionId: null,
+    presence: null,
+    receivedReplay: false,
+    reconnectTimer: null,
+    finished: false
+  };
+
+  function setStatus(text) {
+    els.status.textContent = text;
+  }
+
+  function guestName() {
+    let name = '';
+    try {
+      name = localStorage.getItem(GUEST_NAME_KEY) || '';
+    } catch (_) {
+      // storage unavailable
+    }
+    if (!name) {
+      name = (window.prompt('Your name (shown to others in this terminal):', 'Guest') || 'Guest').trim().slice(0, 64);
+      try {
+        localStorage.setItem(GUEST_NAME_KEY, name);
+      } catch (_) {
+        // storage unavailable
+      }
+    }
+    return name;
+  }
+
+  const TerminalCtor = window.Terminal;
+  if (!token || typeof TerminalCtor !== 'function') {
+    setStatus(token ? 'Terminal assets are not available.' : 'This share link is missing its token.');
+    return;
+  }
+
+  const terminal = new TerminalCtor({
+    convertEol: false,
+    cursorBlink: true,
+    scrollback: 5000,
+    disableStdin: true,
+    fontFamily: "Menlo, Monaco, 'Courier New', monospace",
+    fontSize: 13,
+    theme: {
+      background: '#0b0f17',
+      foreground: '#dbe7ff',
+      cursor: '#5eead4',
+      selectionBackground: 'rgba(94, 234, 212, 0.28)'
+    }
+  });
+  terminal.open(els.terminal);
+
+  terminal.onData((data) => {
+    if (state.share?.role !== 'driver') return;
+    send({ type: 'input', session_id: state.sessionId, data });
+  });
+
+  const name = guestName();
+
+  function send(payload) {
+    if (!state.ws || state.ws.readyState !== WebSocket.OPEN) return;
+    try {
+      state.ws.send(JSON.stringify(payload));
+    } catch (_) {
+      // ignore send failures
+    }
+  }
+
+  function renderPresence() {
+    const presence = state.presence;
+    els.presence.innerHTML = '';
+    if (!presence) return;
+
+    const driver = state.share?.role === 'driver';
+    for (const participant of presence.participants || []) {
+      const isAgent = participant.kind === 'agent';
+      const chip = document.createElement(isAgent && driver ? 'button' : 'span');
+      chip.className = 'share-chip';
+      chip.classList.toggle('controlling', participant.controlling);
+
+      if (isAgent) {
+        const paused = presence.agent?.paused === true;
+        chip.classList.toggle('paused', paused);
+        chip.textContent = paused ? '🤖 Agent ⏸' : '🤖 Agent';
+        chip.title = paused ? `Agent input paused by ${presence.agent.paused_by}` : 'Agent';
+        if (driver) {
+          chip.type = 'button';
+          chip.title += paused ? ' — click to resume' : ' — click to pause its input';
+          chip.addEventListener('click', () => send({ type: paused ? 'resume_agent' : 'pause_agent' }));
+        }
+      } else {
+        const you = participant.id === presence.you;
+        chip.textContent = `${participant.controlling ? '⌨ ' : ''}${you ? 'You' : participant.name}`;
+        chip.title = `${participant.name} · ${participant.role}`;
+      }
+      els.presence.appendChild(chip);
+    }
+
+    if (driver) {
+      const lock = presence.input_lock;
+      const control = document.createElement('button');
+      control.type = 'button';
+      if (lock && lock.pinned && lock.holder === presence.you) {
+        control.textContent = 'Release';
+        control.addEventListener('click', () => send({ type: 'release_control' }));
+      } else {
+        control.textContent = 'Take control';
+        control.title = lock ? `${lock.name} has the input lock` : '';
+        control.addEventListener('click', () => send({ type: 'take_control' }));
+      }
+      els.presence.appendChild(control);
+    }
+  }
+
+  function handleMessage(event) {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (_) {
+      return;
+    }
+
+    if (msg.type === 'ready' && msg.connection_id) {
+      // Connection handshake: attach to the shared session
+      state.connectionId = msg.connection_id;
+      state.share = msg.share;
+      state.sessionId = msg.share?.session_id || null;
+      els.title.textContent = msg.share?.session_name || 'Shared terminal';
+      els.role.hidden = false;
+      els.role.textContent = msg.share?.role === 'driver' ? 'driver' : 'view only';
+      els.role.classList.toggle('driver', msg.share?.role === 'driver');
+      terminal.options.disableStdin = msg.share?.role !== 'driver';
+      send({ type: 'attach', session_id: state.sessionId });
+      return;
+    }
+
+    if (msg.type === 'ready' && msg.session) {
+      terminal.resize(msg.session.cols || 120, msg.session.rows || 34);
+      if (typeof msg.replay === 'string' && msg.replay && !state.receivedReplay) {
+        terminal.write(msg.replay);
+        state.receivedReplay = true;
+      }
+      state.presence = msg.presence || null;
+      renderPresence();
+      setStatus(msg.session.state === 'running' ? 'Live' : `Session ${msg.session.state}`);
+      return;
+    }
+
+    if (msg.type === 'output') {
+      terminal.write(msg.data || '');
+      return;
+    }
+
+    if (msg.type === 'presence') {
+      state.presence = msg;
+      renderPresence();
+      return;
+    }
+
+    if (msg.type === 'exit') {
+      setStatus(`Session exited (${msg.exit_code})`);
+      return;
+    }
+
+    if (msg.type === 'state' && msg.session?.state === 'closed') {
+      setStatus('Session closed');
+      state.finished = true;
+      return;
+    }
+
+    if (msg.type === 'error') {
+      setStatus(msg.error || 'Terminal error');
+    }
+  }
+
+  function connect() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const ws = new WebSocket(`${protocol}//${window.location.host}/api/terminal/ws?share=${encodeURIComponent(token)}&name=${encodeURIComponent(name)}`);
+    state.ws = ws;
+
+    let handshake = false;
+    ws.addEventListener('message', (event) => {
+      handshake = true;
+      handleMessage(event);
+    });
+    ws.addEventListener('close', (event) => {
+      // 4403: share revoked or expired while connected; a rejected upgrade never handshakes
+      if (event.code === 4403 || !handshake || state.finished) {
+        state.finished = true;
+        setStatus(event.reason ? `Disconnected: ${event.reason}` : 'Share link is no longer valid');
+        return;
+      }
+      setStatus('Reconnecting…');
+      state.reconnectTimer = setTimeout(connect, 2000);
+    });
+  }
+
+  connect();
+})();
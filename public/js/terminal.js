@@ -20,7 +20,10 @@
     sessions: new Map(),
     activeSessionId: null,
     shuttingDown: false,
-    terminalApiUnavailable: false
+    terminalApiUnavailable: false,
+    watchedFolder: null,
+    lastError: null,
+    lastErrorAt: 0
   };
 
   (function ensureTerminalFallbackActions() {
@@ -48,6 +51,11 @@
     resizeHandle: null,
     newBtn: null,
     killBtn: null,
+    recordingsBtn: null,
+    blocksBtn: null,
+    blocksPanel: null,
+    shareBtn: null,
+    presence: null,
     toggleBtn: null
   };
 
@@ -327,9 +335,20 @@
       searchAddon,
       view,
       disconnected: false,
-      receivedReplay: false
+      receivedReplay: false,
+      // Shell integration: OSC 133 marks seen in the stream, and the
+      // server's command history once the blocks panel has loaded it
+      marks: [],
+      commands: null,
+      // Who else is attached, the input lock and the agent's pause state
+      presence: null
     };
 
+    terminal.parser.registerOscHandler(133, (data) => {
+      handleCommandMark(record, data);
+      return true;
+    });
+
     state.sessions.set(raw.session_id, record);
     return record;
   }
@@ -421,9 +440,18 @@
       tab.appendChild(dot);
 
       const label = document.createElement('span');
-      label.textContent = sessionLabel(record);
+      label.textContent = `${isAgentSession(record) ? '🤖 ' : ''}${sessionLabel(record)}`;
       tab.appendChild(label);
 
+      const others = (record.presence?.participants || []).filter((p) => p.id !== record.presence.you);
+      if (others.length > 0) {
+        const badge = document.createElement('span');
+        badge.className = 'terminal-tab-presence';
+        badge.textContent = `👥${others.length}`;
+        badge.title = others.map((p) => p.name).join(', ');
+        tab.appendChild(badge);
+      }
+
       tab.addEventListener('click', () => {
         activateSession(record.session_id, { focus: true, attach: true });
       });
@@ -444,7 +472,9 @@
     }
 
     renderTabs();
+    renderPresence();
     refreshEmptyState();
+    if (isBlocksPanelOpen()) loadCommandBlocks(record);
 
     if (options.attach !== false) {
       attachWsSession(sessionId);
@@ -557,7 +587,7 @@
   }
 
   async function listSessions() {
-    const data = await fetchJson(`/api/terminal/sessions?clientId=${encodeURIComponent(getClientId())}`, {
+    const data = await fetchJson(`/api/terminal/sessions?clientId=${encodeURIComponent(getClientId())}&includeAgent=1`, {
       method: 'GET'
     });
 
@@ -636,6 +666,19 @@
     }
   }
 
+  // The open folder is watched over the same socket; changes arrive as
+  // fs_change messages and are re-dispatched as an `evobrew:fsChange` event.
+  function watchFolder(folder) {
+    const next = folder ? String(folder) : null;
+    if (next === state.watchedFolder) return;
+    state.watchedFolder = next;
+    if (next) {
+      sendWs({ type: 'watch', folder: next });
+    } else {
+      sendWs({ type: 'unwatch' });
+    }
+  }
+
   function attachWsSession(sessionId) {
     if (!sessionId) return;
     if (!state.ws || state.ws.readyState !== WebSocket.OPEN) return;
@@ -660,6 +703,13 @@
         if (typeof msg.replay === 'string' && msg.replay && !record.receivedReplay) {
           record.terminal.write(msg.replay);
           record.receivedReplay = true;
+          if (msg.restored) {
+            record.terminal.write('\r\n\x1b[2m[session restored after server restart]\x1b[0m\r\n');
+          }
+        }
+        if (msg.presence) {
+          record.presence = msg.presence;
+          if (record.session_id === state.activeSessionId) renderPresence();
         }
         if (!state.activeSessionId) {
           activateSession(record.session_id, { focus: false, attach: false });
@@ -685,6 +735,22 @@
       return;
     }
 
+    if (msg.type === 'command' && msg.session_id) {
+      const record = state.sessions.get(msg.session_id);
+      if (record) handleCommandEvent(record, msg);
+      return;
+    }
+
+    if (msg.type === 'presence' && msg.session_id) {
+      const record = state.sessions.get(msg.session_id);
+      if (record) {
+        record.presence = msg;
+        renderTabs();
+        if (record.session_id === state.activeSessionId) renderPresence();
+      }
+      return;
+    }
+
     if (msg.type === 'exit' && msg.session_id) {
       const record = state.sessions.get(msg.session_id);
       if (record) {
@@ -697,8 +763,30 @@
       return;
     }
 
+    if (msg.type === 'fs_change') {
+      window.dispatchEvent(new CustomEvent('evobrew:fsChange', {
+        detail: { folder: msg.folder, changes: msg.changes || [], ts: msg.ts }
+      }));
+      return;
+    }
+
+    if (msg.type === 'watching') {
+      return;
+    }
+
+    if (msg.type === 'watch_error') {
+      console.warn('[terminal] file watching unavailable:', msg.error);
+      return;
+    }
+
     if (msg.type === 'error') {
-      showToast(`Terminal error: ${msg.error || 'Unknown error'}`, 'error');
+      // Typing into a locked terminal fails once per keystroke; report it once
+      const text = msg.error || 'Unknown error';
+      const now = Date.now();
+      if (text === state.lastError && now - state.lastErrorAt < 3000) return;
+      state.lastError = text;
+      state.lastErrorAt = now;
+      showToast(`Terminal error: ${text}`, 'error');
     }
   }
 
@@ -730,6 +818,9 @@
       if (state.activeSessionId) {
         attachWsSession(state.activeSessionId);
       }
+      if (state.watchedFolder) {
+        sendWs({ type: 'watch', folder: state.watchedFolder });
+      }
       renderTabs();
     });
 
@@ -805,6 +896,808 @@
     });
   }
 
+  // ── Command blocks (shell integration) ──
+
+  const MAX_COMMAND_MARKS = 500;
+
+  function decodeMarkValue(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (_) {
+      return value;
+    }
+  }
+
+  function formatDuration(ms) {
+    if (typeof ms !== 'number') return '';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60_000)}m ${Math.round((ms % 60_000) / 1000)}s`;
+  }
+
+  /**
+   * OSC 133 marks as xterm parses them: remember where each command starts
+   * and badge the line with its exit status once it finishes.
+   */
+  function handleCommandMark(record, data) {
+    const [mark, ...params] = String(data || '').split(';');
+
+    if (mark === 'C') {
+      const cmdline = params.find((param) => param.startsWith('cmdline_url=') || param.startsWith('cmdline='));
+      record.marks.push({
+        command: cmdline ? decodeMarkValue(cmdline.slice(cmdline.indexOf('=') + 1)).trim() : '',
+        marker: record.terminal.registerMarker(0),
+        exitCode: null,
+        decoration: null
+      });
+      if (record.marks.length > MAX_COMMAND_MARKS) {
+        const removed = record.marks.shift();
+        removed.decoration?.dispose();
+        removed.marker?.dispose();
+      }
+      return;
+    }
+
+    if (mark === 'D') {
+      const last = record.marks[record.marks.length - 1];
+      if (!last || last.decoration || !last.marker || last.marker.isDisposed) return;
+      const exitCode = Number.parseInt(params[0], 10);
+      last.exitCode = Number.isFinite(exitCode) ? exitCode : null;
+      decorateCommandMark(record, last);
+    }
+  }
+
+  function decorateCommandMark(record, mark) {
+    let decoration;
+    try {
+      decoration = record.terminal.registerDecoration({ marker: mark.marker, anchor: 'right', width: 2 });
+    } catch (_) {
+      return;
+    }
+    if (!decoration) return;
+
+    mark.decoration = decoration;
+    decoration.onRender((element) => {
+      const failed = typeof mark.exitCode === 'number' && mark.exitCode !== 0;
+      element.className = `terminal-command-badge ${failed ? 'failed' : 'ok'}`;
+      element.textContent = failed ? '✗' : '✓';
+      element.title = `${mark.command || 'command'} — exit ${mark.exitCode ?? '?'} (click for block)`;
+      element.onclick = () => {
+        openBlocksPanel();
+        const index = record.marks.indexOf(mark);
+        focusCommandBlock(record, blockIndexForMark(record, index));
+      };
+    });
+  }
+
+  // Marks and server history are aligned from the newest end: the replayed
+  // scrollback may have lost older marks, the history may have dropped more.
+  function markForBlock(record, blockIndex) {
+    if (!record.commands) return null;
+    const offset = record.commands.length - 1 - blockIndex;
+    const mark = record.marks[record.marks.length - 1 - offset];
+    return mark && mark.command === record.commands[blockIndex].command ? mark : null;
+  }
+
+  function blockIndexForMark(record, markIndex) {
+    if (!record.commands || markIndex < 0) return -1;
+    const offset = record.marks.length - 1 - markIndex;
+    return record.commands.length - 1 - offset;
+  }
+
+  function handleCommandEvent(record, msg) {
+    if (!record.commands || !msg.command) return;
+
+    if (msg.event === 'command_start') {
+      record.commands.push({ ...msg.command, output: '' });
+    } else if (msg.event === 'command_end') {
+      const index = record.commands.findIndex((command) => command.id === msg.command.id);
+      if (index >= 0) {
+        record.commands[index] = msg.command;
+      } else {
+        record.commands.push(msg.command);
+      }
+    } else {
+      return;
+    }
+
+    if (record.commands.length > MAX_COMMAND_MARKS) record.commands.shift();
+    if (isBlocksPanelOpen() && record.session_id === state.activeSessionId) renderCommandBlocks(record);
+  }
+
+  function ensureBlocksPanel() {
+    if (els.blocksPanel) return els.blocksPanel;
+    const panel = document.createElement('div');
+    panel.className = 'terminal-blocks';
+    panel.hidden = true;
+    els.body.appendChild(panel);
+    els.blocksPanel = panel;
+    return panel;
+  }
+
+  function isBlocksPanelOpen() {
+    return Boolean(els.blocksPanel && !els.blocksPanel.hidden);
+  }
+
+  function openBlocksPanel() {
+    const panel = ensureBlocksPanel();
+    if (!panel.hidden) return;
+    panel.hidden = false;
+    els.blocksBtn?.classList.add('active');
+    const record = activeSessionRecord();
+    if (record) loadCommandBlocks(record);
+  }
+
+  function toggleBlocksPanel() {
+    if (isBlocksPanelOpen()) {
+      els.blocksPanel.hidden = true;
+      els.blocksBtn?.classList.remove('active');
+      return;
+    }
+    openBlocksPanel();
+  }
+
+  async function loadCommandBlocks(record) {
+    const panel = ensureBlocksPanel();
+    if (!record.commands) {
+      panel.textContent = 'Loading commands…';
+      try {
+        const data = await fetchJson(`/api/terminal/sessions/${encodeURIComponent(record.session_id)}/commands`);
+        if (!data.shell_integration) {
+          panel.textContent = 'Command blocks need bash, zsh or fish shell integration.';
+          return;
+        }
+        record.commands = data.commands || [];
+      } catch (error) {
+        panel.textContent = error.message;
+        return;
+      }
+    }
+    if (record.session_id === state.activeSessionId) renderCommandBlocks(record);
+  }
+
+  function renderCommandBlocks(record) {
+    const panel = ensureBlocksPanel();
+    const expanded = new Set(Array.from(panel.querySelectorAll('details[open]')).map((el) => el.dataset.commandId));
+    panel.innerHTML = '';
+
+    if (record.commands.length === 0) {
+      panel.textContent = 'No commands yet.';
+      return;
+    }
+
+    record.commands.forEach((command, index) => {
+      const block = document.createElement('details');
+      const failed = typeof command.exit_code === 'number' && command.exit_code !== 0;
+      block.className = `terminal-block ${command.running ? 'running' : (failed ? 'failed' : 'ok')}`;
+      block.dataset.commandId = String(command.id);
+      block.open = expanded.has(String(command.id));
+
+      const summary = document.createElement('summary');
+      const badge = document.createElement('span');
+      badge.className = 'terminal-block-status';
+      badge.textContent = command.running ? '…' : (failed ? `✗ ${command.exit_code}` : '✓');
+      const text = document.createElement('code');
+      text.className = 'terminal-block-command';
+      text.textContent = command.command || '(command)';
+      const meta = document.createElement('span');
+      meta.className = 'terminal-block-meta';
+      meta.textContent = [command.cwd, formatDuration(command.duration_ms)].filter(Boolean).join(' · ');
+      summary.append(badge, text, meta);
+      summary.addEventListener('click', () => {
+        const mark = markForBlock(record, index);
+        if (mark && !mark.marker.isDisposed) record.terminal.scrollToLine(mark.marker.line);
+      });
+
+      const output = document.createElement('pre');
+      output.className = 'terminal-block-output';
+      output.textContent = command.output
+        ? `${command.output}${command.output_truncated ? '\n… (truncated)' : ''}`
+        : (command.running ? 'Running…' : '(no output)');
+
+      block.append(summary, output);
+      panel.appendChild(block);
+    });
+
+    panel.scrollTop = panel.scrollHeight;
+  }
+
+  function focusCommandBlock(record, blockIndex) {
+    loadCommandBlocks(record).then(() => {
+      const block = els.blocksPanel?.children[blockIndex];
+      if (!block || block.tagName !== 'DETAILS') return;
+      block.open = true;
+      block.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  // ── Recordings: asciicast v2 replay viewer ──
+
+  const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+  const REPLAY_MAX_IDLE_SECONDS = 2;
+
+  const replay = {
+    overlay: null,
+    list: null,
+    screen: null,
+    inputs: null,
+    playBtn: null,
+    seek: null,
+    time: null,
+    speedSelect: null,
+    download: null,
+    terminal: null,
+    recording: null,
+    events: [],
+    duration: 0,
+    position: 0,
+    cursor: 0,
+    speed: 1,
+    playing: false,
+    timer: null,
+    lastTick: 0
+  };
+
+  function formatReplayTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  function visibleInput(data) {
+    return String(data)
+      .replace(/\r\n|\r|\n/g, '⏎')
+      .replace(/\t/g, '⇥')
+      .replace(/\x7f/g, '⌫')
+      .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+      .replace(/[\x00-\x1f]/g, (c) => `^${String.fromCharCode(c.charCodeAt(0) + 64)}`);
+  }
+
+  /**
+   * Parse an asciicast v2 file. Long idle gaps are compressed so replay
+   * doesn't sit on a blank prompt; input events keep their source marker.
+   */
+  function parseAsciicast(text) {
+    const lines = String(text || '').split('\n').filter((line) => line.trim());
+    if (lines.length === 0) throw new Error('Empty recording');
+    const header = JSON.parse(lines[0]);
+    if (header.version !== 2) throw new Error('Unsupported asciicast version');
+
+    const events = [];
+    let source = null;
+    let offset = 0;
+    let previous = 0;
+    for (const line of lines.slice(1)) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (_) {
+        continue;
+      }
+      if (!Array.isArray(event) || typeof event[0] !== 'number') continue;
+      const [time, code, data] = event;
+      if (time - previous > REPLAY_MAX_IDLE_SECONDS) offset += time - previous - REPLAY_MAX_IDLE_SECONDS;
+      previous = time;
+      if (code === 'm' && String(data).startsWith('source:')) {
+        source = String(data).slice('source:'.length);
+        continue;
+      }
+      events.push({ time: time - offset, code, data: String(data ?? ''), source: code === 'i' ? source : null });
+    }
+
+    return {
+      header,
+      events,
+      duration: events.length ? events[events.length - 1].time : 0
+    };
+  }
+
+  function ensureReplayOverlay() {
+    if (replay.overlay) return replay.overlay;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'hub-modal-overlay terminal-replay-overlay';
+    overlay.style.display = 'none';
+    overlay.innerHTML = `
+      <div class="hub-modal terminal-replay-modal">
+        <div class="terminal-replay-header">
+          <h3>Terminal recordings</h3>
+          <button type="button" class="terminal-replay-close" title="Close">✕</button>
+        </div>
+        <div class="terminal-replay-layout">
+          <div class="terminal-replay-list"></div>
+          <div class="terminal-replay-main">
+            <div class="terminal-replay-screen"></div>
+            <div class="terminal-replay-controls">
+              <button type="button" class="terminal-replay-play" disabled>▶</button>
+              <input type="range" class="terminal-replay-seek" min="0" max="0" step="0.1" value="0" disabled>
+              <span class="terminal-replay-time">0:00 / 0:00</span>
+              <select class="terminal-replay-speed" title="Playback speed">
+                ${REPLAY_SPEEDS.map((speed) => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+              </select>
+              <a class="terminal-replay-download" href="#" download hidden>Download .cast</a>
+            </div>
+            <div class="terminal-replay-inputs"></div>
+          </div>
+        </div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    replay.overlay = overlay;
+    replay.list = overlay.querySelector('.terminal-replay-list');
+    replay.screen = overlay.querySelector('.terminal-replay-screen');
+    replay.inputs = overlay.querySelector('.terminal-replay-inputs');
+    replay.playBtn = overlay.querySelector('.terminal-replay-play');
+    replay.seek = overlay.querySelector('.terminal-replay-seek');
+    replay.time = overlay.querySelector('.terminal-replay-time');
+    replay.speedSelect = overlay.querySelector('.terminal-replay-speed');
+    replay.download = overlay.querySelector('.terminal-replay-download');
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) closeRecordings();
+    });
+    overlay.querySelector('.terminal-replay-close').addEventListener('click', closeRecordings);
+    replay.playBtn.addEventListener('click', () => {
+      if (replay.playing) {
+        pauseReplay();
+      } else {
+        if (replay.position >= replay.duration) seekReplay(0);
+        playReplay();
+      }
+    });
+    replay.seek.addEventListener('input', () => {
+      seekReplay(Number(replay.seek.value));
+    });
+    replay.speedSelect.addEventListener('change', () => {
+      replay.speed = Number(replay.speedSelect.value) || 1;
+    });
+
+    return overlay;
+  }
+
+  function updateReplayControls() {
+    replay.playBtn.textContent = replay.playing ? '❚❚' : '▶';
+    replay.seek.value = String(replay.position);
+    replay.time.textContent = `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+
+    for (const item of replay.inputs.querySelectorAll('.terminal-replay-input')) {
+      item.classList.toggle('played', Number(item.dataset.time) <= replay.position);
+    }
+  }
+
+  function applyReplayEvent(event, pending) {
+    if (event.code === 'o') {
+      pending.push(event.data);
+    } else if (event.code === 'r') {
+      const match = /^(\d+)x(\d+)$/.exec(event.data);
+      if (match) {
+        if (pending.length) replay.terminal.write(pending.splice(0).join(''));
+        replay.terminal.resize(Number(match[1]), Number(match[2]));
+      }
+    }
+  }
+
+  function seekReplay(seconds) {
+    if (!replay.terminal) return;
+    const target = Math.max(0, Math.min(replay.duration, seconds));
+    const header = replay.recording?.header || {};
+
+    replay.terminal.reset();
+    replay.terminal.resize(header.width || 80, header.height || 24);
+
+    const pending = [];
+    let cursor = 0;
+    while (cursor < replay.events.length && replay.events[cursor].time <= target) {
+      applyReplayEvent(replay.events[cursor], pending);
+      cursor += 1;
+    }
+    if (pending.length) replay.terminal.write(pending.join(''));
+
+    replay.cursor = cursor;
+    replay.position = target;
+    updateReplayControls();
+  }
+
+  function replayTick() {
+    const now = performance.now();
+    replay.position = Math.min(replay.duration, replay.position + ((now - replay.lastTick) / 1000) * replay.speed);
+    replay.lastTick = now;
+
+    const pending = [];
+    while (replay.cursor < replay.events.length && replay.events[replay.cursor].time <= replay.position) {
+      applyReplayEvent(replay.events[replay.cursor], pending);
+      replay.cursor += 1;
+    }
+    if (pending.length) replay.terminal.write(pending.join(''));
+
+    if (replay.position >= replay.duration) {
+      pauseReplay();
+      return;
+    }
+    updateReplayControls();
+    replay.timer = setTimeout(replayTick, 33);
+  }
+
+  function playReplay() {
+    if (!replay.terminal || replay.events.length === 0) return;
+    replay.playing = true;
+    replay.lastTick = performance.now();
+    clearTimeout(replay.timer);
+    replay.timer = setTimeout(replayTick, 33);
+    updateReplayControls();
+  }
+
+  function pauseReplay() {
+    replay.playing = false;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    updateReplayControls();
+  }
+
+  function renderReplayInputs() {
+    replay.inputs.innerHTML = '';
+
+    // Consecutive keystrokes from the same source read as one line of input
+    const groups = [];
+    for (const event of replay.events) {
+      if (event.code !== 'i') continue;
+      const last = groups[groups.length - 1];
+      if (last && last.source === event.source && !/[\r\n]$/.test(last.data) && event.time - last.end < 2) {
+        last.data += event.data;
+        last.end = event.time;
+      } else {
+        groups.push({ time: event.time, end: event.time, source: event.source || 'human', data: event.data });
+      }
+    }
+
+    if (groups.length === 0) {
+      replay.inputs.textContent = 'No input recorded.';
+      return;
+    }
+
+    for (const group of groups.slice(-500)) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `terminal-replay-input source-${group.source}`;
+      item.dataset.time = String(group.time);
+
+      const time = document.createElement('span');
+      time.className = 'terminal-replay-input-time';
+      time.textContent = formatReplayTime(group.time);
+      const source = document.createElement('span');
+      source.className = 'terminal-replay-input-source';
+      source.textContent = group.source === 'agent' ? 'agent' : 'you';
+      const text = document.createElement('span');
+      text.className = 'terminal-replay-input-text';
+      text.textContent = visibleInput(group.data);
+
+      item.append(time, source, text);
+      item.addEventListener('click', () => {
+        seekReplay(group.time);
+      });
+      replay.inputs.appendChild(item);
+    }
+  }
+
+  async function loadRecording(recording) {
+    pauseReplay();
+    const url = `/api/terminal/recordings/${encodeURIComponent(recording.session_id)}?clientId=${encodeURIComponent(getClientId())}`;
+    const res = await fetch(url);
+    if (!res.ok) {
+      showToast(`Failed to load recording (${res.status})`, 'error');
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseAsciicast(await res.text());
+    } catch (error) {
+      showToast(`Invalid recording: ${error.message}`, 'error');
+      return;
+    }
+
+    if (!replay.terminal) {
+      const TerminalCtor = getTerminalCtor();
+      replay.terminal = new TerminalCtor({
+        convertEol: false,
+        cursorBlink: false,
+        disableStdin: true,
+        scrollback: 5000,
+        fontFamily: "Menlo, Monaco, 'Courier New', monospace",
+        fontSize: 12,
+        theme: {
+          background: '#0b0f17',
+          foreground: '#dbe7ff',
+          cursor: '#5eead4'
+        }
+      });
+      replay.terminal.open(replay.screen);
+    }
+
+    replay.recording = parsed;
+    replay.events = parsed.events;
+    replay.duration = parsed.duration;
+    replay.seek.max = String(parsed.duration);
+    replay.seek.disabled = false;
+    replay.playBtn.disabled = parsed.events.length === 0;
+    replay.download.href = `${url}&download=1`;
+    replay.download.hidden = false;
+
+    for (const item of replay.list.querySelectorAll('.terminal-replay-item')) {
+      item.classList.toggle('active', item.dataset.sessionId === recording.session_id);
+    }
+
+    renderReplayInputs();
+    seekReplay(0);
+    playReplay();
+  }
+
+  async function openRecordings() {
+    ensureReplayOverlay();
+    replay.overlay.style.display = 'flex';
+    replay.list.textContent = 'Loading…';
+
+    let recordings = [];
+    try {
+      const data = await fetchJson('/api/terminal/recordings');
+      recordings = data?.recordings || [];
+    } catch (error) {
+      replay.list.textContent = error.message;
+      return;
+    }
+
+    replay.list.innerHTML = '';
+    if (recordings.length === 0) {
+      replay.list.textContent = 'No recordings yet.';
+      return;
+    }
+
+    for (const recording of recordings) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'terminal-replay-item';
+      item.dataset.sessionId = recording.session_id;
+
+      const title = document.createElement('div');
+      title.className = 'terminal-replay-item-title';
+      title.textContent = `${recording.agent ? '🤖 ' : ''}${recording.name || recording.session_id.slice(0, 8)}`;
+      const meta = document.createElement('div');
+      meta.className = 'terminal-replay-item-meta';
+      meta.textContent = `${new Date(recording.started_at).toLocaleString()} · ${formatReplayTime(recording.duration)} · ${Math.max(1, Math.round(recording.size / 1024))} KB`;
+
+      item.append(title, meta);
+      item.title = recording.cwd || '';
+      item.addEventListener('click', () => {
+        loadRecording(recording);
+      });
+      replay.list.appendChild(item);
+    }
+  }
+
+  function closeRecordings() {
+    pauseReplay();
+    if (replay.overlay) replay.overlay.style.display = 'none';
+  }
+
+  // ── Sharing, presence and input control ──
+
+  function isAgentSession(record) {
+    const owner = String(record.client_id || '');
+    return owner === 'ai' || owner.startsWith('ai:');
+  }
+
+  function renderPresence() {
+    if (!els.presence) return;
+    const record = activeSessionRecord();
+    const presence = record?.presence;
+    els.presence.innerHTML = '';
+
+    const participants = presence?.participants || [];
+    const others = participants.filter((p) => p.id !== presence?.you);
+    if (!presence || others.length === 0) {
+      els.presence.hidden = true;
+      return;
+    }
+    els.presence.hidden = false;
+
+    for (const participant of participants) {
+      const chip = document.createElement(participant.kind === 'agent' ? 'button' : 'span');
+      chip.className = 'terminal-presence-chip';
+      chip.classList.toggle('controlling', participant.controlling);
+      chip.classList.toggle('agent', participant.kind === 'agent');
+
+      if (participant.kind === 'agent') {
+        const paused = presence.agent?.paused === true;
+        chip.type = 'button';
+        chip.classList.toggle('paused', paused);
+        chip.textContent = paused ? '🤖 Agent ⏸' : '🤖 Agent';
+        chip.title = paused
+          ? `Agent input paused by ${presence.agent.paused_by} — click to resume`
+          : 'Click to pause the agent\'s input';
+        chip.addEventListener('click', () => {
+          sendWs({ type: paused ? 'resume_agent' : 'pause_agent' });
+        });
+      } else {
+        const you = participant.id === presence.you;
+        chip.textContent = `${participant.controlling ? '⌨ ' : ''}${you ? 'You' : participant.name}`;
+        chip.title = `${participant.name} · ${participant.role}${participant.controlling ? ' · typing' : ''}`;
+      }
+      els.presence.appendChild(chip);
+    }
+
+    const lock = presence.input_lock;
+    const control = document.createElement('button');
+    control.type = 'button';
+    control.className = 'terminal-presence-control';
+    if (lock && lock.pinned && lock.holder === presence.you) {
+      control.textContent = 'Release';
+      control.title = 'Let other drivers type';
+      control.addEventListener('click', () => sendWs({ type: 'release_control' }));
+    } else {
+      control.textContent = 'Take control';
+      control.title = lock ? `${lock.name} has the input lock` : 'Keep the input lock until you release it';
+      control.addEventListener('click', () => sendWs({ type: 'take_control' }));
+    }
+    els.presence.appendChild(control);
+  }
+
+  const shareDialog = {
+    overlay: null,
+    list: null,
+    role: null,
+    expiry: null,
+    sessionId: null
+  };
+
+  function shareUrl(share) {
+    return `${window.location.origin}${share.url}`;
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      showToast('Share link copied', 'success');
+    } catch (_) {
+      window.prompt('Copy the share link:', text);
+    }
+  }
+
+  function ensureShareOverlay() {
+    if (shareDialog.overlay) return shareDialog.overlay;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'hub-modal-overlay terminal-share-overlay';
+    overlay.style.display = 'none';
+    overlay.innerHTML = `
+      <div class="hub-modal terminal-share-modal">
+        <div class="terminal-replay-header">
+          <h3>Share terminal</h3>
+          <button type="button" class="terminal-replay-close" title="Close">✕</button>
+        </div>
+        <div class="terminal-share-form">
+          <select class="terminal-share-role" title="What guests can do">
+            <option value="viewer">View only</option>
+            <option value="driver">Can type (driver)</option>
+          </select>
+          <select class="terminal-share-expiry" title="Link lifetime">
+            <option value="60">1 hour</option>
+            <option value="480">8 hours</option>
+            <option value="1440" selected>24 hours</option>
+            <option value="10080">7 days</option>
+          </select>
+          <button type="button" class="terminal-share-create">Create link</button>
+        </div>
+        <div class="terminal-share-list"></div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    shareDialog.overlay = overlay;
+    shareDialog.list = overlay.querySelector('.terminal-share-list');
+    shareDialog.role = overlay.querySelector('.terminal-share-role');
+    shareDialog.expiry = overlay.querySelector('.terminal-share-expiry');
+
+    const close = () => {
+      overlay.style.display = 'none';
+    };
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) close();
+    });
+    overlay.querySelector('.terminal-replay-close').addEventListener('click', close);
+    overlay.querySelector('.terminal-share-create').addEventListener('click', () => {
+      createShare();
+    });
+
+    return overlay;
+  }
+
+  function renderShares(shares) {
+    shareDialog.list.innerHTML = '';
+    if (shares.length === 0) {
+      shareDialog.list.textContent = 'No active share links.';
+      return;
+    }
+
+    for (const share of shares) {
+      const row = document.createElement('div');
+      row.className = 'terminal-share-row';
+
+      const role = document.createElement('span');
+      role.className = `terminal-share-badge ${share.role}`;
+      role.textContent = share.role === 'driver' ? 'driver' : 'viewer';
+
+      const url = document.createElement('input');
+      url.type = 'text';
+      url.readOnly = true;
+      url.value = shareUrl(share);
+      url.title = `Expires ${new Date(share.expires_at).toLocaleString()}`;
+      url.addEventListener('focus', () => url.select());
+
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.textContent = 'Copy';
+      copy.addEventListener('click', () => copyText(url.value));
+
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.textContent = 'Revoke';
+      revoke.addEventListener('click', () => revokeShare(share.token));
+
+      row.append(role, url, copy, revoke);
+      shareDialog.list.appendChild(row);
+    }
+  }
+
+  async function loadShares() {
+    const data = await fetchJson(`/api/terminal/sessions/${encodeURIComponent(shareDialog.sessionId)}/shares`);
+    renderShares(data?.shares || []);
+  }
+
+  async function openShareDialog() {
+    const record = activeSessionRecord();
+    if (!record) {
+      showToast('Open a terminal to share it', 'info');
+      return;
+    }
+
+    ensureShareOverlay();
+    shareDialog.sessionId = record.session_id;
+    shareDialog.overlay.style.display = 'flex';
+    shareDialog.list.textContent = 'Loading…';
+    try {
+      await loadShares();
+    } catch (error) {
+      shareDialog.list.textContent = error.message;
+    }
+  }
+
+  async function createShare() {
+    try {
+      const data = await fetchJson(`/api/terminal/sessions/${encodeURIComponent(shareDialog.sessionId)}/shares`, {
+        method: 'POST',
+        body: JSON.stringify({
+          role: shareDialog.role.value,
+          expiresInMinutes: Number(shareDialog.expiry.value)
+        })
+      });
+      await copyText(shareUrl(data.share));
+      await loadShares();
+    } catch (error) {
+      showToast(`Failed to share terminal: ${error.message}`, 'error');
+    }
+  }
+
+  async function revokeShare(token) {
+    try {
+      await fetchJson(`/api/terminal/sessions/${encodeURIComponent(shareDialog.sessionId)}/shares/${encodeURIComponent(token)}`, {
+        method: 'DELETE'
+      });
+      await loadShares();
+    } catch (error) {
+      showToast(`Failed to revoke share: ${error.message}`, 'error');
+    }
+  }
+
   function bindControls() {
     els.newBtn?.addEventListener('click', () => {
       createSession();
@@ -814,6 +1707,18 @@
       killActiveSession();
     });
 
+    els.recordingsBtn?.addEventListener('click', () => {
+      openRecordings();
+    });
+
+    els.blocksBtn?.addEventListener('click', () => {
+      toggleBlocksPanel();
+    });
+
+    els.shareBtn?.addEventListener('click', () => {
+      openShareDialog();
+    });
+
     els.toggleBtn?.addEventListener('click', () => {
       toggleDock({ focus: false });
     });
@@ -893,6 +1798,9 @@
       killActiveSession: enabled ? killActiveSession : unavailable,
       sendInput: enabled ? sendInput : unavailable,
       runCommand: enabled ? runCommand : unavailable,
+      watchFolder: enabled ? watchFolder : () => {},
+      openRecordings: enabled ? openRecordings : unavailable,
+      openShareDialog: enabled ? openShareDialog : unavailable,
       listSessions: () => Array.from(state.sessions.values()).map((s) => ({
         session_id: s.session_id,
         state: s.state,
@@ -937,6 +1845,10 @@
     els.resizeHandle = document.getElementById('dock-resize-handle') || document.getElementById('terminal-resize-handle');
     els.newBtn = document.getElementById('terminal-new-btn');
     els.killBtn = document.getElementById('terminal-kill-btn');
+    els.recordingsBtn = document.getElementById('terminal-recordings-btn');
+    els.blocksBtn = document.getElementById('terminal-blocks-btn');
+    els.shareBtn = document.getElementById('terminal-share-btn');
+    els.presence = document.getElementById('terminal-presence');
     els.toggleBtn = document.getElementById('terminal-toggle-btn');
 
     if (!els.dock || !els.body || !els.tabs) {
@@ -945,6 +1857,12 @@
     }
 
     exposeApi(true);
+    if (window.evobrewWatchedFolder) {
+      state.watchedFolder = String(window.evobrewWatchedFolder);
+    }
+    window.addEventListener('cosmo:folderChanged', (event) => {
+      watchFolder(event.detail?.path || null);
+    });
     bindControls();
     bindResizeHandle();
     restoreDockState();
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Test script for brain diffs (server/brain-diff.js)
+ *
+ * Tests:
+ * 1. Node matching across renumbered snapshots
+ * 2. Added / removed / modified nodes
+ * 3. Edge changes, including renumbered and reversed edges
+ * 4. New clusters from node cluster fields
+ * 5. Loading snapshots from .brain directories
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { diffBrains, loadBrainSnapshot, snapshotFromState } = require('../server/brain-diff');
+
+const TEST_DIR = path.join(os.tmpdir(), `evobrew-brain-diff-test-${Date.now()}`);
+
+console.log('🧪 Brain Diff Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+function node(id, concept, fields = {}) {
+  return { id, concept, tag: 'research', activation: 0.5, weight: 1, ...fields };
+}
+
+function snapshot(nodes, edges = []) {
+  return snapshotFromState({ cycleCount: 1 }, { name: 'test', nodes, edges });
+}
+
+async function runTests() {
+  // ============================================================================
+  // Nodes
+  // ============================================================================
+
+  console.log('📦 Nodes');
+
+  await test('reports nothing for identical snapshots', async () => {
+    const nodes = [node(1, 'alpha'), node(2, 'beta')];
+    const diff = diffBrains(snapshot(nodes), snapshot(nodes.map(n => ({ ...n }))), { clusters: false });
+    const { nodesAdded, nodesRemoved, nodesModified, nodesRenumbered } = diff.summary;
+    assertEqual([nodesAdded, nodesRemoved, nodesModified, nodesRenumbered].join(','), '0,0,0,0');
+    assertEqual(diff.clusters, null, 'Clusters skipped: ');
+  });
+
+  await test('matches renumbered nodes by content without counting them as modified', async () => {
+    // A rebuild inserted a node at the front, shifting every ID by one
+    const base = snapshot([node(1, 'alpha'), node(2, 'beta'), node(3, 'gamma')]);
+    const compare = snapshot([node(1, 'fresh'), node(2, 'alpha'), node(3, 'beta'), node(4, 'gamma')]);
+    const diff = diffBrains(base, compare, { clusters: false });
+    assertEqual(diff.summary.nodesAdded, 1, 'Added: ');
+    assertEqual(diff.nodes.added[0].concept, 'fresh', 'Added node: ');
+    assertEqual(diff.summary.nodesRemoved, 0, 'Removed: ');
+    assertEqual(diff.summary.nodesModified, 0, 'Modified: ');
+    assertEqual(diff.summary.nodesRenumbered, 3, 'Renumbered: ');
+  });
+
+  await test('treats whitespace-only concept changes as the same content', async () => {
+    const diff = diffBrains(snapshot([node(1, 'alpha  beta')]), snapshot([node(1, 'alpha\nbeta ')]), { clusters: false });
+    assertEqual(diff.summary.nodesModified, 0);
+  });
+
+  await test('reports content, tag and activation changes on the same ID', async () => {
+    const base = snapshot([node(1, 'alpha'), node(2, 'beta'), node(3, 'gamma')]);
+    const compare = snapshot([
+      node(1, 'alpha revised'),
+      node(2, 'beta', { tag: 'insight' }),
+      node(3, 'gamma', { activation: 0.9 })
+    ]);
+    const diff = diffBrains(base, compare, { clusters: false });
+    assertEqual(diff.summary.nodesModified, 3, 'Modified: ');
+    assertEqual(diff.nodes.modified[0].id, 1, 'Content changes sort first: ');
+    assertEqual(diff.nodes.modified[0].changes.concept, true, 'Concept change: ');
+    const tagged = diff.nodes.modified.find(entry => entry.id === 2);
+    assertEqual(tagged.changes.tag.to, 'insight', 'Tag change: ');
+    assertEqual(diff.nodes.activationChanges[0].delta, 0.4, 'Activation delta: ');
+  });
+
+  await test('reports an unrelated node under a reused ID as added and removed', async () => {
+    const base = snapshot([node(1, 'File: README.md', { tag: 'file' })]);
+    const compare = snapshot([node(1, 'File: src/parser.py', { tag: 'file' })]);
+    const diff = diffBrains(base, compare, { clusters: false });
+    assertEqual(diff.summary.nodesModified, 0, 'Modified: ');
+    assertEqual(diff.nodes.added[0].concept, 'File: src/parser.py', 'Added: ');
+    assertEqual(diff.nodes.removed[0].concept, 'File: README.md', 'Removed: ');
+  });
+
+  await test('ignores changes below epsilon', async () => {
+    const base = snapshot([node(1, 'alpha', { activation: 0.5 })]);
+    const compare = snapshot([node(1, 'alpha', { activation: 0.505 })]);
+    assertEqual(diffBrains(base, compare, { clusters: false }).summary.nodesModified, 0, 'Default epsilon: ');
+    assertEqual(diffBrains(base, compare, { clusters: false, epsilon: 0.001 }).summary.nodesModified, 1, 'Small epsilon: ');
+  });
+
+  await test('reports removed nodes and honors the list limit', async () => {
+    const base = snapshot(Array.from({ length: 5 }, (_, i) => node(i + 1, `old ${i}`)));
+    const diff = diffBrains(base, snapshot([]), { clusters: false, limit: 2 });
+    assertEqual(diff.summary.nodesRemoved, 5, 'Total: ');
+    assertEqual(diff.nodes.removed.length, 2, 'Listed: ');
+  });
+
+  // ============================================================================
+  // Edges
+  // ============================================================================
+
+  console.log('\n📦 Edges');
+
+  await test('follows edges through renumbered nodes', async () => {
+    const base = snapshot([node(1, 'alpha'), node(2, 'beta')], [{ source: 1, target: 2, type: 'associative', weight: 0.5 }]);
+    const compare = snapshot(
+      [node(1, 'fresh'), node(2, 'alpha'), node(3, 'beta')],
+      [{ source: 2, target: 3, type: 'associative', weight: 0.5 }]
+    );
+    const { edgesAdded, edgesRemoved, edgesReweighted } = diffBrains(base, compare, { clusters: false }).summary;
+    assertEqual([edgesAdded, edgesRemoved, edgesReweighted].join(','), '0,0,0');
+  });
+
+  await test('matches edges stored in the other direction', async () => {
+    const nodes = [node(1, 'alpha'), node(2, 'beta')];
+    const base = snapshot(nodes, [{ source: 1, target: 2, type: 'associative', weight: 0.5 }]);
+    const compare = snapshot(nodes, [{ source: 2, target: 1, type: 'associative', weight: 0.5 }]);
+    assertEqual(diffBrains(base, compare, { clusters: false }).summary.edgesAdded, 0);
+  });
+
+  await test('reports added, removed and reweighted edges', async () => {
+    const nodes = [node(1, 'alpha'), node(2, 'beta'), node(3, 'gamma')];
+    const base = snapshot(nodes, [
+      { source: 1, target: 2, type: 'associative', weight: 0.2 },
+      { source: 2, target: 3, type: 'associative', weight: 0.5 }
+    ]);
+    const compare = snapshot(nodes, [
+      { source: 1, target: 2, type: 'associative', weight: 0.8 },
+      { source: 1, target: 3, type: 'bridge', weight: 0.5 }
+    ]);
+    const diff = diffBrains(base, compare, { clusters: false });
+    assertEqual(diff.summary.edgesAdded, 1, 'Added: ');
+    assertEqual(diff.edges.added[0].type, 'bridge', 'Added type: ');
+    assertEqual(diff.summary.edgesRemoved, 1, 'Removed: ');
+    assertEqual(diff.edges.reweighted[0].delta, 0.6, 'Reweighted delta: ');
+  });
+
+  await test('pairs duplicate edges one to one', async () => {
+    const nodes = [node(1, 'alpha'), node(2, 'beta')];
+    const edge = { source: 1, target: 2, type: 'associative', weight: 0.5 };
+    const diff = diffBrains(snapshot(nodes, [edge]), snapshot(nodes, [{ ...edge }, { ...edge }]), { clusters: false });
+    assertEqual(diff.summary.edgesAdded, 1);
+  });
+
+  // ============================================================================
+  // Clusters
+  // ============================================================================
+
+  console.log('\n📦 Clusters');
+
+  await test('finds new clusters from node cluster fields', async () => {
+    const base = snapshot([
+      node(1, 'a', { cluster: 1 }), node(2, 'b', { cluster: 1 }),
+      node(3, 'c', { cluster: 2 }), node(4, 'd', { cluster: 2 })
+    ]);
+    const compare = snapshot([
+      node(1, 'a', { cluster: 1 }), node(2, 'b', { cluster: 1 }),
+      // c and d split up and join two new nodes: cluster 3 is new
+      node(3, 'c', { cluster: 3 }), node(4, 'd', { cluster: 2 }),
+      node(5, 'e', { cluster: 3 }), node(6, 'f', { cluster: 3 })
+    ]);
+    const diff = diffBrains(base, compare);
+    assertEqual(diff.clusters.source, 'node', 'Source: ');
+    assertEqual(diff.summary.clustersNew, 1, 'New clusters: ');
+    assertEqual(diff.clusters.new[0].id, '3', 'New cluster: ');
+    assertEqual(diff.clusters.new[0].addedNodes, 2, 'Added members: ');
+    assertEqual(diff.clusters.new[0].size, 3, 'Size: ');
+  });
+
+  // ============================================================================
+  // Loading
+  // ============================================================================
+
+  console.log('\n📦 Loading');
+
+  await test('loads a snapshot from a .brain directory', async () => {
+    const brainPath = path.join(TEST_DIR, 'sample.brain');
+    fs.mkdirSync(brainPath, { recursive: true });
+    const state = { cycleCount: 7, timestamp: '2026-01-01T00:00:00.000Z', memory: { nodes: [node(1, 'alpha')], edges: [] } };
+    fs.writeFileSync(path.join(brainPath, 'state.json.gz'), zlib.gzipSync(JSON.stringify(state)));
+    const loaded = await loadBrainSnapshot(brainPath);
+    assertEqual(loaded.name, 'sample.brain', 'Name: ');
+    assertEqual(loaded.cycles, 7, 'Cycles: ');
+    assertEqual(loaded.nodes.length, 1, 'Nodes: ');
+  });
+
+  await test('rejects a directory without state.json.gz', async () => {
+    let error = null;
+    try {
+      await loadBrainSnapshot(TEST_DIR);
+    } catch (err) {
+      error = err;
+    }
+    assertTrue(error && /No state\.json\.gz/.test(error.message), 'Should throw: ');
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Test script for brain graph traversal (server/brain-graph.js)
+ *
+ * Tests:
+ * 1. Neighborhood expansion (depth, limits, multiple start nodes)
+ * 2. Edge filters (types, minimum weight, direction)
+ * 3. Shortest paths (hops, limits, missing nodes)
+ */
+
+const { neighborhood, shortestPath, normalizeFilters, MAX_DEPTH } = require('../server/brain-graph');
+
+console.log('🧪 Brain Graph Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+function ids(nodes) {
+  return nodes.map(node => node.id).sort((a, b) => a - b).join(',');
+}
+
+/**
+ *   1 ─contains→ 2 ─imports→ 3 ─imports→ 4
+ *   1 ─similar(0.2)→ 5         6 (isolated)
+ *   7 ─contains→ 1
+ */
+const brain = {
+  nodes: [1, 2, 3, 4, 5, 6, 7].map(id => ({
+    id,
+    tag: 'code',
+    concept: id === 1 ? 'x'.repeat(500) : `node ${id}`,
+    activation: 0.5,
+    weight: 1
+  })),
+  edges: [
+    { source: 1, target: 2, type: 'contains', weight: 1 },
+    { source: 2, target: 3, type: 'imports', weight: 0.9 },
+    { source: 3, target: 4, type: 'imports', weight: 0.8 },
+    { source: 1, target: 5, type: 'similar', weight: 0.2 },
+    { source: 7, target: 1, type: 'contains', weight: 1 }
+  ]
+};
+
+async function runTests() {
+  // ============================================================================
+  // Filters
+  // ============================================================================
+
+  console.log('📦 Filters');
+
+  await test('normalizes edge types, weight and direction', async () => {
+    const filters = normalizeFilters({ edgeTypes: 'Imports, contains', minWeight: '0.5', direction: 'OUT' });
+    assertEqual(Array.from(filters.edgeTypes).join(','), 'imports,contains', 'Types: ');
+    assertEqual(filters.minWeight, 0.5, 'Weight: ');
+    assertEqual(filters.direction, 'out', 'Direction: ');
+    const defaults = normalizeFilters({ direction: 'sideways' });
+    assertEqual(defaults.edgeTypes, null, 'No types: ');
+    assertEqual(defaults.minWeight, null, 'No weight: ');
+    assertEqual(defaults.direction, 'both', 'Invalid direction: ');
+  });
+
+  // ============================================================================
+  // Neighborhood
+  // ============================================================================
+
+  console.log('\n📦 Neighborhood');
+
+  await test('expands one hop in both directions by default', async () => {
+    const result = neighborhood(brain, { nodeIds: [1] });
+    assertEqual(ids(result.nodes), '1,2,5,7', 'Nodes: ');
+    assertEqual(result.truncated, false, 'Truncated: ');
+    assertEqual(result.nodes.find(node => node.id === 2).depth, 1, 'Depth: ');
+  });
+
+  await test('follows edges to the requested depth', async () => {
+    const result = neighborhood(brain, { nodeIds: ['1'], depth: 3 });
+    assertEqual(ids(result.nodes), '1,2,3,4,5,7', 'Nodes: ');
+    assertEqual(result.nodes.find(node => node.id === 4).depth, 3, 'Depth of 4: ');
+    assertEqual(result.edges.length, 5, 'Induced edges: ');
+  });
+
+  await test('clamps depth to the maximum', async () => {
+    const chain = {
+      nodes: Array.from({ length: 10 }, (_, i) => ({ id: i + 1, concept: `n${i + 1}` })),
+      edges: Array.from({ length: 9 }, (_, i) => ({ source: i + 1, target: i + 2, type: 'next' }))
+    };
+    const result = neighborhood(chain, { nodeIds: [1], depth: 99 });
+    assertEqual(result.nodes.length, MAX_DEPTH + 1);
+  });
+
+  await test('applies type, weight and direction filters', async () => {
+    assertEqual(ids(neighborhood(brain, { nodeIds: [1], depth: 3, filters: { edgeTypes: ['contains'] } }).nodes), '1,2,7', 'Types: ');
+    assertEqual(ids(neighborhood(brain, { nodeIds: [1], filters: { minWeight: 0.5 } }).nodes), '1,2,7', 'Weight: ');
+    assertEqual(ids(neighborhood(brain, { nodeIds: [1], filters: { direction: 'out' } }).nodes), '1,2,5', 'Out: ');
+    assertEqual(ids(neighborhood(brain, { nodeIds: [1], filters: { direction: 'in' } }).nodes), '1,7', 'In: ');
+  });
+
+  await test('stops at the node limit and reports truncation', async () => {
+    const result = neighborhood(brain, { nodeIds: [1], depth: 3, limit: 3 });
+    assertEqual(result.nodes.length, 3, 'Node count: ');
+    assertEqual(result.truncated, true, 'Truncated: ');
+    // Strongest edges are followed first
+    assertTrue(!result.nodes.some(node => node.id === 5), 'Weak edge skipped: ');
+  });
+
+  await test('reports missing start nodes and truncates long concepts', async () => {
+    const result = neighborhood(brain, { nodeIds: [1, 99, 6] });
+    assertEqual(result.missing.join(','), '99', 'Missing: ');
+    assertTrue(result.nodes.some(node => node.id === 6 && node.degree === 0), 'Isolated start node: ');
+    assertTrue(result.nodes.find(node => node.id === 1).concept.length <= 241, 'Concept preview: ');
+  });
+
+  // ============================================================================
+  // Paths
+  // ============================================================================
+
+  console.log('\n📦 Paths');
+
+  await test('finds the fewest-hops path with its edges', async () => {
+    const result = shortestPath(brain, { source: 7, target: 4 });
+    assertEqual(result.found, true, 'Found: ');
+    assertEqual(result.hops, 4, 'Hops: ');
+    assertEqual(result.nodes.map(node => node.id).join(','), '7,1,2,3,4', 'Path: ');
+    assertEqual(result.edges.map(edge => edge.type).join(','), 'contains,contains,imports,imports', 'Edge types: ');
+  });
+
+  await test('walks edges backwards unless direction is out', async () => {
+    assertEqual(shortestPath(brain, { source: 4, target: 1 }).hops, 3, 'Both: ');
+    assertEqual(shortestPath(brain, { source: 4, target: 1, filters: { direction: 'out' } }).found, false, 'Out: ');
+  });
+
+  await test('respects maxHops and edge filters', async () => {
+    assertEqual(shortestPath(brain, { source: 7, target: 4, maxHops: 3 }).found, false, 'maxHops: ');
+    assertEqual(shortestPath(brain, { source: 7, target: 4, filters: { edgeTypes: 'imports' } }).found, false, 'Types: ');
+  });
+
+  await test('handles identical and missing endpoints', async () => {
+    const same = shortestPath(brain, { source: 3, target: 3 });
+    assertEqual(same.hops, 0, 'Same node hops: ');
+    assertEqual(same.nodes.length, 1, 'Same node path: ');
+    const missing = shortestPath(brain, { source: 1, target: 42 });
+    assertEqual(missing.found, false, 'Missing found: ');
+    assertEqual(missing.missing.join(','), '42', 'Missing ids: ');
+    assertEqual(shortestPath(brain, { source: 1, target: 6 }).found, false, 'Unreachable: ');
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
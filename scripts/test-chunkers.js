@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Test script for the language-aware code chunkers (server/chunkers)
+ *
+ * Tests:
+ * 1. Brace-language symbols (functions, classes, methods) and doc comments
+ * 2. Python symbols (indentation, decorators)
+ * 3. Chunk assembly: uncovered-line blocks, container headers, oversized splits
+ * 4. Line-window fallback for unknown extensions
+ */
+
+const { chunkFile, chunkByLines, getChunker, getSupportedExtensions } = require('../server/chunkers');
+
+console.log('🧪 Code Chunker Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+// "kind name startLine-endLine" per chunk, for compact comparisons
+function outline(chunks) {
+  return chunks.map(chunk => `${chunk.kind} ${chunk.parent ? `${chunk.parent}.` : ''}${chunk.name || '-'} ${chunk.startLine}-${chunk.endLine}`);
+}
+
+const JS_SOURCE = `const fs = require('fs');
+const path = require('path');
+const os = require('os'); // enough text for a block chunk
+
+/**
+ * Adds.
+ */
+function add(a, b) {
+  return a + b;
+}
+
+class Greeter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  greet() {
+    return 'hi ' + this.name;
+  }
+}
+
+module.exports = { add, Greeter };
+`;
+
+const PY_SOURCE = `import os
+
+def top(x):
+    return x * 2
+
+class Box:
+    """A box."""
+
+    def __init__(self, v):
+        self.v = v
+
+    @property
+    def value(self):
+        return self.v
+`;
+
+async function runTests() {
+  // ============================================================================
+  // Registry
+  // ============================================================================
+
+  console.log('📦 Registry');
+
+  await test('registers chunkers by extension', async () => {
+    const extensions = getSupportedExtensions();
+    for (const ext of ['.js', '.ts', '.go', '.rs', '.py']) {
+      assertTrue(extensions.includes(ext), `Missing ${ext}: `);
+    }
+    assertEqual(getChunker('src/App.TSX').language, 'typescript', 'Case-insensitive lookup: ');
+    assertEqual(getChunker('notes.unknownext'), null, 'Unknown extension: ');
+  });
+
+  // ============================================================================
+  // Symbols
+  // ============================================================================
+
+  console.log('\n📦 Symbols');
+
+  await test('splits JavaScript into blocks, functions, class header and methods', async () => {
+    const chunks = chunkFile(JS_SOURCE, 'src/a.js');
+    assertEqual(outline(chunks).join(' | '), [
+      'block - 1-3',
+      'function add 5-10',
+      'class Greeter 12-12',
+      'constructor Greeter.constructor 13-15',
+      'method Greeter.greet 17-19'
+    ].join(' | '));
+    assertTrue(chunks.every(chunk => chunk.language === 'javascript'), 'Language: ');
+  });
+
+  await test('includes doc comments but cites the declaration line', async () => {
+    const add = chunkFile(JS_SOURCE, 'src/a.js').find(chunk => chunk.name === 'add');
+    assertTrue(add.content.startsWith('/**'), 'Doc comment included: ');
+    assertEqual(add.symbolLine, 8, 'symbolLine: ');
+  });
+
+  await test('chunk content matches its line range', async () => {
+    const lines = JS_SOURCE.split('\n');
+    for (const chunk of chunkFile(JS_SOURCE, 'src/a.js')) {
+      assertEqual(chunk.content, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'), `${chunk.name || chunk.kind}: `);
+    }
+  });
+
+  await test('splits Python by indentation and keeps decorators', async () => {
+    const chunks = chunkFile(PY_SOURCE, 'pkg/b.py');
+    assertEqual(outline(chunks).join(' | '), [
+      'function top 3-4',
+      'class Box 6-8',
+      'method Box.__init__ 9-10',
+      'method Box.value 12-14'
+    ].join(' | '));
+    const value = chunks.find(chunk => chunk.name === 'value');
+    assertTrue(value.content.startsWith('    @property'), 'Decorator included: ');
+    assertEqual(value.symbolLine, 13, 'symbolLine: ');
+  });
+
+  await test('recognizes Go functions and structs', async () => {
+    const source = 'package main\n\nfunc main() {\n  fmt.Println("hi")\n}\n\ntype Server struct {\n  Port int\n}\n';
+    assertEqual(outline(chunkFile(source, 'main.go')).join(' | '), 'function main 3-5 | struct Server 7-9');
+  });
+
+  // ============================================================================
+  // Assembly
+  // ============================================================================
+
+  console.log('\n📦 Assembly');
+
+  await test('drops uncovered blocks below the minimum size', async () => {
+    const chunks = chunkFile(JS_SOURCE, 'src/a.js');
+    assertTrue(!chunks.some(chunk => chunk.content.includes('module.exports')), 'Short trailing block kept: ');
+    assertEqual(chunkFile('module.exports = function b(){ return 1; };\n', 'b.js').length, 0, 'Tiny file: ');
+  });
+
+  await test('splits an oversized symbol into numbered parts', async () => {
+    const source = `function big() {\n${'  call();\n'.repeat(450)}}\n`;
+    const chunks = chunkFile(source, 'big.js');
+    assertEqual(chunks.map(chunk => chunk.part).join(','), '1,2,3', 'Parts: ');
+    assertTrue(chunks.every(chunk => chunk.name === 'big'), 'Name kept on every part: ');
+    assertEqual(chunks[0].startLine, 1, 'First part start: ');
+    assertEqual(chunks[2].endLine, 452, 'Last part end: ');
+    assertEqual(chunks[1].startLine, chunks[0].endLine + 1, 'Parts are contiguous: ');
+  });
+
+  // ============================================================================
+  // Fallback
+  // ============================================================================
+
+  console.log('\n📦 Fallback');
+
+  await test('uses line windows for unknown extensions', async () => {
+    const source = 'some text line\n'.repeat(450);
+    const chunks = chunkFile(source, 'notes.unknownext');
+    assertEqual(outline(chunks).join(' | '), 'block - 1-200 | block - 201-400 | block - 401-450');
+    assertTrue(chunks.every(chunk => chunk.language === null), 'No language: ');
+  });
+
+  await test('chunkByLines matches the fallback', async () => {
+    const source = 'some text line\n'.repeat(120);
+    assertEqual(JSON.stringify(chunkByLines(source, 'x.js')), JSON.stringify(chunkFile(source, 'x.unknownext').map(chunk => ({ ...chunk, filePath: 'x.js' }))));
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
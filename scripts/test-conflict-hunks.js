@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Test script for workspace conflict hunks (server/workspace-manager.js)
+ *
+ * Tests:
+ * 1. Parsing merge and diff3 conflict markers
+ * 2. Resolving hunks with ours/theirs/base/both/custom content
+ * 3. Partially resolved files and invalid choices
+ */
+
+const { parseConflictHunks, applyHunkChoices } = require('../server/workspace-manager');
+
+console.log('🧪 Conflict Hunk Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+// Two conflicts: a plain merge one and a diff3 one with a base section
+const CONFLICTED = [
+  'const a = 1;',
+  '<<<<<<< HEAD',
+  'const b = 2;',
+  '=======',
+  'const b = 3;',
+  '>>>>>>> evobrew/ws-1',
+  'const c = 4;',
+  '<<<<<<< HEAD',
+  'ours line 1',
+  'ours line 2',
+  '||||||| merged common ancestors',
+  'base line',
+  '=======',
+  'theirs line',
+  '>>>>>>> evobrew/ws-1',
+  'end',
+  ''
+].join('\n');
+
+async function runTests() {
+  // ============================================================================
+  // Parsing
+  // ============================================================================
+
+  console.log('📦 Parsing');
+
+  await test('finds each hunk with its marker lines', async () => {
+    const hunks = parseConflictHunks(CONFLICTED);
+    assertEqual(hunks.length, 2, 'Hunk count: ');
+    assertEqual(`${hunks[0].startLine}-${hunks[0].endLine}`, '2-6', 'First range: ');
+    assertEqual(`${hunks[1].startLine}-${hunks[1].endLine}`, '8-15', 'Second range: ');
+    assertEqual(hunks[1].index, 1, 'Index: ');
+  });
+
+  await test('separates ours, base and theirs', async () => {
+    const [first, second] = parseConflictHunks(CONFLICTED);
+    assertEqual(first.ours, 'const b = 2;', 'Ours: ');
+    assertEqual(first.theirs, 'const b = 3;', 'Theirs: ');
+    assertEqual(first.base, null, 'No base section: ');
+    assertEqual(second.ours, 'ours line 1\nours line 2', 'Multi-line ours: ');
+    assertEqual(second.base, 'base line', 'Base: ');
+    assertEqual(second.theirs, 'theirs line', 'Theirs: ');
+  });
+
+  await test('reads the branch labels', async () => {
+    const [first] = parseConflictHunks(CONFLICTED);
+    assertEqual(first.oursLabel, 'HEAD', 'Ours label: ');
+    assertEqual(first.theirsLabel, 'evobrew/ws-1', 'Theirs label: ');
+  });
+
+  await test('handles CRLF files', async () => {
+    const hunks = parseConflictHunks(CONFLICTED.replace(/\n/g, '\r\n'));
+    assertEqual(hunks.length, 2, 'Hunk count: ');
+    assertEqual(hunks[0].endLine, 6, 'End line: ');
+  });
+
+  await test('ignores an unterminated conflict and look-alike lines', async () => {
+    assertEqual(parseConflictHunks('<<<<<<< HEAD\nours\n=======\ntheirs\n').length, 0, 'Unterminated: ');
+    assertEqual(parseConflictHunks('<<<<<<<<< not a marker\n=======\n').length, 0, 'Look-alike: ');
+  });
+
+  // ============================================================================
+  // Resolving
+  // ============================================================================
+
+  console.log('\n📦 Resolving');
+
+  await test('takes ours or theirs per hunk', async () => {
+    const resolved = applyHunkChoices(CONFLICTED, [{ index: 0, choice: 'theirs' }, { index: 1, choice: 'ours' }]);
+    assertEqual(resolved, 'const a = 1;\nconst b = 3;\nconst c = 4;\nours line 1\nours line 2\nend\n');
+    assertEqual(parseConflictHunks(resolved).length, 0, 'No markers left: ');
+  });
+
+  await test('takes the base section or both sides', async () => {
+    const resolved = applyHunkChoices(CONFLICTED, [{ index: 0, choice: 'both' }, { index: 1, choice: 'base' }]);
+    assertEqual(resolved, 'const a = 1;\nconst b = 2;\nconst b = 3;\nconst c = 4;\nbase line\nend\n');
+  });
+
+  await test('uses custom content, including an empty resolution', async () => {
+    const resolved = applyHunkChoices(CONFLICTED, [{ index: 0, content: 'const b = 5;' }, { index: 1, content: '' }]);
+    assertEqual(resolved, 'const a = 1;\nconst b = 5;\nconst c = 4;\nend\n');
+  });
+
+  await test('keeps the markers of hunks without a choice', async () => {
+    const resolved = applyHunkChoices(CONFLICTED, [{ index: 1, choice: 'theirs' }]);
+    const remaining = parseConflictHunks(resolved);
+    assertEqual(remaining.length, 1, 'Remaining hunks: ');
+    assertEqual(remaining[0].theirs, 'const b = 3;', 'Untouched hunk: ');
+    assertTrue(resolved.endsWith('const c = 4;\ntheirs line\nend\n'), 'Resolved hunk: ');
+  });
+
+  await test('rejects base for a hunk without one and unknown choices', async () => {
+    const errors = [];
+    for (const choice of [{ index: 0, choice: 'base' }, { index: 0, choice: 'mine' }]) {
+      try {
+        applyHunkChoices(CONFLICTED, [choice]);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    assertEqual(errors.length, 2, 'Errors: ');
+    assertTrue(/no base section/.test(errors[0]), 'Base error: ');
+    assertTrue(/Unknown choice/.test(errors[1]), 'Choice error: ');
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Test script for conversation search (server/conversation-search.js)
+ *
+ * Tests:
+ * 1. Query word extraction
+ * 2. Snippets and highlight ranges
+ * 3. Search over an in-memory store: ranking, filters, re-indexing
+ */
+
+const { ConversationSearchIndex, buildSnippet, queryWords } = require('../server/conversation-search');
+
+console.log('🧪 Conversation Search Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+// Minimal ConversationStore: versions() and get() over a Map
+function createStore(conversations) {
+  const rows = new Map(conversations.map(conversation => [conversation.id, { ...conversation, updatedAt: new Date(conversation.updatedAt) }]));
+  return {
+    rows,
+    async versions() {
+      return Array.from(rows.values(), row => ({ id: row.id, updatedAt: row.updatedAt }));
+    },
+    async get(id) {
+      return rows.get(id) || null;
+    }
+  };
+}
+
+function highlighted(snippet) {
+  return snippet.highlights.map(([start, end]) => snippet.text.slice(start, end)).join(',');
+}
+
+async function runTests() {
+  // ============================================================================
+  // Query words and snippets
+  // ============================================================================
+
+  console.log('📦 Snippets');
+
+  await test('queryWords lowercases, dedupes and drops one-letter words', async () => {
+    assertEqual(queryWords('OAuth token, a oauth $refresh_token!').join(','), 'oauth,token,$refresh_token');
+    assertEqual(queryWords('').length, 0, 'Empty query: ');
+  });
+
+  await test('buildSnippet highlights every occurrence', async () => {
+    const snippet = buildSnippet('The token expired, so refresh the token.', ['token']);
+    assertEqual(snippet.text, 'The token expired, so refresh the token.');
+    assertEqual(highlighted(snippet), 'token,token');
+  });
+
+  await test('buildSnippet merges overlapping ranges', async () => {
+    const snippet = buildSnippet('Configure oauth first', ['oauth', 'auth']);
+    assertEqual(JSON.stringify(snippet.highlights), JSON.stringify([[10, 15]]));
+  });
+
+  await test('buildSnippet centers long text on the first hit', async () => {
+    const text = `${'filler '.repeat(100)}needle ${'tail '.repeat(100)}`;
+    const snippet = buildSnippet(text, ['needle']);
+    assertTrue(snippet.text.startsWith('…'), 'Leading ellipsis: ');
+    assertTrue(snippet.text.endsWith('…'), 'Trailing ellipsis: ');
+    assertTrue(snippet.text.length <= 182, 'Length: ');
+    assertEqual(highlighted(snippet), 'needle');
+  });
+
+  await test('buildSnippet collapses whitespace', async () => {
+    assertEqual(buildSnippet('a\n\n  b\tc', ['b']).text, 'a b c');
+  });
+
+  // ============================================================================
+  // Search
+  // ============================================================================
+
+  console.log('\n📦 Search');
+
+  const store = createStore([
+    {
+      id: 'conv_auth',
+      title: 'Auth work',
+      timestamp: '2026-01-10T10:00:00.000Z',
+      updatedAt: '2026-01-10T10:00:00.000Z',
+      folder: '/work/app',
+      summary: 'Moved login to OAuth',
+      messages: [
+        { role: 'user', content: 'Why does the OAuth refresh token expire?', timestamp: '2026-01-10T10:00:00.000Z' },
+        {
+          role: 'assistant',
+          model: 'claude-sonnet',
+          content: 'The refresh token is rotated on every use.',
+          timestamp: '2026-01-10T10:01:00.000Z',
+          toolCalls: [{ tool: 'grep_search', summary: 'refresh_token in src/', success: true }]
+        }
+      ]
+    },
+    {
+      id: 'conv_css',
+      title: 'Styling',
+      timestamp: '2026-02-01T09:00:00.000Z',
+      updatedAt: '2026-02-01T09:00:00.000Z',
+      folder: '/work/site',
+      messages: [
+        { role: 'user', content: 'Center the login button with flexbox', timestamp: '2026-02-01T09:00:00.000Z' },
+        { role: 'assistant', model: 'gpt-4o', content: 'Use justify-content: center.', timestamp: '2026-02-01T09:00:30.000Z' }
+      ]
+    }
+  ]);
+  const index = new ConversationSearchIndex({ store });
+
+  await test('finds messages, tool calls and summaries', async () => {
+    const result = await index.search('refresh token');
+    assertTrue(result.total >= 2, 'Total: ');
+    assertEqual(result.hits[0].conversationId, 'conv_auth', 'Top hit: ');
+    assertTrue(result.hits.every(hit => hit.conversationId === 'conv_auth'), 'Only matching conversations: ');
+    const kinds = new Set((await index.search('grep_search')).hits.map(hit => hit.kind));
+    assertTrue(kinds.has('tool'), 'Tool call indexed: ');
+    assertEqual((await index.search('oauth', { kind: 'summary' })).hits[0].kind, 'summary', 'Summary indexed: ');
+  });
+
+  await test('reports message positions and highlights', async () => {
+    const hit = (await index.search('flexbox')).hits[0];
+    assertEqual(hit.conversationId, 'conv_css', 'Conversation: ');
+    assertEqual(hit.messageIndex, 0, 'Message index: ');
+    assertEqual(highlighted({ text: hit.snippet, highlights: hit.highlights }), 'flexbox');
+  });
+
+  await test('filters by folder, model and date', async () => {
+    assertEqual((await index.search('login', { folder: '/work/site' })).hits.map(hit => hit.conversationId).join(','), 'conv_css', 'Folder: ');
+    assertEqual((await index.search('login', { folder: '/work' })).total, 2, 'Parent folder: ');
+    assertEqual((await index.search('login', { model: 'SONNET' })).hits[0].conversationId, 'conv_auth', 'Model: ');
+    assertEqual((await index.search('login', { from: '2026-02-01' })).hits.map(hit => hit.conversationId).join(','), 'conv_css', 'From: ');
+    assertEqual((await index.search('login', { to: '2026-01-10' })).hits.map(hit => hit.conversationId).join(','), 'conv_auth', 'To (whole day): ');
+  });
+
+  await test('re-reads a conversation only when it changed', async () => {
+    const row = store.rows.get('conv_css');
+    row.messages.push({ role: 'user', content: 'Now add a tooltip', timestamp: '2026-02-02T09:00:00.000Z' });
+    assertEqual((await index.search('tooltip')).total, 0, 'Stale version still cached: ');
+    row.updatedAt = new Date('2026-02-02T09:00:00.000Z');
+    assertEqual((await index.search('tooltip')).total, 1, 'After update: ');
+  });
+
+  await test('drops deleted conversations', async () => {
+    store.rows.delete('conv_auth');
+    assertEqual((await index.search('oauth')).total, 0);
+  });
+
+  await test('returns nothing for a query without words', async () => {
+    const result = await index.search('?!');
+    assertEqual(result.hits.length, 0);
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Test script for database bootstrapping (server/services/database.js,
+ * server/conversation-store.js)
+ *
+ * Runs against throwaway SQLite databases; needs the generated Prisma client
+ * (npm run db:generate).
+ *
+ * Tests:
+ * 1. Baselining a database that only holds SystemConfig (older versions)
+ * 2. Applying every migration to a fresh database
+ * 3. Importing legacy conversations/<id>.json files
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Test directory (use a temp dir to avoid touching the real database)
+const TEST_DIR = path.join(os.tmpdir(), `evobrew-database-test-${Date.now()}`);
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'prisma', 'migrations');
+
+console.log('🧪 Database Migration Tests\n');
+console.log(`   Test directory: ${TEST_DIR}\n`);
+
+fs.mkdirSync(TEST_DIR, { recursive: true });
+
+// DATABASE_URL must be set before the database service loads the Prisma client
+process.env.DATABASE_URL = `file:${path.join(TEST_DIR, 'legacy.db')}`;
+
+const { PrismaClient } = require('@prisma/client');
+const { applyMigrations } = require('../server/services/database');
+const { ConversationStore } = require('../server/conversation-store');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+function migrationNames() {
+  return fs.readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+async function tableNames(db) {
+  const rows = await db.$queryRawUnsafe(`SELECT name FROM sqlite_master WHERE type = 'table'`);
+  return new Set(rows.map(row => row.name));
+}
+
+async function runTests() {
+  const legacyDb = new PrismaClient();
+  const freshDb = new PrismaClient({
+    datasources: { db: { url: `file:${path.join(TEST_DIR, 'fresh.db')}` } }
+  });
+  const migrations = migrationNames();
+
+  try {
+    // ============================================================================
+    // Baselining
+    // ============================================================================
+
+    console.log('📦 Baselining');
+
+    // What older versions created on demand (services/anthropic-oauth.js)
+    await legacyDb.$executeRawUnsafe(`
+      CREATE TABLE IF NOT EXISTS "SystemConfig" (
+        "key" TEXT NOT NULL PRIMARY KEY,
+        "value" TEXT NOT NULL,
+        "expiresAt" DATETIME,
+        "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await legacyDb.$executeRawUnsafe(`INSERT INTO "SystemConfig" ("key", "value") VALUES ('anthropic_oauth', 'secret')`);
+
+    let applied = [];
+    await test('records SystemConfig migrations without running them', async () => {
+      applied = await applyMigrations(legacyDb);
+      const baselined = migrations.filter(name => !applied.includes(name));
+      assertEqual(baselined.join(','), '20260202014736_init,20260202020303_simplify_schema', 'Baselined: ');
+      assertEqual(applied.length, migrations.length - 2, 'Applied: ');
+    });
+
+    await test('keeps the existing SystemConfig rows', async () => {
+      const rows = await legacyDb.$queryRawUnsafe(`SELECT "value" FROM "SystemConfig" WHERE "key" = 'anthropic_oauth'`);
+      assertEqual(rows.length, 1, 'Rows: ');
+      assertEqual(rows[0].value, 'secret', 'Value: ');
+    });
+
+    await test('creates the conversation and snapshot tables', async () => {
+      const tables = await tableNames(legacyDb);
+      for (const table of ['Conversation', 'Message', 'ToolCall', 'Snapshot', 'SnapshotFile']) {
+        assertTrue(tables.has(table), `Missing ${table}: `);
+      }
+    });
+
+    await test('records every migration with its checksum', async () => {
+      const rows = await legacyDb.$queryRawUnsafe(
+        `SELECT migration_name, checksum FROM "_prisma_migrations" WHERE finished_at IS NOT NULL ORDER BY migration_name`
+      );
+      assertEqual(rows.map(row => row.migration_name).join(','), migrations.join(','), 'Recorded: ');
+      for (const row of rows) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, row.migration_name, 'migration.sql'), 'utf-8');
+        assertEqual(row.checksum, crypto.createHash('sha256').update(sql).digest('hex'), `${row.migration_name} checksum: `);
+      }
+    });
+
+    await test('applies nothing the second time', async () => {
+      assertEqual((await applyMigrations(legacyDb)).length, 0);
+    });
+
+    // ============================================================================
+    // Fresh database
+    // ============================================================================
+
+    console.log('\n📦 Fresh database');
+
+    await test('applies every migration in order', async () => {
+      assertEqual((await applyMigrations(freshDb)).join(','), migrations.join(','));
+      const tables = await tableNames(freshDb);
+      assertTrue(tables.has('SystemConfig') && tables.has('Conversation'), 'Tables: ');
+    });
+
+    // ============================================================================
+    // Legacy JSON import
+    // ============================================================================
+
+    console.log('\n📦 Legacy import');
+
+    const legacyDir = path.join(TEST_DIR, 'conversations');
+    fs.mkdirSync(legacyDir, { recursive: true });
+    const legacyConversation = {
+      title: 'Old chat',
+      timestamp: '2026-01-05T10:00:00.000Z',
+      folder: '/work/app',
+      pinned: true,
+      messages: [
+        { role: 'user', content: 'List the files', timestamp: '2026-01-05T10:00:00.000Z' },
+        {
+          role: 'assistant',
+          model: 'claude-sonnet',
+          content: 'Here they are.',
+          timestamp: '2026-01-05T10:00:05.000Z',
+          toolCalls: [{ tool: 'list_directory', summary: '.', success: true }]
+        }
+      ]
+    };
+    fs.writeFileSync(path.join(legacyDir, 'conv_old.json'), JSON.stringify(legacyConversation));
+    fs.writeFileSync(path.join(legacyDir, 'conv_broken.json'), '{"messages": [');
+    // Long enough that one row at a time would outlast Prisma's default transaction timeout
+    fs.writeFileSync(path.join(legacyDir, 'conv_long.json'), JSON.stringify({
+      title: 'Long chat',
+      timestamp: '2026-01-06T10:00:00.000Z',
+      messages: Array.from({ length: 1500 }, (_, i) => ({
+        role: i % 2 ? 'assistant' : 'user',
+        content: `message ${i}`,
+        timestamp: '2026-01-06T10:00:00.000Z'
+      }))
+    }));
+
+    const store = new ConversationStore({ legacyDir, prisma: legacyDb });
+
+    await test('imports conversations with messages, tool calls and extra fields', async () => {
+      await store.ensureReady();
+      const conversation = await store.get('conv_old');
+      assertTrue(conversation, 'Imported: ');
+      assertEqual(conversation.title, 'Old chat', 'Title: ');
+      assertEqual(conversation.timestamp, legacyConversation.timestamp, 'Timestamp: ');
+      assertEqual(conversation.pinned, true, 'Extra field: ');
+      assertEqual(conversation.messages.length, 2, 'Messages: ');
+      assertEqual(conversation.messages[1].model, 'claude-sonnet', 'Model: ');
+      assertEqual(conversation.messages[1].toolCalls[0].tool, 'list_directory', 'Tool call: ');
+    });
+
+    await test('imports a long conversation in one write', async () => {
+      const conversation = await store.get('conv_long');
+      assertTrue(conversation, 'Imported: ');
+      assertEqual(conversation.messages.length, 1500, 'Messages: ');
+      assertEqual(conversation.messages[1499].content, 'message 1499', 'Last message: ');
+    });
+
+    await test('archives imported files and leaves unreadable ones', async () => {
+      const remaining = fs.readdirSync(legacyDir).filter(file => file.endsWith('.json'));
+      assertEqual(remaining.join(','), 'conv_broken.json', 'Left in place: ');
+      const archived = fs.readdirSync(path.join(legacyDir, '.migrated-json')).sort();
+      assertEqual(archived.join(','), 'conv_long.json,conv_old.json', 'Archived: ');
+    });
+
+    await test('does not import a conversation twice', async () => {
+      fs.writeFileSync(path.join(legacyDir, 'conv_old.json'), JSON.stringify({ ...legacyConversation, title: 'Changed' }));
+      await new ConversationStore({ legacyDir, prisma: legacyDb }).ensureReady();
+      assertEqual((await store.get('conv_old')).title, 'Old chat', 'Title: ');
+      assertEqual((await store.list()).total, 2, 'Conversations: ');
+    });
+  } finally {
+    await legacyDb.$disconnect();
+    await freshDb.$disconnect();
+  }
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  process.exit(1);
+});
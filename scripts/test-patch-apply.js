@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Test script for patch parsing and hunk application (server/patch-apply.js)
+ *
+ * Tests:
+ * 1. Unified diff and patch envelope parsing
+ * 2. Hunk application with line offsets and drift
+ * 3. Fuzz (dropped outer context) and whitespace-insensitive matching
+ * 4. CRLF and missing-newline handling
+ * 5. Failure reports
+ */
+
+const { parsePatch, listPatchPaths, applyHunks } = require('../server/patch-apply');
+
+console.log('🧪 Patch Apply Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`   ✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`   ❌ ${name}`);
+    console.log(`      Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`${msg}Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, msg = '') {
+  if (!value) {
+    throw new Error(`${msg}Expected truthy value, got "${value}"`);
+  }
+}
+
+// Numbered lines "line 1\n" … "line n\n"
+function numberedLines(count) {
+  return Array.from({ length: count }, (_, i) => `line ${i + 1}\n`).join('');
+}
+
+function applyPatch(content, patchText, options) {
+  const [file] = parsePatch(patchText);
+  return applyHunks(content, file.hunks, options);
+}
+
+async function runTests() {
+  // ============================================================================
+  // Parsing
+  // ============================================================================
+
+  console.log('📦 Parsing');
+
+  await test('parses a unified diff with several files', async () => {
+    const files = parsePatch([
+      'diff --git a/src/a.js b/src/a.js',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-two',
+      '+TWO',
+      '--- /dev/null',
+      '+++ b/src/new.js',
+      '@@ -0,0 +1 @@',
+      '+created',
+      ''
+    ].join('\n'));
+    assertEqual(files.length, 2, 'File count: ');
+    assertEqual(files[0].newPath, 'src/a.js', 'Path: ');
+    assertEqual(files[0].type, 'update', 'First type: ');
+    assertEqual(files[1].type, 'add', 'Second type: ');
+    assertEqual(files[0].hunks[0].oldStart, 1, 'oldStart: ');
+  });
+
+  await test('parses a patch envelope with an anchored hunk', async () => {
+    const files = parsePatch([
+      '*** Begin Patch',
+      '*** Update File: src/app.js',
+      '@@ function init',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '*** Add File: docs/notes.md',
+      '+# Notes',
+      '*** End Patch'
+    ].join('\n'));
+    assertEqual(files.length, 2, 'File count: ');
+    assertEqual(files[0].type, 'update', 'First type: ');
+    assertEqual(files[0].hunks[0].anchor, 'function init', 'Anchor: ');
+    assertEqual(files[1].type, 'add', 'Second type: ');
+  });
+
+  await test('unwraps a fenced patch', async () => {
+    const files = parsePatch('```diff\n--- a/x.txt\n+++ b/x.txt\n@@ -1 +1 @@\n-a\n+b\n```\n');
+    assertEqual(files[0].newPath, 'x.txt');
+  });
+
+  await test('lists both sides of a rename', async () => {
+    const paths = listPatchPaths('--- a/old.js\n+++ b/new.js\n@@ -1 +1 @@\n-a\n+b\n');
+    assertEqual(paths.join(','), 'old.js,new.js');
+  });
+
+  await test('rejects text without file changes', async () => {
+    let error = null;
+    try {
+      parsePatch('just some prose');
+    } catch (err) {
+      error = err;
+    }
+    assertTrue(error && /No file changes found/.test(error.message), 'Should throw: ');
+  });
+
+  // ============================================================================
+  // Applying
+  // ============================================================================
+
+  console.log('\n📦 Applying');
+
+  await test('applies a hunk at its line number', async () => {
+    const result = applyPatch(numberedLines(5), '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n line 2\n-line 3\n+LINE 3\n line 4\n');
+    assertEqual(result.content, 'line 1\nline 2\nLINE 3\nline 4\nline 5\n');
+    assertEqual(result.results[0].status, 'applied', 'Status: ');
+    assertEqual(result.results[0].offset, 0, 'Offset: ');
+  });
+
+  await test('finds a hunk whose lines moved and reports the offset', async () => {
+    const content = 'header a\nheader b\nheader c\n' + numberedLines(10);
+    const result = applyPatch(content, '--- a/f\n+++ b/f\n@@ -5,3 +5,3 @@\n line 5\n-line 6\n+LINE 6\n line 7\n');
+    assertTrue(result.content.includes('line 5\nLINE 6\nline 7\n'), 'Content: ');
+    assertEqual(result.results[0].line, 8, 'Line: ');
+    assertEqual(result.results[0].offset, 3, 'Offset: ');
+  });
+
+  await test('carries drift from earlier hunks', async () => {
+    const result = applyPatch(numberedLines(12), [
+      '--- a/f',
+      '+++ b/f',
+      '@@ -2,2 +2,4 @@',
+      ' line 2',
+      '+added a',
+      '+added b',
+      ' line 3',
+      '@@ -10,2 +12,2 @@',
+      ' line 10',
+      '-line 11',
+      '+LINE 11',
+      ''
+    ].join('\n'));
+    assertEqual(result.results.map(r => r.status).join(','), 'applied,applied', 'Statuses: ');
+    assertEqual(result.results[1].offset, 0, 'Second hunk offset: ');
+    assertTrue(result.content.includes('line 10\nLINE 11\nline 12\n'), 'Content: ');
+  });
+
+  await test('drops changed outer context with fuzz', async () => {
+    const content = 'alpha\nbeta\ngamma\ndelta\n';
+    const result = applyPatch(content, '--- a/f\n+++ b/f\n@@ -1,4 +1,4 @@\n ALPHA\n beta\n-gamma\n+GAMMA\n delta\n');
+    assertEqual(result.content, 'alpha\nbeta\nGAMMA\ndelta\n');
+    assertEqual(result.results[0].fuzz, 1, 'Fuzz: ');
+  });
+
+  await test('does not fuzz past maxFuzz', async () => {
+    const content = 'alpha\nbeta\ngamma\ndelta\n';
+    const result = applyPatch(content, '--- a/f\n+++ b/f\n@@ -1,4 +1,4 @@\n ALPHA\n beta\n-gamma\n+GAMMA\n delta\n', { maxFuzz: 0 });
+    assertEqual(result.results[0].status, 'failed', 'Status: ');
+    assertEqual(result.content, content, 'Content should be unchanged: ');
+  });
+
+  await test('matches lines that differ only in whitespace', async () => {
+    const content = 'function f() {\n    return 1;\n}\n';
+    const result = applyPatch(content, '--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n function f() {\n-  return 1;\n+    return 2;\n }\n');
+    assertEqual(result.content, 'function f() {\n    return 2;\n}\n');
+    assertEqual(result.results[0].match, 'whitespace', 'Match: ');
+  });
+
+  await test('keeps CRLF line endings', async () => {
+    const content = 'one\r\ntwo\r\nthree\r\n';
+    const result = applyPatch(content, '--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three\n');
+    assertEqual(JSON.stringify(result.content), JSON.stringify('one\r\nTWO\r\nthree\r\n'));
+  });
+
+  await test('applies an LF patch written with CRLF', async () => {
+    const result = applyPatch('one\ntwo\n', '--- a/f\r\n+++ b/f\r\n@@ -1,2 +1,2 @@\r\n one\r\n-two\r\n+TWO\r\n');
+    assertEqual(JSON.stringify(result.content), JSON.stringify('one\nTWO\n'));
+  });
+
+  await test('honors "No newline at end of file"', async () => {
+    const result = applyPatch('a\nb\n', [
+      '--- a/f',
+      '+++ b/f',
+      '@@ -1,2 +1,2 @@',
+      ' a',
+      '-b',
+      '+c',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+    assertEqual(JSON.stringify(result.content), JSON.stringify('a\nc'));
+  });
+
+  await test('creates a file from an add hunk', async () => {
+    const result = applyPatch('', '*** Begin Patch\n*** Add File: new.txt\n+first\n+second\n*** End Patch\n');
+    assertEqual(result.content, 'first\nsecond\n');
+  });
+
+  await test('applies an envelope hunk after its anchor', async () => {
+    const content = 'function a() {\n  return 1;\n}\nfunction init() {\n  return 1;\n}\n';
+    const result = applyPatch(content, '*** Begin Patch\n*** Update File: f.js\n@@ function init\n-  return 1;\n+  return 2;\n*** End Patch\n');
+    assertEqual(result.content, 'function a() {\n  return 1;\n}\nfunction init() {\n  return 2;\n}\n');
+  });
+
+  await test('reports the closest candidate for a hunk that does not apply', async () => {
+    const result = applyPatch(numberedLines(5), '--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n line 2\n-line X\n+line Y\n line 4\n', { maxFuzz: 0 });
+    assertEqual(result.results[0].status, 'failed', 'Status: ');
+    assertEqual(result.results[0].closest.line, 2, 'Closest line: ');
+    assertEqual(result.results[0].closest.matched, 2, 'Matched lines: ');
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run all tests
+runTests().catch(err => {
+  console.error('Test suite error:', err);
+  process.exit(1);
+});
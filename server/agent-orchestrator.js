@@ -0,0 +1,371 @@
+/**
+ * AgentOrchestrator — fan one task out to several agents in parallel.
+ *
+ * Each agent gets its own workspace (git worktree, see workspace-manager.js) and
+ * optionally its own model, and runs its own handleFunctionCalling loop
+ * concurrently with the others. When an agent finishes, its queued edits are
+ * written into its worktree and committed, so the runs can be compared as plain
+ * branch diffs. Picking a winner merges that workspace into the source branch
+ * and discards the others.
+ *
+ * Tool calls under an "ask" policy wait for the client that started the run,
+ * which sees each agent's pending approval in the run and decides it through
+ * the regular /api/tool-approvals route. A running run can be cancelled.
+ *
+ * Runs are kept in memory; the workspaces themselves persist on disk like any
+ * other workspace and can still be merged or discarded individually.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getWorkspaceManager } = require('./workspace-manager');
+const { getToolApprovalManager } = require('./tool-approvals');
+
+const MAX_AGENTS = 6;
+const MAX_ACTIVITY = 50;
+const MAX_DIFF_CHARS = 200000;
+
+class AgentOrchestrator {
+  /**
+   * @param {object} options
+   * @param {Function} options.runAgent - async (params, eventEmitter) => handleFunctionCalling result
+   * @param {object} options.workspaceManager - defaults to the shared WorkspaceManager
+   * @param {object} options.approvals - defaults to the shared ToolApprovalManager
+   */
+  constructor(options = {}) {
+    this.runAgent = options.runAgent || null;
+    this.workspaceManager = options.workspaceManager || getWorkspaceManager();
+    this.approvals = options.approvals || getToolApprovalManager();
+    // runId → run (agents carry their own status, activity and diff)
+    this.runs = new Map();
+    // runId → { controller, sessions } while agents are running; kept out of the run so it isn't serialized
+    this.active = new Map();
+  }
+
+  /**
+   * Start a parallel run. Workspaces are created up front so a bad source
+   * folder fails the request; the agent loops then run in the background.
+   *
+   * @param {object} params
+   * @param {string} params.message - The task every agent receives
+   * @param {string} params.sourceFolder - Folder inside the git repo to branch from
+   * @param {Array<{ model, label }>} params.agents - One entry per agent
+   * @param {object} params.baseParams - Chat params shared by all agents (security policy, brain, ...)
+   * @returns {object} The run, serialized
+   */
+  start({ message, sourceFolder, agents, baseParams = {} }) {
+    if (!this.runAgent) throw new Error('Agent orchestrator is not configured with a runner');
+    if (!message || !String(message).trim()) throw new Error('message is required');
+    if (!Array.isArray(agents) || agents.length === 0) throw new Error('At least one agent is required');
+    if (agents.length > MAX_AGENTS) throw new Error(`At most ${MAX_AGENTS} agents can run in parallel`);
+
+    const runId = `run_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const created = [];
+    try {
+      for (const [index, spec] of agents.entries()) {
+        const label = String(spec.label || `Agent ${index + 1}`).slice(0, 60);
+        const workspace = this.workspaceManager.create(sourceFolder, {
+          description: `${label}${spec.model ? ` (${spec.model})` : ''}: ${String(message).slice(0, 80)}`
+        });
+        created.push({
+          id: `agent_${index + 1}`,
+          label,
+          model: spec.model || baseParams.model || null,
+          workspaceId: workspace.id,
+          branch: workspace.branch,
+          path: workspace.path,
+          status: 'queued',
+          startedAt: null,
+          finishedAt: null,
+          iterations: 0,
+          tokensUsed: 0,
+          response: '',
+          error: null,
+          filesWritten: [],
+          pendingApproval: null,
+          activity: [],
+          diff: null
+        });
+      }
+    } catch (err) {
+      // Don't leave half a run's worktrees behind
+      for (const agent of created) this.workspaceManager.remove(agent.workspaceId);
+      throw err;
+    }
+
+    const run = {
+      id: runId,
+      message: String(message),
+      sourceFolder,
+      repoRoot: this.workspaceManager.get(created[0].workspaceId).repoRoot,
+      sourceBranch: this.workspaceManager.get(created[0].workspaceId).sourceBranch,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      winner: null,
+      agents: created
+    };
+    this.runs.set(runId, run);
+    this.active.set(runId, { controller: new AbortController(), sessions: new Set() });
+
+    console.log(`[ORCHESTRATOR] Run ${runId}: ${created.length} agents on "${run.message.slice(0, 60)}"`);
+
+    Promise.allSettled(created.map(agent => this._runOne(run, agent, baseParams)))
+      .then(() => {
+        const { controller } = this.active.get(runId);
+        this.active.delete(runId);
+        run.status = controller.signal.aborted ? 'cancelled'
+          : run.agents.every(a => a.status === 'failed') ? 'failed' : 'completed';
+        run.finishedAt = new Date().toISOString();
+        console.log(`[ORCHESTRATOR] Run ${runId} ${run.status}`);
+      });
+
+    return this.serialize(run);
+  }
+
+  /**
+   * Stop a running run: agents stop before their next step and pending
+   * approvals are denied. Their workspaces stay until the run is discarded.
+   */
+  cancel(runId) {
+    const run = this.runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    const active = this.active.get(runId);
+    if (!active) throw new Error(`Run ${runId} is not running`);
+
+    active.controller.abort();
+    for (const sessionId of active.sessions) {
+      this.approvals.endSession(sessionId, 'Run cancelled');
+    }
+    console.log(`[ORCHESTRATOR] Run ${runId} cancelled`);
+    return this.serialize(run);
+  }
+
+  /**
+   * Get a run by ID (serialized).
+   */
+  get(runId) {
+    const run = this.runs.get(runId);
+    return run ? this.serialize(run) : null;
+  }
+
+  /**
+   * List runs, newest first, optionally filtered by repo root.
+   */
+  list(repoRoot = null) {
+    return Array.from(this.runs.values())
+      .filter(run => !repoRoot || run.repoRoot === repoRoot)
+      .reverse()
+      .map(run => this.serialize(run, { includeDiffs: false }));
+  }
+
+  /**
+   * Merge the winning agent's workspace (through the validation gates) and
+   * discard the rest. Merge conflicts are left in the winner's workspace for
+   * the usual conflict-resolution flow; a blocked merge keeps every workspace
+   * so another agent can still be picked.
+   */
+  async pickWinner(runId, agentId, options = {}) {
+    const run = this._requireSettledRun(runId);
+    const winner = run.agents.find(a => a.id === agentId);
+    if (!winner) throw new Error(`Agent ${agentId} not found in run ${runId}`);
+    if (winner.status !== 'completed') throw new Error(`Agent ${agentId} did not complete (${winner.status})`);
+    if (!this.workspaceManager.get(winner.workspaceId)) throw new Error(`Workspace for ${agentId} no longer exists`);
+
+    const merge = await this.workspaceManager.mergeWithGates(winner.workspaceId, {
+      commitMessage: options.commitMessage || `Merge ${winner.label}${winner.model ? ` (${winner.model})` : ''}: ${run.message.slice(0, 120)}`,
+      rebase: options.rebase === true,
+      override: options.override === true,
+      cleanup: true,
+      sandbox: options.sandbox
+    });
+    if (merge.blocked) {
+      winner.validation = merge.validation;
+      return { winner: null, workspaceId: winner.workspaceId, merge, discarded: [], run: this.serialize(run) };
+    }
+
+    const discarded = this._discardAgents(run, run.agents.filter(a => a.id !== agentId));
+    run.winner = agentId;
+    run.status = merge.conflicts ? 'conflicts' : 'merged';
+    winner.status = merge.merged ? 'merged' : winner.status;
+
+    console.log(`[ORCHESTRATOR] Run ${runId}: picked ${agentId}${merge.conflicts ? ' (conflicts to resolve)' : ''}`);
+    return { winner: agentId, workspaceId: winner.workspaceId, merge, discarded, run: this.serialize(run) };
+  }
+
+  /**
+   * Discard the whole run, or just the given agents.
+   */
+  discard(runId, agentIds = null) {
+    const run = this._requireSettledRun(runId);
+    const targets = agentIds ? run.agents.filter(a => agentIds.includes(a.id)) : run.agents;
+    const discarded = this._discardAgents(run, targets);
+    if (run.agents.every(a => a.status === 'discarded' || a.status === 'merged')) {
+      if (!run.winner) run.status = 'discarded';
+    }
+    return { discarded, run: this.serialize(run) };
+  }
+
+  /**
+   * Public view of a run; listings leave out the full diff text.
+   */
+  serialize(run, { includeDiffs = true } = {}) {
+    return {
+      ...run,
+      agents: run.agents.map(agent => ({
+        ...agent,
+        activity: agent.activity.slice(-MAX_ACTIVITY),
+        diff: includeDiffs ? agent.diff : (agent.diff ? { files: agent.diff.files, summary: agent.diff.summary } : null)
+      }))
+    };
+  }
+
+  // ── Internal helpers ──────────────────────────────────────────────────
+
+  async _runOne(run, agent, baseParams) {
+    agent.status = 'running';
+    agent.startedAt = new Date().toISOString();
+
+    const record = (entry) => {
+      agent.activity.push({ at: new Date().toISOString(), ...entry });
+      if (agent.activity.length > MAX_ACTIVITY * 2) agent.activity.splice(0, MAX_ACTIVITY);
+    };
+
+    // Collect the loop's SSE-style events into a compact activity log
+    const eventEmitter = (event) => {
+      if (event.type === 'iteration') {
+        agent.iterations = event.iteration;
+      } else if (event.type === 'status') {
+        record({ type: 'status', message: event.message });
+      } else if (event.type === 'tool_start') {
+        record({ type: 'tool', tool: event.tool });
+      } else if (event.type === 'approval_required') {
+        agent.pendingApproval = {
+          approvalId: event.approvalId,
+          tool: event.tool,
+          args: event.args,
+          reason: event.reason,
+          timeoutMs: event.timeoutMs
+        };
+        record({ type: 'approval', tool: event.tool, approvalId: event.approvalId, reason: event.reason });
+      } else if (event.type === 'approval_resolved') {
+        if (agent.pendingApproval?.approvalId === event.approvalId) agent.pendingApproval = null;
+        record({ type: 'status', message: `${event.approved ? 'Approved' : 'Not approved'}: ${event.tool}` });
+      }
+    };
+
+    const { controller, sessions } = this.active.get(run.id);
+    const approvalSessionId = crypto.randomUUID();
+    sessions.add(approvalSessionId);
+
+    const params = {
+      ...baseParams,
+      message: run.message,
+      model: agent.model || baseParams.model,
+      workspaceId: agent.workspaceId,
+      currentFolder: agent.path,
+      allowedRoot: agent.path,
+      terminalPolicy: baseParams.terminalPolicy ? { ...baseParams.terminalPolicy, allowedRoot: agent.path } : baseParams.terminalPolicy,
+      approvalSessionId,
+      abortSignal: controller.signal,
+      conversationHistory: [],
+      // Editor state belongs to the source folder, not to the agents' copies
+      documentContent: null,
+      selectedText: null,
+      fileName: null
+    };
+
+    try {
+      const result = await this.runAgent(params, eventEmitter);
+      if (controller.signal.aborted) throw new Error('Cancelled by user');
+      if (!result.success) throw new Error(result.error || 'Agent run failed');
+
+      agent.response = result.response || '';
+      agent.tokensUsed = result.tokensUsed || 0;
+      agent.iterations = result.iterations || agent.iterations;
+      agent.filesWritten = this._writePendingEdits(agent, result.pendingEdits || []);
+
+      // Commit whatever the agent produced (queued edits and terminal changes alike)
+      this.workspaceManager.commit(agent.workspaceId, `${agent.label}${agent.model ? ` (${agent.model})` : ''}: ${run.message.slice(0, 120)}`);
+      agent.diff = this._diff(agent);
+      agent.status = 'completed';
+    } catch (err) {
+      agent.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      agent.error = controller.signal.aborted ? 'Cancelled by user' : err.message;
+      console.warn(`[ORCHESTRATOR] ${run.id}/${agent.id} ${agent.status}: ${agent.error}`);
+      try { agent.diff = this._diff(agent); } catch { /* workspace may be gone */ }
+    } finally {
+      agent.pendingApproval = null;
+      agent.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * The workspace is private to this agent, so its queued edits are applied
+   * straight to disk instead of going through the review queue.
+   */
+  _writePendingEdits(agent, pendingEdits) {
+    const written = new Set();
+    for (const pending of pendingEdits) {
+      if (!pending || !pending.file || typeof pending.edit !== 'string') continue;
+      const filePath = path.resolve(agent.path, pending.file);
+      if (!filePath.startsWith(agent.path + path.sep)) {
+        console.warn(`[ORCHESTRATOR] Skipping edit outside workspace: ${pending.file}`);
+        continue;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, pending.edit, 'utf-8');
+      written.add(path.relative(agent.path, filePath));
+    }
+    return Array.from(written);
+  }
+
+  _diff(agent) {
+    const diff = this.workspaceManager.diff(agent.workspaceId);
+    const truncated = diff.diff.length > MAX_DIFF_CHARS;
+    return {
+      files: diff.files,
+      summary: diff.summary,
+      diff: truncated ? diff.diff.slice(0, MAX_DIFF_CHARS) : diff.diff,
+      truncated
+    };
+  }
+
+  _discardAgents(run, agents) {
+    const discarded = [];
+    for (const agent of agents) {
+      if (agent.status === 'discarded' || agent.status === 'merged') continue;
+      try {
+        this.workspaceManager.remove(agent.workspaceId);
+      } catch (err) {
+        console.warn(`[ORCHESTRATOR] Failed to discard ${run.id}/${agent.id}: ${err.message}`);
+        continue;
+      }
+      agent.status = 'discarded';
+      discarded.push(agent.id);
+    }
+    return discarded;
+  }
+
+  _requireSettledRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    if (run.agents.some(a => a.status === 'queued' || a.status === 'running')) {
+      throw new Error(`Run ${runId} is still running — wait for every agent to finish`);
+    }
+    return run;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getAgentOrchestrator(options = {}) {
+  if (!instance) {
+    instance = new AgentOrchestrator(options);
+  }
+  return instance;
+}
+
+module.exports = { AgentOrchestrator, getAgentOrchestrator, MAX_AGENTS };
@@ -9,6 +9,7 @@ const { toolDefinitions, ToolExecutor } = require('./tools');
 const { getAnthropicApiKey, prepareSystemPrompt } = require('./services/anthropic-oauth');
 const { getDefaultRegistry } = require('./providers');
 const { getModelId, qualifyModelSelection } = require('../lib/model-selection');
+const { evaluateToolPolicy, previewToolArgs, getToolApprovalManager } = require('./tool-approvals');
 
 // ============================================================================
 // SESSION MUTEX - Prevent concurrent agent sessions on the same folder
@@ -537,9 +538,10 @@ Tool details are in their function definitions. Key tools:
 - **read_image** / **create_image** / **edit_image** — View, generate (GPT-Image-1.5), or edit images
 - **list_directory** — Explore project structure
 - **grep_search** — Exact text/pattern search (results capped at 50 — narrow query if truncated)
-- **codebase_search** — Semantic search by meaning (use for "how does X work?" style queries)
+- **codebase_search** — Hybrid meaning + identifier search (use for "how does X work?" style queries or to locate a named symbol; optional path glob and language filters); cite results by their file:line location
 - **edit_file_range** / **search_replace** — Surgical edits (PREFERRED for targeted changes)
 - **insert_lines** / **delete_lines** — Line-level operations
+- **apply_patch** — Unified diff or patch envelope for multi-hunk / multi-file changes in one call (failed hunks are reported individually)
 - **edit_file** — Full file rewrite (ONLY for complete restructuring)
 - **create_file** — Create new files (auto-validates JS/JSON syntax)
 - **delete_file** — Delete files/directories
@@ -547,6 +549,7 @@ Tool details are in their function definitions. Key tools:
 - **run_tests** — Verify changes: syntax-check a file or run test suite
 - **progress_update** — Document session progress for continuity across sessions
 - **terminal_open/write/wait/resize/close/list** — PTY terminal sessions
+- **terminal_history** — Commands run in a terminal session with cwd, exit code and output
 - **run_terminal** — One-shot command execution
 
 ## Key Patterns
@@ -635,9 +638,11 @@ When exploring brain research outputs, know the dual structure:
 When the human asks about remembered research, prior findings, coordinator insights, or anything in the connected brain:
 - Start with **\`brain_search\`** using a natural-language query.
 - Use **\`brain_node\`** with a returned \`node_id\` to read the full node.
+- Use **\`brain_traverse\`** to follow edges from a node (neighborhood to depth N, or the path between two nodes) instead of repeating searches.
 - Use **\`brain_thoughts\`** to inspect agent reasoning trails.
 - Use **\`brain_coordinator_insights\`** for high-level strategic review.
 - Use **\`brain_stats\`** for overview/health of the loaded brain.
+- Use **\`brain_remember\`** / **\`brain_link\`** only to save durable conclusions the human would want in the brain later.
 
 Do not claim the brain is unavailable unless these tools fail or no brain is loaded.
 
@@ -904,7 +909,12 @@ async function handleFunctionCalling(openai, anthropic, xai, indexer, params, ev
     allowedToolNames = null,
     disableSpreadsheetParsing = false,
     terminalPolicy = null,
-    terminalManager = null
+    terminalManager = null,
+    toolPolicies = null,
+    approvalSessionId = null,
+    approvalClientId = null,
+    conversationId = null,
+    abortSignal = null
   } = params;
   // Session mutex — prevent concurrent agent sessions on the same folder
   if (currentFolder && activeSessions.has(currentFolder)) {
@@ -1012,7 +1022,8 @@ async function handleFunctionCalling(openai, anthropic, xai, indexer, params, ev
       'terminal_wait',
       'terminal_resize',
       'terminal_close',
-      'terminal_list'
+      'terminal_list',
+      'terminal_history'
     ]);
     availableTools = availableTools.filter((tool) => !terminalToolNames.has(tool.function.name));
     console.log(`[AI] Terminal tools disabled by policy; ${availableTools.length} tools remain`);
@@ -1022,9 +1033,9 @@ async function handleFunctionCalling(openai, anthropic, xai, indexer, params, ev
   const isPlanningMode = !executePlan && (planningMode || (message && message.toLowerCase().startsWith('plan:')));
   if (isPlanningMode) {
     const writeToolNames = new Set([
-      'edit_file', 'edit_file_range', 'search_replace', 'insert_lines', 'delete_lines',
+      'edit_file', 'edit_file_range', 'search_replace', 'insert_lines', 'delete_lines', 'apply_patch',
       'create_file', 'delete_file', 'create_docx', 'create_xlsx', 'create_image', 'edit_image',
-      'terminal_write'
+      'terminal_write', 'brain_remember', 'brain_link'
     ]);
     availableTools = availableTools.filter((tool) => !writeToolNames.has(tool.function.name));
     console.log(`[AI] Planning mode: restricted to ${availableTools.length} read-only + plan tools`);
@@ -1135,7 +1146,7 @@ async function handleFunctionCalling(openai, anthropic, xai, indexer, params, ev
   // BRAIN CONTEXT INJECTION: Auto-inject relevant brain knowledge when enabled
   // ═══════════════════════════════════════════════════════════════════════════
   if (brainEnabled) {
-    const { getQueryEngine, getBrainLoader } = require('./brain-loader-module');
+    const { getQueryEngine, getBrainLoader, listBrains } = require('./brain-loader-module');
     const qe = getQueryEngine();
     const loader = getBrainLoader();
 
@@ -1143,9 +1154,13 @@ async function handleFunctionCalling(openai, anthropic, xai, indexer, params, ev
     if (loader?.brainPath) {
       const brainName = String(loader.brainPath).split('/').filter(Boolean).pop() || 'brain';
       const nodeCount = loader.nodes?.length || 0;
+      const others = listBrains().filter(brain => !brain.active);
+      const mounted = others.length
+        ? `\n**Other mounted brains** (pass the ID as \`brain\` to brain_search/brain_node/brain_traverse, or "all" to search every brain): ${others.map(brain => `${brain.id} (${brain.nodes} nodes)`).join(', ')}`
+        : '';
       systemPrompt = systemPrompt.replace(
         /(\*\*Folder\*\*:.+)/,
-        `$1\n**Brain**: ${brainName} (${nodeCount} nodes, path: ${loader.brainPath})`
+        `$1\n**Brain**: ${brainName} (${nodeCount} nodes, id: ${loader.id}, path: ${loader.brainPath})${mounted}`
       );
     }
 
@@ -1455,8 +1470,68 @@ Execute the pending steps now. Start with the first step that has status "pendin
     allowedToolNames: availableTools.map((tool) => tool.function.name),
     disableSpreadsheetParsing: disableSpreadsheetParsing === true,
     terminalPolicy,
-    terminalManager
+    terminalManager,
+    provenance: { conversationId, model: effectiveModel }
   });
+
+  // Tool approval policies: allow / ask / deny per tool, path glob and command prefix.
+  // "ask" streams an approval_required event and holds this tool call until the
+  // user decides via POST /api/tool-approvals/:approvalId.
+  const approvals = options.approvals || getToolApprovalManager();
+  const approvalSession = approvalSessionId || sessionId;
+  const authorizeToolCall = async (toolName, rawArgs, index) => {
+    if (abortSignal?.aborted) {
+      return { allowed: false, error: 'Agent run was cancelled' };
+    }
+    const args = toolExecutor.normalizeToolArgs(toolName, rawArgs);
+    const decision = evaluateToolPolicy(toolPolicies, toolName, args, { cwd: currentFolder || process.cwd() });
+
+    if (decision.action === 'allow' || approvals.hasSessionGrant(approvalSession, toolName)) {
+      return { allowed: true };
+    }
+
+    if (decision.action === 'deny') {
+      console.log(`[AI] Tool ${toolName} denied by policy (${decision.reason})`);
+      return { allowed: false, error: `Tool "${toolName}" is blocked by tool policy (${decision.reason})` };
+    }
+
+    if (!eventEmitter) {
+      return { allowed: false, error: `Tool "${toolName}" requires user approval (${decision.reason}), but this request cannot prompt for it` };
+    }
+
+    console.log(`[AI] Waiting for approval: ${toolName} (${decision.reason})`);
+    const outcome = await approvals.request({
+      sessionId: approvalSession,
+      clientId: approvalClientId,
+      conversationId,
+      toolName,
+      args,
+      reason: decision.reason,
+      timeoutMs: toolPolicies?.approvalTimeoutMs,
+      notify: (request) => eventEmitter({
+        type: 'approval_required',
+        approvalId: request.approvalId,
+        tool: toolName,
+        args: previewToolArgs(args),
+        reason: decision.reason,
+        timeoutMs: request.timeoutMs,
+        index
+      })
+    });
+
+    eventEmitter?.({
+      type: 'approval_resolved',
+      approvalId: outcome.approvalId,
+      tool: toolName,
+      approved: outcome.approved,
+      reason: outcome.reason,
+      index
+    });
+
+    return outcome.approved
+      ? { allowed: true }
+      : { allowed: false, error: `User did not approve "${toolName}": ${outcome.reason}` };
+  };
   
   // Function calling loop
   const MAX_ITERATIONS = 75;
@@ -1493,6 +1568,16 @@ Execute the pending steps now. Start with the first step that has status "pendin
   
   try {
     while (iterations < MAX_ITERATIONS) {
+      // Cancelled between steps (parallel runs): stop before the next model call
+      if (abortSignal?.aborted) {
+        return {
+          success: false,
+          error: 'Cancelled',
+          tokensUsed: totalTokens,
+          iterations,
+          pendingEdits
+        };
+      }
       iterations++;
 
       // Prevent previous iterations' ephemeral blobs from accumulating
@@ -2260,7 +2345,10 @@ Execute the pending steps now. Start with the first step that has status "pendin
                 console.error(`[AI] Failed to emit tool_start:`, emitErr.message);
               }
 
-              const result = await toolExecutor.execute(canonicalToolName, args);
+              const authorization = await authorizeToolCall(canonicalToolName, args, idx);
+              const result = authorization.allowed
+                ? await toolExecutor.execute(canonicalToolName, args)
+                : { error: authorization.error, blocked_by_policy: true };
             
             if (result.action === 'queue_edit' || result.action === 'queue_create') {
               pendingEdits.push({
@@ -2272,6 +2360,16 @@ Execute the pending steps now. Start with the first step that has status "pendin
               if (result.file_path && result.code_edit) {
                 toolExecutor.trackPendingEdit(result.file_path, result.code_edit);
               }
+            } else if (result.action === 'queue_patch') {
+              for (const edit of result.edits) {
+                pendingEdits.push({
+                  file: edit.file_path,
+                  instructions: result.instructions || result.message,
+                  edit: edit.code_edit,
+                  isNew: edit.is_new
+                });
+                toolExecutor.trackPendingEdit(edit.file_path, edit.code_edit);
+              }
             }
 
             // Plan tool events — emit to frontend for plan dock
@@ -2293,6 +2391,9 @@ Execute the pending steps now. Start with the first step that has status "pendin
               summary = `Error: ${result.error}`;
             } else if (result.action === 'queue_edit' || result.action === 'queue_create') {
               summary = `${result.action === 'queue_create' ? 'New file' : 'Edit'} queued: ${result.file_path || 'file'}`;
+            } else if (result.action === 'queue_patch') {
+              const failedCount = result.failed_hunks?.length || 0;
+              summary = `Patch queued: ${result.edits.length} file(s)${failedCount ? `, ${failedCount} hunk(s) failed` : ''}`;
             } else if (canonicalToolName === 'file_read' || canonicalToolName === 'read_image') {
               const size = result.content ? `${(result.content.length / 1024).toFixed(1)}KB` : '';
               summary = `${args?.file_path || 'file'} ${size ? `(${size})` : ''}`;
@@ -2324,6 +2425,9 @@ Execute the pending steps now. Start with the first step that has status "pendin
               summary = `Terminal closed: ${result.session_id || args?.session_id || 'session'}`;
             } else if (canonicalToolName === 'terminal_list') {
               summary = `${result.count || 0} terminal session(s)`;
+            } else if (canonicalToolName === 'terminal_history') {
+              const failed = (result.commands || []).filter(c => typeof c.exit_code === 'number' && c.exit_code !== 0).length;
+              summary = `${result.commands?.length || 0} command(s)${failed ? `, ${failed} failed` : ''}: ${result.session_id || args?.session_id || 'session'}`;
             } else if (canonicalToolName === 'delete_file') {
               summary = `Deleted: ${args?.file_path || 'file'}`;
             } else if (result.files) {
@@ -2528,6 +2632,7 @@ Execute the pending steps now. Start with the first step that has status "pendin
   } finally {
     // Release session mutex
     if (currentFolder) activeSessions.delete(currentFolder);
+    getToolApprovalManager().endSession(approvalSessionId || sessionId, 'Agent run finished');
   }
 }
 
@@ -0,0 +1,112 @@
+/**
+ * In-memory inverted index with BM25 scoring for code chunks.
+ *
+ * Terms come from the same tokenizer as the local embedder: whole
+ * identifiers are kept ("resolveandvalidatepath") alongside their camelCase /
+ * snake_case parts, so an exact identifier is a rare, high-IDF term while
+ * prose queries still hit the parts.
+ *
+ * Built from the chunk list on demand; cheap enough that it is not persisted.
+ */
+
+const path = require('path');
+const { tokenize } = require('../lib/embedding-provider');
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+const SYMBOL_BOOST = 3; // symbol names count as if they appeared this many times
+
+class BM25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? DEFAULT_K1;
+    this.b = options.b ?? DEFAULT_B;
+    this.postings = new Map(); // term → [[docIndex, termFrequency], ...]
+    this.docLengths = [];
+    this.avgDocLength = 0;
+  }
+
+  /**
+   * Terms for a chunk: content, file name and (boosted) symbol names
+   */
+  documentTerms(chunk) {
+    const terms = tokenize(chunk.content);
+    if (chunk.filePath) {
+      terms.push(...tokenize(path.basename(chunk.filePath)));
+    }
+    const symbolTerms = tokenize([chunk.parent, chunk.name].filter(Boolean).join(' '));
+    for (let i = 0; i < SYMBOL_BOOST; i++) {
+      terms.push(...symbolTerms);
+    }
+    return terms;
+  }
+
+  /**
+   * (Re)build the index. Document ids are positions in `chunks`.
+   * @param {Object[]} chunks
+   * @returns {BM25Index}
+   */
+  build(chunks) {
+    this.postings = new Map();
+    this.docLengths = new Array(chunks.length);
+    let totalLength = 0;
+
+    chunks.forEach((chunk, docIndex) => {
+      const terms = this.documentTerms(chunk);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const [term, tf] of frequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push([docIndex, tf]);
+      }
+      this.docLengths[docIndex] = terms.length;
+      totalLength += terms.length;
+    });
+
+    this.avgDocLength = chunks.length > 0 ? totalLength / chunks.length : 0;
+    return this;
+  }
+
+  get size() {
+    return this.docLengths.length;
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.length || 0;
+    return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {Function} [options.filter] - (docIndex) → boolean
+   * @returns {Array<{index: number, score: number}>} best first
+   */
+  search(query, options = {}) {
+    const { limit = 10, filter = null } = options;
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+      const idf = this.idf(term);
+
+      for (const [docIndex, tf] of postings) {
+        if (filter && !filter(docIndex)) continue;
+        const lengthNorm = 1 - this.b + this.b * (this.docLengths[docIndex] / (this.avgDocLength || 1));
+        const score = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      }
+    }
+
+    return Array.from(scores, ([index, score]) => ({ index, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = BM25Index;
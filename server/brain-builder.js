@@ -0,0 +1,608 @@
+/**
+ * Brain Builder
+ *
+ * Builds a .brain directory from a repository or document folder, so a brain
+ * no longer has to come from a COSMO run:
+ *
+ *   - code is split with the codebase indexer's language chunkers
+ *   - markdown/text is split by heading and paragraph
+ *   - DOCX/XLSX/MSG/PDF text comes from document-text.js
+ *
+ * Every chunk becomes a memory node (with its file as a parent node) and is
+ * embedded with the configured embedding provider. Node IDs come from the
+ * file's relative path and the chunk's kind and name, so rebuilding a changed
+ * folder keeps the IDs of everything else and brain diffs stay meaningful. Edges come from file
+ * containment, imports, document links and embedding similarity. The output
+ * (state.json.gz + manifest.json) loads like any COSMO brain in loadBrain,
+ * QueryEngine and PGSEngine.
+ *
+ * Node vectors land in `node.embedding` only when the provider is COSMO's
+ * native space (text-embedding-3-small@512); other providers write the
+ * per-model side cache QueryEngine reads for non-native embeddings.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const gzip = promisify(zlib.gzip);
+
+const { chunkFile, getChunker, getSupportedExtensions } = require('./chunkers');
+const { extractDocumentText, isDocumentFile } = require('./document-text');
+const { createEmbeddingProvider, modelSlug } = require('../lib/embedding-provider');
+
+// QueryEngine treats this vector space as the brain's own (node.embedding)
+const NATIVE_EMBEDDING_MODEL_ID = 'openai/text-embedding-3-small@512';
+
+const CODE_EXTENSIONS = new Set([...getSupportedExtensions(), '.rb']);
+const TEXT_EXTENSIONS = new Set(['.md', '.markdown', '.mdx', '.txt', '.rst', '.adoc']);
+const IGNORED_DIRS = new Set([
+  'node_modules', 'dist', 'build', 'out', 'coverage', 'vendor', 'target',
+  '__pycache__', 'venv', 'env', 'bower_components'
+]);
+
+const DEFAULT_MAX_FILES = 2000;
+const MAX_TEXT_BYTES = 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+const MAX_CONCEPT_CHARS = 4000;
+const TEXT_CHUNK_CHARS = 1500;
+const EMBED_BATCH_SIZE = 32;
+const SIMILAR_NEIGHBORS = 3;
+// Cosine floor for similarity edges; the local hashing embedder scores related text much lower
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+const LOCAL_SIMILARITY_THRESHOLD = 0.3;
+
+const SPREADSHEET_EXTENSIONS = new Set(['.xlsx', '.xls']);
+
+const JS_RESOLVE_SUFFIXES = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '.json', '/index.js', '/index.ts', '/index.tsx'];
+
+function toPosix(relPath) {
+  return relPath.split(path.sep).join('/');
+}
+
+function fileKind(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (CODE_EXTENSIONS.has(ext)) return 'code';
+  if (TEXT_EXTENSIONS.has(ext)) return ext === '.txt' ? 'text' : 'markdown';
+  if (isDocumentFile(filePath)) return 'document';
+  return null;
+}
+
+/**
+ * Files to ingest, depth-first, skipping hidden/build/dependency folders and
+ * nested .brain directories (and spreadsheets when `skipSpreadsheets` is set)
+ */
+async function collectFiles(root, maxFiles, { skipSpreadsheets = false } = {}) {
+  const files = [];
+  let skipped = 0;
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const absPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRS.has(entry.name) || entry.name.endsWith('.brain')) continue;
+        await walk(absPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      const kind = fileKind(entry.name);
+      if (!kind) continue;
+      if (skipSpreadsheets && SPREADSHEET_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) continue;
+      if (files.length >= maxFiles) {
+        skipped++;
+        continue;
+      }
+      files.push({ absPath, relPath: toPosix(path.relative(root, absPath)), kind });
+    }
+  };
+
+  await walk(root);
+  return { files, skipped };
+}
+
+/**
+ * Split prose into sections (markdown headings) and ~TEXT_CHUNK_CHARS pieces
+ * on paragraph boundaries
+ */
+function splitText(content, { markdown = false } = {}) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of content.split('\n')) {
+    const heading = markdown ? line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/) : null;
+    if (heading && current.lines.join('').trim()) {
+      sections.push(current);
+      current = { heading: heading[1], lines: [line] };
+    } else {
+      if (heading) current.heading = heading[1];
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.join('').trim()) sections.push(current);
+
+  const chunks = [];
+  for (const section of sections) {
+    let buffer = '';
+    const flush = () => {
+      if (buffer.trim()) chunks.push({ name: section.heading, content: buffer.trim() });
+      buffer = '';
+    };
+    for (const paragraph of section.lines.join('\n').split(/\n\s*\n/)) {
+      if (buffer && buffer.length + paragraph.length > TEXT_CHUNK_CHARS) flush();
+      // A single oversized paragraph is cut into fixed windows
+      for (let i = 0; i < paragraph.length; i += TEXT_CHUNK_CHARS * 2) {
+        buffer += (buffer ? '\n\n' : '') + paragraph.slice(i, i + TEXT_CHUNK_CHARS * 2);
+        if (buffer.length > TEXT_CHUNK_CHARS) flush();
+      }
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/**
+ * Module specifiers imported by a code file
+ */
+function parseImports(content, ext) {
+  const specifiers = new Set();
+  if (ext === '.py' || ext === '.pyw') {
+    for (const match of content.matchAll(/^\s*from\s+(\.*[\w.]*)\s+import\s+\(?([\w\s,]+)/gm)) {
+      const from = match[1];
+      specifiers.add(from);
+      // `from . import helpers` / `from pkg import module` may name submodules
+      for (const name of match[2].split(',').map(part => part.trim().split(/\s+/)[0]).filter(Boolean)) {
+        specifiers.add(from.endsWith('.') ? `${from}${name}` : `${from}.${name}`);
+      }
+    }
+    for (const match of content.matchAll(/^\s*import\s+([\w.]+(?:\s*,\s*[\w.]+)*)/gm)) {
+      match[1].split(',').forEach(name => specifiers.add(name.trim()));
+    }
+    return Array.from(specifiers);
+  }
+
+  const patterns = [
+    /\bimport\s+(?:[^'"`;]+?\s+from\s+)?['"]([^'"]+)['"]/g,
+    /\bexport\s+[^'"`;]*?\s+from\s+['"]([^'"]+)['"]/g,
+    /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+  ];
+  for (const pattern of patterns) {
+    for (const match of content.matchAll(pattern)) specifiers.add(match[1]);
+  }
+  return Array.from(specifiers);
+}
+
+/**
+ * Relative link targets in a markdown file (inline links and [[wiki links]])
+ */
+function parseLinks(content) {
+  const links = [];
+  for (const match of content.matchAll(/\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+    const target = match[1];
+    if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(target)) continue; // URLs, mailto:, anchors
+    let decoded = target.split('#')[0];
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (_) {
+      // Keep malformed escapes as written
+    }
+    links.push({ type: 'path', target: decoded });
+  }
+  for (const match of content.matchAll(/\[\[([^\]|#]+)(?:[#|][^\]]*)?\]\]/g)) {
+    links.push({ type: 'wiki', target: match[1].trim() });
+  }
+  return links.filter(link => link.target);
+}
+
+function resolveImport(specifier, fromRel, ext, fileIndex) {
+  const fromDir = path.posix.dirname(fromRel);
+
+  if (ext === '.py' || ext === '.pyw') {
+    const dots = specifier.match(/^\.*/)[0].length;
+    const modulePath = specifier.slice(dots).replace(/\./g, '/');
+    let base = '';
+    if (dots > 0) {
+      base = fromDir;
+      for (let i = 1; i < dots; i++) base = path.posix.dirname(base);
+    }
+    const joined = path.posix.normalize(path.posix.join(base, modulePath));
+    for (const candidate of [`${joined}.py`, `${joined}/__init__.py`]) {
+      if (fileIndex.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  if (!specifier.startsWith('.')) return null; // packages are outside the brain
+  const joined = path.posix.normalize(path.posix.join(fromDir, specifier));
+  for (const suffix of JS_RESOLVE_SUFFIXES) {
+    if (fileIndex.has(joined + suffix)) return joined + suffix;
+  }
+  return null;
+}
+
+function resolveLink(link, fromRel, fileIndex, wikiIndex) {
+  if (link.type === 'wiki') {
+    return wikiIndex.get(link.target.toLowerCase()) || null;
+  }
+  const joined = path.posix.normalize(path.posix.join(path.posix.dirname(fromRel), link.target));
+  for (const candidate of [joined, `${joined}.md`, `${joined}/README.md`, `${joined}/index.md`]) {
+    if (fileIndex.has(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Numeric node ID from a stable key: 48 bits of its SHA-1 keep it a safe
+ * integer like COSMO's IDs; a collision takes the next free number.
+ */
+function stableNodeId(key, taken) {
+  let id = Number.parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 12), 16);
+  while (taken.has(id)) id++;
+  taken.add(id);
+  return id;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+class BrainBuilder {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.config] - Evobrew config (selects the embedding provider)
+   * @param {EmbeddingProvider|null} [options.embeddingProvider] - overrides the configured provider; null builds without vectors (keyword search only)
+   * @param {number} [options.maxFiles]
+   * @param {number} [options.similarityThreshold] - cosine floor for similarity edges
+   * @param {boolean} [options.disableSpreadsheetParsing] - skip .xlsx/.xls files (internet profile)
+   * @param {Function} [options.onProgress] - ({ phase, message }) => void
+   */
+  constructor(options = {}) {
+    // Pinned to 512 dims like mounted brains, so OpenAI vectors are native
+    this.embedder = options.embeddingProvider !== undefined
+      ? options.embeddingProvider
+      : createEmbeddingProvider({ config: options.config, dimensions: 512 });
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.similarityThreshold = options.similarityThreshold ?? (
+      String(this.embedder?.modelId || '').startsWith('local/') ? LOCAL_SIMILARITY_THRESHOLD : DEFAULT_SIMILARITY_THRESHOLD
+    );
+    this.disableSpreadsheetParsing = options.disableSpreadsheetParsing === true;
+    this.onProgress = options.onProgress || (() => {});
+  }
+
+  progress(phase, message, extra = {}) {
+    this.onProgress({ phase, message, ...extra });
+  }
+
+  /**
+   * Read and chunk one file
+   * @returns {Promise<{ outline: string[], chunks: Object[], content: string }|null>}
+   */
+  async readFile(file) {
+    const stat = await fs.stat(file.absPath);
+    const limit = file.kind === 'document' ? MAX_DOCUMENT_BYTES : MAX_TEXT_BYTES;
+    if (stat.size === 0 || stat.size > limit) return null;
+
+    let content;
+    if (file.kind === 'document') {
+      content = (await extractDocumentText(file.absPath, { format: 'text' })).content;
+    } else {
+      content = await fs.readFile(file.absPath, 'utf8');
+      if (content.includes('\u0000')) return null; // binary despite the extension
+    }
+    if (!content.trim()) return null;
+
+    if (file.kind === 'code') {
+      const chunks = chunkFile(content, file.relPath).map(chunk => ({
+        content: chunk.content,
+        name: chunk.name ? (chunk.parent ? `${chunk.parent}.${chunk.name}` : chunk.name) : null,
+        kind: chunk.kind || 'block',
+        language: chunk.language || null,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine
+      }));
+      // Files too small for the chunkers' minimum block size become one chunk
+      if (chunks.length === 0) {
+        chunks.push({
+          content: content.trimEnd(),
+          name: null,
+          kind: 'block',
+          language: getChunker(file.relPath)?.language || null,
+          startLine: 1,
+          endLine: content.trimEnd().split('\n').length
+        });
+      }
+      return { content, chunks, outline: chunks.filter(c => c.name).map(c => `${c.kind} ${c.name}`) };
+    }
+
+    const chunks = splitText(content, { markdown: file.kind === 'markdown' }).map(chunk => ({
+      ...chunk,
+      kind: 'section',
+      language: null
+    }));
+    return { content, chunks, outline: Array.from(new Set(chunks.map(c => c.name).filter(Boolean))) };
+  }
+
+  async embedNodes(nodes) {
+    if (!this.embedder) return new Map();
+    const vectors = new Map();
+
+    for (let i = 0; i < nodes.length; i += EMBED_BATCH_SIZE) {
+      const batch = nodes.slice(i, i + EMBED_BATCH_SIZE);
+      try {
+        const embeddings = await this.embedder.embed(batch.map(node => node.concept.substring(0, 8000)));
+        batch.forEach((node, j) => {
+          if (Array.isArray(embeddings[j])) vectors.set(node.id, embeddings[j]);
+        });
+      } catch (error) {
+        console.error('[BRAIN BUILD] Embedding batch failed:', error.message);
+      }
+      this.progress('embed', `Embedded ${Math.min(i + EMBED_BATCH_SIZE, nodes.length)}/${nodes.length} nodes`, {
+        done: Math.min(i + EMBED_BATCH_SIZE, nodes.length),
+        total: nodes.length
+      });
+    }
+    return vectors;
+  }
+
+  /**
+   * Top-k nearest chunks per chunk (different files only), undirected
+   */
+  similarityEdges(chunkNodes, vectors) {
+    const items = chunkNodes.filter(node => vectors.has(node.id));
+    const edges = new Map();
+
+    for (let i = 0; i < items.length; i++) {
+      const a = items[i];
+      const va = vectors.get(a.id);
+      const best = [];
+      for (let j = 0; j < items.length; j++) {
+        const b = items[j];
+        if (i === j || a.source.path === b.source.path) continue;
+        const score = cosine(va, vectors.get(b.id));
+        if (score < this.similarityThreshold) continue;
+        best.push({ id: b.id, score });
+        if (best.length > SIMILAR_NEIGHBORS * 4) {
+          best.sort((x, y) => y.score - x.score).length = SIMILAR_NEIGHBORS;
+        }
+      }
+      best.sort((x, y) => y.score - x.score);
+      for (const { id, score } of best.slice(0, SIMILAR_NEIGHBORS)) {
+        const key = a.id < id ? `${a.id}:${id}` : `${id}:${a.id}`;
+        if (!edges.has(key)) {
+          edges.set(key, { source: Math.min(a.id, id), target: Math.max(a.id, id), type: 'similar', weight: Math.round(score * 1000) / 1000 });
+        }
+      }
+    }
+    return Array.from(edges.values());
+  }
+
+  /**
+   * Build a brain
+   *
+   * @param {string} sourceDir - folder to ingest
+   * @param {string} outputDir - .brain directory to write (must not already hold a brain unless overwrite)
+   * @param {Object} [options]
+   * @param {string} [options.name]
+   * @param {boolean} [options.overwrite]
+   * @returns {Promise<Object>} build summary
+   */
+  async build(sourceDir, outputDir, options = {}) {
+    const source = path.resolve(sourceDir);
+    const output = path.resolve(outputDir);
+    const name = options.name || path.basename(output).replace(/\.brain$/i, '');
+
+    const sourceStat = await fs.stat(source).catch(() => null);
+    if (!sourceStat || !sourceStat.isDirectory()) {
+      throw new Error(`Source folder not found: ${source}`);
+    }
+    if (output === source || (output.startsWith(source + path.sep) && !output.endsWith('.brain'))) {
+      throw new Error('Output must be a .brain directory outside the ingested files');
+    }
+    const statePath = path.join(output, 'state.json.gz');
+    if (!options.overwrite && await fs.stat(statePath).then(() => true).catch(() => false)) {
+      throw new Error(`A brain already exists at ${output}`);
+    }
+
+    const builtAt = new Date().toISOString();
+    const { files, skipped } = await collectFiles(source, this.maxFiles, { skipSpreadsheets: this.disableSpreadsheetParsing });
+    this.progress('scan', `Found ${files.length} files${skipped ? ` (${skipped} over the ${this.maxFiles}-file limit skipped)` : ''}`);
+
+    const nodes = [];
+    const edges = [];
+    const fileNodes = new Map(); // relPath → { node, file, content }
+    const chunkNodes = [];
+    const takenIds = new Set();
+    const counts = { contains: 0, imports: 0, links: 0, similar: 0 };
+
+    const makeNode = (key, concept, tag, sourceInfo, activation) => ({
+      id: stableNodeId(key, takenIds),
+      concept: concept.length > MAX_CONCEPT_CHARS ? `${concept.slice(0, MAX_CONCEPT_CHARS)}…` : concept,
+      tag,
+      created: builtAt,
+      accessed: builtAt,
+      activation,
+      weight: 1.0,
+      embedding: null,
+      source: sourceInfo
+    });
+
+    for (const [index, file] of files.entries()) {
+      let parsed;
+      try {
+        parsed = await this.readFile(file);
+      } catch (error) {
+        console.warn(`[BRAIN BUILD] Skipping ${file.relPath}: ${error.message}`);
+        continue;
+      }
+      if (!parsed || parsed.chunks.length === 0) continue;
+
+      const outline = parsed.outline.length
+        ? parsed.outline.slice(0, 40).join('\n')
+        : parsed.content.slice(0, 500);
+      const fileNode = makeNode(`file\u0000${file.relPath}`, `File: ${file.relPath}\n\n${outline}`, 'file', { path: file.relPath, kind: 'file' }, 0.6);
+      nodes.push(fileNode);
+      fileNodes.set(file.relPath, { node: fileNode, file, content: parsed.content });
+
+      // Keyed by name (or position among unnamed chunks) rather than line
+      // range, so edits above a chunk don't change its ID
+      const occurrences = new Map();
+      for (const chunk of parsed.chunks) {
+        const chunkKey = `chunk\u0000${file.relPath}\u0000${chunk.kind}\u0000${chunk.name || ''}`;
+        const occurrence = occurrences.get(chunkKey) || 0;
+        occurrences.set(chunkKey, occurrence + 1);
+        const location = chunk.startLine ? `:${chunk.startLine}-${chunk.endLine}` : '';
+        const header = `${file.relPath}${location}${chunk.name ? ` — ${chunk.name}` : ''}`;
+        const node = makeNode(`${chunkKey}\u0000${occurrence}`, `${header}\n\n${chunk.content}`, file.kind, {
+          path: file.relPath,
+          kind: chunk.kind,
+          name: chunk.name || null,
+          language: chunk.language,
+          ...(chunk.startLine ? { startLine: chunk.startLine, endLine: chunk.endLine } : {})
+        }, 0.5);
+        nodes.push(node);
+        chunkNodes.push(node);
+        edges.push({ source: fileNode.id, target: node.id, type: 'contains', weight: 1.0 });
+        counts.contains++;
+      }
+
+      if ((index + 1) % 50 === 0) {
+        this.progress('chunk', `Chunked ${index + 1}/${files.length} files`, { done: index + 1, total: files.length });
+      }
+    }
+    this.progress('chunk', `Created ${nodes.length} nodes from ${fileNodes.size} files`);
+
+    // Structural edges: imports between code files, links between documents
+    const fileIndex = new Set(fileNodes.keys());
+    const wikiIndex = new Map();
+    for (const relPath of fileIndex) {
+      const key = path.posix.basename(relPath, path.posix.extname(relPath)).toLowerCase();
+      if (!wikiIndex.has(key)) wikiIndex.set(key, relPath);
+    }
+    const structural = new Set();
+    const addFileEdge = (fromRel, toRel, type, weight) => {
+      if (!toRel || toRel === fromRel) return;
+      const key = `${fromRel}\u0000${toRel}\u0000${type}`;
+      if (structural.has(key)) return;
+      structural.add(key);
+      edges.push({ source: fileNodes.get(fromRel).node.id, target: fileNodes.get(toRel).node.id, type, weight });
+      counts[type]++;
+    };
+
+    for (const [relPath, { file, content }] of fileNodes) {
+      const ext = path.extname(relPath).toLowerCase();
+      if (file.kind === 'code') {
+        for (const specifier of parseImports(content, ext)) {
+          addFileEdge(relPath, resolveImport(specifier, relPath, ext, fileIndex), 'imports', 0.8);
+        }
+      } else if (file.kind === 'markdown') {
+        for (const link of parseLinks(content)) {
+          addFileEdge(relPath, resolveLink(link, relPath, fileIndex, wikiIndex), 'links', 0.7);
+        }
+      }
+    }
+
+    // Embeddings and similarity edges
+    const modelId = this.embedder?.modelId || null;
+    if (this.embedder) {
+      this.progress('embed', `Embedding ${nodes.length} nodes with ${modelId}...`);
+    }
+    const vectors = await this.embedNodes(nodes);
+    const native = modelId === NATIVE_EMBEDDING_MODEL_ID;
+    if (native) {
+      for (const node of nodes) node.embedding = vectors.get(node.id) || null;
+    }
+
+    if (vectors.size > 0) {
+      this.progress('link', 'Linking similar chunks...');
+      const similar = this.similarityEdges(chunkNodes, vectors);
+      edges.push(...similar);
+      counts.similar = similar.length;
+    }
+
+    // Write the brain: side cache first, state last (its presence marks a brain)
+    await fs.mkdir(output, { recursive: true });
+    if (vectors.size > 0 && !native) {
+      const cache = {
+        version: 1,
+        model: modelId,
+        created: builtAt,
+        nodes: Array.from(vectors.entries()).map(([id, embedding]) => ({ id, embedding })),
+        thoughts: []
+      };
+      await fs.writeFile(path.join(output, `embeddings-cache.${modelSlug(modelId)}.json`), JSON.stringify(cache));
+    }
+
+    const build = {
+      tool: 'evobrew brain build',
+      sourcePath: source,
+      builtAt,
+      files: fileNodes.size,
+      skippedFiles: skipped,
+      embeddingModel: modelId,
+      edges: counts
+    };
+    const manifest = {
+      brain: {
+        name: path.basename(output),
+        displayName: name,
+        created: builtAt,
+        description: `Built from ${source}`
+      },
+      cosmo: { cycles: 0 },
+      content: { nodeCount: nodes.length, edgeCount: edges.length },
+      build
+    };
+    const state = {
+      cycleCount: 0,
+      timestamp: builtAt,
+      domain: name,
+      runMetadata: { domain: name, ...build },
+      memory: { nodes, edges }
+    };
+
+    await fs.writeFile(path.join(output, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    const tmpPath = `${statePath}.tmp-${process.pid}`;
+    await fs.writeFile(tmpPath, await gzip(JSON.stringify(state)));
+    await fs.rename(tmpPath, statePath);
+
+    this.progress('done', `Brain written to ${output}: ${nodes.length} nodes, ${edges.length} edges`);
+    return {
+      brainPath: output,
+      name,
+      files: fileNodes.size,
+      skippedFiles: skipped,
+      nodes: nodes.length,
+      edges: edges.length,
+      edgeTypes: counts,
+      embeddingModel: modelId,
+      embedded: vectors.size
+    };
+  }
+}
+
+module.exports = {
+  BrainBuilder,
+  splitText,
+  parseImports,
+  parseLinks
+};
@@ -0,0 +1,390 @@
+/**
+ * Brain Diff
+ *
+ * Compares two snapshots of a brain (typically an older and a newer .brain of
+ * the same research) and reports what changed:
+ *
+ *   nodes    — added, removed, modified (content, tag, activation, weight)
+ *   edges    — added, removed, reweighted
+ *   clusters — clusters in the newer snapshot with no counterpart in the older
+ *
+ * Nodes are matched by ID first, then by content hash, so a node that was
+ * renumbered between runs counts as the same node. A reused ID whose content
+ * has little in common with the old node is an addition plus a removal, not
+ * a modification. Clusters come from the
+ * nodes' own `cluster` field when both snapshots carry one, otherwise from
+ * the same Louvain partitioning PGS uses.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const gunzip = promisify(zlib.gunzip);
+
+const { PGSEngine } = require('../lib/pgs-engine');
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_EPSILON = 0.01;
+const CONCEPT_PREVIEW_CHARS = 200;
+// A cluster is new when no older cluster holds at least this share of its members
+const NEW_CLUSTER_OVERLAP = 0.5;
+// Same-ID nodes with changed content count as modified only above this word overlap
+const MODIFIED_MIN_SIMILARITY = 0.5;
+
+function contentHash(node) {
+  const text = String(node.concept || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function conceptWords(node) {
+  return new Set(String(node.concept || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+}
+
+/**
+ * Dice coefficient of the two concepts' word sets (0..1)
+ */
+function conceptSimilarity(a, b) {
+  const wordsA = conceptWords(a);
+  const wordsB = conceptWords(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function preview(node) {
+  const concept = String(node.concept || '');
+  return {
+    id: node.id,
+    tag: node.tag,
+    concept: concept.length > CONCEPT_PREVIEW_CHARS ? `${concept.slice(0, CONCEPT_PREVIEW_CHARS)}…` : concept,
+    activation: node.activation,
+    weight: node.weight
+  };
+}
+
+function edgeWeight(edge) {
+  return typeof edge.weight === 'number' ? edge.weight : 0.5;
+}
+
+function numberChange(from, to, epsilon) {
+  const a = typeof from === 'number' ? from : 0;
+  const b = typeof to === 'number' ? to : 0;
+  if (Math.abs(b - a) < epsilon) return null;
+  return { from: round(a), to: round(b), delta: round(b - a) };
+}
+
+/**
+ * Read a .brain directory into a snapshot
+ * @param {string} brainPath
+ * @returns {Promise<{ name: string, brainPath: string, nodes: Object[], edges: Object[], cycles: number, timestamp: string|null }>}
+ */
+async function loadBrainSnapshot(brainPath) {
+  const resolved = path.resolve(brainPath);
+  const statePath = path.join(resolved, 'state.json.gz');
+  let compressed;
+  try {
+    compressed = await fs.readFile(statePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`No state.json.gz found in ${resolved}`);
+    throw error;
+  }
+  const state = JSON.parse((await gunzip(compressed)).toString());
+  return snapshotFromState(state, { name: path.basename(resolved), brainPath: resolved });
+}
+
+/**
+ * Snapshot of an in-memory brain (a mounted brain, or a parsed state)
+ */
+function snapshotFromState(state, { name, brainPath, nodes, edges } = {}) {
+  return {
+    name: name || null,
+    brainPath: brainPath || null,
+    nodes: nodes || state.memory?.nodes || [],
+    edges: edges || state.memory?.edges || [],
+    cycles: state.cycleCount || 0,
+    timestamp: state.timestamp || null
+  };
+}
+
+/**
+ * Pair nodes of the two snapshots: same ID and content, then same content
+ * under another ID (renumbered), then same ID with similar content. Tags
+ * are too coarse for that last step (a built brain tags every file node
+ * "file"), so it compares the concepts' words.
+ * @returns {{ pairs: Array<[Object, Object]>, added: Object[], removed: Object[], newToOld: Map<string, string>, oldToNew: Map<string, string> }}
+ */
+function matchNodes(baseNodes, compareNodes) {
+  const baseById = new Map(baseNodes.map(node => [String(node.id), node]));
+  const hashes = new Map(); // node → content hash
+  const hashOf = node => {
+    if (!hashes.has(node)) hashes.set(node, contentHash(node));
+    return hashes.get(node);
+  };
+  const pairs = [];
+  const oldToNew = new Map();
+  const newToOld = new Map();
+  const pair = (previous, node) => {
+    pairs.push([previous, node]);
+    oldToNew.set(String(previous.id), String(node.id));
+    newToOld.set(String(node.id), String(previous.id));
+  };
+
+  let unmatched = [];
+  for (const node of compareNodes) {
+    const previous = baseById.get(String(node.id));
+    if (previous && hashOf(previous) === hashOf(node)) pair(previous, node);
+    else unmatched.push(node);
+  }
+
+  const baseByHash = new Map();
+  for (const node of baseNodes) {
+    if (oldToNew.has(String(node.id))) continue;
+    if (!baseByHash.has(hashOf(node))) baseByHash.set(hashOf(node), []);
+    baseByHash.get(hashOf(node)).push(node);
+  }
+  const remaining = [];
+  for (const node of unmatched) {
+    const previous = (baseByHash.get(hashOf(node)) || []).shift();
+    if (previous) pair(previous, node);
+    else remaining.push(node);
+  }
+  unmatched = remaining;
+
+  const added = [];
+  for (const node of unmatched) {
+    const previous = baseById.get(String(node.id));
+    if (previous && !oldToNew.has(String(previous.id))
+      && conceptSimilarity(previous, node) >= MODIFIED_MIN_SIMILARITY) {
+      pair(previous, node);
+    } else {
+      added.push(node);
+    }
+  }
+
+  const removed = baseNodes.filter(node => !oldToNew.has(String(node.id)));
+  return { pairs, added, removed, oldToNew, newToOld };
+}
+
+function diffNodePair(previous, node, epsilon) {
+  const changes = {};
+  if (contentHash(previous) !== contentHash(node)) changes.concept = true;
+  if (JSON.stringify(previous.tag ?? null) !== JSON.stringify(node.tag ?? null)) {
+    changes.tag = { from: previous.tag ?? null, to: node.tag ?? null };
+  }
+  const activation = numberChange(previous.activation, node.activation, epsilon);
+  if (activation) changes.activation = activation;
+  const weight = numberChange(previous.weight, node.weight, epsilon);
+  if (weight) changes.weight = weight;
+  if (!Object.keys(changes).length) return null;
+  // Renumbering alone is not a modification, but is noted on modified nodes
+  if (String(previous.id) !== String(node.id)) changes.id = { from: previous.id, to: node.id };
+  return changes;
+}
+
+function diffEdges(baseEdges, compareEdges, oldToNew, epsilon) {
+  const key = (source, target, type) => `${source}\u0000${target}\u0000${type || ''}`;
+  const compareIndex = new Map(); // key → unmatched edges (duplicates pair up one to one)
+  for (const edge of compareEdges) {
+    const edgeKey = key(edge.source, edge.target, edge.type);
+    if (!compareIndex.has(edgeKey)) compareIndex.set(edgeKey, []);
+    compareIndex.get(edgeKey).push(edge);
+  }
+  const take = edgeKey => {
+    const candidates = compareIndex.get(edgeKey);
+    return candidates && candidates.length ? candidates.shift() : null;
+  };
+
+  const matched = new Set();
+  const removed = [];
+  const reweighted = [];
+  for (const edge of baseEdges) {
+    // Translate old endpoints to the newer snapshot's IDs
+    const source = oldToNew.get(String(edge.source));
+    const target = oldToNew.get(String(edge.target));
+    // Associative edges may be stored in either direction between snapshots
+    const counterpart = source !== undefined && target !== undefined
+      ? take(key(source, target, edge.type)) || take(key(target, source, edge.type))
+      : null;
+    if (!counterpart) {
+      removed.push(edge);
+      continue;
+    }
+    matched.add(counterpart);
+    const weight = numberChange(edgeWeight(edge), edgeWeight(counterpart), epsilon);
+    if (weight) reweighted.push({ edge: counterpart, weight });
+  }
+
+  const added = compareEdges.filter(edge => !matched.has(edge));
+  return { added, removed, reweighted };
+}
+
+/**
+ * Cluster assignment for a snapshot: node ID → cluster key
+ */
+function clusterAssignments(snapshot, useNodeField) {
+  const assignment = new Map();
+  if (useNodeField) {
+    for (const node of snapshot.nodes) {
+      if (node.cluster !== undefined && node.cluster !== null) assignment.set(String(node.id), String(node.cluster));
+    }
+    return assignment;
+  }
+
+  const engine = new PGSEngine(null);
+  const minCommunitySize = Math.max(3, Math.min(30, Math.round(snapshot.nodes.length / 100)));
+  const communities = engine.runLouvain(snapshot.nodes, snapshot.edges, { minCommunitySize, targetPartitionMax: 1800 });
+  for (const community of communities) {
+    for (const id of community.nodeIds) assignment.set(String(id), String(community.id));
+  }
+  return assignment;
+}
+
+function hasClusterField(nodes) {
+  return nodes.length > 0 && nodes.some(node => node.cluster !== undefined && node.cluster !== null);
+}
+
+/**
+ * Clusters of the newer snapshot whose members mostly were not together in
+ * one cluster of the older snapshot
+ */
+function diffClusters(base, compare, newToOld, addedIds, limit) {
+  const useNodeField = hasClusterField(base.nodes) && hasClusterField(compare.nodes);
+  const baseClusters = clusterAssignments(base, useNodeField);
+  const compareClusters = clusterAssignments(compare, useNodeField);
+
+  const members = new Map(); // cluster key → node IDs
+  for (const [id, cluster] of compareClusters) {
+    if (!members.has(cluster)) members.set(cluster, []);
+    members.get(cluster).push(id);
+  }
+
+  const nodesById = new Map(compare.nodes.map(node => [String(node.id), node]));
+  const engine = new PGSEngine(null);
+  const created = [];
+  for (const [cluster, ids] of members) {
+    const overlap = new Map();
+    for (const id of ids) {
+      const previousId = newToOld.get(id);
+      const previousCluster = previousId !== undefined ? baseClusters.get(previousId) : undefined;
+      if (previousCluster !== undefined) overlap.set(previousCluster, (overlap.get(previousCluster) || 0) + 1);
+    }
+    const largest = Math.max(0, ...overlap.values());
+    if (largest / ids.length >= NEW_CLUSTER_OVERLAP) continue;
+
+    const clusterNodes = ids.map(id => nodesById.get(id)).filter(Boolean);
+    created.push({
+      id: cluster,
+      size: ids.length,
+      addedNodes: ids.filter(id => addedIds.has(id)).length,
+      keywords: engine.extractKeywords(ids, nodesById, 8),
+      nodeIds: ids.slice(0, 200),
+      sample: clusterNodes
+        .sort((a, b) => (b.activation || 0) - (a.activation || 0))
+        .slice(0, 5)
+        .map(preview)
+    });
+  }
+
+  created.sort((a, b) => b.size - a.size);
+  return {
+    source: useNodeField ? 'node' : 'louvain',
+    before: new Set(baseClusters.values()).size,
+    after: members.size,
+    new: created.slice(0, limit),
+    newCount: created.length
+  };
+}
+
+/**
+ * Diff two brain snapshots
+ *
+ * @param {Object} base - older snapshot (see loadBrainSnapshot / snapshotFromState)
+ * @param {Object} compare - newer snapshot
+ * @param {Object} [options]
+ * @param {number} [options.limit] - maximum entries per list (totals are always complete)
+ * @param {number} [options.epsilon] - smallest activation/weight change reported
+ * @param {boolean} [options.clusters] - compute cluster changes (default true)
+ * @returns {Object} diff report
+ */
+function diffBrains(base, compare, options = {}) {
+  const limit = Math.min(Math.max(1, parseInt(options.limit, 10) || DEFAULT_LIMIT), 1000);
+  const epsilon = Number.isFinite(Number(options.epsilon)) && Number(options.epsilon) > 0
+    ? Number(options.epsilon)
+    : DEFAULT_EPSILON;
+
+  const { pairs, added, removed, oldToNew, newToOld } = matchNodes(base.nodes, compare.nodes);
+
+  const modified = [];
+  let renumbered = 0;
+  for (const [previous, node] of pairs) {
+    if (String(previous.id) !== String(node.id)) renumbered++;
+    const changes = diffNodePair(previous, node, epsilon);
+    if (changes) modified.push({ ...preview(node), changes });
+  }
+  const magnitude = entry => Math.abs(entry.changes.activation?.delta || 0) + Math.abs(entry.changes.weight?.delta || 0);
+  modified.sort((a, b) => Number(Boolean(b.changes.concept)) - Number(Boolean(a.changes.concept)) || magnitude(b) - magnitude(a));
+
+  const activationChanges = modified
+    .filter(entry => entry.changes.activation)
+    .sort((a, b) => Math.abs(b.changes.activation.delta) - Math.abs(a.changes.activation.delta));
+
+  const edgeDiff = diffEdges(base.edges, compare.edges, oldToNew, epsilon);
+  edgeDiff.reweighted.sort((a, b) => Math.abs(b.weight.delta) - Math.abs(a.weight.delta));
+  const compactEdge = edge => ({ source: edge.source, target: edge.target, type: edge.type || 'unknown', weight: edgeWeight(edge) });
+
+  const addedIds = new Set(added.map(node => String(node.id)));
+  const clusters = options.clusters === false
+    ? null
+    : diffClusters(base, compare, newToOld, addedIds, limit);
+
+  const average = (nodes, field) => nodes.length
+    ? round(nodes.reduce((sum, node) => sum + (typeof node[field] === 'number' ? node[field] : 0), 0) / nodes.length)
+    : 0;
+
+  return {
+    base: { name: base.name, brainPath: base.brainPath, nodes: base.nodes.length, edges: base.edges.length, cycles: base.cycles, timestamp: base.timestamp },
+    compare: { name: compare.name, brainPath: compare.brainPath, nodes: compare.nodes.length, edges: compare.edges.length, cycles: compare.cycles, timestamp: compare.timestamp },
+    summary: {
+      nodesAdded: added.length,
+      nodesRemoved: removed.length,
+      nodesModified: modified.length,
+      nodesRenumbered: renumbered,
+      edgesAdded: edgeDiff.added.length,
+      edgesRemoved: edgeDiff.removed.length,
+      edgesReweighted: edgeDiff.reweighted.length,
+      clustersNew: clusters ? clusters.newCount : null,
+      averageActivation: { from: average(base.nodes, 'activation'), to: average(compare.nodes, 'activation') },
+      averageWeight: { from: average(base.nodes, 'weight'), to: average(compare.nodes, 'weight') }
+    },
+    nodes: {
+      added: added
+        .slice()
+        .sort((a, b) => (b.activation || 0) - (a.activation || 0))
+        .slice(0, limit)
+        .map(preview),
+      removed: removed.slice(0, limit).map(preview),
+      modified: modified.slice(0, limit),
+      activationChanges: activationChanges.slice(0, limit).map(entry => ({ id: entry.id, concept: entry.concept, ...entry.changes.activation }))
+    },
+    edges: {
+      added: edgeDiff.added.slice(0, limit).map(compactEdge),
+      removed: edgeDiff.removed.slice(0, limit).map(compactEdge),
+      reweighted: edgeDiff.reweighted.slice(0, limit).map(({ edge, weight }) => ({ ...compactEdge(edge), ...weight }))
+    },
+    clusters
+  };
+}
+
+module.exports = {
+  diffBrains,
+  loadBrainSnapshot,
+  snapshotFromState,
+  contentHash
+};
@@ -0,0 +1,242 @@
+/**
+ * Brain Graph Traversal
+ *
+ * Walks the edges of a mounted brain (baseline + journal) so agents can follow
+ * chains of connected nodes instead of repeating searches:
+ *
+ *   neighborhood — breadth-first expansion from one or more nodes to depth N
+ *   path         — fewest-hops path between two nodes
+ *
+ * Both accept edge filters (types, minimum weight, direction) and return a
+ * compact subgraph: truncated node text plus the edges between returned
+ * nodes. Full node content stays behind brain_node.
+ */
+
+const MAX_DEPTH = 4;
+const MAX_PATH_HOPS = 8;
+const DEFAULT_PATH_HOPS = 6;
+const DEFAULT_NODE_LIMIT = 40;
+const MAX_NODE_LIMIT = 150;
+const CONCEPT_PREVIEW_CHARS = 240;
+const DIRECTIONS = new Set(['both', 'out', 'in']);
+
+function clampInt(value, min, max, fallback) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+}
+
+function edgeType(edge) {
+  return edge.type || 'unknown';
+}
+
+function edgeWeight(edge) {
+  return typeof edge.weight === 'number' ? edge.weight : 0.5;
+}
+
+/**
+ * Normalize traversal filters
+ * @param {Object} [filters]
+ * @param {string[]|string} [filters.edgeTypes] - only follow these edge types
+ * @param {number} [filters.minWeight] - only follow edges at least this strong
+ * @param {'both'|'out'|'in'} [filters.direction]
+ */
+function normalizeFilters(filters = {}) {
+  const types = Array.isArray(filters.edgeTypes)
+    ? filters.edgeTypes
+    : typeof filters.edgeTypes === 'string' ? filters.edgeTypes.split(',') : [];
+  const edgeTypes = types.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+  const minWeight = Number(filters.minWeight);
+  const direction = String(filters.direction || 'both').toLowerCase();
+  return {
+    edgeTypes: edgeTypes.length ? new Set(edgeTypes) : null,
+    minWeight: Number.isFinite(minWeight) ? minWeight : null,
+    direction: DIRECTIONS.has(direction) ? direction : 'both'
+  };
+}
+
+function edgePasses(edge, filters) {
+  if (filters.edgeTypes && !filters.edgeTypes.has(edgeType(edge).toLowerCase())) return false;
+  if (filters.minWeight !== null && edgeWeight(edge) < filters.minWeight) return false;
+  return true;
+}
+
+/**
+ * Adjacency over the filtered edges: node ID (string) → [{ neighbor, edge }],
+ * strongest edges first
+ */
+function buildAdjacency(edges, filters) {
+  const adjacency = new Map();
+  const add = (from, to, edge) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ neighbor: to, edge });
+  };
+
+  for (const edge of edges) {
+    if (!edgePasses(edge, filters)) continue;
+    const source = String(edge.source);
+    const target = String(edge.target);
+    if (source === target) continue;
+    if (filters.direction !== 'in') add(source, target, edge);
+    if (filters.direction !== 'out') add(target, source, edge);
+  }
+  for (const list of adjacency.values()) {
+    list.sort((a, b) => edgeWeight(b.edge) - edgeWeight(a.edge));
+  }
+  return adjacency;
+}
+
+function compactNode(node, extra = {}) {
+  const concept = String(node.concept || '');
+  return {
+    id: node.id,
+    tag: node.tag,
+    concept: concept.length > CONCEPT_PREVIEW_CHARS ? `${concept.slice(0, CONCEPT_PREVIEW_CHARS)}…` : concept,
+    activation: node.activation,
+    weight: node.weight,
+    ...extra
+  };
+}
+
+function compactEdge(edge) {
+  return {
+    source: edge.source,
+    target: edge.target,
+    type: edgeType(edge),
+    weight: edgeWeight(edge)
+  };
+}
+
+function indexNodes(brain) {
+  return new Map(brain.nodes.map(node => [String(node.id), node]));
+}
+
+/**
+ * Nodes within `depth` hops of the start nodes
+ *
+ * @param {Object} brain - mounted brain (nodes, edges)
+ * @param {Object} options
+ * @param {Array<string|number>} options.nodeIds - start nodes
+ * @param {number} [options.depth] - 1..4 (default 1)
+ * @param {number} [options.limit] - maximum nodes returned (default 40, max 150)
+ * @param {Object} [options.filters] - see normalizeFilters
+ * @returns {{ nodes: Object[], edges: Object[], truncated: boolean, missing: string[] }}
+ */
+function neighborhood(brain, options = {}) {
+  const nodesById = indexNodes(brain);
+  const depth = clampInt(options.depth, 1, MAX_DEPTH, 1);
+  const limit = clampInt(options.limit, 1, MAX_NODE_LIMIT, DEFAULT_NODE_LIMIT);
+  const filters = normalizeFilters(options.filters);
+  const adjacency = buildAdjacency(brain.edges, filters);
+
+  const starts = (options.nodeIds || []).map(String);
+  const missing = starts.filter(id => !nodesById.has(id));
+  const depths = new Map();
+  let frontier = [];
+  for (const id of starts) {
+    if (!nodesById.has(id) || depths.has(id)) continue;
+    depths.set(id, 0);
+    frontier.push(id);
+  }
+
+  let truncated = false;
+  for (let level = 1; level <= depth && frontier.length && !truncated; level++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const { neighbor } of adjacency.get(id) || []) {
+        if (depths.has(neighbor) || !nodesById.has(neighbor)) continue;
+        if (depths.size >= limit) {
+          truncated = true;
+          break;
+        }
+        depths.set(neighbor, level);
+        next.push(neighbor);
+      }
+      if (truncated) break;
+    }
+    frontier = next;
+  }
+
+  // Induced subgraph: every followed-type edge between returned nodes
+  const edges = [];
+  const seen = new Set();
+  for (const edge of brain.edges) {
+    const source = String(edge.source);
+    const target = String(edge.target);
+    if (!depths.has(source) || !depths.has(target) || !edgePasses(edge, filters)) continue;
+    const key = `${source}\u0000${target}\u0000${edgeType(edge)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    edges.push(compactEdge(edge));
+  }
+
+  const nodes = Array.from(depths.entries()).map(([id, hops]) => compactNode(nodesById.get(id), {
+    depth: hops,
+    degree: (adjacency.get(id) || []).length
+  }));
+  return { nodes, edges, truncated, missing };
+}
+
+/**
+ * Fewest-hops path between two nodes over the filtered edges
+ *
+ * @param {Object} brain - mounted brain (nodes, edges)
+ * @param {Object} options
+ * @param {string|number} options.source
+ * @param {string|number} options.target
+ * @param {number} [options.maxHops] - 1..8 (default 6)
+ * @param {Object} [options.filters] - see normalizeFilters
+ * @returns {{ found: boolean, hops?: number, nodes: Object[], edges: Object[], missing: string[] }}
+ */
+function shortestPath(brain, options = {}) {
+  const nodesById = indexNodes(brain);
+  const source = String(options.source);
+  const target = String(options.target);
+  const maxHops = clampInt(options.maxHops, 1, MAX_PATH_HOPS, DEFAULT_PATH_HOPS);
+  const missing = [source, target].filter(id => !nodesById.has(id));
+  if (missing.length) return { found: false, nodes: [], edges: [], missing };
+  if (source === target) {
+    return { found: true, hops: 0, nodes: [compactNode(nodesById.get(source))], edges: [], missing };
+  }
+
+  const adjacency = buildAdjacency(brain.edges, normalizeFilters(options.filters));
+  const previous = new Map([[source, null]]); // node → { from, edge }
+  let frontier = [source];
+
+  for (let hops = 1; hops <= maxHops && frontier.length; hops++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const { neighbor, edge } of adjacency.get(id) || []) {
+        if (previous.has(neighbor)) continue;
+        previous.set(neighbor, { from: id, edge });
+        if (neighbor === target) {
+          const pathIds = [target];
+          const pathEdges = [];
+          for (let step = previous.get(target); step; step = previous.get(step.from)) {
+            pathEdges.unshift(compactEdge(step.edge));
+            pathIds.unshift(step.from);
+          }
+          return {
+            found: true,
+            hops,
+            nodes: pathIds.map(pathId => compactNode(nodesById.get(pathId))),
+            edges: pathEdges,
+            missing
+          };
+        }
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+
+  return { found: false, nodes: [], edges: [], missing, searched: previous.size };
+}
+
+module.exports = {
+  neighborhood,
+  shortestPath,
+  normalizeFilters,
+  MAX_DEPTH,
+  MAX_PATH_HOPS
+};
@@ -0,0 +1,262 @@
+/**
+ * BrainJournal — append-only learning journal for a .brain package.
+ *
+ * state.json.gz is never rewritten while a brain is in use; nodes and edges
+ * learned in an Evobrew session are appended to JSONL files under
+ * `<brain>/agents/agent_evobrew/` instead:
+ *
+ *   findings.jsonl — nodes, in the agent-journal format QueryEngine already
+ *                    merges into queries (loadLiveJournals/mergeNodesWithJournals)
+ *   edges.jsonl    — edges between baseline and/or journal nodes
+ *
+ * Every entry carries provenance (conversation, model, timestamp). compact()
+ * folds both journals into state.json.gz (previous state kept as
+ * state.json.gz.bak) and archives the journal files under compacted/.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const JOURNAL_AGENT_ID = 'agent_evobrew';
+const MAX_CONTENT_CHARS = 20_000;
+const DEFAULT_TAG = 'evobrew';
+const DEFAULT_EDGE_TYPE = 'related';
+
+// Appends and compaction of one brain are serialized (brain path → tail promise)
+const locks = new Map();
+
+function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+function newNodeId() {
+  return `evobrew_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function cleanProvenance(provenance = {}) {
+  return {
+    source: 'evobrew',
+    conversationId: provenance.conversationId ? String(provenance.conversationId) : null,
+    model: provenance.model ? String(provenance.model) : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Node for a findings.jsonl entry — the same shape QueryEngine's
+ * mergeNodesWithJournals produces, so registry and query results agree
+ */
+function journalEntryToNode(entry, agentId = JOURNAL_AGENT_ID) {
+  const prefix = entry.type === 'insight' ? '[AGENT INSIGHT: ' : '[AGENT: ';
+  const content = String(entry.content || '');
+  return {
+    id: entry.nodeId,
+    concept: content.startsWith(prefix) ? content : `${prefix}${agentId}] ${content}`,
+    tag: entry.tag,
+    created: entry.timestamp,
+    accessed: entry.timestamp,
+    activation: 0.9,
+    weight: 1.0,
+    embedding: null,
+    ...(entry.provenance ? { provenance: entry.provenance } : {})
+  };
+}
+
+function journalEntryToEdge(entry) {
+  return {
+    source: entry.source,
+    target: entry.target,
+    type: entry.type || DEFAULT_EDGE_TYPE,
+    weight: entry.weight,
+    created: entry.timestamp,
+    ...(entry.provenance ? { provenance: entry.provenance } : {})
+  };
+}
+
+async function readJsonl(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      // Skip a torn last line (crash-safe, same as QueryEngine)
+    }
+  }
+  return entries;
+}
+
+class BrainJournal {
+  /**
+   * @param {string} brainPath - .brain directory
+   */
+  constructor(brainPath) {
+    this.brainPath = path.resolve(brainPath);
+    this.dir = path.join(this.brainPath, 'agents', JOURNAL_AGENT_ID);
+    this.findingsPath = path.join(this.dir, 'findings.jsonl');
+    this.edgesPath = path.join(this.dir, 'edges.jsonl');
+  }
+
+  async append(filePath, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  /**
+   * Append a node
+   * @param {Object} input
+   * @param {string} input.content
+   * @param {string} [input.tag]
+   * @param {Object} [provenance] - { conversationId, model }
+   * @returns {Promise<Object>} the journal entry
+   */
+  async remember({ content, tag }, provenance = {}) {
+    const text = String(content || '').trim();
+    if (!text) throw new Error('content is required');
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      nodeId: newNodeId(),
+      type: 'finding',
+      content: text.slice(0, MAX_CONTENT_CHARS),
+      tag: String(tag || '').trim() || DEFAULT_TAG,
+      timestamp,
+      provenance: { ...cleanProvenance(provenance), timestamp }
+    };
+    await withLock(this.brainPath, () => this.append(this.findingsPath, entry));
+    return entry;
+  }
+
+  /**
+   * Append an edge (callers check that both endpoints exist)
+   * @param {Object} input
+   * @param {string|number} input.source
+   * @param {string|number} input.target
+   * @param {string} [input.type]
+   * @param {number} [input.weight] - 0..1, default 0.5
+   * @param {Object} [provenance]
+   */
+  async link({ source, target, type, weight }, provenance = {}) {
+    if (source === undefined || source === null || source === '') throw new Error('source is required');
+    if (target === undefined || target === null || target === '') throw new Error('target is required');
+    if (String(source) === String(target)) throw new Error('source and target must differ');
+
+    const parsedWeight = Number(weight);
+    const timestamp = new Date().toISOString();
+    const entry = {
+      source,
+      target,
+      type: String(type || '').trim() || DEFAULT_EDGE_TYPE,
+      weight: Number.isFinite(parsedWeight) ? Math.min(1, Math.max(0, parsedWeight)) : 0.5,
+      timestamp,
+      provenance: { ...cleanProvenance(provenance), timestamp }
+    };
+    await withLock(this.brainPath, () => this.append(this.edgesPath, entry));
+    return entry;
+  }
+
+  /**
+   * Journal entries not yet compacted
+   * @returns {Promise<{ findings: Object[], edges: Object[] }>}
+   */
+  async read() {
+    const [findings, edges] = await Promise.all([
+      readJsonl(this.findingsPath),
+      readJsonl(this.edgesPath)
+    ]);
+    return { findings: findings.filter(entry => entry && entry.nodeId), edges };
+  }
+
+  /**
+   * Fold the journals into state.json.gz
+   * @returns {Promise<{ nodesAdded: number, edgesAdded: number, edgesUpdated: number, nodes: number, edges: number }>}
+   */
+  async compact() {
+    return withLock(this.brainPath, async () => {
+      const { findings, edges } = await this.read();
+      const statePath = path.join(this.brainPath, 'state.json.gz');
+      const state = JSON.parse((await gunzip(await fs.readFile(statePath))).toString());
+      state.memory = state.memory || {};
+      const nodes = Array.isArray(state.memory.nodes) ? state.memory.nodes : [];
+      const stateEdges = Array.isArray(state.memory.edges) ? state.memory.edges : [];
+
+      const result = { nodesAdded: 0, edgesAdded: 0, edgesUpdated: 0 };
+      if (findings.length === 0 && edges.length === 0) {
+        return { ...result, nodes: nodes.length, edges: stateEdges.length };
+      }
+
+      const nodeIds = new Set(nodes.map(node => String(node.id)));
+      for (const entry of findings) {
+        if (nodeIds.has(String(entry.nodeId))) continue;
+        nodes.push(journalEntryToNode(entry));
+        nodeIds.add(String(entry.nodeId));
+        result.nodesAdded++;
+      }
+
+      const edgeKey = edge => `${edge.source}\u0000${edge.target}\u0000${edge.type || ''}`;
+      const edgeIndex = new Map(stateEdges.map((edge, index) => [edgeKey(edge), index]));
+      for (const entry of edges) {
+        const edge = journalEntryToEdge(entry);
+        const existing = edgeIndex.get(edgeKey(edge));
+        if (existing !== undefined) {
+          stateEdges[existing] = { ...stateEdges[existing], weight: edge.weight, provenance: edge.provenance };
+          result.edgesUpdated++;
+        } else {
+          edgeIndex.set(edgeKey(edge), stateEdges.length);
+          stateEdges.push(edge);
+          result.edgesAdded++;
+        }
+      }
+
+      state.memory.nodes = nodes;
+      state.memory.edges = stateEdges;
+
+      // Write next to the old state, copy the old one to .bak, then rename
+      // over it so state.json.gz exists at every point
+      const tmpPath = `${statePath}.tmp-${process.pid}`;
+      await fs.writeFile(tmpPath, await gzip(JSON.stringify(state)));
+      await fs.copyFile(statePath, `${statePath}.bak`);
+      await fs.rename(tmpPath, statePath);
+
+      // Archive the folded journals (QueryEngine only reads findings.jsonl)
+      const archiveDir = path.join(this.dir, 'compacted');
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      await fs.mkdir(archiveDir, { recursive: true });
+      for (const [filePath, name] of [[this.findingsPath, 'findings'], [this.edgesPath, 'edges']]) {
+        await fs.rename(filePath, path.join(archiveDir, `${stamp}-${name}.jsonl`)).catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+
+      console.log(`[BRAIN] Compacted journal into ${statePath}: +${result.nodesAdded} nodes, +${result.edgesAdded} edges`);
+      return { ...result, nodes: nodes.length, edges: stateEdges.length };
+    });
+  }
+}
+
+module.exports = {
+  BrainJournal,
+  JOURNAL_AGENT_ID,
+  journalEntryToNode,
+  journalEntryToEdge
+};
@@ -1,50 +1,120 @@
 /**
  * Brain Loader Module
- * Loads .brain package before server starts
+ * Registry of mounted .brain packages
+ *
+ * Several brains can be mounted at once. Each gets a stable ID derived from
+ * its resolved path (`<name>-<hash>`), so the same folder keeps the same ID
+ * across remounts and restarts. One mounted brain is "active": it is what
+ * getBrainLoader()/getQueryEngine() return when no ID is given, which keeps
+ * single-brain callers working unchanged.
+ *
+ * Nodes and edges learned in a session go to the brain's journal (see
+ * brain-journal.js) and are applied to the mounted copy immediately.
  */
 
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const gunzip = promisify(zlib.gunzip);
 
 const { BrainQueryEngine } = require('../lib/brain-query-engine');
+const { createEmbeddingProvider } = require('../lib/embedding-provider');
+const { BrainJournal, journalEntryToNode, journalEntryToEdge } = require('./brain-journal');
 const os = require('os');
 
-let brainLoader = null;
-let brainQueryEngine = null;
+const brains = new Map(); // brain id → mounted brain
+let activeBrainId = null;
 
-// Get embeddings API key from config or env
-function getEmbeddingsApiKey() {
-  // Try config first
+function readEvobrewConfig() {
   const configPath = path.join(os.homedir(), '.evobrew', 'config.json');
   try {
-    const config = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
-    if (config.embeddings?.api_key) {
-      return config.embeddings.api_key;
-    }
+    return JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
   } catch (e) {
-    // Config not readable, fall through
+    return null; // Config not readable
+  }
+}
+
+// Get embeddings API key from config or env
+function getEmbeddingsApiKey(config = readEvobrewConfig()) {
+  // Try config first
+  if (config?.embeddings?.api_key) {
+    return config.embeddings.api_key;
   }
   // Fall back to env
   return process.env.OPENAI_API_KEY;
 }
 
-function unloadBrain() {
-  if (brainQueryEngine) {
-    if (typeof brainQueryEngine.dispose === 'function') brainQueryEngine.dispose();
-    if (typeof brainQueryEngine.close === 'function') brainQueryEngine.close();
+/**
+ * Stable brain ID for a path: readable slug of the folder name plus a short
+ * hash of the resolved path (two brains with the same name stay distinct)
+ */
+function brainIdFor(brainPath) {
+  const resolved = path.resolve(brainPath);
+  const slug = path.basename(resolved)
+    .replace(/\.brain$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'brain';
+  const hash = crypto.createHash('sha1').update(resolved).digest('hex').slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+function disposeEngine(engine) {
+  if (!engine) return;
+  if (typeof engine.dispose === 'function') engine.dispose();
+  if (typeof engine.close === 'function') engine.close();
+}
+
+function summarize(brain) {
+  return {
+    id: brain.id,
+    name: brain.name,
+    brainPath: brain.brainPath,
+    nodes: brain.nodes.length,
+    edges: brain.edges.length,
+    cycles: brain.state.cycleCount || 0,
+    mountedAt: brain.mountedAt,
+    journal: { ...brain.journalCounts },
+    active: brain.id === activeBrainId
+  };
+}
+
+/**
+ * Apply journal entries to a mounted brain's nodes/edges (baseline wins on
+ * duplicate node IDs, as in QueryEngine)
+ */
+function applyJournal(brain, { findings = [], edges = [] }) {
+  const known = new Set(brain.nodes.map(node => String(node.id)));
+  for (const entry of findings) {
+    if (known.has(String(entry.nodeId))) continue;
+    brain.nodes.push(journalEntryToNode(entry));
+    known.add(String(entry.nodeId));
+    brain.journalCounts.nodes++;
+  }
+  for (const entry of edges) {
+    brain.edges.push(journalEntryToEdge(entry));
+    brain.journalCounts.edges++;
   }
-  brainQueryEngine = null;
-  brainLoader = null;
 }
 
-async function loadBrain(brainPath) {
-  console.log(`\n🧠 Loading brain: ${brainPath}`);
-  
-  const statePath = path.join(brainPath, 'state.json.gz');
+/**
+ * Mount a brain alongside the ones already mounted. Mounting a path that is
+ * already mounted reloads it in place (same ID).
+ *
+ * @param {string} brainPath
+ * @param {Object} [options]
+ * @param {boolean} [options.activate] - make it the active brain (always true for the first brain)
+ * @returns {Promise<Object>} the mounted brain
+ */
+async function mountBrain(brainPath, options = {}) {
+  const resolved = path.resolve(brainPath);
+  console.log(`\n🧠 Loading brain: ${resolved}`);
+
+  const statePath = path.join(resolved, 'state.json.gz');
   if (!fsSync.existsSync(statePath)) {
     throw new Error('No state.json.gz found in brain');
   }
@@ -53,27 +123,241 @@ async function loadBrain(brainPath) {
   const decompressed = await gunzip(compressed);
   const state = JSON.parse(decompressed.toString());
 
-  brainLoader = {
-    brainPath: path.resolve(brainPath),
+  // QueryEngine handles missing OpenAI gracefully (falls back to keyword search).
+  // Brain node vectors are text-embedding-3-small@512, so OpenAI is pinned to 512 dims.
+  const config = readEvobrewConfig();
+  const embeddingsKey = getEmbeddingsApiKey(config);
+  const embeddingProvider = createEmbeddingProvider({ config, apiKey: embeddingsKey, dimensions: 512 });
+
+  const id = brainIdFor(resolved);
+  const previous = brains.get(id);
+  if (previous) disposeEngine(previous.queryEngine);
+
+  const journal = new BrainJournal(resolved);
+  const brain = {
+    id,
+    name: path.basename(resolved),
+    brainPath: resolved,
     state,
-    nodes: state.memory?.nodes || [],
-    edges: state.memory?.edges || []
+    // Copies: journal entries are added here, state.memory stays the baseline
+    nodes: [...(state.memory?.nodes || [])],
+    edges: [...(state.memory?.edges || [])],
+    journal,
+    journalCounts: { nodes: 0, edges: 0 },
+    queryEngine: new BrainQueryEngine(resolved, embeddingsKey, { embeddingProvider }),
+    mountedAt: previous?.mountedAt || new Date().toISOString()
   };
+  try {
+    applyJournal(brain, await journal.read());
+  } catch (error) {
+    console.warn(`[BRAIN] Could not read journal for ${id}:`, error.message);
+  }
+  brains.set(id, brain);
+
+  if (options.activate || !activeBrainId || !brains.has(activeBrainId)) {
+    activeBrainId = id;
+  }
 
-  // QueryEngine handles missing OpenAI gracefully (falls back to keyword search)
-  const embeddingsKey = getEmbeddingsApiKey();
-  brainQueryEngine = new BrainQueryEngine(brainPath, embeddingsKey);
-  console.log(`✅ Brain loaded: ${brainLoader.nodes.length} nodes, ${brainLoader.edges.length} edges\n`);
-  
-  return { brainLoader, brainQueryEngine };
+  console.log(`✅ Brain mounted as ${id}: ${brain.nodes.length} nodes, ${brain.edges.length} edges (${brains.size} mounted)\n`);
+  return brain;
 }
 
-function getBrainLoader() {
-  return brainLoader;
+/**
+ * Unmount one brain. If it was active, the most recently mounted remaining
+ * brain becomes active.
+ * @returns {boolean} whether a brain was unmounted
+ */
+function unmountBrain(id) {
+  const brain = brains.get(id);
+  if (!brain) return false;
+
+  disposeEngine(brain.queryEngine);
+  brains.delete(id);
+
+  if (activeBrainId === id) {
+    const remaining = Array.from(brains.values());
+    activeBrainId = remaining.length ? remaining[remaining.length - 1].id : null;
+  }
+  return true;
+}
+
+/**
+ * Find a mounted brain by ID, folder name or path
+ * @param {string} [scope] - omitted/empty means the active brain
+ * @returns {Object|null}
+ */
+function getBrain(scope) {
+  if (scope === undefined || scope === null || String(scope).trim() === '') {
+    return activeBrainId ? brains.get(activeBrainId) || null : null;
+  }
+
+  const key = String(scope).trim();
+  if (brains.has(key)) return brains.get(key);
+
+  const lower = key.toLowerCase();
+  const resolved = path.resolve(key);
+  for (const brain of brains.values()) {
+    if (brain.brainPath === resolved) return brain;
+    if (brain.name.toLowerCase() === lower || brain.name.replace(/\.brain$/i, '').toLowerCase() === lower) {
+      return brain;
+    }
+  }
+  return null;
+}
+
+function setActiveBrain(id) {
+  if (!brains.has(id)) return false;
+  activeBrainId = id;
+  return true;
+}
+
+function listBrains() {
+  return Array.from(brains.values()).map(summarize);
+}
+
+/**
+ * True when a scope asks for every mounted brain
+ */
+function isFederatedScope(scope) {
+  return typeof scope === 'string' && ['all', '*'].includes(scope.trim().toLowerCase());
+}
+
+/**
+ * Memory search across several mounted brains. Each brain is searched on its
+ * own; results are merged by score and carry the brain they came from.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - merged result count
+ * @param {string[]} [options.brains] - brain IDs/names (default: all mounted)
+ * @returns {Promise<{ results: Object[], brains: Object[] }>}
+ */
+async function searchBrains(query, options = {}) {
+  const limit = Math.min(Math.max(1, Number(options.limit) || 15), 100);
+  const targets = Array.isArray(options.brains) && options.brains.length
+    ? options.brains.map(getBrain).filter(Boolean)
+    : Array.from(brains.values());
+
+  const searched = [];
+  const merged = [];
+  for (const brain of targets) {
+    try {
+      const state = await brain.queryEngine.queryEngine.loadBrainState();
+      const results = await brain.queryEngine.queryEngine.queryMemory(state, query, {
+        limit,
+        includeConnected: true,
+        useSemanticSearch: true
+      });
+      searched.push({ id: brain.id, name: brain.name, count: results.length });
+      for (const node of results) {
+        merged.push({ ...node, brainId: brain.id, brainName: brain.name });
+      }
+    } catch (error) {
+      console.error(`[BRAIN] Federated search failed for ${brain.id}:`, error.message);
+      searched.push({ id: brain.id, name: brain.name, count: 0, error: error.message });
+    }
+  }
+
+  merged.sort((a, b) => (b.score || 0) - (a.score || 0));
+  return { results: merged.slice(0, limit), brains: searched };
+}
+
+function requireBrain(scope) {
+  const brain = getBrain(scope);
+  if (!brain) {
+    throw new Error(scope ? `Brain "${scope}" is not mounted` : 'No brain loaded');
+  }
+  return brain;
+}
+
+function hasNode(brain, nodeId) {
+  return brain.nodes.some(node => String(node.id) === String(nodeId));
+}
+
+/**
+ * Journal a new node into a mounted brain
+ * @param {string} [scope] - brain ID/name (active brain by default)
+ * @param {{ content: string, tag?: string }} input
+ * @param {{ conversationId?: string, model?: string }} [provenance]
+ * @returns {Promise<{ brain: Object, node: Object }>}
+ */
+async function rememberInBrain(scope, input, provenance = {}) {
+  const brain = requireBrain(scope);
+  const entry = await brain.journal.remember(input, provenance);
+  applyJournal(brain, { findings: [entry] });
+  return { brain, node: brain.nodes[brain.nodes.length - 1] };
+}
+
+/**
+ * Journal a new edge between two nodes of a mounted brain
+ * @returns {Promise<{ brain: Object, edge: Object }>}
+ */
+async function linkInBrain(scope, input, provenance = {}) {
+  const brain = requireBrain(scope);
+  for (const end of ['source', 'target']) {
+    if (!hasNode(brain, input[end])) {
+      throw new Error(`${end} node ${input[end]} not found in ${brain.id}`);
+    }
+  }
+  // Keep the node ID type of the stored node (numeric baseline IDs stay numbers)
+  const nodeId = value => brain.nodes.find(node => String(node.id) === String(value)).id;
+  const entry = await brain.journal.link({ ...input, source: nodeId(input.source), target: nodeId(input.target) }, provenance);
+  applyJournal(brain, { edges: [entry] });
+  return { brain, edge: brain.edges[brain.edges.length - 1] };
+}
+
+/**
+ * Fold a brain's journal into its state.json.gz and remount it
+ */
+async function compactBrain(scope) {
+  const brain = requireBrain(scope);
+  const result = await brain.journal.compact();
+  if (result.nodesAdded || result.edgesAdded || result.edgesUpdated) {
+    await mountBrain(brain.brainPath, { activate: brain.id === activeBrainId });
+  }
+  return { brainId: brain.id, ...result };
+}
+
+/**
+ * Mount a brain and make it active (single-brain entry point)
+ */
+async function loadBrain(brainPath) {
+  const brain = await mountBrain(brainPath, { activate: true });
+  return { brainLoader: brain, brainQueryEngine: brain.queryEngine };
+}
+
+/**
+ * Unmount a brain (the active one by default)
+ */
+function unloadBrain(id = activeBrainId) {
+  if (id) unmountBrain(id);
+}
+
+/**
+ * Mounted brain data (brainPath, state, nodes, edges) by scope, active by default
+ */
+function getBrainLoader(scope) {
+  return getBrain(scope);
 }
 
-function getQueryEngine() {
-  return brainQueryEngine;
+function getQueryEngine(scope) {
+  return getBrain(scope)?.queryEngine || null;
 }
 
-module.exports = { loadBrain, unloadBrain, getBrainLoader, getQueryEngine };
+module.exports = {
+  loadBrain,
+  unloadBrain,
+  getBrainLoader,
+  getQueryEngine,
+  mountBrain,
+  unmountBrain,
+  getBrain,
+  setActiveBrain,
+  listBrains,
+  isFederatedScope,
+  searchBrains,
+  rememberInBrain,
+  linkInBrain,
+  compactBrain,
+  brainIdFor
+};
@@ -0,0 +1,466 @@
+/**
+ * Brace-delimited language chunker (JS/TS, Go, Rust, Java, C#, C/C++, PHP).
+ *
+ * Not a full parser: a small lexer blanks out strings, comments, and regex
+ * literals so brace matching is reliable, then per-language declaration
+ * patterns find symbols at the right nesting depth. Container symbols
+ * (classes, impls, namespaces) are scanned again for their members.
+ */
+
+const MAX_DECL_LOOKAHEAD = 30;
+const CONTROL_WORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'new', 'else', 'do',
+  'sizeof', 'throw', 'using', 'lock', 'foreach', 'synchronized', 'delete', 'typeof',
+  'await', 'yield', 'case', 'goto', 'super', 'this', 'with', 'elseif', 'fn'
+]);
+const REGEX_PRECEDERS = new Set(['(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'yield', 'await', 'instanceof', 'void']);
+
+// ============================================================================
+// Lexer
+// ============================================================================
+
+/**
+ * Replace string, comment, and regex contents with spaces, keeping line
+ * structure intact so indices map 1:1 onto the original source.
+ */
+function stripSource(content, spec) {
+  const out = [];
+  const len = content.length;
+  let i = 0;
+  let lastSig = '';
+  let lastWord = '';
+  const lineComments = spec.lineComments || ['//'];
+
+  const blank = (ch) => (ch === '\n' ? '\n' : ' ');
+
+  while (i < len) {
+    const ch = content[i];
+    const next = content[i + 1];
+
+    // Line comment
+    const lineComment = lineComments.find(marker => content.startsWith(marker, i));
+    if (lineComment && !(lineComment === '#' && next === '[')) {
+      while (i < len && content[i] !== '\n') {
+        out.push(' ');
+        i++;
+      }
+      continue;
+    }
+
+    // Block comment
+    if (ch === '/' && next === '*') {
+      out.push(' ', ' ');
+      i += 2;
+      while (i < len && !(content[i] === '*' && content[i + 1] === '/')) {
+        out.push(blank(content[i]));
+        i++;
+      }
+      if (i < len) {
+        out.push(' ', ' ');
+        i += 2;
+      }
+      continue;
+    }
+
+    // Rust char literals vs lifetimes ('a)
+    if (ch === "'" && spec.charLiterals === 'rust') {
+      const literal = /^'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|.)|[^'\\\n])'/.exec(content.slice(i, i + 12));
+      if (literal) {
+        for (let k = 0; k < literal[0].length; k++) out.push(' ');
+        i += literal[0].length;
+        lastSig = 'x';
+        continue;
+      }
+      out.push(ch);
+      i++;
+      continue;
+    }
+
+    // Strings
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const raw = ch === '`' && spec.rawBacktick;
+      out.push(' ');
+      i++;
+      while (i < len && content[i] !== ch) {
+        if (content[i] === '\\' && !raw) {
+          out.push(' ');
+          i++;
+          if (i < len) {
+            out.push(blank(content[i]));
+            i++;
+          }
+          continue;
+        }
+        if (content[i] === '\n' && ch !== '`') break; // unterminated string, resync at EOL
+        out.push(blank(content[i]));
+        i++;
+      }
+      if (i < len && content[i] === ch) {
+        out.push(' ');
+        i++;
+      }
+      lastSig = 'x';
+      continue;
+    }
+
+    // Regex literals (JS/TS)
+    if (ch === '/' && spec.regexLiterals && (lastSig === '' || REGEX_PRECEDERS.has(lastSig) || REGEX_KEYWORDS.has(lastWord))) {
+      let j = i + 1;
+      let inClass = false;
+      let closed = false;
+      while (j < len && content[j] !== '\n') {
+        const c = content[j];
+        if (c === '\\') {
+          j += 2;
+          continue;
+        }
+        if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) {
+          closed = true;
+          break;
+        }
+        j++;
+      }
+      if (closed) {
+        for (let k = i; k <= j; k++) out.push(' ');
+        i = j + 1;
+        while (i < len && /[a-z]/i.test(content[i])) {
+          out.push(' ');
+          i++;
+        }
+        lastSig = 'x';
+        continue;
+      }
+    }
+
+    out.push(ch);
+    if (/[A-Za-z0-9_$]/.test(ch)) {
+      lastWord = /[A-Za-z0-9_$]/.test(content[i - 1] || '') ? lastWord + ch : ch;
+      lastSig = 'x';
+    } else if (!/\s/.test(ch)) {
+      lastSig = ch;
+      lastWord = '';
+    }
+    i++;
+  }
+
+  return out.join('').split('\n');
+}
+
+function computeDepths(stripped) {
+  const depthAt = new Array(stripped.length);
+  let depth = 0;
+  for (let i = 0; i < stripped.length; i++) {
+    depthAt[i] = depth;
+    for (const ch of stripped[i]) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth = Math.max(0, depth - 1);
+    }
+  }
+  return depthAt;
+}
+
+// ============================================================================
+// Declaration bodies
+// ============================================================================
+
+/**
+ * Find where a declaration starting on line `start` ends.
+ * Returns { opened, openIdx, endIdx } (0-based line indices).
+ */
+function findBody(ctx, start) {
+  const { stripped, lines, spec } = ctx;
+  let paren = 0;
+  let brace = 0;
+  let opened = false;
+  let openIdx = -1;
+
+  for (let li = start; li < stripped.length; li++) {
+    if (!opened && li - start > MAX_DECL_LOOKAHEAD) break;
+
+    for (const ch of stripped[li]) {
+      if (!opened && (ch === '(' || ch === '[')) paren++;
+      else if (!opened && (ch === ')' || ch === ']')) paren = Math.max(0, paren - 1);
+      else if (ch === '{') {
+        if (!opened && paren === 0) {
+          opened = true;
+          openIdx = li;
+        }
+        if (opened) brace++;
+      } else if (ch === '}' && opened) {
+        brace--;
+        if (brace === 0) return { opened, openIdx, endIdx: li };
+      } else if (ch === ';' && !opened && paren === 0) {
+        return { opened: false, openIdx: -1, endIdx: li };
+      }
+    }
+
+    if (!opened && paren === 0) {
+      const line = stripped[li].trim();
+      if (spec.newlineTerminates && line && !/[,(\[=+|&.]$/.test(line)) {
+        return { opened: false, openIdx: -1, endIdx: li };
+      }
+      if (li + 1 < lines.length && !lines[li + 1].trim()) {
+        return { opened: false, openIdx: -1, endIdx: li };
+      }
+    }
+  }
+
+  return opened
+    ? { opened, openIdx, endIdx: stripped.length - 1 }
+    : { opened: false, openIdx: -1, endIdx: start };
+}
+
+const LEADING_LINE = /^(\/\/|\/\*|\*|#\[|#!\[|@|\[[A-Z])/;
+
+// Extend a symbol upward over its doc comment, attributes, and decorators
+function leadingStart(ctx, index, minIndex) {
+  let start = index;
+  while (start - 1 >= minIndex) {
+    const raw = ctx.lines[start - 1].trim();
+    if (!raw || !LEADING_LINE.test(raw)) break;
+    start--;
+  }
+  return start;
+}
+
+// ============================================================================
+// Scanning
+// ============================================================================
+
+function matchDeclaration(ctx, text, index, parent) {
+  const inMemberScope = Boolean(parent && ctx.spec.memberContainers.includes(parent.kind));
+
+  for (const pattern of ctx.spec.patterns) {
+    if (pattern.scope === 'member' && !inMemberScope) continue;
+    if (pattern.scope === 'top' && inMemberScope) continue;
+
+    const match = pattern.re.exec(text);
+    if (!match) continue;
+
+    let name = match[pattern.name || 1];
+    let owner = pattern.parentGroup ? match[pattern.parentGroup] : null;
+    if (!name || CONTROL_WORDS.has(name)) continue;
+    if (pattern.validate && !pattern.validate(ctx, index, match)) continue;
+
+    // C++ style qualified names: Foo::bar → parent Foo, name bar
+    if (name.includes('::')) {
+      const parts = name.split('::');
+      name = parts.pop();
+      owner = owner || parts.pop() || null;
+    }
+
+    const kind = typeof pattern.kind === 'function'
+      ? pattern.kind(match, parent, owner)
+      : pattern.kind;
+
+    return {
+      kind,
+      name,
+      owner,
+      container: Boolean(pattern.container),
+      requireBody: Boolean(pattern.requireBody)
+    };
+  }
+
+  return null;
+}
+
+function scanRange(ctx, from, to, depth, parent) {
+  const symbols = [];
+  let minStart = from;
+
+  for (let i = from; i <= to; i++) {
+    if (ctx.depthAt[i] !== depth) continue;
+    const text = ctx.stripped[i];
+    if (!text.trim()) continue;
+
+    const decl = matchDeclaration(ctx, text, i, parent);
+    if (!decl) continue;
+
+    const body = findBody(ctx, i);
+    if (decl.requireBody && !body.opened) continue;
+
+    const endIdx = Math.min(body.endIdx, to);
+    const symbol = {
+      kind: decl.kind,
+      name: decl.name,
+      parent: decl.owner || (parent ? parent.name : null),
+      symbolLine: i + 1,
+      startLine: leadingStart(ctx, i, minStart) + 1,
+      endLine: endIdx + 1
+    };
+
+    if (decl.container && body.opened && body.openIdx < endIdx) {
+      symbol.children = scanRange(ctx, body.openIdx + 1, endIdx - 1, depth + 1, symbol);
+    }
+
+    symbols.push(symbol);
+    i = endIdx;
+    minStart = endIdx + 1;
+  }
+
+  return symbols;
+}
+
+function createBraceChunker(spec) {
+  return function chunkBraceLanguage(content) {
+    const lines = content.split('\n');
+    const stripped = stripSource(content, spec);
+    const ctx = { spec, lines, stripped, depthAt: computeDepths(stripped) };
+    return scanRange(ctx, 0, lines.length - 1, 0, null);
+  };
+}
+
+// ============================================================================
+// Language specs
+// ============================================================================
+
+const JS_IDENT = '[A-Za-z_$][\\w$]*';
+
+// `const x = (` could be a parenthesized expression: require an arrow nearby
+function hasArrowOrFunction(ctx, index) {
+  const window = ctx.stripped.slice(index, index + 4).join(' ');
+  return /=>|\bfunction\b/.test(window);
+}
+
+const JS_PATTERNS = [
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:abstract\\s+)?class\\s+(${JS_IDENT})`), kind: 'class', container: true },
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:declare\\s+)?interface\\s+(${JS_IDENT})`), kind: 'interface', scope: 'top' },
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:declare\\s+)?(?:const\\s+)?enum\\s+(${JS_IDENT})`), kind: 'enum', scope: 'top' },
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:declare\\s+)?(?:namespace|module)\\s+(${JS_IDENT}(?:\\.${JS_IDENT})*)\\s*\\{`), kind: 'namespace', container: true, scope: 'top' },
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:declare\\s+)?type\\s+(${JS_IDENT})\\s*(?:<[^=]*>)?\\s*=`), kind: 'type', scope: 'top' },
+  { re: new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENT})`), kind: 'function', scope: 'top' },
+  {
+    re: new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\(|${JS_IDENT}\\s*=>)`),
+    kind: 'function',
+    scope: 'top',
+    validate: hasArrowOrFunction
+  },
+  {
+    re: new RegExp(`^\\s*(?:module\\.)?exports\\.(${JS_IDENT})\\s*=\\s*(?:async\\s+)?(?:function\\b|\\(|${JS_IDENT}\\s*=>)`),
+    kind: 'function',
+    scope: 'top',
+    validate: hasArrowOrFunction
+  },
+  { re: new RegExp(`^\\s*(${JS_IDENT})\\.prototype\\.(${JS_IDENT})\\s*=\\s*(?:async\\s+)?function`), kind: 'method', name: 2, parentGroup: 1, scope: 'top' },
+  {
+    re: new RegExp(`^\\s*(?:(?:public|private|protected|static|readonly|override)\\s+)*(#?${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:\\([^)]*\\)|${JS_IDENT})\\s*(?::\\s*[^=]+)?=>`),
+    kind: 'method',
+    scope: 'member'
+  },
+  {
+    re: new RegExp(`^\\s*(?:(?:public|private|protected|static|readonly|override|abstract|declare|async|get|set|accessor)\\s+)*\\*?\\s*(#?${JS_IDENT})\\s*(?:<[^>]*>)?\\s*\\(`),
+    kind: (match) => (match[1] === 'constructor' ? 'constructor' : 'method'),
+    scope: 'member',
+    requireBody: true
+  }
+];
+
+const GO_PATTERNS = [
+  { re: /^func\s+\(\s*(?:\w+\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*([A-Za-z_]\w*)/, kind: 'method', name: 2, parentGroup: 1 },
+  { re: /^func\s+([A-Za-z_]\w*)/, kind: 'function' },
+  { re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+struct\b/, kind: 'struct' },
+  { re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+interface\b/, kind: 'interface' },
+  { re: /^type\s+([A-Za-z_]\w*)/, kind: 'type' }
+];
+
+const RUST_VIS = '(?:pub(?:\\s*\\([^)]*\\))?\\s+)?';
+const RUST_PATTERNS = [
+  {
+    re: new RegExp(`^\\s*${RUST_VIS}(?:default\\s+)?(?:const\\s+)?(?:async\\s+)?(?:unsafe\\s+)?(?:extern\\s+)?fn\\s+([A-Za-z_]\\w*)`),
+    kind: (match, parent) => (parent && (parent.kind === 'impl' || parent.kind === 'trait') ? 'method' : 'function')
+  },
+  { re: new RegExp(`^\\s*${RUST_VIS}(?:unsafe\\s+)?trait\\s+([A-Za-z_]\\w*)`), kind: 'trait', container: true },
+  { re: new RegExp(`^\\s*${RUST_VIS}(struct|enum|union)\\s+([A-Za-z_]\\w*)`), kind: (match) => match[1], name: 2 },
+  { re: /^\s*(?:unsafe\s+)?impl\b(?:\s*<[^{]*?>)?\s+(?:[^{]*?\s+for\s+)?(?:[\w]+::)*([A-Za-z_]\w*)/, kind: 'impl', container: true },
+  { re: new RegExp(`^\\s*${RUST_VIS}mod\\s+([A-Za-z_]\\w*)\\s*\\{`), kind: 'module', container: true },
+  { re: /^\s*macro_rules!\s*([A-Za-z_]\w*)/, kind: 'macro' }
+];
+
+const CLIKE_TYPE = /^\s*(?:[\w@]+\s+)*?(class|interface|enum|struct|record|trait|namespace)\s+(?!class\b|struct\b)([A-Za-z_][\w.:]*)/;
+const CLIKE_FUNCTION = /^\s*(?:[\w$:<>,[\]*&?~@.]+\s+)+?[*&]*\s*(~?[A-Za-z_][\w:]*)\s*\(/;
+
+function firstWordIsNotControl(ctx, index) {
+  const word = (/^\s*([\w$]+)/.exec(ctx.stripped[index]) || [])[1];
+  return !CONTROL_WORDS.has(word) || word === 'function';
+}
+
+function clikePatterns() {
+  return [
+    {
+      re: CLIKE_TYPE,
+      kind: (match) => match[1],
+      name: 2,
+      container: true
+    },
+    {
+      re: CLIKE_FUNCTION,
+      kind: (match, parent, owner) => {
+        if (parent && match[1] === parent.name) return 'constructor';
+        return owner || (parent && parent.kind !== 'namespace') ? 'method' : 'function';
+      },
+      requireBody: true,
+      validate: firstWordIsNotControl
+    }
+  ];
+}
+
+const CLIKE_MEMBER_CONTAINERS = ['class', 'interface', 'enum', 'struct', 'record', 'trait', 'namespace'];
+
+const LANGUAGES = {
+  javascript: {
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    patterns: JS_PATTERNS,
+    memberContainers: ['class'],
+    regexLiterals: true
+  },
+  typescript: {
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    patterns: JS_PATTERNS,
+    memberContainers: ['class'],
+    regexLiterals: true
+  },
+  go: {
+    extensions: ['.go'],
+    patterns: GO_PATTERNS,
+    memberContainers: [],
+    rawBacktick: true,
+    newlineTerminates: true
+  },
+  rust: {
+    extensions: ['.rs'],
+    patterns: RUST_PATTERNS,
+    memberContainers: ['impl', 'trait', 'module'],
+    charLiterals: 'rust'
+  },
+  java: {
+    extensions: ['.java', '.kt', '.scala'],
+    patterns: clikePatterns(),
+    memberContainers: CLIKE_MEMBER_CONTAINERS
+  },
+  csharp: {
+    extensions: ['.cs'],
+    patterns: clikePatterns(),
+    memberContainers: CLIKE_MEMBER_CONTAINERS
+  },
+  cpp: {
+    extensions: ['.c', '.h', '.cc', '.cpp', '.cxx', '.hpp', '.hh'],
+    patterns: clikePatterns(),
+    memberContainers: CLIKE_MEMBER_CONTAINERS
+  },
+  php: {
+    extensions: ['.php'],
+    patterns: clikePatterns(),
+    memberContainers: CLIKE_MEMBER_CONTAINERS,
+    lineComments: ['//', '#']
+  }
+};
+
+module.exports = {
+  createBraceChunker,
+  stripSource,
+  LANGUAGES
+};
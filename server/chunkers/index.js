@@ -0,0 +1,225 @@
+/**
+ * Language-aware code chunking for the codebase indexer.
+ *
+ * Each chunker turns a source file into symbol-level chunks:
+ *   { content, startLine, endLine, symbolLine, kind, name, parent, language }
+ *
+ * Line numbers are 1-based and inclusive. startLine/endLine cover the exact
+ * content of the chunk (including leading doc comments/decorators);
+ * symbolLine is the line the declaration itself starts on, so search results
+ * can cite `file:line` for the symbol.
+ *
+ * Chunkers are registered per file extension. Files without a registered
+ * chunker fall back to line-window chunking.
+ */
+
+const path = require('path');
+const { createBraceChunker, LANGUAGES: BRACE_LANGUAGES } = require('./brace.js');
+const { chunkPython } = require('./python.js');
+
+const MIN_CHUNK_CHARS = 50;
+const MAX_CHUNK_LINES = 200;
+const BLOCK_LINES = 50;
+
+const registry = new Map(); // extension → { language, chunk(content) → symbols[] }
+
+/**
+ * Register a chunker for one or more file extensions.
+ * `chunk(content)` returns symbols ({ kind, name, parent, startLine, endLine, symbolLine })
+ * for the top-level and nested declarations it understands.
+ */
+function registerChunker(extensions, language, chunk) {
+  for (const ext of [].concat(extensions)) {
+    registry.set(ext.toLowerCase(), { language, chunk });
+  }
+}
+
+function getChunker(filePath) {
+  return registry.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+function getSupportedExtensions() {
+  return Array.from(registry.keys());
+}
+
+// ============================================================================
+// Chunk assembly
+// ============================================================================
+
+function sliceLines(lines, startLine, endLine) {
+  return lines.slice(startLine - 1, endLine).join('\n');
+}
+
+function makeChunk(lines, filePath, language, fields) {
+  const chunk = {
+    content: sliceLines(lines, fields.startLine, fields.endLine),
+    startLine: fields.startLine,
+    endLine: fields.endLine,
+    symbolLine: fields.symbolLine || fields.startLine,
+    filePath,
+    type: 'code',
+    kind: fields.kind,
+    name: fields.name || null,
+    parent: fields.parent || null,
+    language
+  };
+  if (fields.part) chunk.part = fields.part;
+  return chunk;
+}
+
+/**
+ * Split an oversized symbol into consecutive parts that keep its identity,
+ * preferring blank lines as split points.
+ */
+function splitLarge(lines, filePath, language, symbol) {
+  const parts = [];
+  let start = symbol.startLine;
+  let part = 1;
+
+  while (start <= symbol.endLine) {
+    let end = Math.min(symbol.endLine, start + MAX_CHUNK_LINES - 1);
+    if (end < symbol.endLine) {
+      for (let i = end; i > start + MAX_CHUNK_LINES / 2; i--) {
+        if (!lines[i - 1].trim()) {
+          end = i;
+          break;
+        }
+      }
+    }
+    parts.push(makeChunk(lines, filePath, language, {
+      ...symbol,
+      startLine: start,
+      endLine: end,
+      symbolLine: part === 1 ? symbol.symbolLine : start,
+      part
+    }));
+    start = end + 1;
+    part++;
+  }
+
+  return parts;
+}
+
+/**
+ * Group uncovered lines (imports, top-level statements) into block chunks.
+ */
+function blockChunks(lines, filePath, language, startLine, endLine) {
+  const chunks = [];
+  let blockStart = startLine;
+
+  const flush = (end) => {
+    while (blockStart <= end && !lines[blockStart - 1].trim()) blockStart++;
+    let last = end;
+    while (last >= blockStart && !lines[last - 1].trim()) last--;
+    if (last >= blockStart) {
+      const content = sliceLines(lines, blockStart, last);
+      if (content.trim().length > MIN_CHUNK_CHARS) {
+        chunks.push(makeChunk(lines, filePath, language, { kind: 'block', startLine: blockStart, endLine: last }));
+      }
+    }
+    blockStart = end + 1;
+  };
+
+  for (let line = startLine; line <= endLine; line++) {
+    const size = line - blockStart + 1;
+    if ((size >= BLOCK_LINES && !lines[line - 1].trim()) || size >= MAX_CHUNK_LINES) {
+      flush(line);
+    }
+  }
+  flush(endLine);
+
+  return chunks;
+}
+
+/**
+ * Turn symbols into chunks. Containers (classes, impls, ...) that hold
+ * child symbols are emitted as a header chunk plus one chunk per member so
+ * each method is individually searchable; everything else is one chunk.
+ */
+function assembleChunks(lines, filePath, language, symbols) {
+  const chunks = [];
+
+  const emit = (symbol) => {
+    if (symbol.endLine - symbol.startLine + 1 > MAX_CHUNK_LINES) {
+      chunks.push(...splitLarge(lines, filePath, language, symbol));
+    } else {
+      chunks.push(makeChunk(lines, filePath, language, symbol));
+    }
+  };
+
+  const walk = (list, rangeStart, rangeEnd) => {
+    const sorted = list.slice().sort((a, b) => a.startLine - b.startLine);
+    let cursor = rangeStart;
+
+    for (const symbol of sorted) {
+      if (symbol.startLine < cursor) continue; // overlapping/nested match, already covered
+      if (symbol.startLine > cursor) {
+        chunks.push(...blockChunks(lines, filePath, language, cursor, symbol.startLine - 1));
+      }
+
+      const children = symbol.children || [];
+      if (children.length > 0) {
+        const firstChild = Math.min(...children.map(c => c.startLine));
+        const headerEnd = Math.min(firstChild - 1, symbol.startLine + BLOCK_LINES - 1);
+        emit({ ...symbol, endLine: Math.max(symbol.symbolLine, headerEnd) });
+        walk(children, Math.max(symbol.symbolLine, headerEnd) + 1, symbol.endLine);
+      } else {
+        emit(symbol);
+      }
+      cursor = symbol.endLine + 1;
+    }
+
+    if (cursor <= rangeEnd) {
+      chunks.push(...blockChunks(lines, filePath, language, cursor, rangeEnd));
+    }
+  };
+
+  walk(symbols, 1, lines.length);
+  return chunks.filter(chunk => chunk.content.trim().length > 0);
+}
+
+// ============================================================================
+// Fallback: line windows (original heuristic)
+// ============================================================================
+
+function chunkByLines(content, filePath) {
+  const lines = content.split('\n');
+  return blockChunks(lines, filePath, null, 1, lines.length);
+}
+
+/**
+ * Chunk a file using the chunker registered for its extension.
+ * Falls back to line windows if no chunker exists or parsing fails.
+ */
+function chunkFile(content, filePath) {
+  const chunker = getChunker(filePath);
+  if (!chunker) {
+    return chunkByLines(content, filePath);
+  }
+
+  const lines = content.split('\n');
+  try {
+    const symbols = chunker.chunk(content);
+    return assembleChunks(lines, filePath, chunker.language, symbols);
+  } catch (error) {
+    console.warn(`[CHUNKER] ${chunker.language} chunker failed for ${filePath}: ${error.message}`);
+    return chunkByLines(content, filePath);
+  }
+}
+
+// ============================================================================
+// Built-in chunkers
+// ============================================================================
+
+for (const [language, spec] of Object.entries(BRACE_LANGUAGES)) {
+  registerChunker(spec.extensions, language, createBraceChunker(spec));
+}
+registerChunker(['.py', '.pyw'], 'python', chunkPython);
+
+module.exports = {
+  registerChunker,
+  getChunker,
+  getSupportedExtensions,
+  chunkFile,
+  chunkByLines
+};
@@ -0,0 +1,100 @@
+/**
+ * Python chunker — indentation-delimited classes and functions.
+ *
+ * A symbol ends at the last non-blank line before the next line indented at
+ * or above its own level. Triple-quoted strings are skipped so docstrings
+ * with unusual indentation don't end a body early.
+ */
+
+const DECL = /^(\s*)(?:async\s+)?(def|class)\s+([A-Za-z_]\w*)/;
+
+function indentOf(line) {
+  const match = /^[ \t]*/.exec(line);
+  return match[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Mark lines that are inside (not opening) a triple-quoted string.
+ */
+function findStringLines(lines) {
+  const inString = new Array(lines.length).fill(false);
+  let open = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (open) inString[i] = true;
+    const quotes = lines[i].match(/"""|'''/g) || [];
+    for (const quote of quotes) {
+      if (!open) open = quote;
+      else if (open === quote) open = null;
+    }
+  }
+
+  return inString;
+}
+
+function chunkPython(content) {
+  const lines = content.split('\n');
+  const inString = findStringLines(lines);
+
+  const isCode = (i) => lines[i].trim() && !inString[i] && !lines[i].trim().startsWith('#');
+
+  const findEnd = (start, indent) => {
+    let end = start;
+    let depth = 0; // open brackets in a multi-line signature
+    for (let i = start; i < lines.length; i++) {
+      if (i > start && depth === 0 && isCode(i) && indentOf(lines[i]) <= indent) break;
+      if (!inString[i]) {
+        for (const ch of lines[i].replace(/#.*$/, '')) {
+          if ('([{'.includes(ch)) depth++;
+          else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+        }
+      }
+      if (lines[i].trim()) end = i;
+    }
+    return end;
+  };
+
+  const scan = (from, to, parent) => {
+    const symbols = [];
+    let indentLevel = null;
+    let minStart = from;
+
+    for (let i = from; i <= to; i++) {
+      if (!isCode(i)) continue;
+      const indent = indentOf(lines[i]);
+      if (indentLevel === null) indentLevel = indent;
+      if (indent !== indentLevel) continue;
+
+      const match = DECL.exec(lines[i]);
+      if (!match) continue;
+
+      let start = i;
+      while (start - 1 >= minStart && /^\s*(@|#)/.test(lines[start - 1])) start--;
+
+      const end = Math.min(findEnd(i, indent), to);
+      const isClass = match[2] === 'class';
+      const symbol = {
+        kind: isClass ? 'class' : (parent && parent.kind === 'class' ? 'method' : 'function'),
+        name: match[3],
+        parent: parent ? parent.name : null,
+        symbolLine: i + 1,
+        startLine: start + 1,
+        endLine: end + 1
+      };
+
+      if (isClass && end > i) {
+        symbol.children = scan(i + 1, end, symbol);
+      }
+
+      symbols.push(symbol);
+      i = end;
+      minStart = end + 1;
+    }
+
+    return symbols;
+  };
+
+  return scan(0, lines.length - 1, null);
+}
+
+module.exports = { chunkPython };
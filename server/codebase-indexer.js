@@ -1,138 +1,340 @@
 /**
  * Codebase Semantic Search Engine
  * Adapted from COSMO's coordinator-indexer.js
- * Provides semantic understanding of code via embeddings
+ * Provides semantic understanding of code via embeddings, fused with a
+ * BM25 keyword index so exact identifiers still rank
+ *
+ * Indexes are persisted per workspace under ~/.evobrew/index/ so a restart
+ * doesn't force a full re-embed. Files are tracked by content hash and only
+ * changed, added, or deleted files are touched on re-index.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { chunkFile, getSupportedExtensions } = require('./chunkers');
+const { toEmbeddingProvider } = require('../lib/embedding-provider');
+const { matchAny } = require('../lib/glob');
+const BM25Index = require('./bm25-index');
+
+const INDEX_FORMAT_VERSION = 2;
+const CODE_EXTENSIONS = new Set([...getSupportedExtensions(), '.rb']);
+const MAX_INDEXED_FILES = 100; // Limit per folder for performance
+
+// Reciprocal rank fusion: score = Σ 1 / (RRF_K + rank) over both rankings
+const RRF_K = 60;
+const RRF_CANDIDATE_FACTOR = 5;
+const RRF_MIN_CANDIDATES = 50;
 
 class CodebaseIndexer {
-  constructor(openaiClient) {
-    this.openai = openaiClient;
-    this.indexCache = new Map(); // folderPath → index
-    this.embeddingCache = new Map(); // filePath → embedding
+  /**
+   * @param {EmbeddingProvider|Object} embedder - Embedding provider (a bare OpenAI client is wrapped)
+   */
+  constructor(embedder, options = {}) {
+    this.embedder = toEmbeddingProvider(embedder);
+    this.storageDir = options.storageDir || path.join(os.homedir(), '.evobrew', 'index');
+    this.indexCache = new Map(); // folderPath → chunks (flattened, for search)
+    this.embeddingCache = new Map(); // folderPath → Map(filePath → { hash, chunks })
+    this.lexicalCache = new Map(); // folderPath → { chunks, bm25 } (rebuilt when chunks change)
+    this.folderLocks = new Map(); // folderPath → tail of the pending index/update chain
   }
 
   /**
-   * Chunk a code file into searchable segments
-   * Extracts functions, classes, and logical blocks
+   * Normalize a folder path so the same workspace always maps to one index
    */
-  chunkCodeFile(content, filePath) {
-    const chunks = [];
-    const ext = path.extname(filePath);
-    
-    // Strategy: Split by function/class boundaries
-    const lines = content.split('\n');
-    let currentChunk = [];
-    let chunkStartLine = 0;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmed = line.trim();
-      
-      // Detect function/class boundaries (simplified, works for most languages)
-      const isBoundary = 
-        trimmed.startsWith('function ') ||
-        trimmed.startsWith('async function ') ||
-        trimmed.startsWith('class ') ||
-        trimmed.startsWith('export function ') ||
-        trimmed.startsWith('export class ') ||
-        trimmed.startsWith('export const ') && trimmed.includes(' = (') ||
-        trimmed.startsWith('def ') || // Python
-        trimmed.startsWith('async def ') || // Python async
-        (trimmed.startsWith('const ') && trimmed.includes(' = (')) || // Arrow functions
-        (trimmed.startsWith('const ') && trimmed.includes(' = async ('));
-      
-      if (isBoundary && currentChunk.length > 5) {
-        // Save previous chunk
-        const chunkContent = currentChunk.join('\n').trim();
-        if (chunkContent.length > 50) {
-          chunks.push({
-            content: chunkContent,
-            startLine: chunkStartLine + 1,
-            endLine: i,
-            filePath: filePath,
-            type: 'code'
-          });
-        }
-        currentChunk = [];
-        chunkStartLine = i;
-      }
-      
-      currentChunk.push(line);
-      
-      // Also chunk at natural boundaries (every ~50 lines if no functions found)
-      if (currentChunk.length > 50 && trimmed === '') {
-        const chunkContent = currentChunk.join('\n').trim();
-        if (chunkContent.length > 50) {
-          chunks.push({
-            content: chunkContent,
-            startLine: chunkStartLine + 1,
-            endLine: i,
-            filePath: filePath,
-            type: 'code'
-          });
-        }
-        currentChunk = [];
-        chunkStartLine = i + 1;
-      }
+  normalizeFolder(folderPath) {
+    return path.resolve(String(folderPath || '.'));
+  }
+
+  /**
+   * Location of the persisted index for a workspace
+   */
+  getIndexPath(folderPath) {
+    const key = crypto.createHash('sha256').update(this.normalizeFolder(folderPath)).digest('hex').slice(0, 16);
+    return path.join(this.storageDir, `${key}.json`);
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Embeddings are stored as base64 Float32 to keep index files small
+  encodeEmbedding(embedding) {
+    if (!Array.isArray(embedding)) return null;
+    return Buffer.from(new Float32Array(embedding).buffer).toString('base64');
+  }
+
+  decodeEmbedding(encoded) {
+    if (typeof encoded !== 'string' || !encoded) return null;
+    const buf = Buffer.from(encoded, 'base64');
+    return Array.from(new Float32Array(buf.buffer, buf.byteOffset, Math.floor(buf.byteLength / 4)));
+  }
+
+  /**
+   * Load a persisted index from disk into memory.
+   * Returns the per-file map, or null if no usable index exists.
+   */
+  async loadIndex(folderPath) {
+    const folder = this.normalizeFolder(folderPath);
+    if (this.embeddingCache.has(folder)) {
+      return this.embeddingCache.get(folder);
     }
-    
-    // Add final chunk
-    if (currentChunk.length > 0) {
-      const chunkContent = currentChunk.join('\n').trim();
-      if (chunkContent.length > 50) {
-        chunks.push({
-          content: chunkContent,
-          startLine: chunkStartLine + 1,
-          endLine: lines.length,
-          filePath: filePath,
-          type: 'code'
-        });
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.getIndexPath(folder), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[SEMANTIC INDEX] Ignoring unreadable index for ${folder}:`, error.message);
       }
+      return null;
     }
-    
-    return chunks;
+
+    if (data?.version !== INDEX_FORMAT_VERSION || data.folderPath !== folder || !data.files) {
+      return null;
+    }
+
+    // Never mix vector spaces: a different embedding model means a full re-embed
+    if (data.model !== this.embedder.modelId) {
+      console.log(`[SEMANTIC INDEX] Embedding model changed (${data.model} → ${this.embedder.modelId}), re-embedding ${folder}`);
+      return null;
+    }
+
+    const files = new Map();
+    for (const [filePath, entry] of Object.entries(data.files)) {
+      files.set(filePath, {
+        hash: entry.hash,
+        chunks: (entry.chunks || []).map(chunk => ({
+          ...chunk,
+          filePath,
+          embedding: this.decodeEmbedding(chunk.embedding)
+        }))
+      });
+    }
+
+    this.setFolderIndex(folder, files);
+    console.log(`[SEMANTIC INDEX] Loaded persisted index for ${folder} (${files.size} files)`);
+    return files;
   }
 
   /**
-   * Index a folder recursively
+   * Persist a workspace index (atomic write via temp file + rename)
    */
-  async indexFolder(folderPath, files) {
-    console.log(`[SEMANTIC INDEX] Indexing ${files.length} files in ${folderPath}...`);
-    
+  async saveIndex(folderPath, files) {
+    const folder = this.normalizeFolder(folderPath);
+    const serialized = {};
+    for (const [filePath, entry] of files) {
+      serialized[filePath] = {
+        hash: entry.hash,
+        chunks: entry.chunks.map(({ filePath: _omit, embedding, ...chunk }) => ({
+          ...chunk,
+          embedding: this.encodeEmbedding(embedding)
+        }))
+      };
+    }
+
+    const indexPath = this.getIndexPath(folder);
+    const tmpPath = `${indexPath}.${process.pid}.tmp`;
+    await fs.mkdir(this.storageDir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(tmpPath, JSON.stringify({
+      version: INDEX_FORMAT_VERSION,
+      folderPath: folder,
+      model: this.embedder.modelId,
+      updatedAt: new Date().toISOString(),
+      files: serialized
+    }), 'utf-8');
+    await fs.rename(tmpPath, indexPath);
+  }
+
+  setFolderIndex(folder, files) {
+    this.embeddingCache.set(folder, files);
     const chunks = [];
+    for (const entry of files.values()) {
+      chunks.push(...entry.chunks);
+    }
+    this.indexCache.set(folder, chunks);
+  }
+
+  /**
+   * Get searchable chunks for a folder, loading the persisted index if needed
+   */
+  async getChunks(folderPath) {
+    const folder = this.normalizeFolder(folderPath);
+    if (!this.indexCache.has(folder)) {
+      await this.loadIndex(folder);
+    }
+    return this.indexCache.get(folder) || null;
+  }
+
+  /**
+   * Run index mutations for a folder one at a time (full index vs watcher updates)
+   */
+  withFolderLock(folder, task) {
+    const previous = this.folderLocks.get(folder) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    this.folderLocks.set(folder, tail);
+    tail.then(() => {
+      if (this.folderLocks.get(folder) === tail) this.folderLocks.delete(folder);
+    });
+    return run;
+  }
+
+  isCodeFile(filePath) {
+    return CODE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Chunk a code file into searchable segments
+   * Uses the language chunker registered for the file's extension to emit
+   * symbol-level chunks (kind, name, parent, exact line range)
+   */
+  chunkCodeFile(content, filePath) {
+    return chunkFile(content, filePath);
+  }
+
+  /**
+   * Index a folder recursively.
+   * Unchanged files (same content hash) reuse their stored chunks and
+   * embeddings; only added or modified files are re-chunked and embedded.
+   */
+  async indexFolder(folderPath, files) {
+    const folder = this.normalizeFolder(folderPath);
+    return this.withFolderLock(folder, () => this.indexFolderNow(folder, files));
+  }
+
+  async indexFolderNow(folder, files) {
+    console.log(`[SEMANTIC INDEX] Indexing ${files.length} files in ${folder}...`);
     
     // Filter to code files only
-    const codeFiles = files.filter(f => {
-      if (f.isDirectory) return false;
-      const ext = path.extname(f.path).toLowerCase();
-      return ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs', '.cpp', '.c', '.h', '.cs', '.rb', '.php'].includes(ext);
-    });
+    const codeFiles = files.filter(f => !f.isDirectory && this.isCodeFile(f.path));
     
     console.log(`[SEMANTIC INDEX] Processing ${codeFiles.length} code files...`);
+
+    const previous = (await this.loadIndex(folder)) || new Map();
+    const next = new Map();
+    const toEmbed = [];
+    const stats = { added: 0, changed: 0, unchanged: 0, removed: 0 };
     
     // Process each file
-    for (const file of codeFiles.slice(0, 100)) { // Limit to 100 files for performance
+    for (const file of codeFiles.slice(0, MAX_INDEXED_FILES)) {
+      const filePath = path.resolve(file.path);
       try {
-        const content = await fs.readFile(file.path, 'utf-8');
-        const fileChunks = this.chunkCodeFile(content, file.path);
-        chunks.push(...fileChunks);
+        const content = await fs.readFile(filePath, 'utf-8');
+        const hash = this.hashContent(content);
+        const existing = previous.get(filePath);
+
+        if (existing && existing.hash === hash && existing.chunks.every(chunk => chunk.embedding)) {
+          next.set(filePath, existing);
+          stats.unchanged++;
+          continue;
+        }
+
+        const fileChunks = this.chunkCodeFile(content, filePath);
+        next.set(filePath, { hash, chunks: fileChunks });
+        toEmbed.push(...fileChunks);
+        stats[existing ? 'changed' : 'added']++;
       } catch (error) {
-        console.warn(`[SEMANTIC INDEX] Could not read ${file.path}:`, error.message);
+        console.warn(`[SEMANTIC INDEX] Could not read ${filePath}:`, error.message);
       }
     }
+
+    for (const filePath of previous.keys()) {
+      if (!next.has(filePath)) stats.removed++;
+    }
     
-    console.log(`[SEMANTIC INDEX] Created ${chunks.length} code chunks`);
-    
-    // Generate embeddings in batches
-    await this.generateEmbeddings(chunks);
+    console.log(`[SEMANTIC INDEX] ${stats.added} added, ${stats.changed} changed, ${stats.removed} removed, ${stats.unchanged} unchanged (${toEmbed.length} chunks to embed)`);
     
-    // Store in cache
-    this.indexCache.set(folderPath, chunks);
+    // Generate embeddings in batches (only for new/changed content)
+    if (toEmbed.length > 0) {
+      await this.generateEmbeddings(toEmbed);
+    }
+
+    this.setFolderIndex(folder, next);
+
+    if (toEmbed.length > 0 || stats.removed > 0 || previous.size === 0) {
+      try {
+        await this.saveIndex(folder, next);
+      } catch (error) {
+        console.warn(`[SEMANTIC INDEX] Could not persist index for ${folder}:`, error.message);
+      }
+    }
     
-    return chunks;
+    return { chunks: this.indexCache.get(folder), ...stats };
+  }
+
+  /**
+   * Apply on-disk changes to an already-indexed folder (used by the file
+   * watcher). Changed files are re-chunked and re-embedded, deleted files
+   * and directories are dropped. Folders that were never indexed are left
+   * alone. New files are added while the folder is under the file limit.
+   *
+   * @param {string} folderPath
+   * @param {Array<{path: string, kind: string, isDirectory?: boolean}>} changes
+   * @returns {Promise<Object|null>} stats, or null if the folder has no index
+   */
+  async updateFiles(folderPath, changes) {
+    const folder = this.normalizeFolder(folderPath);
+    return this.withFolderLock(folder, async () => {
+      const previous = await this.loadIndex(folder);
+      if (!previous) return null;
+
+      const next = new Map(previous);
+      const toEmbed = [];
+      const stats = { added: 0, changed: 0, removed: 0 };
+
+      for (const change of changes) {
+        const filePath = path.resolve(change.path);
+
+        if (change.kind === 'deleted') {
+          const prefix = filePath + path.sep;
+          for (const indexed of Array.from(next.keys())) {
+            if (indexed === filePath || (change.isDirectory && indexed.startsWith(prefix))) {
+              next.delete(indexed);
+              stats.removed++;
+            }
+          }
+          continue;
+        }
+
+        if (change.isDirectory || !this.isCodeFile(filePath)) continue;
+
+        const existing = next.get(filePath);
+        if (!existing && next.size >= MAX_INDEXED_FILES) continue;
+
+        let content;
+        try {
+          content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+          continue; // Removed again before we got to it; the delete event follows
+        }
+
+        const hash = this.hashContent(content);
+        if (existing && existing.hash === hash) continue;
+
+        const fileChunks = this.chunkCodeFile(content, filePath);
+        next.set(filePath, { hash, chunks: fileChunks });
+        toEmbed.push(...fileChunks);
+        stats[existing ? 'changed' : 'added']++;
+      }
+
+      if (toEmbed.length === 0 && stats.removed === 0) return stats;
+
+      if (toEmbed.length > 0) {
+        await this.generateEmbeddings(toEmbed);
+      }
+      this.setFolderIndex(folder, next);
+
+      try {
+        await this.saveIndex(folder, next);
+      } catch (error) {
+        console.warn(`[SEMANTIC INDEX] Could not persist index for ${folder}:`, error.message);
+      }
+
+      console.log(`[SEMANTIC INDEX] Live update for ${folder}: ${stats.added} added, ${stats.changed} changed, ${stats.removed} removed`);
+      return stats;
+    });
   }
 
   /**
@@ -142,24 +344,22 @@ class CodebaseIndexer {
   async generateEmbeddings(chunks) {
     const batchSize = 20;
     
-    console.log(`[SEMANTIC INDEX] Generating embeddings for ${chunks.length} chunks...`);
+    console.log(`[SEMANTIC INDEX] Generating embeddings for ${chunks.length} chunks (${this.embedder.modelId})...`);
     
     for (let i = 0; i < chunks.length; i += batchSize) {
       const batch = chunks.slice(i, i + batchSize);
       const texts = batch.map(chunk => {
         // Include file path and line numbers for context
-        const header = `File: ${chunk.filePath} (lines ${chunk.startLine}-${chunk.endLine})`;
+        const header = `File: ${chunk.filePath} (lines ${chunk.startLine}-${chunk.endLine})` +
+          (chunk.name ? `\nSymbol: ${chunk.kind} ${this.formatSymbol(chunk)}` : '');
         return `${header}\n\n${chunk.content}`;
       });
 
       try {
-        const response = await this.openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: texts
-        });
+        const embeddings = await this.embedder.embed(texts);
 
         for (let j = 0; j < batch.length; j++) {
-          batch[j].embedding = response.data[j].embedding;
+          batch[j].embedding = embeddings[j];
         }
         
         console.log(`[SEMANTIC INDEX] Embedded batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(chunks.length/batchSize)}`);
@@ -177,64 +377,151 @@ class CodebaseIndexer {
   }
 
   /**
-   * Semantic search through indexed code
-   * Copied from COSMO coordinator-indexer.js searchInsights()
+   * Restrict a search to a path glob and/or language.
+   * `language` matches the chunker language ("typescript") or a file
+   * extension ("ts"); `path` is a glob relative to the workspace root.
+   */
+  buildFilter(folder, options = {}) {
+    const pathPatterns = [].concat(options.path || []).filter(Boolean);
+    const language = options.language ? String(options.language).toLowerCase().replace(/^\./, '') : null;
+    if (pathPatterns.length === 0 && !language) return null;
+
+    return (chunk) => {
+      if (language) {
+        const ext = path.extname(chunk.filePath).toLowerCase().slice(1);
+        if (chunk.language !== language && ext !== language) return false;
+      }
+      if (pathPatterns.length > 0) {
+        const relativePath = path.relative(folder, chunk.filePath);
+        if (!matchAny(relativePath, pathPatterns)) return false;
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Lexical index for a folder, rebuilt whenever the chunk set changes
    */
-  async searchCode(folderPath, query, limit = 10) {
-    const chunks = this.indexCache.get(folderPath);
+  getLexicalIndex(folder, chunks) {
+    let index = this.lexicalCache.get(folder);
+    if (!index || index.chunks !== chunks) {
+      index = { chunks, bm25: new BM25Index().build(chunks) };
+      this.lexicalCache.set(folder, index);
+    }
+    return index.bm25;
+  }
+
+  /**
+   * Hybrid search through indexed code.
+   * BM25 (exact identifiers, rare terms) and cosine similarity (meaning) each
+   * produce a ranking; the two are merged with reciprocal rank fusion so a
+   * chunk that ranks well in either list surfaces.
+   *
+   * @param {string} folderPath
+   * @param {string} query
+   * @param {number} [limit=10]
+   * @param {Object} [options]
+   * @param {string|string[]} [options.path] - Glob(s) relative to the folder
+   * @param {string} [options.language] - Language name or file extension
+   */
+  async searchCode(folderPath, query, limit = 10, options = {}) {
+    const folder = this.normalizeFolder(folderPath);
+    const chunks = await this.getChunks(folder);
     
     if (!chunks || chunks.length === 0) {
       return { results: [], message: 'No index found - folder not indexed yet' };
     }
 
+    const filter = this.buildFilter(folder, options);
+    const candidates = Math.max(limit * RRF_CANDIDATE_FACTOR, RRF_MIN_CANDIDATES);
+
+    const lexical = this.getLexicalIndex(folder, chunks).search(query, {
+      limit: candidates,
+      filter: filter ? (index) => filter(chunks[index]) : null
+    });
+
     // Generate query embedding
-    let queryEmbedding;
+    let queryEmbedding = null;
     try {
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-3-small',
-        input: query
-      });
-      queryEmbedding = response.data[0].embedding;
+      queryEmbedding = await this.embedder.embedOne(query);
     } catch (error) {
       console.error('[SEMANTIC SEARCH] Failed to generate query embedding:', error);
-      // Fallback to keyword search
-      return this.keywordSearch(chunks, query, limit);
     }
 
-    // Calculate similarities (exact COSMO algorithm)
-    const scored = chunks
-      .filter(chunk => chunk.embedding)
-      .map(chunk => ({
-        ...chunk,
-        similarity: this.cosineSimilarity(queryEmbedding, chunk.embedding)
-      }))
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+    if (!queryEmbedding) {
+      return this.keywordSearch(chunks, lexical, limit);
+    }
+
+    const semantic = [];
+    chunks.forEach((chunk, index) => {
+      if (!chunk.embedding || (filter && !filter(chunk))) return;
+      semantic.push({ index, similarity: this.cosineSimilarity(queryEmbedding, chunk.embedding) });
+    });
+    semantic.sort((a, b) => b.similarity - a.similarity);
+    semantic.length = Math.min(semantic.length, candidates);
+
+    // Reciprocal rank fusion
+    const fused = new Map(); // chunk index → { score, similarity, bm25 }
+    const entry = (index) => {
+      if (!fused.has(index)) fused.set(index, { score: 0, similarity: null, bm25: null });
+      return fused.get(index);
+    };
+    semantic.forEach(({ index, similarity }, rank) => {
+      const item = entry(index);
+      item.score += 1 / (RRF_K + rank + 1);
+      item.similarity = similarity;
+    });
+    lexical.forEach(({ index, score }, rank) => {
+      const item = entry(index);
+      item.score += 1 / (RRF_K + rank + 1);
+      item.bm25 = score;
+    });
 
-    console.log(`[SEMANTIC SEARCH] Found ${scored.length} matches for "${query}"`);
+    const maxScore = 2 / (RRF_K + 1);
+    const results = Array.from(fused)
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, limit)
+      .map(([index, item]) => {
+        const { embedding, ...chunk } = chunks[index];
+        return {
+          ...chunk,
+          score: item.score / maxScore,
+          similarity: item.similarity ?? this.cosineSimilarity(queryEmbedding, embedding),
+          bm25: item.bm25,
+          matchedBy: [item.similarity !== null && 'semantic', item.bm25 !== null && 'keyword'].filter(Boolean)
+        };
+      });
+
+    console.log(`[SEMANTIC SEARCH] Found ${results.length} matches for "${query}" (${semantic.length} semantic, ${lexical.length} keyword candidates)`);
     
-    return { results: scored, message: null };
+    return { results, message: null };
   }
 
   /**
-   * Fallback keyword search (exact COSMO algorithm)
+   * Keyword-only results (BM25), used when the query can't be embedded
    */
-  keywordSearch(chunks, query, limit) {
-    const queryWords = query.toLowerCase().split(/\s+/);
-    
-    const scored = chunks.map(chunk => {
-      const text = chunk.content.toLowerCase();
-      const matches = queryWords.filter(word => text.includes(word)).length;
+  keywordSearch(chunks, lexical, limit) {
+    const top = lexical[0]?.score || 1;
+    const results = lexical.slice(0, limit).map(({ index, score }) => {
+      const { embedding, ...chunk } = chunks[index];
       return {
         ...chunk,
-        similarity: matches / queryWords.length
+        score: score / top,
+        similarity: score / top,
+        bm25: score,
+        matchedBy: ['keyword']
       };
-    })
-    .filter(chunk => chunk.similarity > 0)
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit);
+    });
 
-    return { results: scored, message: 'Using keyword search (embeddings unavailable)' };
+    return { results, message: 'Using keyword search (embeddings unavailable)' };
+  }
+
+  /**
+   * Human-readable symbol name for a chunk, e.g. "ToolExecutor.execute"
+   */
+  formatSymbol(chunk) {
+    if (!chunk.name) return null;
+    return chunk.parent ? `${chunk.parent}.${chunk.name}` : chunk.name;
   }
 
   /**
@@ -0,0 +1,283 @@
+/**
+ * ConversationSearchIndex — full-text search over saved conversations.
+ *
+ * Every message, every tool call recorded on an assistant message and the
+ * conversation summary becomes one BM25 document. Conversations are re-read
+ * from the ConversationStore only when their updatedAt changes, so repeated
+ * searches over a large history stay cheap; the BM25 postings are rebuilt
+ * when anything changed.
+ *
+ * The index lives in memory; the database stays the source of truth.
+ */
+
+const path = require('path');
+const BM25Index = require('./bm25-index');
+
+const SNIPPET_CHARS = 180;
+const MAX_DOC_CHARS = 20_000;
+const MAX_LIMIT = 200;
+
+function toIso(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Lowercase words of a query, used to locate and highlight hits
+ */
+function queryWords(query) {
+  return Array.from(new Set((String(query || '').match(/[A-Za-z0-9_$]+/g) || [])
+    .map(word => word.toLowerCase())
+    .filter(word => word.length > 1)));
+}
+
+/**
+ * Snippet around the first query word, with highlight ranges relative to it
+ * @returns {{ text: string, highlights: Array<[number, number]> }}
+ */
+function buildSnippet(content, words) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  let first = -1;
+  for (const word of words) {
+    const at = lower.indexOf(word);
+    if (at >= 0 && (first < 0 || at < first)) first = at;
+  }
+
+  let start = first < 0 ? 0 : Math.max(0, first - Math.floor(SNIPPET_CHARS / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space >= 0 && space < first) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_CHARS);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  const snippetLower = snippet.toLowerCase();
+  for (const word of words) {
+    let at = snippetLower.indexOf(word);
+    while (at >= 0) {
+      highlights.push([at, at + word.length]);
+      at = snippetLower.indexOf(word, at + word.length);
+    }
+  }
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  // Merge overlapping ranges ("auth" inside "oauth")
+  const merged = [];
+  for (const range of highlights) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  return { text: snippet, highlights: merged };
+}
+
+function isWithinFolder(candidate, folder) {
+  if (!candidate) return false;
+  const a = path.resolve(candidate);
+  const b = path.resolve(folder);
+  return a === b || a.startsWith(b.endsWith(path.sep) ? b : b + path.sep);
+}
+
+class ConversationSearchIndex {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - ConversationStore
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.files = new Map(); // conversation id → { version, docs }
+    this.docs = [];
+    this.bm25 = new BM25Index();
+    this.dirty = true;
+    this.refreshing = null;
+  }
+
+  /**
+   * Documents for one conversation file
+   */
+  documentsFor(id, data) {
+    const messages = Array.isArray(data.messages) ? data.messages : [];
+    const models = Array.from(new Set(messages.map(message => message?.model).filter(Boolean)));
+    const conversation = {
+      id,
+      title: data.title || 'Untitled',
+      timestamp: toIso(data.timestamp) || toIso(data.updatedAt),
+      folder: data.folder || null,
+      brainPath: data.brainPath || null,
+      models,
+      messageCount: messages.length
+    };
+
+    const docs = [];
+    messages.forEach((message, messageIndex) => {
+      if (!message || typeof message.content !== 'string') return;
+      const base = {
+        conversation,
+        messageIndex,
+        role: message.role || null,
+        model: message.model || null,
+        timestamp: toIso(message.timestamp) || conversation.timestamp
+      };
+
+      if (message.content.trim()) {
+        docs.push({ ...base, kind: 'message', content: message.content.slice(0, MAX_DOC_CHARS) });
+      }
+
+      for (const call of Array.isArray(message.toolCalls) ? message.toolCalls : []) {
+        if (!call || !call.tool) continue;
+        docs.push({
+          ...base,
+          kind: 'tool',
+          tool: call.tool,
+          success: call.success !== false,
+          content: `${call.tool} ${call.summary || ''}`.slice(0, MAX_DOC_CHARS)
+        });
+      }
+    });
+
+    if (typeof data.summary === 'string' && data.summary.trim()) {
+      docs.push({
+        conversation,
+        messageIndex: null,
+        role: null,
+        model: null,
+        timestamp: conversation.timestamp,
+        kind: 'summary',
+        content: data.summary.slice(0, MAX_DOC_CHARS)
+      });
+    }
+
+    return docs;
+  }
+
+  /**
+   * Re-read changed conversations and rebuild the postings if needed
+   */
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+    this.refreshing = (async () => {
+      const seen = new Set();
+      for (const { id, updatedAt } of await this.store.versions()) {
+        seen.add(id);
+        const version = updatedAt.getTime();
+        const cached = this.files.get(id);
+        if (cached && cached.version === version) continue;
+
+        const data = await this.store.get(id);
+        if (data) {
+          this.files.set(id, { version, docs: this.documentsFor(id, data) });
+        } else {
+          this.files.delete(id);
+        }
+        this.dirty = true;
+      }
+
+      for (const id of Array.from(this.files.keys())) {
+        if (!seen.has(id)) {
+          this.files.delete(id);
+          this.dirty = true;
+        }
+      }
+
+      if (this.dirty) {
+        this.docs = Array.from(this.files.values()).flatMap(entry => entry.docs);
+        this.bm25.build(this.docs);
+        this.dirty = false;
+      }
+    })();
+
+    try {
+      await this.refreshing;
+    } finally {
+      this.refreshing = null;
+    }
+  }
+
+  /**
+   * Forget a conversation's cached documents (saved or deleted)
+   */
+  invalidate(id) {
+    if (this.files.delete(String(id))) this.dirty = true;
+  }
+
+  /**
+   * Search conversations
+   * @param {string} query
+   * @param {Object} [filters]
+   * @param {string} [filters.folder] - conversations in this folder or below
+   * @param {string} [filters.brainPath]
+   * @param {string} [filters.model] - conversations that used a matching model (substring)
+   * @param {string} [filters.from] - ISO date, inclusive
+   * @param {string} [filters.to] - ISO date, inclusive (a bare date covers the whole day)
+   * @param {string} [filters.kind] - 'message' | 'tool' | 'summary'
+   * @param {number} [filters.limit]
+   * @returns {Promise<{ hits: Object[], total: number, terms: string[] }>}
+   */
+  async search(query, filters = {}) {
+    await this.refresh();
+
+    const words = queryWords(query);
+    if (words.length === 0) {
+      return { hits: [], total: 0, terms: [] };
+    }
+
+    const limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(filters.limit, 10) || 50));
+    const model = filters.model ? String(filters.model).toLowerCase() : null;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    let to = filters.to ? Date.parse(filters.to) : null;
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(filters.to))) {
+      to += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    const filter = (docIndex) => {
+      const doc = this.docs[docIndex];
+      const conversation = doc.conversation;
+      if (filters.folder && !isWithinFolder(conversation.folder, filters.folder)) return false;
+      if (filters.brainPath && conversation.brainPath !== filters.brainPath) return false;
+      if (model && !conversation.models.some(name => name.toLowerCase().includes(model))) return false;
+      if (filters.kind && doc.kind !== filters.kind) return false;
+      if (from !== null || to !== null) {
+        const time = Date.parse(doc.timestamp || '');
+        if (Number.isNaN(time)) return false;
+        if (from !== null && !Number.isNaN(from) && time < from) return false;
+        if (to !== null && !Number.isNaN(to) && time > to) return false;
+      }
+      return true;
+    };
+
+    const ranked = this.bm25.search(words.join(' '), { limit: this.docs.length, filter });
+    const hits = ranked.slice(0, limit).map(({ index, score }) => {
+      const doc = this.docs[index];
+      const snippet = buildSnippet(doc.content, words);
+      return {
+        conversationId: doc.conversation.id,
+        title: doc.conversation.title,
+        folder: doc.conversation.folder,
+        brainPath: doc.conversation.brainPath,
+        conversationTimestamp: doc.conversation.timestamp,
+        messageIndex: doc.messageIndex,
+        kind: doc.kind,
+        role: doc.role,
+        model: doc.model,
+        tool: doc.tool || null,
+        timestamp: doc.timestamp,
+        score: Number(score.toFixed(4)),
+        snippet: snippet.text,
+        highlights: snippet.highlights
+      };
+    });
+
+    return { hits, total: ranked.length, terms: words };
+  }
+}
+
+module.exports = { ConversationSearchIndex, buildSnippet, queryWords };
@@ -0,0 +1,508 @@
+/**
+ * ConversationStore — chat conversations in the Prisma/SQLite database.
+ *
+ * A conversation row keeps the list metadata (title, folder, brain, summary,
+ * message count), so listing is one indexed query instead of re-reading every
+ * conversation file. Messages and the tool calls recorded on assistant
+ * messages live in their own tables; fields this schema does not model are
+ * kept verbatim in a JSON `extra` column so clients get back what they saved.
+ *
+ * Messages form a tree: each has a stable id and a parent. Editing an earlier
+ * user message or regenerating an assistant turn adds a sibling instead of
+ * overwriting, so the original branch is kept. The conversation's
+ * `activeLeafId` picks the branch clients see as the flat `messages` list;
+ * saving that list upserts its messages along the path and leaves other
+ * branches alone.
+ *
+ * The conversation tables are created on first use by applying pending
+ * migrations (see services/database.js). Conversations written by older
+ * versions (conversations/<id>.json) are then imported once and moved to
+ * conversations/.migrated-json/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { getPrisma, isMissingTableError, ensureSchema, BULK_TRANSACTION_OPTIONS } = require('./services/database');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const CONVERSATION_FIELDS = new Set(['id', 'title', 'timestamp', 'createdAt', 'updatedAt', 'folder', 'brainPath', 'summary', 'messages', 'activeLeafId']);
+// id/parentId/branch describe the tree and are derived on read
+const MESSAGE_FIELDS = new Set(['id', 'parentId', 'branch', 'role', 'content', 'model', 'timestamp', 'toolCalls']);
+const MESSAGE_FIELDS_EXCEPT_CONTENT = new Set(['id', 'parentId', 'branch', 'role', 'model', 'timestamp', 'toolCalls']);
+
+function newMessageId() {
+  return `msg_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toDate(value, fallback = new Date()) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+}
+
+/**
+ * Fields outside `known` as a JSON string (null when there are none)
+ */
+function packExtra(source, known) {
+  const extra = {};
+  for (const [key, value] of Object.entries(source || {})) {
+    if (!known.has(key) && value !== undefined) extra[key] = value;
+  }
+  return Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+}
+
+function unpackExtra(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (_) {
+    return {};
+  }
+}
+
+function messageData(message, position, parentId) {
+  const content = message?.content;
+  return {
+    parentId,
+    position,
+    role: String(message?.role || 'user'),
+    content: typeof content === 'string' ? content : '',
+    model: message?.model ? String(message.model) : null,
+    timestamp: toDate(message?.timestamp),
+    // Non-string content (e.g. content blocks) round-trips through `extra`
+    extra: packExtra(message, typeof content === 'string' ? MESSAGE_FIELDS : MESSAGE_FIELDS_EXCEPT_CONTENT)
+  };
+}
+
+function toolCallData(message) {
+  return (Array.isArray(message?.toolCalls) ? message.toolCalls : [])
+    .filter(call => call && call.tool)
+    .map((call, index) => ({
+      position: index,
+      tool: String(call.tool),
+      summary: call.summary ? String(call.summary) : null,
+      success: call.success !== false
+    }));
+}
+
+function messageChanged(row, data, toolCalls) {
+  if (row.parentId !== data.parentId || row.position !== data.position || row.role !== data.role
+    || row.content !== data.content || row.model !== data.model || row.extra !== data.extra) {
+    return true;
+  }
+  const stored = (row.toolCalls || []).map(({ position, tool, summary, success }) => ({ position, tool, summary, success }));
+  return JSON.stringify(stored) !== JSON.stringify(toolCalls);
+}
+
+/**
+ * Children of every message (key '' for roots), oldest first
+ * @returns {Map<string, Object[]>}
+ */
+function childrenByParent(rows) {
+  const children = new Map();
+  for (const row of [...rows].sort((a, b) => a.id - b.id)) {
+    const key = row.parentId || '';
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(row);
+  }
+  return children;
+}
+
+/**
+ * Deepest message under `row`, following the newest child at each step
+ */
+function newestLeaf(row, children) {
+  let node = row;
+  const seen = new Set();
+  while (node && !seen.has(node.nodeId)) {
+    seen.add(node.nodeId);
+    const next = children.get(node.nodeId);
+    if (!next || next.length === 0) break;
+    node = next[next.length - 1];
+  }
+  return node;
+}
+
+/**
+ * Root-to-leaf path ending at `leafId` (or the newest branch when unknown)
+ */
+function branchPath(rows, leafId) {
+  if (rows.length === 0) return [];
+  const byNode = new Map(rows.map(row => [row.nodeId, row]));
+  let leaf = byNode.get(leafId);
+  if (!leaf) {
+    const roots = childrenByParent(rows).get('') || [];
+    leaf = newestLeaf(roots[roots.length - 1], childrenByParent(rows));
+  }
+
+  const path = [];
+  const seen = new Set();
+  for (let node = leaf; node && !seen.has(node.nodeId); node = node.parentId ? byNode.get(node.parentId) : null) {
+    seen.add(node.nodeId);
+    path.push(node);
+  }
+  return path.reverse();
+}
+
+function toMessage(row, children) {
+  const message = {
+    role: row.role,
+    content: row.content,
+    timestamp: row.timestamp.toISOString()
+  };
+  if (row.model) message.model = row.model;
+  if (row.toolCalls && row.toolCalls.length > 0) {
+    message.toolCalls = row.toolCalls.map(call => ({ tool: call.tool, summary: call.summary, success: call.success }));
+  }
+
+  const result = { ...message, ...unpackExtra(row.extra), id: row.nodeId, parentId: row.parentId };
+  const siblings = children ? (children.get(row.parentId || '') || []) : [];
+  if (siblings.length > 1) {
+    // 1-based position among alternatives for this turn
+    result.branch = {
+      index: siblings.findIndex(sibling => sibling.nodeId === row.nodeId) + 1,
+      count: siblings.length,
+      ids: siblings.map(sibling => sibling.nodeId)
+    };
+  }
+  return result;
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    timestamp: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+    folder: row.folder,
+    brainPath: row.brainPath,
+    messageCount: row.messageCount
+  };
+}
+
+function toConversation(row) {
+  const rows = row.messages || [];
+  const children = childrenByParent(rows);
+  const messages = branchPath(rows, row.activeLeafId);
+  return {
+    ...unpackExtra(row.extra),
+    id: row.id,
+    title: row.title,
+    timestamp: row.createdAt.toISOString(),
+    folder: row.folder,
+    brainPath: row.brainPath,
+    summary: row.summary,
+    messages: messages.map(message => toMessage(message, children)),
+    activeLeafId: messages.length > 0 ? messages[messages.length - 1].nodeId : null,
+    branchCount: rows.filter(message => !children.has(message.nodeId)).length,
+    updatedAt: row.updatedAt.toISOString()
+  };
+}
+
+class ConversationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.legacyDir - Directory of conversation JSON files to import
+   * @param {Object} [options.prisma] - Prisma client (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.legacyDir = options.legacyDir ? path.resolve(options.legacyDir) : null;
+    this.prisma = options.prisma || null;
+    // An injected client is the caller's to migrate
+    this.usesSharedDatabase = !options.prisma;
+    this.ready = null;
+  }
+
+  get db() {
+    if (!this.prisma) this.prisma = getPrisma();
+    return this.prisma;
+  }
+
+  async ensureReady() {
+    if (!this.ready) {
+      this.ready = (this.usesSharedDatabase ? ensureSchema() : Promise.resolve())
+        .then(() => this.importLegacyConversations())
+        .catch((error) => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * One page of conversations, newest first
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {string} [options.cursor] - id of the last conversation of the previous page
+   * @param {string} [options.folder]
+   * @param {string} [options.brainPath]
+   * @returns {Promise<{ conversations: Object[], nextCursor: string|null, total: number }>}
+   */
+  async list({ limit = DEFAULT_PAGE_SIZE, cursor = null, folder, brainPath } = {}) {
+    await this.ensureReady();
+    const take = Math.max(1, Math.min(MAX_PAGE_SIZE, Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    const where = {};
+    if (folder !== undefined) where.folder = folder;
+    if (brainPath !== undefined) where.brainPath = brainPath;
+
+    const [rows, total] = await Promise.all([
+      this.db.conversation.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+        select: { id: true, title: true, createdAt: true, updatedAt: true, folder: true, brainPath: true, messageCount: true }
+      }),
+      this.db.conversation.count({ where })
+    ]);
+
+    const page = rows.slice(0, take);
+    return {
+      conversations: page.map(toSummary),
+      nextCursor: rows.length > take ? page[page.length - 1].id : null,
+      total
+    };
+  }
+
+  /**
+   * Conversation ids with their last change, for cache invalidation
+   * @returns {Promise<Array<{ id: string, updatedAt: Date }>>}
+   */
+  async versions() {
+    await this.ensureReady();
+    return this.db.conversation.findMany({ select: { id: true, updatedAt: true } });
+  }
+
+  async exists(id) {
+    await this.ensureReady();
+    return (await this.db.conversation.count({ where: { id: String(id) } })) > 0;
+  }
+
+  async loadRow(db, id) {
+    return db.conversation.findUnique({
+      where: { id: String(id) },
+      include: {
+        messages: {
+          orderBy: { id: 'asc' },
+          include: { toolCalls: { orderBy: { position: 'asc' } } }
+        }
+      }
+    });
+  }
+
+  /**
+   * Full conversation with the messages of its active branch, or null
+   */
+  async get(id) {
+    await this.ensureReady();
+    const row = await this.loadRow(this.db, id);
+    return row ? toConversation(row) : null;
+  }
+
+  /**
+   * Every message of a conversation as a tree outline, or null
+   * @returns {Promise<{ activeLeafId: string|null, nodes: Object[] }|null>}
+   */
+  async tree(id) {
+    await this.ensureReady();
+    const row = await this.loadRow(this.db, id);
+    if (!row) return null;
+
+    const children = childrenByParent(row.messages);
+    const active = new Set(branchPath(row.messages, row.activeLeafId).map(message => message.nodeId));
+    return {
+      activeLeafId: row.activeLeafId,
+      nodes: row.messages.map(message => ({
+        id: message.nodeId,
+        parentId: message.parentId,
+        role: message.role,
+        model: message.model,
+        timestamp: message.timestamp.toISOString(),
+        preview: message.content.replace(/\s+/g, ' ').trim().slice(0, 120),
+        children: (children.get(message.nodeId) || []).map(child => child.nodeId),
+        active: active.has(message.nodeId)
+      }))
+    };
+  }
+
+  /**
+   * Make the branch through `messageId` active, continuing down its newest
+   * descendants
+   * @returns {Promise<Object|null>} Updated conversation, or null if the conversation or message does not exist
+   */
+  async switchBranch(id, messageId) {
+    await this.ensureReady();
+    const row = await this.loadRow(this.db, id);
+    const target = row?.messages.find(message => message.nodeId === String(messageId));
+    if (!target) return null;
+
+    const leaf = newestLeaf(target, childrenByParent(row.messages));
+    await this.db.conversation.update({
+      where: { id: row.id },
+      data: {
+        activeLeafId: leaf.nodeId,
+        messageCount: branchPath(row.messages, leaf.nodeId).length
+      }
+    });
+    return this.get(id);
+  }
+
+  /**
+   * Insert a conversation
+   * @param {Object} conversation - { id, title, timestamp, folder, brainPath, summary, messages, ... }
+   */
+  async create(conversation) {
+    await this.ensureReady();
+    await this.write(conversation);
+    return this.get(conversation.id);
+  }
+
+  /**
+   * Upsert the conversation row and the messages of the given branch in one
+   * transaction; the last message becomes the active leaf. Messages sent
+   * without an id reuse the stored message at the same place on the previous
+   * active branch when it matches, else get a new one.
+   */
+  async write(conversation) {
+    const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+    const data = {
+      title: String(conversation.title || 'Untitled'),
+      folder: conversation.folder || null,
+      brainPath: conversation.brainPath || null,
+      summary: conversation.summary || null,
+      extra: packExtra(conversation, CONVERSATION_FIELDS),
+      messageCount: messages.length,
+      createdAt: toDate(conversation.timestamp || conversation.createdAt)
+    };
+
+    await this.db.$transaction(async (tx) => {
+      const existing = await this.loadRow(tx, conversation.id);
+      const stored = existing ? existing.messages : [];
+      const byNode = new Map(stored.map(row => [row.nodeId, row]));
+      const previousPath = branchPath(stored, existing?.activeLeafId);
+
+      await tx.conversation.upsert({
+        where: { id: conversation.id },
+        create: { id: conversation.id, ...data },
+        update: data
+      });
+
+      let parentId = null;
+      for (const [position, message] of messages.entries()) {
+        let nodeId = message?.id ? String(message.id) : null;
+        if (!nodeId) {
+          const prior = previousPath[position];
+          nodeId = prior && prior.parentId === parentId && prior.role === message?.role && prior.content === message?.content
+            ? prior.nodeId
+            : newMessageId();
+        }
+
+        const fields = messageData(message, position, parentId);
+        const toolCalls = toolCallData(message);
+        const row = byNode.get(nodeId);
+        if (!row) {
+          await tx.message.create({
+            data: { conversationId: conversation.id, nodeId, ...fields, toolCalls: { create: toolCalls } }
+          });
+        } else if (messageChanged(row, fields, toolCalls)) {
+          await tx.toolCall.deleteMany({ where: { messageId: row.id } });
+          await tx.message.update({
+            where: { id: row.id },
+            data: { ...fields, toolCalls: { create: toolCalls } }
+          });
+        }
+        parentId = nodeId;
+      }
+
+      await tx.conversation.update({
+        where: { id: conversation.id },
+        data: { activeLeafId: parentId }
+      });
+    }, BULK_TRANSACTION_OPTIONS);
+  }
+
+  /**
+   * Apply changed fields; messages, when given, become the active branch
+   * @returns {Promise<Object|null>} Updated conversation, or null if it does not exist
+   */
+  async update(id, changes) {
+    await this.ensureReady();
+    const existing = await this.get(id);
+    if (!existing) return null;
+
+    const merged = { ...existing };
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (value !== undefined && key !== 'id') merged[key] = value;
+    }
+    delete merged.updatedAt;
+    await this.write(merged);
+    return this.get(id);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a conversation was deleted
+   */
+  async remove(id) {
+    await this.ensureReady();
+    const result = await this.db.conversation.deleteMany({ where: { id: String(id) } });
+    return result.count > 0;
+  }
+
+  /**
+   * Import conversations/<id>.json written by older versions
+   */
+  async importLegacyConversations() {
+    if (!this.legacyDir) return;
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.legacyDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (files.length === 0) return;
+
+    const archiveDir = path.join(this.legacyDir, '.migrated-json');
+    await fs.mkdir(archiveDir, { recursive: true });
+
+    let imported = 0;
+    for (const file of files) {
+      const filePath = path.join(this.legacyDir, file);
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        const id = file.slice(0, -'.json'.length);
+        const existing = await this.db.conversation.count({ where: { id } });
+        if (!existing) {
+          await this.write({ ...data, id, messages: Array.isArray(data.messages) ? data.messages : [] });
+          imported++;
+        }
+        await fs.rename(filePath, path.join(archiveDir, file));
+      } catch (error) {
+        if (isMissingTableError(error)) throw error;
+        console.warn(`[CONVERSATIONS] Skipping unreadable legacy conversation ${file}: ${error.message}`);
+      }
+    }
+    console.log(`[CONVERSATIONS] Imported ${imported} legacy JSON conversation(s); originals moved to ${archiveDir}`);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getConversationStore(options = {}) {
+  if (!instance) {
+    instance = new ConversationStore(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ConversationStore,
+  getConversationStore
+};
@@ -0,0 +1,321 @@
+/**
+ * Document Text Extraction
+ *
+ * Text from Office documents, Outlook messages and PDFs. Shared by the
+ * editor (/api/extract-office-text) and the brain builder.
+ *
+ * PDF support is a dependency-free best effort: text-showing operators are
+ * read from (Flate-compressed) content streams. Scanned PDFs and fonts with
+ * custom encodings yield little or no text.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+const MsgReader = require('msgreader').default || require('msgreader');
+
+const DOCUMENT_EXTENSIONS = new Set(['.docx', '.xlsx', '.xls', '.msg', '.pdf']);
+
+function isDocumentFile(filePath) {
+  return DOCUMENT_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+function spreadsheetText(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  let text = '';
+
+  workbook.SheetNames.forEach((sheetName) => {
+    const worksheet = workbook.Sheets[sheetName];
+    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+
+    text += `\n=== Sheet: ${sheetName} ===\n\n`;
+
+    jsonData.forEach((row) => {
+      if (row.some(cell => cell !== '')) {
+        const rowText = row.map(cell => {
+          const cellValue = cell === null || cell === undefined ? '' : String(cell);
+          return cellValue.replace(/\t/g, ' ').replace(/\n/g, ' ');
+        }).join(' | ');
+        text += `${rowText}\n`;
+      }
+    });
+
+    text += '\n';
+  });
+
+  return { text, sheetCount: workbook.SheetNames.length };
+}
+
+function messageText(buffer) {
+  const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const msgReader = new MsgReader(arrayBuffer);
+  const msg = msgReader.getFileData();
+
+  if (msg.error) {
+    const error = new Error(msg.error);
+    error.code = 'INVALID_DOCUMENT';
+    throw error;
+  }
+
+  const getField = (fieldName) => {
+    if (!msg || typeof msg !== 'object') return null;
+    if (msg[fieldName] !== undefined) return msg[fieldName];
+    const lowerKey = Object.keys(msg).find(k => k.toLowerCase() === fieldName.toLowerCase());
+    return lowerKey ? msg[lowerKey] : null;
+  };
+
+  const senderName = getField('senderName') || getField('from') || getField('sender') || '';
+  const senderEmail = getField('senderEmail') || getField('fromEmail') || '';
+  const subject = getField('subject') || '(No Subject)';
+  const to = getField('to') || getField('recipient') || '';
+  const cc = getField('cc') || '';
+  const date = getField('date') || getField('sentDate') || getField('receivedDate') || '';
+  const body = getField('body') || getField('bodyText') || getField('text') || '';
+  const bodyHtml = getField('bodyHtml') || getField('htmlBody') || '';
+  const attachments = getField('attachments') || [];
+
+  let text = '';
+  if (senderName || senderEmail) {
+    text += `From: ${senderName}`;
+    if (senderEmail) {
+      text += senderName ? ` <${senderEmail}>` : senderEmail;
+    }
+    text += '\n';
+  }
+
+  if (subject) text += `Subject: ${subject}\n`;
+  if (to) text += `To: ${to}\n`;
+  if (cc) text += `CC: ${cc}\n`;
+  if (date) text += `Date: ${date}\n`;
+
+  text += '\n--- Message Body ---\n\n';
+
+  if (body) {
+    text += body;
+  } else if (bodyHtml) {
+    text += bodyHtml.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"');
+  } else {
+    text += '(No body content found)';
+  }
+
+  const attachmentList = Array.isArray(attachments) ? attachments : [];
+  if (attachmentList.length > 0) {
+    text += `\n\n--- Attachments (${attachmentList.length}) ---\n`;
+    attachmentList.forEach((att, idx) => {
+      const fileName = (att && att.fileName) ? att.fileName : (typeof att === 'string' ? att : 'Unknown');
+      text += `${idx + 1}. ${fileName}\n`;
+    });
+  }
+
+  return { text, attachmentCount: attachmentList.length };
+}
+
+// ============================================================================
+// PDF (best effort)
+// ============================================================================
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+/**
+ * Decode a PDF literal string body (between the outer parentheses)
+ */
+function decodePdfLiteral(raw) {
+  let out = '';
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch !== '\\') {
+      out += ch;
+      continue;
+    }
+    const next = raw[++i];
+    if (next === undefined) break;
+    if (PDF_ESCAPES[next] !== undefined) {
+      out += PDF_ESCAPES[next];
+    } else if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(raw[i + 1] || '')) octal += raw[++i];
+      out += String.fromCharCode(parseInt(octal, 8));
+    } else if (next === '\r' || next === '\n') {
+      if (next === '\r' && raw[i + 1] === '\n') i++; // line continuation
+    } else {
+      out += next;
+    }
+  }
+  return out;
+}
+
+function decodePdfHex(hex) {
+  const clean = hex.replace(/\s+/g, '');
+  const bytes = Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+  // UTF-16BE with BOM, or two-byte CIDs that happen to be Unicode
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return bytes.slice(2).swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * Text from one content stream: strings shown by Tj, TJ, ' and " between
+ * BT/ET, with line breaks for T*, Td/TD moves and ET
+ */
+function contentStreamText(stream) {
+  const tokens = stream.match(/\((?:\\.|[^\\()]|\((?:\\.|[^\\()])*\))*\)|<[0-9A-Fa-f\s]*>|\[|\]|[A-Za-z'"*]+|-?\d*\.?\d+/g) || [];
+  let text = '';
+  let pending = [];
+  let inArray = false;
+  let arrayParts = [];
+
+  for (const token of tokens) {
+    if (token === '[') {
+      inArray = true;
+      arrayParts = [];
+      continue;
+    }
+    if (token === ']') {
+      inArray = false;
+      pending = [arrayParts.join('')];
+      continue;
+    }
+    if (token[0] === '(' || (token[0] === '<' && token !== '<<')) {
+      const value = token[0] === '(' ? decodePdfLiteral(token.slice(1, -1)) : decodePdfHex(token.slice(1, -1));
+      if (inArray) arrayParts.push(value);
+      else pending = [value];
+      continue;
+    }
+    if (inArray) {
+      // Large negative kerning inside TJ usually means a word gap
+      if (/^-?\d*\.?\d+$/.test(token) && Number(token) < -200) arrayParts.push(' ');
+      continue;
+    }
+    switch (token) {
+      case 'Tj':
+      case 'TJ':
+        text += pending.join('');
+        pending = [];
+        break;
+      case "'":
+      case '"':
+        text += '\n' + pending.join('');
+        pending = [];
+        break;
+      case 'T*':
+      case 'Td':
+      case 'TD':
+      case 'ET':
+        if (text && !text.endsWith('\n')) text += '\n';
+        break;
+      default:
+        break;
+    }
+  }
+  return text;
+}
+
+function pdfText(buffer) {
+  const raw = buffer.toString('latin1');
+  const parts = [];
+  // `N G obj << dict >> stream` — the dictionary may not run past its own object
+  const streamPattern = /\bobj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(raw)) !== null) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    streamPattern.lastIndex = end;
+
+    const dictionary = match[1];
+    // Skip images, fonts and other binary payloads
+    if (/\/Subtype\s*\/(Image|Form)|\/Length1|\/FontFile|\/Type\s*\/(XObject|Metadata|XRef|ObjStm)/.test(dictionary)) continue;
+
+    let data = buffer.slice(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = zlib.inflateSync(data);
+      } catch (_) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue; // other filters (DCT, LZW, ...) are not text we can read
+    }
+
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    const text = contentStreamText(content);
+    if (text.trim()) parts.push(text);
+  }
+
+  const text = parts.join('\n')
+    .replace(/[^\x09\x0a\x0d\x20-\x7e\u00a0-\uffff]/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+  return { text, streamCount: parts.length };
+}
+
+// ============================================================================
+// Entry point
+// ============================================================================
+
+/**
+ * Extract the text of a document
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {'text'|'html'} [options.format] - DOCX as HTML (editor) or plain text (indexing)
+ * @returns {Promise<{ content: string, metadata: Object }>}
+ * @throws {Error} code 'UNSUPPORTED' for unknown types, 'INVALID_DOCUMENT' for unreadable files
+ */
+async function extractDocumentText(filePath, options = {}) {
+  const format = options.format || 'text';
+  const ext = path.extname(filePath).toLowerCase();
+  const metadata = {};
+  let content = '';
+
+  if (!DOCUMENT_EXTENSIONS.has(ext)) {
+    const error = new Error('Unsupported file type');
+    error.code = 'UNSUPPORTED';
+    throw error;
+  }
+
+  const buffer = await fs.readFile(filePath);
+
+  if (ext === '.docx') {
+    // HTML preserves formatting for the editor; indexing wants plain text
+    const result = format === 'html'
+      ? await mammoth.convertToHtml({ buffer })
+      : await mammoth.extractRawText({ buffer });
+    content = result.value;
+    metadata.format = 'docx';
+    if (format === 'html') metadata.contentType = 'html'; // Signal to frontend this is HTML
+    metadata.warnings = result.messages.length > 0 ? result.messages.map(m => m.message) : undefined;
+
+  } else if (ext === '.xlsx' || ext === '.xls') {
+    const { text, sheetCount } = spreadsheetText(buffer);
+    content = text;
+    metadata.format = ext.substring(1);
+    metadata.sheetCount = sheetCount;
+
+  } else if (ext === '.msg') {
+    const { text, attachmentCount } = messageText(buffer);
+    content = text;
+    metadata.format = 'msg';
+    metadata.hasAttachments = attachmentCount > 0;
+    metadata.attachmentCount = attachmentCount;
+
+  } else if (ext === '.pdf') {
+    const { text, streamCount } = pdfText(buffer);
+    content = text;
+    metadata.format = 'pdf';
+    metadata.textStreams = streamCount;
+  }
+
+  return { content: content.trim(), metadata };
+}
+
+module.exports = {
+  extractDocumentText,
+  isDocumentFile,
+  DOCUMENT_EXTENSIONS
+};
@@ -0,0 +1,425 @@
+/**
+ * EditQueueStore — durable, per-conversation queue of agent edits.
+ *
+ * Edits proposed by the agent (edit_file, edit_file_range, search_replace,
+ * insert_lines, delete_lines, create_file) are grouped into one changeset per
+ * agent run and persisted on the server, so a page reload no longer loses them.
+ *
+ * Each edit records a hash of the file as it was when the edit was proposed.
+ * Applying checks every file against that hash first (conflict detection),
+ * stages all new contents to temp files, then renames them into place; if any
+ * step fails the files already written are restored. The pre-apply contents are
+ * kept on the changeset so the whole changeset can be undone in one step.
+ *
+ * Storage: <storageDir>/<conversationId>.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_CHANGESETS_PER_CONVERSATION = 200;
+
+function hashContent(content) {
+  if (content === null || content === undefined) return null;
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function isWithinRoot(filePath, root) {
+  if (!root) return true;
+  const relative = path.relative(path.resolve(root), path.resolve(filePath));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function summarizeChange(original, modified) {
+  if (original === null) return 'New file';
+  const diff = modified.split('\n').length - original.split('\n').length;
+  if (diff > 0) return `+${diff} lines added`;
+  if (diff < 0) return `${Math.abs(diff)} lines removed`;
+  return 'Modified';
+}
+
+/**
+ * Replace a set of files as one unit. Every file is staged next to its target
+ * first; on failure the files already renamed into place are put back.
+ *
+ * @param {Array<{ filePath: string, content: string|null }>} writes - null content deletes the file
+ * @param {Map<string, string|null>} previous - filePath → content before the write (null = absent)
+ */
+async function writeFilesAtomically(writes, previous) {
+  const token = crypto.randomBytes(4).toString('hex');
+  const staged = [];
+  const committed = [];
+
+  try {
+    for (const { filePath, content } of writes) {
+      if (content === null) {
+        staged.push({ filePath, tmpPath: null });
+        continue;
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.evobrew-${token}.tmp`;
+      await fs.writeFile(tmpPath, content, 'utf-8');
+      staged.push({ filePath, tmpPath });
+    }
+
+    for (const { filePath, tmpPath } of staged) {
+      if (tmpPath) {
+        await fs.rename(tmpPath, filePath);
+      } else {
+        await fs.rm(filePath, { force: true });
+      }
+      committed.push(filePath);
+    }
+  } catch (error) {
+    for (const filePath of committed.reverse()) {
+      const before = previous.get(filePath);
+      try {
+        if (before === null) {
+          await fs.rm(filePath, { force: true });
+        } else {
+          await fs.writeFile(filePath, before, 'utf-8');
+        }
+      } catch (restoreError) {
+        console.error(`[EDIT QUEUE] Failed to restore ${filePath} after aborted apply:`, restoreError.message);
+      }
+    }
+    throw error;
+  } finally {
+    for (const { tmpPath } of staged) {
+      if (tmpPath) await fs.rm(tmpPath, { force: true }).catch(() => {});
+    }
+  }
+}
+
+class EditQueueStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageDir] - Directory holding one JSON file per conversation
+   */
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || path.join(__dirname, '../conversations/edit-queues');
+    this.locks = new Map(); // conversationId → tail of the operation chain
+  }
+
+  queuePath(conversationId) {
+    if (!CONVERSATION_ID_PATTERN.test(String(conversationId || ''))) {
+      throw new Error('Invalid conversation id');
+    }
+    return path.join(this.storageDir, `${conversationId}.json`);
+  }
+
+  /**
+   * Serialize operations per conversation so concurrent requests cannot
+   * interleave reads and writes of the same queue file
+   */
+  withLock(conversationId, task) {
+    const previous = this.locks.get(conversationId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(conversationId, tail);
+    tail.then(() => {
+      if (this.locks.get(conversationId) === tail) this.locks.delete(conversationId);
+    });
+    return run;
+  }
+
+  async load(conversationId) {
+    const raw = await readIfExists(this.queuePath(conversationId));
+    if (!raw) return { conversationId, changesets: [] };
+    try {
+      const data = JSON.parse(raw);
+      return { conversationId, changesets: Array.isArray(data.changesets) ? data.changesets : [] };
+    } catch (error) {
+      console.warn(`[EDIT QUEUE] Ignoring unreadable queue for ${conversationId}:`, error.message);
+      return { conversationId, changesets: [] };
+    }
+  }
+
+  async save(queue) {
+    const queuePath = this.queuePath(queue.conversationId);
+    await fs.mkdir(this.storageDir, { recursive: true });
+    const tmpPath = `${queuePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({
+      conversationId: queue.conversationId,
+      updatedAt: new Date().toISOString(),
+      changesets: queue.changesets.slice(-MAX_CHANGESETS_PER_CONVERSATION)
+    }, null, 2), 'utf-8');
+    await fs.rename(tmpPath, queuePath);
+  }
+
+  /**
+   * All changesets for a conversation, oldest first
+   */
+  async list(conversationId) {
+    const queue = await this.load(conversationId);
+    return queue.changesets;
+  }
+
+  /**
+   * Record the edits from one agent run as a new changeset. Several edits to
+   * the same file collapse into one (the agent's later edits already build on
+   * its earlier ones), keeping the disk content of the first as the base.
+   *
+   * @param {string} conversationId
+   * @param {Array<{ file: string, edit: string, instructions?: string, isNew?: boolean }>} pendingEdits
+   * @param {Object} [options]
+   * @param {string} [options.title] - Usually the user message that produced the edits
+   * @param {string} [options.allowedRoot] - Files outside this root are refused on apply
+   * @returns {Promise<Object|null>} the changeset, or null if there were no edits
+   */
+  async createChangeset(conversationId, pendingEdits, options = {}) {
+    const usable = (pendingEdits || []).filter(edit => edit && edit.file && typeof edit.edit === 'string');
+    if (usable.length === 0) return null;
+
+    return this.withLock(conversationId, async () => {
+      const byFile = new Map();
+      for (const pending of usable) {
+        const filePath = path.resolve(pending.file);
+        const existing = byFile.get(filePath);
+        if (existing) {
+          existing.modifiedContent = pending.edit;
+          if (pending.instructions) existing.instructions.push(pending.instructions);
+          continue;
+        }
+
+        const originalContent = await readIfExists(filePath);
+        byFile.set(filePath, {
+          id: `edit_${crypto.randomBytes(6).toString('hex')}`,
+          filePath,
+          fileName: path.basename(filePath),
+          isNew: originalContent === null,
+          instructions: pending.instructions ? [pending.instructions] : [],
+          originalContent,
+          baseHash: hashContent(originalContent),
+          modifiedContent: pending.edit,
+          status: 'pending'
+        });
+      }
+
+      const edits = Array.from(byFile.values()).map(edit => ({
+        ...edit,
+        instructions: edit.instructions.join('\n'),
+        summary: summarizeChange(edit.originalContent, edit.modifiedContent)
+      }));
+
+      const changeset = {
+        id: `cs_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        conversationId,
+        title: String(options.title || '').slice(0, 200),
+        allowedRoot: options.allowedRoot || null,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+        edits
+      };
+
+      const queue = await this.load(conversationId);
+      queue.changesets.push(changeset);
+      await this.save(queue);
+      console.log(`[EDIT QUEUE] ${conversationId}: changeset ${changeset.id} with ${edits.length} file(s)`);
+      return changeset;
+    });
+  }
+
+  findChangeset(queue, changesetId) {
+    const changeset = queue.changesets.find(candidate => candidate.id === changesetId);
+    if (!changeset) throw new Error(`Changeset ${changesetId} not found`);
+    return changeset;
+  }
+
+  refreshStatus(changeset) {
+    const statuses = new Set(changeset.edits.map(edit => edit.status));
+    if (statuses.has('pending')) {
+      changeset.status = statuses.has('applied') ? 'partial' : 'pending';
+    } else if (statuses.has('applied')) {
+      changeset.status = 'applied';
+    } else if (statuses.has('undone')) {
+      changeset.status = 'undone';
+    } else {
+      changeset.status = 'rejected';
+    }
+  }
+
+  /**
+   * Apply pending edits of a changeset atomically
+   *
+   * @param {string} conversationId
+   * @param {string} changesetId
+   * @param {Object} [options]
+   * @param {string[]} [options.editIds] - Subset to apply (default: all pending)
+   * @param {boolean} [options.force] - Apply even if files changed since the edits were proposed
+   * @returns {Promise<{ applied: boolean, conflicts: Array, changeset: Object, appliedEditIds?: string[] }>}
+   */
+  async applyChangeset(conversationId, changesetId, options = {}) {
+    return this.withLock(conversationId, async () => {
+      const queue = await this.load(conversationId);
+      const changeset = this.findChangeset(queue, changesetId);
+      const selected = changeset.edits.filter(edit =>
+        edit.status === 'pending' && (!options.editIds || options.editIds.includes(edit.id))
+      );
+      if (selected.length === 0) {
+        return { applied: false, conflicts: [], changeset, message: 'No pending edits to apply' };
+      }
+
+      const previous = new Map();
+      const conflicts = [];
+      for (const edit of selected) {
+        if (!isWithinRoot(edit.filePath, changeset.allowedRoot)) {
+          throw new Error(`Access denied: ${edit.filePath} is outside ${changeset.allowedRoot}`);
+        }
+        const current = await readIfExists(edit.filePath);
+        previous.set(edit.filePath, current);
+        const currentHash = hashContent(current);
+        if (currentHash !== edit.baseHash && currentHash !== hashContent(edit.modifiedContent)) {
+          conflicts.push({
+            editId: edit.id,
+            filePath: edit.filePath,
+            reason: current === null
+              ? 'File was deleted since the edit was proposed'
+              : edit.baseHash === null
+                ? 'File was created since the edit was proposed'
+                : 'File changed on disk since the edit was proposed'
+          });
+        }
+      }
+
+      if (conflicts.length > 0 && !options.force) {
+        return { applied: false, conflicts, changeset };
+      }
+
+      await writeFilesAtomically(
+        selected.map(edit => ({ filePath: edit.filePath, content: edit.modifiedContent })),
+        previous
+      );
+
+      const appliedAt = new Date().toISOString();
+      for (const edit of selected) {
+        edit.status = 'applied';
+        edit.appliedAt = appliedAt;
+        edit.undo = {
+          content: previous.get(edit.filePath),
+          appliedHash: hashContent(edit.modifiedContent)
+        };
+      }
+      this.refreshStatus(changeset);
+      await this.save(queue);
+
+      console.log(`[EDIT QUEUE] Applied ${selected.length} file(s) from ${changesetId}${conflicts.length ? ' (forced over conflicts)' : ''}`);
+      return { applied: true, conflicts, changeset, appliedEditIds: selected.map(edit => edit.id) };
+    });
+  }
+
+  /**
+   * Mark pending edits as rejected (nothing is written)
+   */
+  async rejectChangeset(conversationId, changesetId, options = {}) {
+    return this.withLock(conversationId, async () => {
+      const queue = await this.load(conversationId);
+      const changeset = this.findChangeset(queue, changesetId);
+      for (const edit of changeset.edits) {
+        if (edit.status === 'pending' && (!options.editIds || options.editIds.includes(edit.id))) {
+          edit.status = 'rejected';
+        }
+      }
+      this.refreshStatus(changeset);
+      await this.save(queue);
+      return changeset;
+    });
+  }
+
+  /**
+   * Roll back every applied edit of a changeset in one atomic step
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Undo even if files were modified after the apply
+   * @returns {Promise<{ undone: boolean, conflicts: Array, changeset: Object }>}
+   */
+  async undoChangeset(conversationId, changesetId, options = {}) {
+    return this.withLock(conversationId, async () => {
+      const queue = await this.load(conversationId);
+      const changeset = this.findChangeset(queue, changesetId);
+      const applied = changeset.edits.filter(edit => edit.status === 'applied' && edit.undo);
+      if (applied.length === 0) {
+        return { undone: false, conflicts: [], changeset, message: 'Nothing to undo' };
+      }
+
+      const previous = new Map();
+      const conflicts = [];
+      for (const edit of applied) {
+        const current = await readIfExists(edit.filePath);
+        previous.set(edit.filePath, current);
+        if (hashContent(current) !== edit.undo.appliedHash) {
+          conflicts.push({
+            editId: edit.id,
+            filePath: edit.filePath,
+            reason: 'File was modified after the changeset was applied'
+          });
+        }
+      }
+
+      if (conflicts.length > 0 && !options.force) {
+        return { undone: false, conflicts, changeset };
+      }
+
+      await writeFilesAtomically(
+        applied.map(edit => ({ filePath: edit.filePath, content: edit.undo.content })),
+        previous
+      );
+
+      for (const edit of applied) {
+        edit.status = 'undone';
+        edit.undoneAt = new Date().toISOString();
+        delete edit.undo;
+      }
+      this.refreshStatus(changeset);
+      await this.save(queue);
+
+      console.log(`[EDIT QUEUE] Undid ${applied.length} file(s) from ${changesetId}`);
+      return { undone: true, conflicts, changeset };
+    });
+  }
+
+  /**
+   * Drop changesets with nothing left to review or undo
+   */
+  async clearProcessed(conversationId) {
+    return this.withLock(conversationId, async () => {
+      const queue = await this.load(conversationId);
+      const before = queue.changesets.length;
+      queue.changesets = queue.changesets.filter(changeset => ['pending', 'partial'].includes(changeset.status));
+      await this.save(queue);
+      return { removed: before - queue.changesets.length };
+    });
+  }
+
+  /**
+   * Remove a conversation's queue (conversation deleted)
+   */
+  async remove(conversationId) {
+    return this.withLock(conversationId, async () => {
+      await fs.rm(this.queuePath(conversationId), { force: true });
+    });
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getEditQueueStore(options) {
+  if (!instance) {
+    instance = new EditQueueStore(options);
+  }
+  return instance;
+}
+
+module.exports = { EditQueueStore, getEditQueueStore, hashContent };
@@ -0,0 +1,249 @@
+/**
+ * Folder watcher
+ *
+ * Watches an open folder (one fs.watch per directory, skipping heavy
+ * directories such as node_modules and .git) and reports coalesced change
+ * batches:
+ *
+ *   { folder, changes: [{ path, kind: 'created'|'modified'|'deleted', isDirectory }] }
+ *
+ * Each directory's entries are remembered so a create/delete pair (editor
+ * temp files, atomic rename-over-save) collapses into the right kind or is
+ * dropped entirely. Watching is reference-counted per folder: the first
+ * subscriber starts it, the last unsubscribe stops it.
+ */
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_DEBOUNCE_MS = 200;
+const DEFAULT_MAX_DIRECTORIES = 2000;
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  '.hg',
+  '.svn',
+  '.evobrew-workspaces',
+  '__pycache__',
+  '.venv',
+  '.cache'
+]);
+const IGNORED_FILES = new Set(['.DS_Store']);
+
+class FolderWatch {
+  constructor(folder, options) {
+    this.folder = folder;
+    this.options = options;
+    this.watchers = new Map(); // directory → fs.FSWatcher
+    this.entries = new Map(); // directory → Set(entry name)
+    this.pending = new Set(); // absolute paths touched since last flush
+    this.listeners = new Set();
+    this.flushTimer = null;
+    this.closed = false;
+    this.limitWarned = false;
+  }
+
+  isIgnored(name) {
+    return IGNORED_DIRECTORIES.has(name) || IGNORED_FILES.has(name);
+  }
+
+  async start() {
+    await this.watchTree(this.folder);
+    console.log(`[WATCH] Watching ${this.folder} (${this.watchers.size} directories)`);
+  }
+
+  /**
+   * Watch a directory and everything beneath it
+   */
+  async watchTree(directory) {
+    const queue = [directory];
+    while (queue.length > 0 && !this.closed) {
+      const current = queue.shift();
+      if (this.watchers.has(current)) continue;
+      if (this.watchers.size >= this.options.maxDirectories) {
+        if (!this.limitWarned) {
+          this.limitWarned = true;
+          console.warn(`[WATCH] Directory limit (${this.options.maxDirectories}) reached for ${this.folder}; deeper changes will not be reported`);
+        }
+        return;
+      }
+
+      let dirents;
+      try {
+        dirents = await fs.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        continue; // Removed or unreadable since it was queued
+      }
+
+      try {
+        const watcher = fsSync.watch(current, { persistent: false }, (eventType, fileName) => {
+          if (!fileName) return;
+          const name = fileName.toString();
+          if (this.isIgnored(name)) return;
+          this.queue(path.join(current, name));
+        });
+        watcher.on('error', () => {
+          // Usually the directory itself was removed; the parent's event reports it
+          watcher.close();
+          this.watchers.delete(current);
+        });
+        this.watchers.set(current, watcher);
+      } catch (error) {
+        continue;
+      }
+
+      const names = new Set();
+      for (const dirent of dirents) {
+        if (this.isIgnored(dirent.name)) continue;
+        names.add(dirent.name);
+        if (dirent.isDirectory()) {
+          queue.push(path.join(current, dirent.name));
+        }
+      }
+      this.entries.set(current, names);
+    }
+  }
+
+  /**
+   * Stop watching a directory and all watched directories beneath it
+   */
+  unwatchTree(directory) {
+    const isWithin = (candidate) => candidate === directory || candidate.startsWith(directory + path.sep);
+    for (const [watched, watcher] of this.watchers) {
+      if (!isWithin(watched)) continue;
+      try {
+        watcher.close();
+      } catch (_) {
+        // ignore
+      }
+      this.watchers.delete(watched);
+    }
+    for (const watched of this.entries.keys()) {
+      if (isWithin(watched)) this.entries.delete(watched);
+    }
+  }
+
+  queue(filePath) {
+    if (this.closed) return;
+    this.pending.add(filePath);
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        console.warn(`[WATCH] Failed to process changes in ${this.folder}:`, error.message);
+      });
+    }, this.options.debounceMs);
+  }
+
+  async flush() {
+    const paths = Array.from(this.pending);
+    this.pending.clear();
+    const changes = [];
+
+    for (const filePath of paths) {
+      const directory = path.dirname(filePath);
+      const name = path.basename(filePath);
+      const known = this.entries.get(directory);
+      const wasKnown = Boolean(known?.has(name));
+      const stat = await fs.stat(filePath).catch(() => null);
+
+      if (!stat) {
+        if (!wasKnown) continue; // created and removed within one batch
+        known.delete(name);
+        const wasDirectory = this.watchers.has(filePath) || this.entries.has(filePath);
+        if (wasDirectory) this.unwatchTree(filePath);
+        changes.push({ path: filePath, kind: 'deleted', isDirectory: wasDirectory });
+        continue;
+      }
+
+      if (known) known.add(name);
+
+      if (stat.isDirectory()) {
+        if (!this.watchers.has(filePath)) {
+          await this.watchTree(filePath);
+          changes.push({ path: filePath, kind: 'created', isDirectory: true });
+        }
+        continue;
+      }
+
+      changes.push({ path: filePath, kind: wasKnown ? 'modified' : 'created', isDirectory: false });
+    }
+
+    if (changes.length === 0 || this.closed) return;
+
+    const batch = { folder: this.folder, changes, ts: new Date().toISOString() };
+    for (const listener of this.listeners) {
+      try {
+        listener(batch);
+      } catch (error) {
+        console.warn('[WATCH] Listener failed:', error.message);
+      }
+    }
+    this.options.emitter.emit('changes', batch);
+  }
+
+  close() {
+    this.closed = true;
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.unwatchTree(this.folder);
+    this.listeners.clear();
+  }
+}
+
+class FileWatcher extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs] - Quiet period before a batch is reported
+   * @param {number} [options.maxDirectories] - Cap on directories watched per folder
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      debounceMs: options.debounceMs || DEFAULT_DEBOUNCE_MS,
+      maxDirectories: options.maxDirectories || DEFAULT_MAX_DIRECTORIES,
+      emitter: this
+    };
+    this.folders = new Map(); // folder → FolderWatch
+  }
+
+  /**
+   * Subscribe to change batches for a folder, starting a watch if needed.
+   * Also emits 'changes' on the FileWatcher itself for every batch.
+   *
+   * @param {string} folderPath - Absolute, already-validated folder path
+   * @param {Function} listener - ({ folder, changes, ts }) => void
+   * @returns {Promise<Function>} unsubscribe
+   */
+  async subscribe(folderPath, listener) {
+    const folder = path.resolve(folderPath);
+    let watch = this.folders.get(folder);
+    if (!watch) {
+      watch = new FolderWatch(folder, this.options);
+      this.folders.set(folder, watch);
+      watch.ready = watch.start();
+    }
+    watch.listeners.add(listener);
+    await watch.ready;
+
+    return () => {
+      watch.listeners.delete(listener);
+      if (watch.listeners.size === 0 && this.folders.get(folder) === watch) {
+        watch.close();
+        this.folders.delete(folder);
+        console.log(`[WATCH] Stopped watching ${folder}`);
+      }
+    };
+  }
+
+  close() {
+    for (const watch of this.folders.values()) {
+      watch.close();
+    }
+    this.folders.clear();
+  }
+}
+
+module.exports = { FileWatcher, IGNORED_DIRECTORIES };
@@ -0,0 +1,444 @@
+/**
+ * Patch parsing and fuzzy hunk application for the apply_patch tool.
+ *
+ * Two input formats are accepted:
+ *
+ *   Unified diff (git diff / diff -u), one or more files:
+ *     --- a/src/app.js
+ *     +++ b/src/app.js
+ *     @@ -10,4 +10,5 @@
+ *
+ *   Patch envelope (no line numbers; hunks are located by context):
+ *     *** Begin Patch
+ *     *** Update File: src/app.js
+ *     @@ function init
+ *      context
+ *     -old line
+ *     +new line
+ *     *** Add File: src/new.js
+ *     +line one
+ *     *** End Patch
+ *
+ * Hunks are located the way GNU patch does it: search outward from the
+ * expected line (shifted by the drift of earlier hunks) for the old-side
+ * lines, first exactly, then ignoring whitespace differences, then with up to
+ * `maxFuzz` outer context lines dropped. A hunk that cannot be located is
+ * reported with the reason and the closest candidate instead of failing the
+ * whole patch.
+ */
+
+const DEFAULT_MAX_FUZZ = 2;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function stripPathPrefix(rawPath) {
+  let value = String(rawPath || '').trim();
+  // "--- a/file.js\t2024-01-01 12:00:00" — drop the timestamp
+  value = value.split('\t')[0].trim();
+  if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+function newFilePatch(oldPath, newPath) {
+  return {
+    oldPath,
+    newPath,
+    type: oldPath === null ? 'add' : newPath === null ? 'delete' : (oldPath !== newPath ? 'rename' : 'update'),
+    hunks: []
+  };
+}
+
+/**
+ * Parse hunk body lines starting at `start` until a line that is not part of
+ * a hunk. Returns the index of the first unconsumed line.
+ */
+function readHunkLines(lines, start, hunk, isBoundary) {
+  // Unified diffs carry line counts; stop once both sides are complete so
+  // blank separator lines after the hunk are not taken as context
+  const counted = Number.isInteger(hunk.oldLines) && Number.isInteger(hunk.newLines);
+  let oldSeen = 0;
+  let newSeen = 0;
+  let i = start;
+  let last = null;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the preceding line
+      if (last === '+' || last === ' ') hunk.newNoEol = true;
+      if (last === '-' || last === ' ') hunk.oldNoEol = true;
+      continue;
+    }
+    if (counted && oldSeen >= hunk.oldLines && newSeen >= hunk.newLines) break;
+    if (isBoundary(line, lines[i + 1])) break;
+    const op = line === '' ? ' ' : line[0];
+    if (op !== ' ' && op !== '-' && op !== '+') break;
+    hunk.lines.push({ op, text: line.slice(1), blank: line === '' });
+    if (op !== '+') oldSeen++;
+    if (op !== '-') newSeen++;
+    last = op;
+  }
+  if (!counted) {
+    // Trailing empty lines are padding, not context
+    while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1].blank) {
+      hunk.lines.pop();
+    }
+  }
+  return i;
+}
+
+function parseUnifiedDiff(lines) {
+  const files = [];
+  let current = null;
+  let pendingGit = null;
+
+  // "--- " alone may be a removed "-- comment" line; a file header is followed by "+++ "
+  const isFileBoundary = (line, next) => line.startsWith('diff --git ') || line.startsWith('@@ -') ||
+    (line.startsWith('--- ') && typeof next === 'string' && next.startsWith('+++ '));
+
+  // A git header with no "---"/"+++" lines (pure rename, empty-file deletion)
+  const flushGitHeader = () => {
+    if (pendingGit && pendingGit.oldPath) {
+      files.push(newFilePatch(
+        pendingGit.added ? null : pendingGit.oldPath,
+        pendingGit.deleted ? null : (pendingGit.newPath || pendingGit.oldPath)
+      ));
+    }
+    pendingGit = null;
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+
+    if (line.startsWith('diff --git ')) {
+      flushGitHeader();
+      const match = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+      pendingGit = match ? { oldPath: match[1], newPath: match[2] } : {};
+      current = null;
+      i++;
+      continue;
+    }
+
+    if (pendingGit && line.startsWith('rename from ')) pendingGit.oldPath = line.slice(12).trim();
+    if (pendingGit && line.startsWith('rename to ')) pendingGit.newPath = line.slice(10).trim();
+    if (pendingGit && line.startsWith('deleted file mode')) pendingGit.deleted = true;
+    if (pendingGit && line.startsWith('new file mode')) pendingGit.added = true;
+
+    if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+      current = newFilePatch(stripPathPrefix(line.slice(4)), stripPathPrefix(lines[i + 1].slice(4)));
+      files.push(current);
+      pendingGit = null;
+      i += 2;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+    if (header) {
+      if (!current) {
+        throw new Error(`Hunk at patch line ${i + 1} has no preceding "---"/"+++" file header`);
+      }
+      const hunk = {
+        header: line,
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        patchLine: i + 1,
+        lines: []
+      };
+      current.hunks.push(hunk);
+      i = readHunkLines(lines, i + 1, hunk, isFileBoundary);
+      continue;
+    }
+
+    i++;
+  }
+  flushGitHeader();
+
+  return files;
+}
+
+function parseEnvelope(lines) {
+  const files = [];
+  let current = null;
+  const isBoundary = line => line.startsWith('*** ') || line.startsWith('@@');
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+
+    if (line.startsWith('*** Begin Patch') || line.startsWith('*** End Patch') || line.startsWith('*** End of File')) {
+      i++;
+      continue;
+    }
+
+    let match = line.match(/^\*\*\* (Add|Update|Delete) File: (.+)$/);
+    if (match) {
+      const filePath = match[2].trim();
+      current = match[1] === 'Add'
+        ? newFilePatch(null, filePath)
+        : match[1] === 'Delete' ? newFilePatch(filePath, null) : newFilePatch(filePath, filePath);
+      files.push(current);
+      i++;
+      if (match[1] === 'Add') {
+        const hunk = { header: '@@ new file @@', oldStart: 0, oldLines: 0, newStart: 1, patchLine: i + 1, lines: [] };
+        i = readHunkLines(lines, i, hunk, isBoundary);
+        current.hunks.push(hunk);
+      }
+      continue;
+    }
+
+    match = line.match(/^\*\*\* Move to: (.+)$/);
+    if (match && current) {
+      current.newPath = match[1].trim();
+      current.type = 'rename';
+      i++;
+      continue;
+    }
+
+    if (!current) {
+      i++;
+      continue;
+    }
+
+    // "@@", "@@ anchor text" or an envelope hunk with no @@ line at all
+    const anchor = line.startsWith('@@') ? line.replace(/^@@+/, '').replace(/@@+$/, '').trim() : null;
+    const hunk = {
+      header: line.startsWith('@@') ? line : '@@',
+      oldStart: null,
+      anchor: anchor || null,
+      patchLine: i + 1,
+      lines: []
+    };
+    const next = readHunkLines(lines, line.startsWith('@@') ? i + 1 : i, hunk, isBoundary);
+    if (hunk.lines.length > 0) current.hunks.push(hunk);
+    i = next > i ? next : i + 1;
+  }
+
+  return files;
+}
+
+/**
+ * Parse a unified diff or patch envelope
+ * @param {string} patchText
+ * @returns {Array<{ oldPath: string|null, newPath: string|null, type: 'add'|'update'|'delete'|'rename', hunks: Array }>}
+ */
+function parsePatch(patchText) {
+  const text = String(patchText || '').replace(/\r\n/g, '\n');
+  // Models often wrap patches in a fenced code block
+  const unfenced = text.replace(/^\s*```[\w-]*\n/, '').replace(/\n```\s*$/, '\n');
+  const lines = unfenced.split('\n');
+
+  const files = lines.some(line => /^\*\*\* (Begin Patch|Add File:|Update File:|Delete File:)/.test(line))
+    ? parseEnvelope(lines)
+    : parseUnifiedDiff(lines);
+
+  if (files.length === 0) {
+    throw new Error('No file changes found. Expected a unified diff ("--- a/file", "+++ b/file", "@@ ... @@") or a "*** Begin Patch" envelope.');
+  }
+  return files;
+}
+
+/**
+ * Paths a patch touches (old and new sides), for policy checks
+ */
+function listPatchPaths(patchText) {
+  try {
+    const paths = new Set();
+    for (const file of parsePatch(patchText)) {
+      if (file.oldPath) paths.add(file.oldPath);
+      if (file.newPath) paths.add(file.newPath);
+    }
+    return Array.from(paths);
+  } catch (_) {
+    return [];
+  }
+}
+
+// ============================================================================
+// APPLYING
+// ============================================================================
+
+const normalizers = [
+  { name: 'exact', fn: line => line },
+  { name: 'whitespace', fn: line => line.trim().replace(/\s+/g, ' ') }
+];
+
+function splitContent(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalized = content.replace(/\r\n/g, '\n');
+  const endsWithNewline = normalized.endsWith('\n');
+  const lines = normalized === '' ? [] : (endsWithNewline ? normalized.slice(0, -1) : normalized).split('\n');
+  return { lines, eol, endsWithNewline };
+}
+
+function matchesAt(fileLines, position, block, normalize) {
+  if (position < 0 || position + block.length > fileLines.length) return false;
+  for (let k = 0; k < block.length; k++) {
+    if (normalize(fileLines[position + k]) !== normalize(block[k])) return false;
+  }
+  return true;
+}
+
+/**
+ * Nearest position to `expected` (searching outward, then anywhere from
+ * `minPosition`) where `block` matches
+ */
+function findBlock(fileLines, block, expected, minPosition, normalize) {
+  const last = fileLines.length - block.length;
+  if (last < minPosition) return -1;
+  const start = Math.min(Math.max(expected, minPosition), last);
+  for (let distance = 0; ; distance++) {
+    const after = start + distance;
+    const before = start - distance;
+    if (after > last && before < minPosition) return -1;
+    if (after <= last && matchesAt(fileLines, after, block, normalize)) return after;
+    if (distance > 0 && before >= minPosition && matchesAt(fileLines, before, block, normalize)) return before;
+  }
+}
+
+/**
+ * Best partial match for a failure report
+ */
+function closestCandidate(fileLines, block) {
+  if (block.length === 0 || fileLines.length === 0) return null;
+  const normalize = normalizers[1].fn;
+  let best = null;
+  for (let position = 0; position <= Math.max(0, fileLines.length - block.length); position++) {
+    let matched = 0;
+    for (let k = 0; k < block.length && position + k < fileLines.length; k++) {
+      if (normalize(fileLines[position + k]) === normalize(block[k])) matched++;
+    }
+    if (!best || matched > best.matched) best = { line: position + 1, matched };
+  }
+  return best && best.matched > 0 ? { ...best, total: block.length } : null;
+}
+
+/**
+ * Locate a hunk, trying exact, whitespace-insensitive, then reduced context.
+ * Returns the matched position and the (possibly trimmed) hunk lines.
+ */
+function locateHunk(fileLines, hunk, expected, minPosition, maxFuzz) {
+  const oldSide = lines => lines.filter(line => line.op !== '+').map(line => line.text);
+
+  if (oldSide(hunk.lines).length === 0) {
+    // Pure insertion: trust the line number (or the anchor)
+    return { position: Math.min(Math.max(expected, 0), fileLines.length), hunkLines: hunk.lines, fuzz: 0, match: 'exact' };
+  }
+
+  let leading = 0;
+  while (leading < hunk.lines.length && hunk.lines[leading].op === ' ') leading++;
+  let trailing = 0;
+  while (trailing < hunk.lines.length - leading && hunk.lines[hunk.lines.length - 1 - trailing].op === ' ') trailing++;
+
+  for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+    const dropLeading = Math.min(fuzz, leading);
+    const dropTrailing = Math.min(fuzz, trailing);
+    if (fuzz > 0 && dropLeading === 0 && dropTrailing === 0) break;
+
+    const hunkLines = hunk.lines.slice(dropLeading, hunk.lines.length - dropTrailing);
+    const oldBlock = oldSide(hunkLines);
+    if (oldBlock.length === 0) break;
+
+    for (const normalizer of normalizers) {
+      const position = findBlock(fileLines, oldBlock, expected + dropLeading, minPosition, normalizer.fn);
+      if (position !== -1) {
+        return { position, hunkLines, fuzz, match: normalizer.name };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply parsed hunks to file content
+ *
+ * @param {string} content - Current file content
+ * @param {Array} hunks - From parsePatch()
+ * @param {Object} [options]
+ * @param {number} [options.maxFuzz=2] - Outer context lines that may be ignored
+ * @returns {{ content: string, results: Array<{ hunk: number, header: string, status: 'applied'|'failed', line?: number, offset?: number, fuzz?: number, match?: string, reason?: string, closest?: Object }> }}
+ */
+function applyHunks(content, hunks, options = {}) {
+  const maxFuzz = Number.isInteger(options.maxFuzz) ? options.maxFuzz : DEFAULT_MAX_FUZZ;
+  const file = splitContent(content);
+  let lines = file.lines;
+  let endsWithNewline = file.endsWithNewline || lines.length === 0;
+  let drift = 0; // net lines added by hunks applied so far
+  let minPosition = 0; // hunks apply in order and may not overlap
+  const results = [];
+
+  hunks.forEach((hunk, index) => {
+    let expected;
+    if (Number.isInteger(hunk.oldStart)) {
+      // "-N,0" means insert after line N
+      expected = (hunk.oldLines === 0 ? hunk.oldStart : Math.max(hunk.oldStart - 1, 0)) + drift;
+    } else if (hunk.anchor) {
+      const anchorIndex = lines.findIndex((line, i) => i >= minPosition && line.includes(hunk.anchor));
+      expected = anchorIndex === -1 ? minPosition : anchorIndex + 1;
+    } else {
+      expected = minPosition;
+    }
+
+    const located = locateHunk(lines, hunk, expected, minPosition, maxFuzz);
+    if (!located) {
+      const oldBlock = hunk.lines.filter(line => line.op !== '+').map(line => line.text);
+      const closest = closestCandidate(lines, oldBlock);
+      results.push({
+        hunk: index + 1,
+        header: hunk.header,
+        status: 'failed',
+        reason: closest
+          ? `Context not found; closest match at line ${closest.line} (${closest.matched}/${closest.total} lines match)`
+          : 'Context not found; none of the hunk\'s context or removed lines exist in the file',
+        ...(closest && { closest })
+      });
+      return;
+    }
+
+    // Context lines keep the file's text (they may have matched loosely)
+    const replacement = [];
+    let cursor = located.position;
+    for (const line of located.hunkLines) {
+      if (line.op === ' ') replacement.push(lines[cursor++]);
+      else if (line.op === '-') cursor++;
+      else replacement.push(line.text);
+    }
+    const removedCount = cursor - located.position;
+    lines = [
+      ...lines.slice(0, located.position),
+      ...replacement,
+      ...lines.slice(cursor)
+    ];
+    const offset = Number.isInteger(hunk.oldStart) ? located.position - expected : 0;
+    drift += replacement.length - removedCount;
+    minPosition = located.position + replacement.length;
+
+    if (hunk.newNoEol) endsWithNewline = false;
+    else if (hunk.oldNoEol) endsWithNewline = true;
+
+    results.push({
+      hunk: index + 1,
+      header: hunk.header,
+      status: 'applied',
+      line: located.position + 1,
+      offset,
+      fuzz: located.fuzz,
+      match: located.match
+    });
+  });
+
+  let output = lines.join('\n');
+  if (endsWithNewline && lines.length > 0) output += '\n';
+  if (file.eol === '\r\n') output = output.replace(/\n/g, '\r\n');
+  return { content: output, results };
+}
+
+module.exports = {
+  DEFAULT_MAX_FUZZ,
+  parsePatch,
+  listPatchPaths,
+  applyHunks
+};
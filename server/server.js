@@ -54,6 +54,7 @@ const { WebSocketServer } = require('ws');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 const CodebaseIndexer = require('./codebase-indexer');
+const { createEmbeddingProvider } = require('../lib/embedding-provider');
 const { handleFunctionCalling } = require('./ai-handler');
 const { getAnthropicApiKey } = require('./services/anthropic-oauth');
 const { loadSecurityProfile, isOnlyOfficeCallbackUrlAllowed } = require('../lib/security-profile');
@@ -62,17 +63,30 @@ const {
   isCodexModelSelection,
   qualifyModelSelection
 } = require('../lib/model-selection');
-const { configureTerminalSessionManager, toBool, toInt } = require('./terminal/session-manager');
+const { configureTerminalSessionManager, agentClientIdFor, toBool, toInt } = require('./terminal/session-manager');
 const { createTerminalWsProtocol } = require('./terminal/ws-protocol');
+const { FileWatcher } = require('./file-watcher');
+const { loadToolPolicies, getToolApprovalManager } = require('./tool-approvals');
+const { getEditQueueStore } = require('./edit-queue-store');
+const { ConversationSearchIndex } = require('./conversation-search');
+const { getConversationStore } = require('./conversation-store');
+const { getSnapshotStore, loadSnapshotRetention } = require('./snapshot-store');
+const { SnapshotCatalog } = require('./snapshot-catalog');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const gunzip = promisify(zlib.gunzip);
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
 const MsgReader = require('msgreader').default || require('msgreader');
+const { extractDocumentText } = require('./document-text');
+const { BrainBuilder } = require('./brain-builder');
+const { diffBrains, loadBrainSnapshot, snapshotFromState } = require('./brain-diff');
 
 const app = express();
 
+// Tool-call approval policies (tool_policies in config.json), refreshed on config save
+let toolPolicies = loadToolPolicies(serverConfig || {});
+
 // Placeholder middleware for OnlyOffice routes (kept for explicit route grouping).
 // Authentication still flows through profile middleware below.
 app.use('/api/onlyoffice/download', (req, res, next) => next());
@@ -96,6 +110,10 @@ const LOCAL_EPHEMERAL_COLLABORA_SECRET = (!securityConfig.isInternetProfile && !
 if (LOCAL_EPHEMERAL_COLLABORA_SECRET) {
   console.warn('[SECURITY] Using ephemeral local Collabora signing secret. Set COLLABORA_SECRET for stable sessions.');
 }
+if (securityConfig.sandbox.mode !== 'off') {
+  const { cpuSeconds, memoryMb, network } = securityConfig.sandbox;
+  console.log(`[SECURITY] Agent command sandbox: ${securityConfig.sandbox.mode} (network ${network ? 'on' : 'off'}, cpu ${cpuSeconds || 'unlimited'}s, memory ${memoryMb || 'unlimited'}MB)`);
+}
 function getCollaboraSigningSecret() {
   return securityConfig.collaboraSecret || process.env.JWT_SECRET || LOCAL_EPHEMERAL_COLLABORA_SECRET;
 }
@@ -107,6 +125,7 @@ const READ_ONLY_CHAT_TOOLS = new Set([
   'codebase_search',
   'brain_search',
   'brain_node',
+  'brain_traverse',
   'brain_thoughts',
   'brain_coordinator_insights',
   'brain_stats'
@@ -119,19 +138,54 @@ const TERMINAL_CHAT_TOOLS = new Set([
   'terminal_wait',
   'terminal_resize',
   'terminal_close',
-  'terminal_list'
+  'terminal_list',
+  'terminal_history'
 ]);
 
 const terminalFeatureConfig = {
   enabled: toBool(process.env.TERMINAL_ENABLED, true),
   maxSessionsPerClient: toInt(process.env.TERMINAL_MAX_SESSIONS_PER_CLIENT, 6, 1, 100),
   idleTimeoutMs: toInt(process.env.TERMINAL_IDLE_TIMEOUT_MS, 30 * 60 * 1000, 10_000, 24 * 60 * 60 * 1000),
-  maxBufferBytes: toInt(process.env.TERMINAL_MAX_BUFFER_BYTES, 2 * 1024 * 1024, 64 * 1024, 64 * 1024 * 1024)
+  maxBufferBytes: toInt(process.env.TERMINAL_MAX_BUFFER_BYTES, 2 * 1024 * 1024, 64 * 1024, 64 * 1024 * 1024),
+  persistSessions: toBool(process.env.TERMINAL_PERSIST_SESSIONS, false),
+  stateDir: process.env.TERMINAL_STATE_DIR || '',
+  recordSessions: toBool(process.env.TERMINAL_RECORD_SESSIONS, true),
+  recordHumanInput: toBool(process.env.TERMINAL_RECORD_HUMAN_INPUT, false),
+  recordingsDir: process.env.TERMINAL_RECORDINGS_DIR || '',
+  maxRecordings: toInt(process.env.TERMINAL_MAX_RECORDINGS, 200, 1, 10_000),
+  shellIntegration: toBool(process.env.TERMINAL_SHELL_INTEGRATION, true),
+  shareTtlMs: toInt(process.env.TERMINAL_SHARE_TTL_MS, 24 * 60 * 60 * 1000, 60_000, 30 * 24 * 60 * 60 * 1000)
 };
 
 const terminalSessionManager = configureTerminalSessionManager(terminalFeatureConfig);
+
+// Re-adopt terminals whose supervisors outlived the previous server process
+try {
+  const adopted = terminalSessionManager.adoptSessions();
+  if (adopted.adopted > 0 || adopted.exited > 0) {
+    console.log(`[TERMINAL] Restored ${adopted.adopted} live and ${adopted.exited} exited session(s) from ${terminalSessionManager.getOptions().stateDir}`);
+  }
+} catch (error) {
+  console.warn('[TERMINAL] Failed to restore persisted sessions:', error.message);
+}
+
+// Live file watching: folders open in a browser tab are watched; every batch of
+// on-disk changes (editor saves, tool edits, run_terminal side effects) is pushed
+// to subscribed clients and applied incrementally to that folder's code index.
+const fileWatcher = new FileWatcher({
+  debounceMs: toInt(process.env.FILE_WATCH_DEBOUNCE_MS, 200, 20, 10_000),
+  maxDirectories: toInt(process.env.FILE_WATCH_MAX_DIRECTORIES, 2000, 10, 100_000)
+});
+fileWatcher.on('changes', ({ folder, changes }) => {
+  getCodebaseIndexer().updateFiles(folder, changes).catch((error) => {
+    console.warn(`[WATCH] Incremental re-index failed for ${folder}:`, error.message);
+  });
+});
+
 const terminalWsProtocol = createTerminalWsProtocol({
   sessionManager: terminalSessionManager,
+  fileWatcher,
+  resolveWatchFolder: (req, folder) => resolvePathForRequest(req, folder, { mustExist: true, expectDirectory: true }),
   maxIncomingMessageBytes: toInt(process.env.TERMINAL_MAX_INCOMING_MESSAGE_BYTES, 128 * 1024, 512, 2 * 1024 * 1024),
   queueHighWatermarkBytes: toInt(process.env.TERMINAL_WS_HIGH_WATERMARK_BYTES, 256 * 1024, 16 * 1024, 16 * 1024 * 1024),
   queueLowWatermarkBytes: toInt(process.env.TERMINAL_WS_LOW_WATERMARK_BYTES, 96 * 1024, 8 * 1024, 8 * 1024 * 1024),
@@ -302,11 +356,17 @@ const getXAI = () => {
   });
 };
 
-// Lazy-init codebase indexer (requires OpenAI)
+// Embedding backend selected by config.embeddings (OpenAI, Ollama, or in-process)
+const getEmbeddingProvider = () => createEmbeddingProvider({
+  config: serverConfig,
+  openaiClient: serverConfig?.embeddings?.api_key ? null : getOpenAI()
+});
+
+// Lazy-init codebase indexer (reset when config changes so a new embedding model takes effect)
 let codebaseIndexer = null;
 const getCodebaseIndexer = () => {
-  if (!codebaseIndexer && getOpenAI()) {
-    codebaseIndexer = new CodebaseIndexer(getOpenAI());
+  if (!codebaseIndexer) {
+    codebaseIndexer = new CodebaseIndexer(getEmbeddingProvider());
   }
   return codebaseIndexer;
 };
@@ -400,16 +460,7 @@ function getTerminalClientId(req) {
 }
 
 function getAiTerminalClientId(req) {
-  const baseClientId = getTerminalClientId(req);
-  if (!baseClientId) return 'ai';
-
-  const candidate = `ai:${baseClientId}`;
-  if (candidate.length <= 128) {
-    return candidate;
-  }
-
-  const digest = crypto.createHash('sha256').update(baseClientId).digest('hex').slice(0, 24);
-  return `ai:${digest}`;
+  return agentClientIdFor(getTerminalClientId(req));
 }
 
 async function loadMutableServerConfig() {
@@ -436,6 +487,9 @@ function syncProviderEnvFromConfig(config) {
 async function applyUpdatedServerConfig(config, options = {}) {
   serverConfig = config;
   syncProviderEnvFromConfig(config);
+  codebaseIndexer = null;
+  toolPolicies = loadToolPolicies(config);
+  snapshotStore.setRetention(loadSnapshotRetention(config));
 
   if (options.resetProviders === false) {
     return;
@@ -1275,119 +1329,25 @@ app.get('/api/extract-office-text', async (req, res) => {
     });
 
     const ext = path.extname(resolvedFilePath).toLowerCase();
-    let textContent = '';
-    let metadata = {};
-    
-    if (ext === '.docx') {
-      const buffer = await fs.readFile(resolvedFilePath);
-      // Convert to HTML to preserve formatting (not raw text)
-      const result = await mammoth.convertToHtml({ buffer });
-      textContent = result.value;
-      metadata.format = 'docx';
-      metadata.contentType = 'html'; // Signal to frontend this is HTML
-      metadata.warnings = result.messages.length > 0 ? result.messages.map(m => m.message) : undefined;
-      
-    } else if (ext === '.xlsx' || ext === '.xls') {
-      if (securityConfig.isInternetProfile) {
-        return res.status(403).json({ error: 'Spreadsheet parsing is disabled in internet profile' });
-      }
+    if ((ext === '.xlsx' || ext === '.xls') && securityConfig.isInternetProfile) {
+      return res.status(403).json({ error: 'Spreadsheet parsing is disabled in internet profile' });
+    }
 
-      const buffer = await fs.readFile(resolvedFilePath);
-      const workbook = XLSX.read(buffer, { type: 'buffer' });
-      
-      workbook.SheetNames.forEach((sheetName) => {
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-        
-        textContent += `\n=== Sheet: ${sheetName} ===\n\n`;
-        
-        jsonData.forEach((row) => {
-          if (row.some(cell => cell !== '')) {
-            const rowText = row.map(cell => {
-              const cellValue = cell === null || cell === undefined ? '' : String(cell);
-              return cellValue.replace(/\t/g, ' ').replace(/\n/g, ' ');
-            }).join(' | ');
-            textContent += `${rowText}\n`;
-          }
-        });
-        
-        textContent += '\n';
-      });
-      
-      metadata.format = ext.substring(1);
-      metadata.sheetCount = workbook.SheetNames.length;
-      
-    } else if (ext === '.msg') {
-      const buffer = await fs.readFile(resolvedFilePath);
-      const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
-      const msgReader = new MsgReader(arrayBuffer);
-      const msg = msgReader.getFileData();
-      
-      if (msg.error) {
-        return res.status(400).json({ error: msg.error });
-      }
-      
-      const getField = (fieldName) => {
-        if (!msg || typeof msg !== 'object') return null;
-        if (msg[fieldName] !== undefined) return msg[fieldName];
-        const lowerKey = Object.keys(msg).find(k => k.toLowerCase() === fieldName.toLowerCase());
-        return lowerKey ? msg[lowerKey] : null;
-      };
-      
-      const senderName = getField('senderName') || getField('from') || getField('sender') || '';
-      const senderEmail = getField('senderEmail') || getField('fromEmail') || '';
-      const subject = getField('subject') || '(No Subject)';
-      const to = getField('to') || getField('recipient') || '';
-      const cc = getField('cc') || '';
-      const date = getField('date') || getField('sentDate') || getField('receivedDate') || '';
-      const body = getField('body') || getField('bodyText') || getField('text') || '';
-      const bodyHtml = getField('bodyHtml') || getField('htmlBody') || '';
-      const attachments = getField('attachments') || [];
-      
-      if (senderName || senderEmail) {
-        textContent += `From: ${senderName}`;
-        if (senderEmail) {
-          textContent += senderName ? ` <${senderEmail}>` : senderEmail;
-        }
-        textContent += '\n';
-      }
-      
-      if (subject) textContent += `Subject: ${subject}\n`;
-      if (to) textContent += `To: ${to}\n`;
-      if (cc) textContent += `CC: ${cc}\n`;
-      if (date) textContent += `Date: ${date}\n`;
-      
-      textContent += '\n--- Message Body ---\n\n';
-      
-      if (body) {
-        textContent += body;
-      } else if (bodyHtml) {
-        textContent += bodyHtml.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"');
-      } else {
-        textContent += '(No body content found)';
-      }
-      
-      const attachmentList = Array.isArray(attachments) ? attachments : [];
-      if (attachmentList.length > 0) {
-        textContent += `\n\n--- Attachments (${attachmentList.length}) ---\n`;
-        attachmentList.forEach((att, idx) => {
-          const fileName = (att && att.fileName) ? att.fileName : (typeof att === 'string' ? att : 'Unknown');
-          textContent += `${idx + 1}. ${fileName}\n`;
-        });
+    let extracted;
+    try {
+      // DOCX converts to HTML to preserve formatting (not raw text)
+      extracted = await extractDocumentText(resolvedFilePath, { format: 'html' });
+    } catch (error) {
+      if (error.code === 'UNSUPPORTED' || error.code === 'INVALID_DOCUMENT') {
+        return res.status(400).json({ error: error.message });
       }
-      
-      metadata.format = 'msg';
-      metadata.hasAttachments = attachmentList.length > 0;
-      metadata.attachmentCount = attachmentList.length;
-      
-    } else {
-      return res.status(400).json({ error: 'Unsupported file type' });
+      throw error;
     }
-    
+
     res.json({
       success: true,
-      content: textContent.trim(),
-      metadata
+      content: extracted.content,
+      metadata: extracted.metadata
     });
     
   } catch (error) {
@@ -2243,9 +2203,14 @@ app.post('/api/chat', async (req, res) => {
     params.terminalPolicy = {
       enabled: terminalEnabled,
       allowedRoot: getTerminalAllowedRoot(),
-      defaultClientId: terminalClientId
+      defaultClientId: terminalClientId,
+      sandbox: securityConfig.sandbox
     };
     params.terminalManager = terminalSessionManager;
+    // Never trust approval policy or session from the client
+    params.toolPolicies = toolPolicies;
+    params.approvalSessionId = crypto.randomUUID();
+    params.approvalClientId = getTerminalClientId(req) || null;
     if (securityConfig.isInternetProfile && !securityConfig.internetEnableMutations) {
       const allowed = new Set(READ_ONLY_CHAT_TOOLS);
       if (terminalEnabled) {
@@ -2282,6 +2247,11 @@ app.post('/api/chat', async (req, res) => {
       // Without this, small writes (tool_start, tool_result) get batched by TCP
       if (req.socket) req.socket.setNoDelay(true);
 
+      // A closed stream can no longer answer approval prompts; deny what is waiting
+      res.on('close', () => {
+        getToolApprovalManager().endSession(params.approvalSessionId, 'Client disconnected');
+      });
+
       const eventEmitter = (event) => {
         try {
           // DEBUG: Log all events being sent
@@ -2326,7 +2296,7 @@ app.post('/api/chat', async (req, res) => {
           selectedOpenAI,
           await getAnthropic(),
           getXAI(),
-          codebaseIndexer,
+          getCodebaseIndexer(),
           params,
           eventEmitter
         );
@@ -2351,12 +2321,15 @@ app.post('/api/chat', async (req, res) => {
         console.log(`[SERVER] Sending complete event with ${result.pendingEdits?.length || 0} pendingEdits:`,
           result.pendingEdits?.map(e => ({ file: e.file, hasEdit: !!e.edit, editLength: e.edit?.length })));
 
+        const changeset = await queueChatChangeset(params, result);
+
         res.write(`data: ${JSON.stringify({
           type: 'complete',
           fullResponse: response,
           tokensUsed: result.tokensUsed,
           iterations: result.iterations,
-          pendingEdits: result.pendingEdits || []
+          pendingEdits: result.pendingEdits || [],
+          changeset
         })}\n\n`);
         res.end();
 
@@ -2383,20 +2356,23 @@ app.post('/api/chat', async (req, res) => {
         selectedOpenAI,
         await getAnthropic(),
         getXAI(),
-        codebaseIndexer,
+        getCodebaseIndexer(),
         params
       );
       
       if (!result.success) {
         return res.status(500).json({ success: false, error: result.error });
       }
+
+      const changeset = await queueChatChangeset(params, result);
       
       res.json({
         success: true,
         response: result.response,
         tokensUsed: result.tokensUsed,
         iterations: result.iterations,
-        pendingEdits: result.pendingEdits || []
+        pendingEdits: result.pendingEdits || [],
+        changeset
       });
     }
     
@@ -2408,6 +2384,37 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// ============================================================================
+// TOOL APPROVALS - answer "ask" policy prompts from the chat stream
+// ============================================================================
+
+// Pending requests of the calling client (?clientId=, optional ?conversationId=)
+app.get('/api/tool-approvals', (req, res) => {
+  const conversationId = typeof req.query.conversationId === 'string' ? req.query.conversationId : null;
+  res.json({
+    success: true,
+    pending: getToolApprovalManager().listPending({ clientId: getTerminalClientId(req), conversationId })
+  });
+});
+
+app.post('/api/tool-approvals/:approvalId', mutationGuard, (req, res) => {
+  const decision = String(req.body?.decision || '').trim();
+  if (!['approve', 'approve_session', 'deny'].includes(decision)) {
+    return res.status(400).json({ success: false, error: 'decision must be approve, approve_session or deny' });
+  }
+
+  const note = typeof req.body?.note === 'string' ? req.body.note.slice(0, 500) : '';
+  const settled = getToolApprovalManager().decide(req.params.approvalId, decision, note, {
+    clientId: getTerminalClientId(req) || null
+  });
+  if (!settled) {
+    return res.status(404).json({ success: false, error: 'Approval request not found or already resolved' });
+  }
+
+  console.log(`[TOOL POLICY] ${req.params.approvalId}: ${decision}`);
+  res.json({ success: true });
+});
+
 // ============================================================================
 // TERMINAL API - PTY-backed interactive sessions
 // ============================================================================
@@ -2430,6 +2437,7 @@ app.post('/api/terminal/sessions', async (req, res) => {
       rows: req.body?.rows,
       name: req.body?.name,
       persistent: req.body?.persistent !== false,
+      detachable: typeof req.body?.detachable === 'boolean' ? req.body.detachable : undefined,
       allowedRoot: getTerminalAllowedRoot()
     });
 
@@ -2452,7 +2460,9 @@ app.get('/api/terminal/sessions', async (req, res) => {
       return res.status(400).json({ success: false, error: 'clientId is required' });
     }
 
-    const sessions = terminalSessionManager.listSessions(clientId);
+    const sessions = terminalSessionManager.listSessions(clientId, {
+      includeAgent: req.query.includeAgent === '1' || req.query.includeAgent === 'true'
+    });
     res.json({
       success: true,
       sessions
@@ -2492,6 +2502,174 @@ app.delete('/api/terminal/sessions/:id', async (req, res) => {
   }
 });
 
+// Commands tracked by shell integration (bash/zsh/fish)
+app.get('/api/terminal/sessions/:id/commands', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const history = terminalSessionManager.commandHistory(String(req.params.id || '').trim(), clientId, {
+      limit: req.query.limit || 200,
+      failedOnly: req.query.failed === 'true',
+      contains: typeof req.query.contains === 'string' ? req.query.contains : '',
+      maxOutputBytes: req.query.maxOutputBytes || 64 * 1024
+    });
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to read command history:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Share links: guests open /terminal-share.html?token=<token> as viewer or driver
+app.post('/api/terminal/sessions/:id/shares', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const expiresInMinutes = Number.parseInt(String(req.body?.expiresInMinutes ?? ''), 10);
+    const share = terminalSessionManager.createShare(String(req.params.id || '').trim(), clientId, {
+      role: req.body?.role,
+      label: req.body?.label,
+      expiresInMs: Number.isFinite(expiresInMinutes) ? expiresInMinutes * 60 * 1000 : undefined
+    });
+    res.json({
+      success: true,
+      share: {
+        ...share,
+        url: `/terminal-share.html?token=${encodeURIComponent(share.token)}`
+      }
+    });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to create share:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/terminal/sessions/:id/shares', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const sessionIdValue = String(req.params.id || '').trim();
+    res.json({
+      success: true,
+      shares: terminalSessionManager.listShares(sessionIdValue, clientId).map((share) => ({
+        ...share,
+        url: `/terminal-share.html?token=${encodeURIComponent(share.token)}`
+      })),
+      presence: terminalSessionManager.presence(sessionIdValue, clientId)
+    });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to list shares:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/terminal/sessions/:id/shares/:token', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const result = terminalSessionManager.revokeShare(String(req.params.id || '').trim(), clientId, req.params.token);
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to revoke share:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Pause or resume the agent's input to a session
+app.post('/api/terminal/sessions/:id/agent', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const presence = terminalSessionManager.setAgentPaused(
+      String(req.params.id || '').trim(),
+      clientId,
+      req.body?.paused === true
+    );
+    res.json({ success: true, presence });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to update agent input:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Session recordings (asciicast v2) — a client sees its own sessions and its agent's
+app.get('/api/terminal/recordings', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const { listRecordings } = require('./terminal/recorder');
+    const recordings = listRecordings(terminalSessionManager.getOptions().recordingsDir, {
+      clientIds: [clientId, getAiTerminalClientId(req)]
+    });
+    res.json({ success: true, recordings });
+  } catch (error) {
+    console.error('[TERMINAL] Failed to list recordings:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/terminal/recordings/:id', async (req, res) => {
+  try {
+    if (!ensureTerminalEnabled(req, res)) return;
+
+    const clientId = getTerminalClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, error: 'clientId is required' });
+    }
+
+    const { isRecordingId, recordingPath, describeRecording } = require('./terminal/recorder');
+    const recordingId = String(req.params.id || '').trim();
+    if (!isRecordingId(recordingId)) {
+      return res.status(400).json({ success: false, error: 'Invalid recording id' });
+    }
+
+    const filePath = recordingPath(terminalSessionManager.getOptions().recordingsDir, recordingId);
+    const recording = fsSync.existsSync(filePath) ? describeRecording(filePath) : null;
+    if (!recording || ![clientId, getAiTerminalClientId(req)].includes(recording.client_id)) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/x-asciicast; charset=utf-8');
+    if (req.query.download === '1' || req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="${recording.name ? recording.name.replace(/[^A-Za-z0-9._-]/g, '_') : 'terminal'}-${recordingId.slice(0, 8)}.cast"`);
+    }
+    fsSync.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    console.error('[TERMINAL] Failed to read recording:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
 // CONVERSATION MANAGEMENT
 // ============================================================================
@@ -2550,80 +2728,110 @@ app.get('/api/ollama/models', async (req, res) => {
 
 const conversationsDir = path.join(__dirname, '../conversations');
 
-// Ensure conversations directory exists
+// Ensure conversations directory exists (edit queues; legacy JSON conversations)
 fs.mkdir(conversationsDir, { recursive: true }).catch(() => {});
 
-app.get('/api/conversations', async (req, res) => {
-  try {
-    const files = await fs.readdir(conversationsDir);
-    const conversations = [];
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        try {
-          const content = await fs.readFile(path.join(conversationsDir, file), 'utf-8');
-          const data = JSON.parse(content);
-
-          // Normalize timestamp to ISO string if needed
-          let normalizedTimestamp = data.timestamp;
-          if (typeof data.timestamp === 'number') {
-            normalizedTimestamp = new Date(data.timestamp).toISOString();
-          } else if (!data.timestamp) {
-            normalizedTimestamp = new Date().toISOString();
-          }
+// Conversations live in the database; JSON files from older versions are imported once
+const conversationStore = getConversationStore({ legacyDir: conversationsDir });
+const conversationSearch = new ConversationSearchIndex({ store: conversationStore });
 
-          conversations.push({
-            id: file.replace('.json', ''),
-            title: data.title || 'Untitled',
-            timestamp: normalizedTimestamp,
-            folder: data.folder,
-            brainPath: data.brainPath,
-            messageCount: data.messages?.length || 0
-          });
-        } catch (error) {
-          console.error(`[CONVERSATIONS] Error loading ${file}:`, error.message);
-          // Skip corrupted conversation files
-        }
-      }
-    }
+conversationStore.ensureReady()
+  .catch(error => console.warn('[CONVERSATIONS] Startup migration failed:', error.message));
 
-    // Sort by timestamp descending with error handling
-    conversations.sort((a, b) => {
-      try {
-        const timeA = new Date(a.timestamp);
-        const timeB = new Date(b.timestamp);
+// Newest first, paginated: ?limit=&cursor=<id from nextCursor>[&folder=][&brainPath=]
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const filterValue = (name) => (typeof req.query[name] === 'string' ? req.query[name] : undefined);
+    const result = await conversationStore.list({
+      limit: req.query.limit,
+      cursor: filterValue('cursor') || null,
+      folder: filterValue('folder'),
+      brainPath: filterValue('brainPath')
+    });
 
-        // Check for invalid dates
-        if (isNaN(timeA.getTime())) return 1;  // Invalid dates go to end
-        if (isNaN(timeB.getTime())) return -1;
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error listing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        return timeB - timeA;
-      } catch (error) {
-        return 0;  // Keep original order on error
-      }
+// Full-text search over messages, tool calls and summaries
+app.get('/api/conversations/search', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'q is required' });
+    }
+
+    const filterValue = (name) => (typeof req.query[name] === 'string' && req.query[name].trim() ? req.query[name].trim() : undefined);
+    const result = await conversationSearch.search(query, {
+      folder: filterValue('folder'),
+      brainPath: filterValue('brainPath'),
+      model: filterValue('model'),
+      from: filterValue('from'),
+      to: filterValue('to'),
+      kind: filterValue('kind'),
+      limit: filterValue('limit')
     });
-    
-    res.json({ success: true, conversations });
+
+    res.json({ success: true, query, ...result });
   } catch (error) {
-    console.error('[CONVERSATIONS] Error listing:', error);
+    console.error('[CONVERSATIONS] Error searching:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 app.get('/api/conversations/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const filePath = path.join(conversationsDir, `${id}.json`);
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
-    
-    res.json({ success: true, conversation: data });
+    const conversation = await conversationStore.get(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, conversation });
   } catch (error) {
     console.error('[CONVERSATIONS] Error loading:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Every message of a conversation (all branches) as a tree outline
+app.get('/api/conversations/:id/tree', async (req, res) => {
+  try {
+    const tree = await conversationStore.tree(req.params.id);
+    if (!tree) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, ...tree });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error loading tree:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Switch to the branch through { messageId } (e.g. a sibling from message.branch.ids)
+app.post('/api/conversations/:id/branches/active', async (req, res) => {
+  try {
+    const { messageId } = req.body || {};
+    if (!messageId || typeof messageId !== 'string') {
+      return res.status(400).json({ success: false, error: 'messageId is required' });
+    }
+
+    const conversation = await conversationStore.switchBranch(req.params.id, messageId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation or message not found' });
+    }
+    conversationSearch.invalidate(req.params.id);
+
+    res.json({ success: true, conversation });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error switching branch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.post('/api/conversations', async (req, res) => {
   try {
     const { title, messages, folder, summary } = req.body;
@@ -2632,21 +2840,24 @@ app.post('/api/conversations', async (req, res) => {
       return res.status(400).json({ error: 'Messages array required' });
     }
 
-    const id = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const timestamp = new Date().toISOString();
+    // Clients may pre-assign the id so edits queued before the first save attach to it
+    const requestedId = typeof req.body.id === 'string' && /^conv_[A-Za-z0-9_]{1,100}$/.test(req.body.id)
+      ? req.body.id
+      : null;
+    const id = requestedId && !(await conversationStore.exists(requestedId))
+      ? requestedId
+      : `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    const conversation = {
+    const conversation = await conversationStore.create({
       id,
       title: title || `Conversation ${new Date().toLocaleString()}`,
-      timestamp,
+      timestamp: new Date().toISOString(),
       folder: folder || null,
       brainPath: req.body.brainPath || null,
       summary: summary || null, // Store conversation summary
       messages
-    };
-
-    const filePath = path.join(conversationsDir, `${id}.json`);
-    await fs.writeFile(filePath, JSON.stringify(conversation, null, 2), 'utf-8');
+    });
+    conversationSearch.invalidate(id);
 
     res.json({ success: true, id, conversation });
   } catch (error) {
@@ -2655,6 +2866,7 @@ app.post('/api/conversations', async (req, res) => {
   }
 });
 
+// messages is the active branch; messages with new ids (edits, regenerations) branch off
 app.put('/api/conversations/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -2671,20 +2883,17 @@ app.put('/api/conversations/:id', async (req, res) => {
       });
     }
 
-    const filePath = path.join(conversationsDir, `${id}.json`);
-    const existing = JSON.parse(await fs.readFile(filePath, 'utf-8'));
-
-    const updated = {
-      ...existing,
-      title: title !== undefined ? title : existing.title,
-      messages: messages !== undefined ? messages : existing.messages,
-      folder: folder !== undefined ? folder : existing.folder,
-      brainPath: req.body.brainPath !== undefined ? req.body.brainPath : existing.brainPath,
-      summary: summary !== undefined ? summary : existing.summary, // Preserve/update summary
-      updatedAt: new Date().toISOString()
-    };
-
-    await fs.writeFile(filePath, JSON.stringify(updated, null, 2), 'utf-8');
+    const updated = await conversationStore.update(id, {
+      title,
+      messages,
+      folder,
+      brainPath: req.body.brainPath,
+      summary // Preserve/update summary
+    });
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    conversationSearch.invalidate(id);
 
     res.json({ success: true, conversation: updated });
   } catch (error) {
@@ -2696,8 +2905,11 @@ app.put('/api/conversations/:id', async (req, res) => {
 app.delete('/api/conversations/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const filePath = path.join(conversationsDir, `${id}.json`);
-    await fs.unlink(filePath);
+    if (!(await conversationStore.remove(id))) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    conversationSearch.invalidate(id);
+    await editQueueStore.remove(id).catch(() => {});
     
     res.json({ success: true });
   } catch (error) {
@@ -2706,6 +2918,123 @@ app.delete('/api/conversations/:id', async (req, res) => {
   }
 });
 
+// ============================================================================
+// EDIT QUEUE - durable per-conversation changesets of agent edits
+// ============================================================================
+
+const editQueueStore = getEditQueueStore({ storageDir: path.join(conversationsDir, 'edit-queues') });
+
+/**
+ * Persist the edits from a chat run as a changeset on the conversation's queue
+ * @returns {Promise<Object|null>} the changeset, or null (no edits / no conversation id)
+ */
+async function queueChatChangeset(params, result) {
+  if (!result.pendingEdits?.length || !params.conversationId) return null;
+  try {
+    return await editQueueStore.createChangeset(params.conversationId, result.pendingEdits, {
+      title: params.message,
+      allowedRoot: params.allowedRoot || null
+    });
+  } catch (error) {
+    console.error('[EDIT QUEUE] Failed to persist changeset:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record the pre-edit content of files a changeset just overwrote as one
+ * snapshot, so "Before AI edit" history covers server-applied changesets too
+ */
+async function snapshotChangesetOriginals(result) {
+  const edits = result.changeset.edits.filter(edit =>
+    result.appliedEditIds.includes(edit.id) && typeof edit.undo?.content === 'string'
+  );
+  if (edits.length === 0) return;
+  try {
+    await snapshotStore.createSnapshot({
+      files: edits.map(edit => ({ filePath: edit.filePath, content: edit.undo.content })),
+      reason: `Before AI edit: ${String(result.changeset.title || edits.map(edit => edit.fileName).join(', ')).slice(0, 120)}`,
+      folder: result.changeset.allowedRoot || null,
+      source: 'agent'
+    });
+  } catch (error) {
+    console.warn('[EDIT QUEUE] Failed to snapshot originals:', error.message);
+  }
+}
+
+function sendEditQueueError(res, error) {
+  const status = /not found/i.test(error.message) ? 404
+    : /invalid conversation id/i.test(error.message) ? 400
+      : /access denied/i.test(error.message) ? 403
+        : 500;
+  res.status(status).json({ success: false, error: error.message });
+}
+
+function parseEditIds(body) {
+  return Array.isArray(body?.editIds) ? body.editIds.map(String) : undefined;
+}
+
+app.get('/api/edit-queue/:conversationId', async (req, res) => {
+  try {
+    const changesets = await editQueueStore.list(req.params.conversationId);
+    res.json({ success: true, changesets });
+  } catch (error) {
+    sendEditQueueError(res, error);
+  }
+});
+
+app.post('/api/edit-queue/:conversationId/changesets/:changesetId/apply', mutationGuard, async (req, res) => {
+  try {
+    const result = await editQueueStore.applyChangeset(req.params.conversationId, req.params.changesetId, {
+      editIds: parseEditIds(req.body),
+      force: req.body?.force === true
+    });
+    if (!result.applied && result.conflicts.length > 0) {
+      return res.status(409).json({ success: false, error: 'Files changed since the edits were proposed', ...result });
+    }
+    if (result.applied) {
+      await snapshotChangesetOriginals(result);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendEditQueueError(res, error);
+  }
+});
+
+app.post('/api/edit-queue/:conversationId/changesets/:changesetId/reject', async (req, res) => {
+  try {
+    const changeset = await editQueueStore.rejectChangeset(req.params.conversationId, req.params.changesetId, {
+      editIds: parseEditIds(req.body)
+    });
+    res.json({ success: true, changeset });
+  } catch (error) {
+    sendEditQueueError(res, error);
+  }
+});
+
+app.post('/api/edit-queue/:conversationId/changesets/:changesetId/undo', mutationGuard, async (req, res) => {
+  try {
+    const result = await editQueueStore.undoChangeset(req.params.conversationId, req.params.changesetId, {
+      force: req.body?.force === true
+    });
+    if (!result.undone && result.conflicts.length > 0) {
+      return res.status(409).json({ success: false, error: 'Files were modified after the changeset was applied', ...result });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendEditQueueError(res, error);
+  }
+});
+
+app.delete('/api/edit-queue/:conversationId/processed', mutationGuard, async (req, res) => {
+  try {
+    const result = await editQueueStore.clearProcessed(req.params.conversationId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendEditQueueError(res, error);
+  }
+});
+
 // ============================================================================
 // CONVERSATION SUMMARIZATION - Context Window Management
 // ============================================================================
@@ -2773,173 +3102,203 @@ app.post('/api/summarize', async (req, res) => {
 });
 
 // ============================================================================
-// FILE SNAPSHOTS (Auto-backup before AI edits)
+// FILE SNAPSHOTS (Auto-backup before AI edits) - git-backed, see snapshot-store.js
 // ============================================================================
 
 const snapshotsDir = path.join(__dirname, '../snapshots');
+const snapshotStore = getSnapshotStore({
+  rootDir: snapshotsDir,
+  retention: loadSnapshotRetention(serverConfig || {}),
+  catalog: new SnapshotCatalog()
+});
+
+snapshotStore.ensureReady()
+  .then(() => snapshotStore.gc())
+  .catch(error => console.warn('[SNAPSHOT] Startup maintenance failed:', error.message));
+
+function sendSnapshotError(res, error) {
+  const status = /not found|no snapshots/i.test(error.message) ? 404
+    : /access denied/i.test(error.message) ? 403
+      : /required|invalid|must be/i.test(error.message) ? 400
+        : 500;
+  res.status(status).json({ success: false, error: error.message });
+}
 
-// Ensure snapshots directory exists
-fs.mkdir(snapshotsDir, { recursive: true }).catch(() => {});
+async function resolveSnapshotFolder(req, folder) {
+  return folder ? resolvePathForRequest(req, folder, { expectDirectory: true }) : null;
+}
 
-// Create a snapshot of a file
-app.post('/api/snapshots', async (req, res) => {
+// Create a snapshot of one file ({ filePath, content }) or several ({ files: [...] })
+app.post('/api/snapshots', mutationGuard, async (req, res) => {
   try {
-    const { filePath, content, reason } = req.body;
-    
-    if (!filePath || content === undefined) {
-      return res.status(400).json({ error: 'File path and content required' });
+    const { filePath, content, reason, folder } = req.body;
+    const files = Array.isArray(req.body.files)
+      ? req.body.files
+      : [{ filePath, content }];
+
+    if (files.length === 0 || files.some(file => !file?.filePath || typeof file.content !== 'string')) {
+      return res.status(400).json({ success: false, error: 'File path and content required' });
     }
-    
-    const timestamp = Date.now();
-    const id = `snap_${timestamp}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    const snapshot = {
-      id,
-      filePath,
-      content,
+
+    const resolvedFiles = [];
+    for (const file of files) {
+      resolvedFiles.push({ filePath: await resolvePathForRequest(req, file.filePath), content: file.content });
+    }
+
+    const snapshot = await snapshotStore.createSnapshot({
+      files: resolvedFiles,
       reason: reason || 'Manual snapshot',
-      timestamp: new Date(timestamp).toISOString(),
-      size: content.length
-    };
-    
-    // Create file-specific subdirectory to organize snapshots
-    const fileHash = Buffer.from(filePath).toString('base64').replace(/[/+=]/g, '_');
-    const fileSnapshotDir = path.join(snapshotsDir, fileHash);
-    await fs.mkdir(fileSnapshotDir, { recursive: true });
-    
-    const snapshotPath = path.join(fileSnapshotDir, `${id}.json`);
-    await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2), 'utf-8');
-    
-    console.log(`[SNAPSHOT] Created for ${filePath}: ${reason}`);
-    res.json({ success: true, id, snapshot: { id, filePath, timestamp: snapshot.timestamp, reason, size: snapshot.size } });
+      folder: await resolveSnapshotFolder(req, folder),
+      source: req.body.source === 'agent' ? 'agent' : 'user'
+    });
+
+    res.json({
+      success: true,
+      id: snapshot.id,
+      snapshot: {
+        ...snapshot,
+        filePath: snapshot.files[0].filePath,
+        size: snapshot.files[0].size
+      }
+    });
   } catch (error) {
     console.error('[SNAPSHOT] Error creating:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendSnapshotError(res, error);
   }
 });
 
-// Get all snapshots for a specific file
+// Snapshots of a file (?filePath=) or the workspace timeline (?folder=), newest first;
+// page with ?limit= and ?cursor=<nextCursor>
 app.get('/api/snapshots', async (req, res) => {
   try {
-    const { filePath } = req.query;
-    
-    if (!filePath) {
-      return res.status(400).json({ error: 'File path required' });
-    }
-    
-    const fileHash = Buffer.from(filePath).toString('base64').replace(/[/+=]/g, '_');
-    const fileSnapshotDir = path.join(snapshotsDir, fileHash);
-    
-    try {
-      const files = await fs.readdir(fileSnapshotDir);
-      const snapshots = [];
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = await fs.readFile(path.join(fileSnapshotDir, file), 'utf-8');
-          const data = JSON.parse(content);
-          // Don't include content in list (too large), only metadata
-          snapshots.push({
-            id: data.id,
-            filePath: data.filePath,
-            timestamp: data.timestamp,
-            reason: data.reason,
-            size: data.size
-          });
-        }
-      }
-      
-      // Sort by timestamp descending (newest first)
-      snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      
-      res.json({ success: true, snapshots });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // No snapshots yet for this file
-        res.json({ success: true, snapshots: [] });
-      } else {
-        throw error;
-      }
+    const { filePath, folder } = req.query;
+
+    if (!filePath && !folder) {
+      return res.status(400).json({ success: false, error: 'File path or folder required' });
     }
+
+    const { snapshots, nextCursor } = await snapshotStore.page({
+      filePath: filePath ? await resolvePathForRequest(req, filePath) : null,
+      folder: await resolveSnapshotFolder(req, folder),
+      limit: Math.min(Number.parseInt(req.query.limit, 10) || 200, 1000),
+      cursor: typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : null
+    });
+    res.json({ success: true, snapshots, nextCursor });
   } catch (error) {
     console.error('[SNAPSHOT] Error listing:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendSnapshotError(res, error);
+  }
+});
+
+// Unified diff: ?from=<id>&to=<id|current>[&filePath=][&folder=]
+app.get('/api/snapshots/diff', async (req, res) => {
+  try {
+    const { from, to, filePath, folder } = req.query;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'from snapshot id required' });
+    }
+
+    const result = await snapshotStore.diff({
+      from,
+      to: to || 'current',
+      filePath: filePath ? await resolvePathForRequest(req, filePath) : null,
+      folder: await resolveSnapshotFolder(req, folder)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[SNAPSHOT] Error diffing:', error);
+    sendSnapshotError(res, error);
+  }
+});
+
+// Restore many files to a snapshot or point in time: { folder, id | timestamp, paths?, dryRun? }
+app.post('/api/snapshots/restore', mutationGuard, async (req, res) => {
+  try {
+    const { folder, id, timestamp, paths, dryRun } = req.body || {};
+    if (!folder) {
+      return res.status(400).json({ success: false, error: 'folder required' });
+    }
+
+    const requestIsAdmin = isRequestAdmin(req);
+    const allowedRoot = getEffectiveAllowedRoot({ requestIsAdmin });
+    const result = await snapshotStore.restore({
+      folder: await resolveSnapshotFolder(req, folder),
+      id: id || null,
+      timestamp: timestamp || null,
+      paths: Array.isArray(paths) ? paths.map(String) : null,
+      dryRun: dryRun === true,
+      isAllowed: (candidate) => isPathAllowed(candidate, allowedRoot)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[SNAPSHOT] Error restoring:', error);
+    sendSnapshotError(res, error);
+  }
+});
+
+// Apply retention limits now: { folder? }
+app.post('/api/snapshots/gc', mutationGuard, async (req, res) => {
+  try {
+    const results = await snapshotStore.gc(await resolveSnapshotFolder(req, req.body?.folder));
+    res.json({ success: true, results, retention: snapshotStore.retention });
+  } catch (error) {
+    console.error('[SNAPSHOT] Error collecting garbage:', error);
+    sendSnapshotError(res, error);
   }
 });
 
-// Get a specific snapshot (with content)
+// Get a specific snapshot of a file (with content)
 app.get('/api/snapshots/:id', async (req, res) => {
   try {
-    const { id } = req.params;
     const { filePath } = req.query;
-    
+
     if (!filePath) {
-      return res.status(400).json({ error: 'File path required' });
+      return res.status(400).json({ success: false, error: 'File path required' });
     }
-    
-    const fileHash = Buffer.from(filePath).toString('base64').replace(/[/+=]/g, '_');
-    const fileSnapshotDir = path.join(snapshotsDir, fileHash);
-    const snapshotPath = path.join(fileSnapshotDir, `${id}.json`);
-    
-    const content = await fs.readFile(snapshotPath, 'utf-8');
-    const snapshot = JSON.parse(content);
-    
+
+    const snapshot = await snapshotStore.get(req.params.id, await resolvePathForRequest(req, filePath));
     res.json({ success: true, snapshot });
   } catch (error) {
     console.error('[SNAPSHOT] Error loading:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendSnapshotError(res, error);
   }
 });
 
-// Delete a specific snapshot
-app.delete('/api/snapshots/:id', async (req, res) => {
+// Delete a file's version from a snapshot (or the whole snapshot with ?folder=)
+app.delete('/api/snapshots/:id', mutationGuard, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { filePath } = req.query;
-    
-    if (!filePath) {
-      return res.status(400).json({ error: 'File path required' });
+    const { filePath, folder } = req.query;
+
+    if (!filePath && !folder) {
+      return res.status(400).json({ success: false, error: 'File path or folder required' });
     }
-    
-    const fileHash = Buffer.from(filePath).toString('base64').replace(/[/+=]/g, '_');
-    const fileSnapshotDir = path.join(snapshotsDir, fileHash);
-    const snapshotPath = path.join(fileSnapshotDir, `${id}.json`);
-    
-    await fs.unlink(snapshotPath);
-    
-    res.json({ success: true });
+
+    const result = await snapshotStore.remove(
+      req.params.id,
+      filePath ? await resolvePathForRequest(req, filePath) : null,
+      await resolveSnapshotFolder(req, folder)
+    );
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error('[SNAPSHOT] Error deleting:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendSnapshotError(res, error);
   }
 });
 
 // Delete all snapshots for a file
-app.delete('/api/snapshots', async (req, res) => {
+app.delete('/api/snapshots', mutationGuard, async (req, res) => {
   try {
     const { filePath } = req.query;
-    
+
     if (!filePath) {
-      return res.status(400).json({ error: 'File path required' });
-    }
-    
-    const fileHash = Buffer.from(filePath).toString('base64').replace(/[/+=]/g, '_');
-    const fileSnapshotDir = path.join(snapshotsDir, fileHash);
-    
-    try {
-      await fs.rm(fileSnapshotDir, { recursive: true, force: true });
-      res.json({ success: true });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Directory doesn't exist, that's fine
-        res.json({ success: true });
-      } else {
-        throw error;
-      }
+      return res.status(400).json({ success: false, error: 'File path required' });
     }
+
+    const result = await snapshotStore.clear(await resolvePathForRequest(req, filePath));
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error('[SNAPSHOT] Error deleting all:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendSnapshotError(res, error);
   }
 });
 
@@ -2956,12 +3315,16 @@ app.post('/api/index-folder', async (req, res) => {
     }
     
     const indexer = getCodebaseIndexer();
-    if (!indexer) {
-      return res.status(400).json({ error: 'OpenAI API key required for semantic search' });
+    if (!Array.isArray(files)) {
+      return res.status(400).json({ error: 'Files array required' });
     }
-    await indexer.indexFolder(folderPath, files);
+    const { added, changed, removed, unchanged, chunks } = await indexer.indexFolder(folderPath, files);
     
-    res.json({ success: true, message: 'Indexing started' });
+    res.json({
+      success: true,
+      message: 'Indexing complete',
+      stats: { added, changed, removed, unchanged, chunks: chunks.length }
+    });
     
   } catch (error) {
     console.error('[INDEX] Error:', error);
@@ -2971,22 +3334,20 @@ app.post('/api/index-folder', async (req, res) => {
 
 app.post('/api/codebase-search', async (req, res) => {
   try {
-    const { query, folderPath, limit = 10 } = req.body;
+    const { query, folderPath, limit = 10, path: pathFilter, language } = req.body;
     
     if (!query || !folderPath) {
       return res.status(400).json({ error: 'Query and folder path required' });
     }
     
     const indexer = getCodebaseIndexer();
-    if (!indexer) {
-      return res.status(400).json({ error: 'OpenAI API key required for semantic search' });
-    }
-    const result = await indexer.searchCode(folderPath, query, limit);
+    const result = await indexer.searchCode(folderPath, query, limit, { path: pathFilter, language });
     
     res.json({
       success: true,
       results: result.results || [],
-      count: result.results?.length || 0
+      count: result.results?.length || 0,
+      message: result.message || null
     });
     
   } catch (error) {
@@ -3049,7 +3410,11 @@ function attachTerminalWs(server) {
   });
 
   wss.on('connection', (ws, req, context = {}) => {
-    terminalWsProtocol.handleConnection(ws, req, context);
+    try {
+      terminalWsProtocol.handleConnection(ws, req, context);
+    } catch (error) {
+      ws.close(4403, error.message.slice(0, 120));
+    }
   });
 
   server.on('upgrade', (req, socket, head) => {
@@ -3112,6 +3477,22 @@ function attachTerminalWs(server) {
       return;
     }
 
+    // Share-link guests connect with the share token instead of a client id
+    const shareToken = String(parsedUrl.searchParams.get('share') || '').trim();
+    if (shareToken) {
+      try {
+        terminalSessionManager.resolveShare(shareToken);
+      } catch (_) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+      }
+      const name = String(parsedUrl.searchParams.get('name') || '').trim();
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, { shareToken, name });
+      });
+      return;
+    }
+
     const clientId = String(parsedUrl.searchParams.get('clientId') || '').trim();
     if (!/^[A-Za-z0-9:_-]{1,128}$/.test(clientId)) {
       socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
@@ -3273,7 +3654,22 @@ process.on('exit', () => {
 // Load brain and add routes
 // ============================================================================
 
-const { loadBrain, unloadBrain, getBrainLoader, getQueryEngine } = require('./brain-loader-module');
+const {
+  loadBrain,
+  unloadBrain,
+  getBrainLoader,
+  getQueryEngine,
+  getBrain,
+  mountBrain,
+  unmountBrain,
+  setActiveBrain,
+  listBrains,
+  isFederatedScope,
+  searchBrains,
+  rememberInBrain,
+  linkInBrain,
+  compactBrain
+} = require('./brain-loader-module');
 let brainLoadingInProgress = false;
 
 // ============================================================================
@@ -3461,6 +3857,48 @@ app.get('/api/workspace/check/*', (req, res) => {
   }
 });
 
+// Git repo root for a folder in a gates request; both must be inside the allowed root
+async function resolveGateRepoRoot(req, folder) {
+  if (!folder) return null;
+  const { getWorkspaceManager } = require('./workspace-manager');
+  const resolved = await resolvePathForRequest(req, folder, { mustExist: true, expectDirectory: true });
+  const repoRoot = getWorkspaceManager().getRepoRoot(resolved);
+  return repoRoot ? resolvePathForRequest(req, repoRoot) : null;
+}
+
+function gateErrorStatus(err) {
+  if (/^Access denied/.test(err.message)) return 403;
+  return /must be|^Path |^Expected a|^Invalid path/.test(err.message) ? 400 : 500;
+}
+
+// Validation gate config for a repo (stored in <repoRoot>/.evobrew-workspaces/gates.json)
+app.get('/api/workspace/gates', async (req, res) => {
+  try {
+    const { loadGateConfig, resolveGates } = require('./workspace-gates');
+    const repoRoot = await resolveGateRepoRoot(req, req.query.repoRoot);
+    if (!repoRoot) return res.status(400).json({ error: 'repoRoot must be a git repository' });
+    const config = loadGateConfig(repoRoot);
+    res.json({ success: true, repoRoot, config, gates: resolveGates(repoRoot, config) });
+  } catch (err) {
+    res.status(gateErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Gate commands run in the worktree on validate/merge, so storing them needs the terminal permission
+app.put('/api/workspace/gates', mutationGuard, async (req, res) => {
+  if (!ensureTerminalEnabled(req, res)) return;
+  try {
+    const { saveGateConfig, resolveGates } = require('./workspace-gates');
+    const repoRoot = await resolveGateRepoRoot(req, req.body.repoRoot);
+    if (!repoRoot) return res.status(400).json({ error: 'repoRoot must be a git repository' });
+    const config = saveGateConfig(repoRoot, req.body.config || {});
+    console.log(`[WORKSPACE] Updated validation gates for ${repoRoot}`);
+    res.json({ success: true, repoRoot, config, gates: resolveGates(repoRoot, config) });
+  } catch (err) {
+    res.status(gateErrorStatus(err)).json({ error: err.message });
+  }
+});
+
 app.get('/api/workspace/:id', (req, res) => {
   try {
     const { getWorkspaceManager } = require('./workspace-manager');
@@ -3486,13 +3924,35 @@ app.post('/api/workspace/:id/commit', (req, res) => {
   }
 });
 
-app.post('/api/workspace/:id/merge', (req, res) => {
+// Run the validation gates now (results are also recorded on the workspace)
+app.post('/api/workspace/:id/validate', mutationGuard, async (req, res) => {
+  if (!ensureTerminalEnabled(req, res)) return;
+  try {
+    const { getWorkspaceManager } = require('./workspace-manager');
+    const wm = getWorkspaceManager();
+    if (!wm.get(req.params.id)) return res.status(404).json({ error: `Workspace ${req.params.id} not found` });
+    const validation = await wm.validate(req.params.id, { force: req.body.force !== false, sandbox: securityConfig.sandbox });
+    res.json({ success: true, validation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Validation gates run before the merge; { override: true } merges past a blocking failure
+app.post('/api/workspace/:id/merge', mutationGuard, async (req, res) => {
+  if (!req.body.abort && !ensureTerminalEnabled(req, res)) return;
   try {
     const { getWorkspaceManager } = require('./workspace-manager');
     const wm = getWorkspaceManager();
-    const result = wm.merge(req.params.id, {
+    if (req.body.abort) {
+      return res.json({ success: true, ...wm.abortMerge(req.params.id) });
+    }
+    const result = await wm.mergeWithGates(req.params.id, {
       commitMessage: req.body.commitMessage,
-      cleanup: req.body.cleanup
+      cleanup: req.body.cleanup,
+      rebase: req.body.rebase === true,
+      override: req.body.override === true,
+      sandbox: securityConfig.sandbox
     });
     res.json({ success: true, ...result });
   } catch (err) {
@@ -3500,6 +3960,49 @@ app.post('/api/workspace/:id/merge', (req, res) => {
   }
 });
 
+// Conflicts of a merge/rebase left in progress by /merge (?file= adds base/ours/theirs contents)
+app.get('/api/workspace/:id/conflicts', (req, res) => {
+  try {
+    const { getWorkspaceManager } = require('./workspace-manager');
+    const wm = getWorkspaceManager();
+    if (!wm.get(req.params.id)) return res.status(404).json({ error: `Workspace ${req.params.id} not found` });
+    const result = wm.getConflicts(req.params.id, { file: req.query.file || null });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve one conflicted file ({ file, resolution | content | hunks }), or with
+// { continue: true } conclude the merge/rebase once all files are resolved.
+// { finalize: true } then merges the workspace into its source branch (through the validation gates).
+app.post('/api/workspace/:id/resolve', mutationGuard, async (req, res) => {
+  if (req.body && req.body.finalize && !ensureTerminalEnabled(req, res)) return;
+  try {
+    const { getWorkspaceManager } = require('./workspace-manager');
+    const wm = getWorkspaceManager();
+    if (!wm.get(req.params.id)) return res.status(404).json({ error: `Workspace ${req.params.id} not found` });
+    const { file, resolution, content, hunks, finalize, commitMessage, cleanup, override } = req.body || {};
+
+    let resolved = null;
+    if (file) {
+      resolved = wm.resolveConflict(req.params.id, { file, resolution, content, hunks });
+      if (!resolved.resolved || resolved.remainingFiles.length > 0 || (!req.body.continue && !finalize)) {
+        return res.json({ success: true, ...resolved });
+      }
+    }
+
+    if (finalize) {
+      const result = await wm.mergeWithGates(req.params.id, { commitMessage, cleanup, override: override === true, sandbox: securityConfig.sandbox });
+      return res.json({ success: true, resolved, ...result });
+    }
+    const result = wm.continueMerge(req.params.id);
+    res.json({ success: true, resolved, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.delete('/api/workspace/:id', (req, res) => {
   try {
     const { getWorkspaceManager } = require('./workspace-manager');
@@ -3511,6 +4014,134 @@ app.delete('/api/workspace/:id', (req, res) => {
   }
 });
 
+// ============================================================================
+// PARALLEL AGENT RUNS — one task, N agents, one worktree each
+// ============================================================================
+
+function getOrchestrator() {
+  const { getAgentOrchestrator } = require('./agent-orchestrator');
+  return getAgentOrchestrator({
+    runAgent: async (params, eventEmitter) => {
+      const requestedModel = String(params?.model || '').trim();
+      const openAICodexClient = isCodexModel(requestedModel)
+        ? await getOpenAICodex()
+        : null;
+      const selectedOpenAI = openAICodexClient || getOpenAI();
+      if (isCodexModel(requestedModel) && !selectedOpenAI) {
+        throw new Error('OpenAI Codex model selected but no OAuth token/profile found. Run `evobrew setup` and configure OpenAI Codex OAuth.');
+      }
+
+      return handleFunctionCalling(
+        selectedOpenAI,
+        await getAnthropic(),
+        getXAI(),
+        getCodebaseIndexer(),
+        params,
+        eventEmitter
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/orchestrate - Fan one task out to several agents in parallel
+ * Body: { message, sourceFolder, clientId, agents: [{ model, label }], model?, brainEnabled? }
+ * Returns immediately; poll GET /api/orchestrate/:runId for progress, pending
+ * tool approvals (decided by clientId via /api/tool-approvals) and diffs.
+ */
+app.post('/api/orchestrate', async (req, res) => {
+  try {
+    const { message, agents, model, brainEnabled } = req.body || {};
+    if (!message) return res.status(400).json({ success: false, error: 'message is required' });
+    if (!req.body.sourceFolder) return res.status(400).json({ success: false, error: 'sourceFolder is required' });
+    const clientId = getTerminalClientId(req);
+    if (!clientId) return res.status(400).json({ success: false, error: 'clientId is required' });
+    const sourceFolder = await resolvePathForRequest(req, req.body.sourceFolder, { mustExist: true, expectDirectory: true });
+
+    // Same security envelope as /api/chat, applied to every agent
+    const baseParams = { model, brainEnabled: brainEnabled === true };
+    const terminalEnabled = isTerminalEnabledForRequest(req);
+    baseParams.disableSpreadsheetParsing = securityConfig.isInternetProfile;
+    baseParams.terminalPolicy = {
+      enabled: terminalEnabled,
+      allowedRoot: getTerminalAllowedRoot(),
+      defaultClientId: getAiTerminalClientId(req),
+      sandbox: securityConfig.sandbox
+    };
+    baseParams.terminalManager = terminalSessionManager;
+    baseParams.toolPolicies = toolPolicies;
+    baseParams.approvalClientId = clientId;
+    if (securityConfig.isInternetProfile && !securityConfig.internetEnableMutations) {
+      const allowed = new Set(READ_ONLY_CHAT_TOOLS);
+      if (terminalEnabled) {
+        TERMINAL_CHAT_TOOLS.forEach((toolName) => allowed.add(toolName));
+      }
+      baseParams.allowedToolNames = Array.from(allowed);
+    }
+
+    const run = getOrchestrator().start({
+      message,
+      sourceFolder,
+      agents: Array.isArray(agents) ? agents : [],
+      baseParams
+    });
+    res.json({ success: true, run });
+  } catch (err) {
+    console.error('[ORCHESTRATOR] Start error:', err.message);
+    const status = /access denied/i.test(err.message) ? 403
+      : /required|at most|at least|not a git repository/i.test(err.message) ? 400
+        : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/orchestrate', (req, res) => {
+  res.json({ success: true, runs: getOrchestrator().list(req.query.repoRoot || null) });
+});
+
+app.get('/api/orchestrate/:runId', (req, res) => {
+  const run = getOrchestrator().get(req.params.runId);
+  if (!run) return res.status(404).json({ success: false, error: `Run ${req.params.runId} not found` });
+  res.json({ success: true, run });
+});
+
+// Merge the chosen agent's workspace and discard the others ({ override } passes failed gates)
+app.post('/api/orchestrate/:runId/pick', mutationGuard, async (req, res) => {
+  if (!ensureTerminalEnabled(req, res)) return;
+  try {
+    const { agentId, commitMessage, rebase, override } = req.body || {};
+    if (!agentId) return res.status(400).json({ success: false, error: 'agentId is required' });
+    const result = await getOrchestrator().pickWinner(req.params.runId, agentId, { commitMessage, rebase, override, sandbox: securityConfig.sandbox });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = /not found/i.test(err.message) ? 404 : /still running|did not complete|no longer exists/i.test(err.message) ? 409 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// Stop a running run; its workspaces stay for inspection until discarded
+app.post('/api/orchestrate/:runId/cancel', (req, res) => {
+  try {
+    const run = getOrchestrator().cancel(req.params.runId);
+    res.json({ success: true, run });
+  } catch (err) {
+    const status = /not found/i.test(err.message) ? 404 : /not running/i.test(err.message) ? 409 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// Discard the whole run, or only { agentIds }
+app.post('/api/orchestrate/:runId/discard', (req, res) => {
+  try {
+    const agentIds = Array.isArray(req.body?.agentIds) ? req.body.agentIds : null;
+    const result = getOrchestrator().discard(req.params.runId, agentIds);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = /not found/i.test(err.message) ? 404 : /still running/i.test(err.message) ? 409 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/providers/status - Provider health check
  * Returns status of all registered providers
@@ -3670,28 +4301,39 @@ app.get('/api/brain/info', (req, res) => {
 
   res.json({
     hasBrain: true,
+    brainId: loader.id,
     brainPath: loader.brainPath,
     brainName: path.basename(loader.brainPath),
     outputsPath: outputsExists ? outputsPath : loader.brainPath,
     hasOutputs: outputsExists,
+    mountedBrains: listBrains().length,
     isAdmin  // Admin mode bypasses path restrictions
   });
 });
 
 app.post('/api/brain/unload', (req, res) => {
   try {
-    const loader = getBrainLoader();
+    // { all: true } unmounts every brain; { brain } one of them; default the active one
+    if (req.body?.all) {
+      const mounted = listBrains();
+      mounted.forEach(brain => unmountBrain(brain.id));
+      return res.json({ success: true, unloaded: mounted.length > 0, brains: mounted.map(brain => brain.id) });
+    }
+
+    const loader = getBrainLoader(req.body?.brain);
     if (!loader) {
       return res.json({ success: true, unloaded: false, message: 'No brain loaded' });
     }
 
     const unloadedPath = loader.brainPath;
-    unloadBrain();
+    unloadBrain(loader.id);
 
     return res.json({
       success: true,
       unloaded: true,
-      brainPath: unloadedPath
+      brainId: loader.id,
+      brainPath: unloadedPath,
+      activeBrainId: getBrainLoader()?.id || null
     });
   } catch (error) {
     console.error('[BRAIN] Failed to unload brain:', error);
@@ -3699,11 +4341,161 @@ app.post('/api/brain/unload', (req, res) => {
   }
 });
 
+// Mounted brain registry
+app.get('/api/brains', (req, res) => {
+  const brains = listBrains();
+  res.json({
+    success: true,
+    brains,
+    activeBrainId: brains.find(brain => brain.active)?.id || null
+  });
+});
+
+app.post('/api/brains/:id/activate', (req, res) => {
+  if (!setActiveBrain(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Brain not mounted' });
+  }
+  res.json({ success: true, activeBrainId: req.params.id });
+});
+
+app.delete('/api/brains/:id', (req, res) => {
+  if (!unmountBrain(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Brain not mounted' });
+  }
+  res.json({ success: true, unmounted: req.params.id, activeBrainId: getBrainLoader()?.id || null });
+});
+
+// Brain journal: nodes/edges learned in sessions, appended next to the brain
+app.get('/api/brain/journal', async (req, res) => {
+  const loader = getBrainLoader(req.query.brain);
+  if (!loader) return res.status(404).json({ success: false, error: 'No brain loaded' });
+
+  try {
+    const { findings, edges } = await loader.journal.read();
+    res.json({ success: true, brainId: loader.id, nodes: findings, edges });
+  } catch (error) {
+    console.error('[BRAIN] Failed to read journal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/brain/remember', mutationGuard, async (req, res) => {
+  const { content, tag, brain, conversationId = null, model = null } = req.body || {};
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ success: false, error: 'content required' });
+  }
+  if (!getBrainLoader(brain)) {
+    return res.status(404).json({ success: false, error: brain ? `Brain "${brain}" is not mounted` : 'No brain loaded' });
+  }
+
+  try {
+    const { brain: target, node } = await rememberInBrain(brain, { content, tag }, { conversationId, model });
+    res.json({ success: true, brainId: target.id, node });
+  } catch (error) {
+    console.error('[BRAIN] Failed to remember:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/brain/link', mutationGuard, async (req, res) => {
+  const { source, target, type, weight, brain, conversationId = null, model = null } = req.body || {};
+  if (source === undefined || target === undefined) {
+    return res.status(400).json({ success: false, error: 'source and target required' });
+  }
+  if (!getBrainLoader(brain)) {
+    return res.status(404).json({ success: false, error: brain ? `Brain "${brain}" is not mounted` : 'No brain loaded' });
+  }
+
+  try {
+    const { brain: mounted, edge } = await linkInBrain(brain, { source, target, type, weight }, { conversationId, model });
+    res.json({ success: true, brainId: mounted.id, edge });
+  } catch (error) {
+    const status = /not found|must differ|required/.test(error.message) ? 400 : 500;
+    if (status === 500) console.error('[BRAIN] Failed to link:', error);
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Fold the journal into state.json.gz (explicit; the previous state is kept as .bak)
+app.post('/api/brain/compact', mutationGuard, async (req, res) => {
+  const brain = req.body?.brain;
+  if (!getBrainLoader(brain)) {
+    return res.status(404).json({ success: false, error: brain ? `Brain "${brain}" is not mounted` : 'No brain loaded' });
+  }
+
+  try {
+    const result = await compactBrain(brain);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[BRAIN] Compaction failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Diff two brain snapshots: a mounted brain (ID/name) or a brain folder in BRAIN_DIRS.
+// compare defaults to the active brain.
+// GET /api/brain/diff?base=<brain|path>&compare=<brain|path>&limit=50&clusters=0
+app.get('/api/brain/diff', async (req, res) => {
+  const { base, compare, limit, epsilon } = req.query;
+  if (!base) {
+    return res.status(400).json({ success: false, error: 'base is required (mounted brain ID/name or brain path)' });
+  }
+
+  const resolveSnapshot = async (scope) => {
+    const mounted = getBrain(scope);
+    if (mounted) {
+      return snapshotFromState(mounted.state, {
+        name: mounted.name,
+        brainPath: mounted.brainPath,
+        nodes: mounted.nodes,
+        edges: mounted.edges
+      });
+    }
+    if (!scope) {
+      const error = new Error('No brain loaded');
+      error.status = 404;
+      throw error;
+    }
+    const resolvedPath = path.resolve(String(scope));
+    const withinBrainDirs = BRAIN_DIRS.some(dir => {
+      const relative = path.relative(path.resolve(dir), resolvedPath);
+      return relative && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    });
+    if (!withinBrainDirs) {
+      const error = new Error(`"${scope}" is not a mounted brain or a path within the brain directories`);
+      error.status = 403;
+      throw error;
+    }
+    if (!fsSync.existsSync(path.join(resolvedPath, 'state.json.gz'))) {
+      const error = new Error(`No state.json.gz found at ${resolvedPath}`);
+      error.status = 404;
+      throw error;
+    }
+    return loadBrainSnapshot(resolvedPath);
+  };
+
+  try {
+    const [baseSnapshot, compareSnapshot] = await Promise.all([resolveSnapshot(base), resolveSnapshot(compare)]);
+    if (baseSnapshot.brainPath && baseSnapshot.brainPath === compareSnapshot.brainPath) {
+      return res.status(400).json({ success: false, error: 'base and compare are the same brain' });
+    }
+    const diff = diffBrains(baseSnapshot, compareSnapshot, {
+      limit,
+      epsilon,
+      clusters: req.query.clusters !== '0'
+    });
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    if (!error.status) console.error('[BRAIN] Diff failed:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ── Streaming SSE query endpoint ──────────────────────────────────
 app.post('/api/brain/query/stream', async (req, res) => {
-  const queryEngine = getQueryEngine();
+  const queryEngine = getQueryEngine(req.body?.brain);
   if (!queryEngine) {
-    return res.status(404).json({ error: 'No brain loaded' });
+    return res.status(404).json({ error: req.body?.brain ? `Brain "${req.body.brain}" is not mounted` : 'No brain loaded' });
   }
 
   // SSE headers
@@ -3731,6 +4523,7 @@ app.post('/api/brain/query/stream', async (req, res) => {
     enablePGS = false,
     conversationHistory = null,
     brainEnabled = true,
+    brain: _brainScope,
     ...otherOptions
   } = req.body;
   const requestedModelSelection = String(otherOptions.model || '').trim();
@@ -3825,13 +4618,52 @@ app.post('/api/brain/query/stream', async (req, res) => {
 });
 
 app.post('/api/brain/query', async (req, res) => {
-  const queryEngine = getQueryEngine();
-  if (!queryEngine) return res.status(404).json({ error: 'No brain loaded' });
+  const { brain: brainScope, federated = false } = req.body || {};
+
+  // Federated mode: memory search across every mounted brain (or the listed
+  // ones), merged by score with each result attributed to its brain
+  if (federated || isFederatedScope(brainScope) || Array.isArray(brainScope)) {
+    if (listBrains().length === 0) return res.status(404).json({ error: 'No brain loaded' });
+    const { query, limit } = req.body;
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'Query required' });
+    }
+    try {
+      const { results, brains } = await searchBrains(query, {
+        limit,
+        brains: Array.isArray(brainScope) ? brainScope : null
+      });
+      return res.json({
+        federated: true,
+        query,
+        brains,
+        count: results.length,
+        results: results.map(node => ({
+          id: node.id,
+          brainId: node.brainId,
+          brainName: node.brainName,
+          score: Math.round((node.score || 0) * 1000) / 1000,
+          tag: node.tag,
+          concept: node.concept,
+          connected: node.connected || false
+        }))
+      });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  const queryEngine = getQueryEngine(brainScope);
+  if (!queryEngine) {
+    return res.status(404).json({ error: brainScope ? `Brain "${brainScope}" is not mounted` : 'No brain loaded' });
+  }
 
   try {
     const {
       query,
       enablePGS = false,  // Partitioned Graph Synthesis
+      brain: _brainScope,
+      federated: _federated,
       ...otherOptions
     } = req.body;
     const requestedModelSelection = String(otherOptions.model || '').trim();
@@ -3967,9 +4799,11 @@ ALWAYS cite your sources with file paths and node IDs when possible.`;
     params.terminalPolicy = {
       enabled: terminalEnabled,
       allowedRoot: getTerminalAllowedRoot(),
-      defaultClientId: terminalClientId
+      defaultClientId: terminalClientId,
+      sandbox: securityConfig.sandbox
     };
     params.terminalManager = terminalSessionManager;
+    params.toolPolicies = toolPolicies;
 
     if (securityConfig.isInternetProfile && !securityConfig.internetEnableMutations) {
       const allowed = new Set(READ_ONLY_CHAT_TOOLS);
@@ -3993,7 +4827,7 @@ ALWAYS cite your sources with file paths and node IDs when possible.`;
       selectedOpenAI,
       await getAnthropic(),
       getXAI(),
-      codebaseIndexer,
+      getCodebaseIndexer(),
       params,
       null  // No event emitter for query tab (non-streaming)
     );
@@ -4434,7 +5268,8 @@ app.get('/api/setup/status', async (req, res) => {
         brains: {
           enabled: BRAINS_ENABLED,
           directory_count: brainsDirectories.length,
-          semantic_search: Boolean(serverConfig?.embeddings?.api_key)
+          semantic_search: Boolean(serverConfig?.embeddings?.api_key),
+          embeddings_provider: getEmbeddingProvider().modelId
         },
         openclaw: {
           enabled: serverConfig?.openclaw?.enabled === true,
@@ -5282,7 +6117,9 @@ app.get('/api/brains/list', async (req, res) => {
 
 app.post('/api/brain/load', async (req, res) => {
   try {
-    const { path: brainPath } = req.body;
+    // mount: true mounts alongside the brains already mounted (the active brain
+    // stays active); otherwise the new brain replaces the active one
+    const { path: brainPath, mount = false } = req.body;
     if (!brainPath) {
       return res.status(400).json({ success: false, error: 'Path required' });
     }
@@ -5303,13 +6140,17 @@ app.post('/api/brain/load', async (req, res) => {
     }
     brainLoadingInProgress = true;
     console.log(`[BRAIN-PICKER] Loading brain: ${resolvedPath}`);
-    unloadBrain(); // Clean up previous brain state
-    await loadBrain(resolvedPath);
+    const previous = getBrainLoader();
+    const loader = await mountBrain(resolvedPath, { activate: !mount });
+    if (!mount && previous && previous.id !== loader.id) {
+      unmountBrain(previous.id); // Clean up previous brain state
+    }
     brainLoadingInProgress = false;
-    const loader = getBrainLoader();
     res.json({
       success: true,
       brain: {
+        id: loader.id,
+        active: getBrainLoader()?.id === loader.id,
         name: path.basename(resolvedPath),
         path: resolvedPath,
         nodes: loader?.nodes?.length || 0,
@@ -5323,6 +6164,61 @@ app.post('/api/brain/load', async (req, res) => {
   }
 });
 
+// Build a brain from a folder (repo or documents) into the first brain directory
+let brainBuildInProgress = false;
+app.post('/api/brain/build', mutationGuard, async (req, res) => {
+  if (!BRAINS_ENABLED || BRAIN_DIRS.length === 0) {
+    return res.status(400).json({ success: false, error: 'No brain directories configured' });
+  }
+  if (brainBuildInProgress) {
+    return res.status(409).json({ success: false, error: 'Brain build already in progress' });
+  }
+
+  const { folder, name, mount = false, activate = false, overwrite = false } = req.body || {};
+  let sourcePath;
+  try {
+    sourcePath = await resolvePathForRequest(req, folder, { expectDirectory: true });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const brainName = String(name || path.basename(sourcePath)).trim()
+    .replace(/\.brain$/i, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+  if (!brainName) {
+    return res.status(400).json({ success: false, error: 'Invalid brain name' });
+  }
+  const outputPath = path.join(path.resolve(BRAIN_DIRS[0]), `${brainName}.brain`);
+
+  brainBuildInProgress = true;
+  req.setTimeout(600000); // 10 minutes
+  try {
+    console.log(`[BRAIN-BUILD] Building ${outputPath} from ${sourcePath}`);
+    const builder = new BrainBuilder({
+      config: serverConfig,
+      disableSpreadsheetParsing: securityConfig.isInternetProfile,
+      onProgress: ({ message }) => console.log(`[BRAIN-BUILD] ${message}`)
+    });
+    const result = await builder.build(sourcePath, outputPath, { name: brainName, overwrite: overwrite === true });
+    Object.keys(_brainListCache).forEach(key => delete _brainListCache[key]);
+
+    let mounted = null;
+    if (mount) {
+      const brain = await mountBrain(result.brainPath, { activate: activate === true });
+      mounted = { id: brain.id, active: getBrainLoader()?.id === brain.id };
+    }
+
+    res.json({ success: true, brain: { ...result, path: result.brainPath, mounted } });
+  } catch (error) {
+    console.error('[BRAIN-BUILD] Error building brain:', error);
+    const status = /already exists|not found|must be a \.brain/i.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  } finally {
+    brainBuildInProgress = false;
+  }
+});
+
 // CLI: Load brain before starting server
 const args = process.argv.slice(2);
 if (args.length > 0 && args[0] !== '--help' && fsSync.existsSync(args[0])) {
@@ -26,30 +26,8 @@ const crypto = require('crypto');
 const https = require('https');
 const { encryptApiKey, decryptApiKey } = require('./encryption');
 
-// Ensure DATABASE_URL is set before Prisma import
-// This supports both global config (~/.evobrew/database.db) and local (.env)
-if (!process.env.DATABASE_URL) {
-  // Check for global config first
-  const globalConfigPath = path.join(os.homedir(), '.evobrew', 'config.json');
-  if (fs.existsSync(globalConfigPath)) {
-    const globalDbPath = path.join(os.homedir(), '.evobrew', 'database.db');
-    process.env.DATABASE_URL = `file:${globalDbPath}`;
-  } else {
-    // Fall back to project-local database
-    process.env.DATABASE_URL = 'file:./prisma/studio.db';
-  }
-}
-
-const { PrismaClient } = require('@prisma/client');
-
-// Lazy-load Prisma client
-let prisma = null;
-function getPrisma() {
-  if (!prisma) {
-    prisma = new PrismaClient();
-  }
-  return prisma;
-}
+// Shared Prisma client (sets DATABASE_URL for global or project-local mode)
+const { getPrisma } = require('./database');
 
 // Claude Code version for stealth mode (must match actual Claude Code CLI version)
 const CLAUDE_CODE_VERSION = '2.1.32';
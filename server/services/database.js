@@ -0,0 +1,177 @@
+/**
+ * Database Service - shared Prisma client
+ *
+ * One PrismaClient per process, pointed at ~/.evobrew/database.db in global
+ * config mode or ./prisma/studio.db otherwise (see lib/prisma-config.js).
+ * Schema changes ship as migrations in prisma/migrations. ensureSchema()
+ * applies pending ones on first use (the prisma CLI is a dev dependency, so
+ * installed copies can't run `prisma migrate deploy`), recording them in
+ * Prisma's own _prisma_migrations table so the CLI stays in agreement.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { configurePrismaEnv } = require('../../lib/prisma-config');
+
+// DATABASE_URL must be set before the Prisma client is loaded
+configurePrismaEnv();
+
+const { PrismaClient } = require('@prisma/client');
+
+// Lazy-load Prisma client
+let prisma = null;
+function getPrisma() {
+  if (!prisma) {
+    prisma = new PrismaClient();
+  }
+  return prisma;
+}
+
+/**
+ * Options for interactive transactions that write one row at a time: a long
+ * imported conversation or a large snapshot history outlasts Prisma's 5s
+ * default, which would abort the whole write
+ */
+const BULK_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 120000 };
+
+/**
+ * True when Prisma reports a table that has not been migrated yet
+ */
+function isMissingTableError(error) {
+  return error?.code === 'P2021' || /no such table/i.test(error?.message || '');
+}
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'prisma', 'migrations');
+
+/**
+ * Migrations shipped in prisma/migrations, oldest first
+ * @returns {Array<{ name: string, sql: string, checksum: string }>}
+ */
+function readMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'migration.sql')))
+    .map(entry => entry.name)
+    .sort()
+    .map((name) => {
+      const sql = fs.readFileSync(path.join(dir, name, 'migration.sql'), 'utf-8');
+      return { name, sql, checksum: crypto.createHash('sha256').update(sql).digest('hex') };
+    });
+}
+
+/**
+ * A migration file as single statements (the client executes one at a time)
+ */
+function splitStatements(sql) {
+  return sql
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*(?:\n|$)/)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Tables a migration creates (a "new_X" table rebuilt and renamed counts as X)
+ */
+function createdTables(sql) {
+  return Array.from(sql.matchAll(/CREATE TABLE "([^"]+)"/g), match => match[1].replace(/^new_/, ''));
+}
+
+/**
+ * Apply pending migrations to the database.
+ *
+ * Databases that never went through prisma migrate (older versions created
+ * SystemConfig on demand) are baselined first: leading migrations whose
+ * tables all exist already are recorded as applied without running them.
+ *
+ * @param {Object} db - Prisma client
+ * @returns {Promise<string[]>} names of the migrations applied
+ */
+async function applyMigrations(db, migrations = readMigrations()) {
+  const tables = new Set((await db.$queryRawUnsafe(
+    `SELECT name FROM sqlite_master WHERE type = 'table'`
+  )).map(row => row.name));
+
+  const managed = tables.has('_prisma_migrations');
+  if (!managed) {
+    await db.$executeRawUnsafe(`CREATE TABLE IF NOT EXISTS "_prisma_migrations" (
+    "id" TEXT PRIMARY KEY NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "finished_at" DATETIME,
+    "migration_name" TEXT NOT NULL,
+    "logs" TEXT,
+    "rolled_back_at" DATETIME,
+    "started_at" DATETIME NOT NULL DEFAULT current_timestamp,
+    "applied_steps_count" INTEGER UNSIGNED NOT NULL DEFAULT 0
+)`);
+  }
+  const done = new Set(managed
+    ? (await db.$queryRawUnsafe(
+      `SELECT migration_name FROM "_prisma_migrations" WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL`
+    )).map(row => row.migration_name)
+    : []);
+
+  const record = (migration, startedAt) => db.$executeRawUnsafe(
+    `INSERT INTO "_prisma_migrations" ("id", "checksum", "finished_at", "migration_name", "started_at", "applied_steps_count") VALUES (?, ?, ?, ?, ?, 1)`,
+    crypto.randomUUID(), migration.checksum, Date.now(), migration.name, startedAt
+  );
+
+  const applied = [];
+  let baselining = !managed;
+  for (const migration of migrations) {
+    if (done.has(migration.name)) continue;
+
+    if (baselining) {
+      const created = createdTables(migration.sql);
+      if (created.length > 0 && created.every(table => tables.has(table))) {
+        await record(migration, Date.now());
+        continue;
+      }
+      baselining = false;
+    }
+
+    const startedAt = Date.now();
+    for (const statement of splitStatements(migration.sql)) {
+      await db.$executeRawUnsafe(statement);
+    }
+    await record(migration, startedAt);
+    applied.push(migration.name);
+    console.log(`[DATABASE] Applied migration ${migration.name}`);
+  }
+  return applied;
+}
+
+let schemaReady = null;
+
+/**
+ * Bring the database up to the current schema once per process. Migrations
+ * run on their own single-connection client: the PRAGMA foreign_keys=OFF
+ * around table rebuilds only holds for the connection that set it.
+ */
+function ensureSchema() {
+  if (!schemaReady) {
+    const url = process.env.DATABASE_URL;
+    const migrator = new PrismaClient({
+      datasources: { db: { url: `${url}${url.includes('?') ? '&' : '?'}connection_limit=1` } }
+    });
+    schemaReady = applyMigrations(migrator)
+      .catch((error) => {
+        schemaReady = null;
+        throw new Error(`Database migration failed: ${error.message}`);
+      })
+      .finally(() => migrator.$disconnect().catch(() => {}));
+  }
+  return schemaReady;
+}
+
+module.exports = {
+  BULK_TRANSACTION_OPTIONS,
+  getPrisma,
+  isMissingTableError,
+  applyMigrations,
+  ensureSchema
+};
@@ -0,0 +1,152 @@
+/**
+ * SnapshotCatalog — database index of the snapshots held in the git stores.
+ *
+ * SnapshotStore keeps file contents in a bare git repository per workspace;
+ * this catalog mirrors each snapshot's metadata (reason, source, time, files)
+ * into the Snapshot/SnapshotFile tables so timelines can be listed and paged
+ * without walking git history. A workspace is re-synced from its git log
+ * whenever the store rewrites history (delete, clear, retention GC), and
+ * backfilled once when the catalog has no rows for it.
+ */
+
+const path = require('path');
+const { getPrisma, isMissingTableError, ensureSchema, BULK_TRANSACTION_OPTIONS } = require('./services/database');
+
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+
+function snapshotData(workspace, snapshot) {
+  const files = (snapshot.files || []).map(file => ({
+    filePath: path.join(workspace, file.path),
+    blob: String(file.blob || ''),
+    size: Number(file.size) || 0
+  }));
+  return {
+    id: snapshot.id,
+    workspace,
+    reason: String(snapshot.reason || 'Snapshot'),
+    source: snapshot.source || null,
+    timestamp: new Date(snapshot.timestamp),
+    totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    files: { create: files }
+  };
+}
+
+class SnapshotCatalog {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.prisma] - Prisma client (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.prisma = options.prisma || null;
+    this.usesSharedDatabase = !options.prisma;
+    this.disabled = false;
+  }
+
+  get db() {
+    if (!this.prisma) this.prisma = getPrisma();
+    return this.prisma;
+  }
+
+  /**
+   * Run a catalog operation once the schema is migrated; a database that
+   * can't be migrated turns the catalog off (callers fall back to git)
+   * instead of failing snapshots
+   */
+  async guard(task, fallback = null) {
+    if (this.disabled) return fallback;
+    try {
+      if (this.usesSharedDatabase) await ensureSchema();
+      return await task();
+    } catch (error) {
+      if (isMissingTableError(error) || /^Database migration failed/.test(error.message)) {
+        this.disabled = true;
+        console.warn(`[SNAPSHOT] Snapshot catalog unavailable (${error.message}). Listing from git until then.`);
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record one new snapshot (commit) of a workspace
+   * @param {string} workspace
+   * @param {{ id: string, timestamp: string, reason: string, source: string, files: Array<{ path: string, blob: string, size: number }> }} snapshot
+   */
+  async record(workspace, snapshot) {
+    return this.guard(async () => {
+      const data = snapshotData(workspace, snapshot);
+      await this.db.snapshot.upsert({
+        where: { id: data.id },
+        create: data,
+        update: {}
+      });
+    });
+  }
+
+  async count(workspace) {
+    return this.guard(() => this.db.snapshot.count({ where: { workspace } }), 0);
+  }
+
+  /**
+   * Replace a workspace's rows with its current git history (parsed log)
+   */
+  async sync(workspace, commits) {
+    return this.guard(async () => {
+      await this.db.$transaction(async (tx) => {
+        await tx.snapshot.deleteMany({ where: { workspace } });
+        for (const commit of commits) {
+          await tx.snapshot.create({ data: snapshotData(workspace, commit) });
+        }
+      }, BULK_TRANSACTION_OPTIONS);
+    });
+  }
+
+  /**
+   * One page of a workspace timeline or a file's history, newest first
+   *
+   * @param {Object} params
+   * @param {string} params.workspace
+   * @param {string} [params.filePath] - Absolute path
+   * @param {number} [params.limit]
+   * @param {string} [params.cursor] - id of the last snapshot of the previous page
+   * @returns {Promise<{ snapshots: Object[], nextCursor: string|null }|null>} null when the catalog is unavailable
+   */
+  async page({ workspace, filePath = null, limit = DEFAULT_PAGE_SIZE, cursor = null }) {
+    return this.guard(async () => {
+      const take = Math.max(1, Math.min(MAX_PAGE_SIZE, Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+      const where = filePath
+        ? { workspace, files: { some: { filePath } } }
+        : { workspace };
+
+      const rows = await this.db.snapshot.findMany({
+        where,
+        orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+        include: { files: true }
+      });
+
+      const page = rows.slice(0, take);
+      return {
+        snapshots: page.map((row) => {
+          const entry = filePath ? row.files.find(file => file.filePath === filePath) : null;
+          return {
+            id: row.id,
+            filePath,
+            timestamp: row.timestamp.toISOString(),
+            reason: row.reason,
+            source: row.source,
+            size: entry ? entry.size : row.totalSize,
+            files: row.files.map(file => file.filePath)
+          };
+        }),
+        nextCursor: rows.length > take ? page[page.length - 1].id : null
+      };
+    });
+  }
+}
+
+module.exports = {
+  SnapshotCatalog
+};
@@ -0,0 +1,837 @@
+/**
+ * SnapshotStore — content-addressed file history backed by a hidden bare git
+ * repository per workspace (snapshots/<name>-<hash>.git).
+ *
+ * Every snapshot is one commit on refs/heads/snapshots. A commit's tree holds
+ * the latest snapshotted content of every file in the workspace at that
+ * moment, so:
+ *
+ *   - identical content is stored once (git blobs)
+ *   - any two versions of a file, or two whole snapshots, diff with git diff
+ *   - "restore to a point in time" is the tree of the last commit before it
+ *
+ * The files a snapshot actually recorded are kept in a JSON trailer on the
+ * commit message. Deleting snapshots and retention GC replay that trailer
+ * into a fresh commit chain, then prune unreachable objects.
+ *
+ * Snapshots written by older versions (snapshots/<base64 path>/<id>.json) are
+ * imported on first use and moved to snapshots/.legacy-json/.
+ *
+ * An optional SnapshotCatalog mirrors snapshot metadata into the database so
+ * timelines page from an index instead of git log (see snapshot-catalog.js).
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_REF = 'refs/heads/snapshots';
+const METADATA_PREFIX = 'Evobrew-Snapshot: ';
+const EMPTY_BLOB = 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391';
+const GC_EVERY_SNAPSHOTS = 50;
+const GIT_TIMEOUT_MS = 60000;
+
+const DEFAULT_RETENTION = Object.freeze({
+  maxPerFile: 50,
+  maxAgeDays: 90,
+  maxTotal: 5000
+});
+
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'evobrew',
+  GIT_AUTHOR_EMAIL: 'snapshots@evobrew.local',
+  GIT_COMMITTER_NAME: 'evobrew',
+  GIT_COMMITTER_EMAIL: 'snapshots@evobrew.local'
+};
+
+/**
+ * Normalize the `snapshots` config section
+ */
+function loadSnapshotRetention(config = {}) {
+  const raw = config?.snapshots || {};
+  const read = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    maxPerFile: read(raw.max_per_file, DEFAULT_RETENTION.maxPerFile),
+    maxAgeDays: read(raw.max_age_days, DEFAULT_RETENTION.maxAgeDays),
+    maxTotal: read(raw.max_total, DEFAULT_RETENTION.maxTotal)
+  };
+}
+
+function isWithin(root, candidate) {
+  return candidate === root || candidate.startsWith(root + path.sep);
+}
+
+function toTreePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Run git against a bare repository
+ * @returns {Promise<string>} stdout
+ */
+function runGit(gitDir, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', [`--git-dir=${gitDir}`, ...args], {
+      env: { ...process.env, ...GIT_IDENTITY, ...(options.env || {}) },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const stdout = [];
+    const stderr = [];
+    const timer = setTimeout(() => child.kill('SIGKILL'), options.timeoutMs || GIT_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const output = Buffer.concat(stdout).toString('utf8');
+      if (code === 0 || (options.allowExitCodes || []).includes(code)) {
+        resolve(output);
+      } else {
+        reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString('utf8').trim() || `exit ${code}`}`));
+      }
+    });
+
+    child.stdin.on('error', () => {}); // git may exit before reading stdin
+    child.stdin.end(options.input === undefined ? '' : options.input);
+  });
+}
+
+function parseCommitLog(output) {
+  return output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const [id, committedAt, body] = entry.split('\x00');
+    const lines = body.split('\n');
+    const trailer = lines.find(line => line.startsWith(METADATA_PREFIX));
+    let metadata = {};
+    try {
+      metadata = trailer ? JSON.parse(trailer.slice(METADATA_PREFIX.length)) : {};
+    } catch (_) {
+      metadata = {};
+    }
+    return {
+      id,
+      timestamp: new Date(Number(committedAt) * 1000).toISOString(),
+      reason: metadata.reason || lines[0] || 'Snapshot',
+      source: metadata.source || null,
+      files: Array.isArray(metadata.files) ? metadata.files : []
+    };
+  });
+}
+
+class SnapshotStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Directory holding the per-workspace stores
+   * @param {Object} [options.retention] - Result of loadSnapshotRetention()
+   * @param {SnapshotCatalog} [options.catalog] - Database index of snapshot metadata
+   */
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir);
+    this.retention = { ...DEFAULT_RETENTION, ...(options.retention || {}) };
+    this.catalog = options.catalog || null;
+    this.workspaces = new Map(); // workspace root → git dir
+    this.locks = new Map(); // git dir → promise tail
+    this.snapshotsSinceGc = new Map(); // git dir → count
+    this.ready = null;
+  }
+
+  setRetention(retention) {
+    this.retention = { ...DEFAULT_RETENTION, ...(retention || {}) };
+  }
+
+  async ensureReady() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.mkdir(this.rootDir, { recursive: true });
+        await this.loadWorkspaces();
+        await this.backfillCatalog();
+        await this.importLegacySnapshots();
+      })();
+    }
+    return this.ready;
+  }
+
+  async loadWorkspaces() {
+    const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.endsWith('.git')) continue;
+      const gitDir = path.join(this.rootDir, entry.name);
+      const root = (await runGit(gitDir, ['config', '--get', 'evobrew.workspace'], { allowExitCodes: [1] })).trim();
+      if (root) this.workspaces.set(root, gitDir);
+    }
+  }
+
+  rootFor(gitDir) {
+    for (const [root, dir] of this.workspaces) {
+      if (dir === gitDir) return root;
+    }
+    return null;
+  }
+
+  /**
+   * Serialize writes to one store
+   */
+  async withLock(gitDir, task) {
+    const previous = this.locks.get(gitDir) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(gitDir, tail);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(gitDir) === tail) this.locks.delete(gitDir);
+    }
+  }
+
+  /**
+   * Workspace a file's history lives in: an existing store containing it
+   * (deepest root wins), else the given folder, else its git repository
+   * root, else its directory
+   */
+  resolveWorkspaceRoot(filePath, folder = null) {
+    const resolved = path.resolve(filePath);
+    let best = null;
+    for (const root of this.workspaces.keys()) {
+      if (isWithin(root, resolved) && (!best || root.length > best.length)) best = root;
+    }
+    if (best) return best;
+
+    if (folder && isWithin(path.resolve(folder), resolved)) return path.resolve(folder);
+
+    try {
+      return execFileSync('git', ['rev-parse', '--show-toplevel'], {
+        cwd: path.dirname(resolved),
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 5000
+      }).trim();
+    } catch {
+      return path.dirname(resolved);
+    }
+  }
+
+  async openStore(root, { create = false } = {}) {
+    const existing = this.workspaces.get(root);
+    if (existing) return existing;
+    if (!create) return null;
+
+    const slug = path.basename(root).replace(/[^A-Za-z0-9._-]/g, '_') || 'root';
+    const hash = crypto.createHash('sha1').update(root).digest('hex').slice(0, 10);
+    const gitDir = path.join(this.rootDir, `${slug}-${hash}.git`);
+    await runGit(gitDir, ['init', '--bare', '--quiet']);
+    await runGit(gitDir, ['config', 'evobrew.workspace', root]);
+    await runGit(gitDir, ['config', 'gc.auto', '0']);
+    this.workspaces.set(root, gitDir);
+    console.log(`[SNAPSHOT] Created store for ${root}`);
+    return gitDir;
+  }
+
+  async tip(gitDir) {
+    const output = await runGit(gitDir, ['rev-parse', '--verify', '--quiet', SNAPSHOT_REF], { allowExitCodes: [1] });
+    return output.trim() || null;
+  }
+
+  async readLog(gitDir, { treePath = null, limit = 0, before = null, reverse = false } = {}) {
+    if (!(await this.tip(gitDir))) return [];
+    const args = ['log', '--format=%H%x00%ct%x00%B%x1e'];
+    if (limit > 0) args.push(`--max-count=${limit}`);
+    if (before) args.push(`--before=${before}`);
+    if (reverse) args.push('--reverse');
+    args.push(SNAPSHOT_REF);
+    if (treePath) args.push('--', treePath);
+    return parseCommitLog(await runGit(gitDir, args));
+  }
+
+  async blobAt(gitDir, commit, treePath) {
+    const output = await runGit(gitDir, ['rev-parse', '--verify', '--quiet', `${commit}:${treePath}`], { allowExitCodes: [1, 128] });
+    return output.trim() || null;
+  }
+
+  async writeBlob(gitDir, content) {
+    return (await runGit(gitDir, ['hash-object', '-w', '--stdin'], { input: content })).trim();
+  }
+
+  /**
+   * Write one commit on top of `parent` applying file entries
+   * ({ path, blob } sets, { path, blob: null } removes)
+   */
+  async writeCommit(gitDir, { parent, entries, message, date }) {
+    const indexFile = path.join(gitDir, `index-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+    const env = { GIT_INDEX_FILE: indexFile };
+    if (date) {
+      env.GIT_AUTHOR_DATE = date;
+      env.GIT_COMMITTER_DATE = date;
+    }
+    try {
+      if (parent) {
+        await runGit(gitDir, ['read-tree', parent], { env });
+      } else {
+        await runGit(gitDir, ['read-tree', '--empty'], { env });
+      }
+      const indexInfo = entries.map(entry => entry.blob
+        ? `100644 ${entry.blob}\t${entry.path}`
+        : `0 ${'0'.repeat(40)}\t${entry.path}`).join('\n');
+      if (indexInfo) {
+        await runGit(gitDir, ['update-index', '--index-info'], { env, input: `${indexInfo}\n` });
+      }
+      const tree = (await runGit(gitDir, ['write-tree'], { env })).trim();
+      const args = ['commit-tree', tree, '-F', '-'];
+      if (parent) args.push('-p', parent);
+      return (await runGit(gitDir, args, { env, input: message })).trim();
+    } finally {
+      await fs.unlink(indexFile).catch(() => {});
+    }
+  }
+
+  buildMessage(reason, metadata) {
+    const title = String(reason || 'Snapshot').split('\n')[0].slice(0, 200);
+    return `${title}\n\n${METADATA_PREFIX}${JSON.stringify({ ...metadata, reason })}\n`;
+  }
+
+  /**
+   * Record file contents as one snapshot
+   *
+   * @param {Object} params
+   * @param {Array<{ filePath: string, content: string }>} params.files
+   * @param {string} [params.reason]
+   * @param {string} [params.folder] - Open folder, used when no store covers the files yet
+   * @param {string} [params.source] - 'user' | 'agent' | 'restore' | ...
+   * @param {string} [params.date] - ISO timestamp (imports)
+   * @returns {Promise<{ id: string, timestamp: string, reason: string, workspace: string, files: Array, deduplicated: boolean }>}
+   */
+  async createSnapshot(params) {
+    await this.ensureReady();
+    return this.recordSnapshot(params);
+  }
+
+  async recordSnapshot({ files, reason = 'Manual snapshot', folder = null, source = 'user', date = null }) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('At least one file is required');
+    }
+
+    const root = this.resolveWorkspaceRoot(files[0].filePath, folder);
+    for (const file of files) {
+      if (typeof file.content !== 'string') throw new Error(`Content required for ${file.filePath}`);
+      if (!isWithin(root, path.resolve(file.filePath))) {
+        throw new Error(`All files in a snapshot must be inside ${root}`);
+      }
+    }
+
+    const gitDir = await this.openStore(root, { create: true });
+    return this.withLock(gitDir, async () => {
+      const parent = await this.tip(gitDir);
+      const entries = [];
+      for (const file of files) {
+        const treePath = toTreePath(root, path.resolve(file.filePath));
+        const blob = await this.writeBlob(gitDir, file.content);
+        const previous = parent ? await this.blobAt(gitDir, parent, treePath) : null;
+        entries.push({
+          path: treePath,
+          blob,
+          size: Buffer.byteLength(file.content, 'utf8'),
+          unchanged: previous === blob
+        });
+      }
+
+      const changed = entries.filter(entry => !entry.unchanged);
+      const describe = (id, timestamp, deduplicated) => ({
+        id,
+        timestamp,
+        reason,
+        workspace: root,
+        deduplicated,
+        files: entries.map(entry => ({
+          filePath: path.join(root, entry.path),
+          size: entry.size,
+          blob: entry.blob,
+          unchanged: entry.unchanged
+        }))
+      });
+
+      if (changed.length === 0) {
+        // Same content as the latest snapshot — nothing new to store
+        const [latest] = await this.readLog(gitDir, { treePath: entries[0].path, limit: 1 });
+        return describe(latest?.id || parent, latest?.timestamp || new Date().toISOString(), true);
+      }
+
+      const timestamp = date || new Date().toISOString();
+      const commit = await this.writeCommit(gitDir, {
+        parent,
+        entries: changed,
+        date: timestamp,
+        message: this.buildMessage(reason, {
+          source,
+          files: changed.map(entry => ({ path: entry.path, blob: entry.blob, size: entry.size }))
+        })
+      });
+      await runGit(gitDir, parent
+        ? ['update-ref', SNAPSHOT_REF, commit, parent]
+        : ['update-ref', SNAPSHOT_REF, commit]);
+
+      console.log(`[SNAPSHOT] ${commit.slice(0, 10)} ${changed.length} file(s) in ${root}: ${reason}`);
+
+      if (this.catalog) {
+        await this.catalog.record(root, {
+          id: commit,
+          timestamp,
+          reason,
+          source,
+          files: changed.map(entry => ({ path: entry.path, blob: entry.blob, size: entry.size }))
+        }).catch(error => console.warn('[SNAPSHOT] Catalog record failed:', error.message));
+      }
+
+      const count = (this.snapshotsSinceGc.get(gitDir) || 0) + 1;
+      this.snapshotsSinceGc.set(gitDir, count);
+      if (count >= GC_EVERY_SNAPSHOTS && !date) {
+        this.snapshotsSinceGc.set(gitDir, 0);
+        setImmediate(() => {
+          this.gc(root).catch(error => console.warn('[SNAPSHOT] GC failed:', error.message));
+        });
+      }
+
+      return describe(commit, timestamp, false);
+    });
+  }
+
+  /**
+   * Snapshots touching a file (newest first), or the whole workspace timeline
+   */
+  async list({ filePath = null, folder = null, limit = 200 } = {}) {
+    return (await this.page({ filePath, folder, limit })).snapshots;
+  }
+
+  /**
+   * One page of list(): served from the catalog when there is one, so
+   * `cursor` (the last id of the previous page) can page through long
+   * histories; git log fallback returns only the first page
+   *
+   * @returns {Promise<{ snapshots: Object[], nextCursor: string|null }>}
+   */
+  async page({ filePath = null, folder = null, limit = 200, cursor = null } = {}) {
+    await this.ensureReady();
+    const root = filePath ? this.resolveWorkspaceRoot(filePath, folder) : (folder ? path.resolve(folder) : null);
+    const gitDir = root ? await this.openStore(root) : null;
+    if (!gitDir) return { snapshots: [], nextCursor: null };
+
+    if (this.catalog) {
+      const page = await this.catalog.page({
+        workspace: root,
+        filePath: filePath ? path.resolve(filePath) : null,
+        limit,
+        cursor
+      });
+      if (page) return page;
+    }
+
+    const treePath = filePath ? toTreePath(root, path.resolve(filePath)) : null;
+    const commits = await this.readLog(gitDir, { treePath, limit });
+    const snapshots = commits.map((commit) => {
+      const entry = treePath ? commit.files.find(file => file.path === treePath) : null;
+      return {
+        id: commit.id,
+        filePath: treePath ? path.resolve(filePath) : null,
+        timestamp: commit.timestamp,
+        reason: commit.reason,
+        source: commit.source,
+        size: entry ? entry.size : commit.files.reduce((sum, file) => sum + (file.size || 0), 0),
+        files: commit.files.map(file => path.join(root, file.path))
+      };
+    });
+    return { snapshots, nextCursor: null };
+  }
+
+  /**
+   * Content of a file as of a snapshot
+   */
+  async get(id, filePath, folder = null) {
+    await this.ensureReady();
+    const root = this.resolveWorkspaceRoot(filePath, folder);
+    const gitDir = await this.openStore(root);
+    if (!gitDir) throw new Error(`Snapshot ${id} not found`);
+
+    const commit = await this.resolveCommit(gitDir, id);
+    const treePath = toTreePath(root, path.resolve(filePath));
+    const blob = await this.blobAt(gitDir, commit, treePath);
+    if (!blob) throw new Error(`Snapshot ${id} not found for ${filePath}`);
+
+    const content = await runGit(gitDir, ['cat-file', 'blob', blob]);
+    const [meta] = parseCommitLog(await runGit(gitDir, ['log', '-1', '--format=%H%x00%ct%x00%B%x1e', commit]));
+    return {
+      id: commit,
+      filePath: path.resolve(filePath),
+      content,
+      reason: meta.reason,
+      source: meta.source,
+      timestamp: meta.timestamp,
+      size: Buffer.byteLength(content, 'utf8')
+    };
+  }
+
+  async resolveCommit(gitDir, id) {
+    if (!/^[0-9a-f]{4,64}$/i.test(String(id || ''))) {
+      throw new Error(`Snapshot ${id} not found`);
+    }
+    const output = await runGit(gitDir, ['rev-parse', '--verify', '--quiet', `${id}^{commit}`], { allowExitCodes: [1, 128] });
+    if (!output.trim()) throw new Error(`Snapshot ${id} not found`);
+    return output.trim();
+  }
+
+  /**
+   * Unified diff between two snapshots, or a snapshot and the file on disk
+   *
+   * @param {Object} params
+   * @param {string} params.from - Snapshot id
+   * @param {string} [params.to='current'] - Snapshot id or 'current' (disk content)
+   * @param {string} [params.filePath] - Limit to one file (required for 'current')
+   * @param {string} [params.folder] - Workspace, when diffing whole snapshots
+   * @returns {Promise<{ from: string, to: string, diff: string }>}
+   */
+  async diff({ from, to = 'current', filePath = null, folder = null }) {
+    await this.ensureReady();
+    const root = filePath ? this.resolveWorkspaceRoot(filePath, folder) : (folder ? path.resolve(folder) : null);
+    const gitDir = root ? await this.openStore(root) : null;
+    if (!gitDir) throw new Error('No snapshots for this workspace');
+
+    const fromCommit = await this.resolveCommit(gitDir, from);
+
+    if (!filePath) {
+      if (to === 'current') throw new Error('filePath is required to diff against the current file');
+      const toCommit = await this.resolveCommit(gitDir, to);
+      const diff = await runGit(gitDir, ['diff', '--no-color', '--no-renames', fromCommit, toCommit]);
+      return { from: fromCommit, to: toCommit, diff };
+    }
+
+    const treePath = toTreePath(root, path.resolve(filePath));
+    const fromBlob = (await this.blobAt(gitDir, fromCommit, treePath)) || EMPTY_BLOB;
+    let toBlob;
+    let toLabel;
+    if (to === 'current') {
+      const current = await fs.readFile(path.resolve(filePath), 'utf-8').catch(() => '');
+      toBlob = await this.writeBlob(gitDir, current);
+      toLabel = 'current';
+    } else {
+      toLabel = await this.resolveCommit(gitDir, to);
+      toBlob = (await this.blobAt(gitDir, toLabel, treePath)) || EMPTY_BLOB;
+    }
+
+    const raw = fromBlob === toBlob
+      ? ''
+      : await runGit(gitDir, ['diff', '--no-color', fromBlob, toBlob]);
+    // Blob diffs are labelled by object id; show the file path instead
+    const diff = raw
+      .replace(/^diff --git a\/\S+ b\/\S+$/m, `diff --git a/${treePath} b/${treePath}`)
+      .replace(/^--- a\/\S+$/m, `--- a/${treePath}`)
+      .replace(/^\+\+\+ b\/\S+$/m, `+++ b/${treePath}`);
+    return { from: fromCommit, to: toLabel, diff };
+  }
+
+  /**
+   * Restore files to their state at a snapshot or point in time
+   *
+   * Current contents of files that change are snapshotted first, so a restore
+   * can itself be undone.
+   *
+   * @param {Object} params
+   * @param {string} params.folder - Workspace root
+   * @param {string} [params.id] - Snapshot id
+   * @param {string} [params.timestamp] - Restore to the last snapshot at or before this time
+   * @param {string[]} [params.paths] - Limit to these files/directories (absolute or workspace-relative)
+   * @param {boolean} [params.dryRun]
+   * @param {Function} [params.isAllowed] - (absolutePath) => boolean
+   */
+  async restore({ folder, id = null, timestamp = null, paths = null, dryRun = false, isAllowed = null }) {
+    await this.ensureReady();
+    if (!folder) throw new Error('folder is required');
+    const root = this.resolveWorkspaceRoot(path.resolve(folder), folder);
+    const gitDir = await this.openStore(root);
+    if (!gitDir) throw new Error('No snapshots for this workspace');
+
+    let commit;
+    if (id) {
+      commit = await this.resolveCommit(gitDir, id);
+    } else if (timestamp) {
+      const time = new Date(timestamp);
+      if (Number.isNaN(time.getTime())) throw new Error('Invalid timestamp');
+      const [target] = await this.readLog(gitDir, { limit: 1, before: time.toISOString() });
+      if (!target) throw new Error(`No snapshot at or before ${time.toISOString()}`);
+      commit = target.id;
+    } else {
+      throw new Error('id or timestamp is required');
+    }
+
+    let filters = (Array.isArray(paths) ? paths : []).map(entry => path.resolve(root, entry));
+    if (filters.length === 0 && path.resolve(folder) !== root) {
+      // A subfolder of a larger workspace only restores its own files
+      filters = [path.resolve(folder)];
+    }
+    const listing = await runGit(gitDir, ['ls-tree', '-r', '-z', commit]);
+    const targets = listing.split('\0').filter(Boolean).map((line) => {
+      const [info, treePath] = line.split('\t');
+      return { blob: info.split(' ')[2], treePath, filePath: path.join(root, treePath) };
+    }).filter(entry => filters.length === 0 || filters.some(filter => isWithin(filter, entry.filePath)));
+
+    const changes = [];
+    const unchanged = [];
+    const skipped = [];
+    for (const target of targets) {
+      if (isAllowed && !isAllowed(target.filePath)) {
+        skipped.push({ filePath: target.filePath, reason: 'Access denied' });
+        continue;
+      }
+      const current = await fs.readFile(target.filePath, 'utf-8').catch(() => null);
+      const content = await runGit(gitDir, ['cat-file', 'blob', target.blob]);
+      if (current === content) {
+        unchanged.push(target.filePath);
+      } else {
+        changes.push({ ...target, current, content });
+      }
+    }
+
+    const [meta] = parseCommitLog(await runGit(gitDir, ['log', '-1', '--format=%H%x00%ct%x00%B%x1e', commit]));
+    const result = {
+      target: { id: commit, timestamp: meta.timestamp, reason: meta.reason },
+      restored: changes.map(change => change.filePath),
+      unchanged,
+      skipped,
+      safetySnapshot: null,
+      dryRun
+    };
+    if (dryRun || changes.length === 0) return result;
+
+    const existing = changes.filter(change => change.current !== null);
+    if (existing.length > 0) {
+      const safety = await this.createSnapshot({
+        files: existing.map(change => ({ filePath: change.filePath, content: change.current })),
+        reason: `Before restore to ${meta.timestamp}`,
+        folder: root,
+        source: 'restore'
+      });
+      result.safetySnapshot = safety.id;
+    }
+
+    for (const change of changes) {
+      await fs.mkdir(path.dirname(change.filePath), { recursive: true });
+      const tempPath = `${change.filePath}.evobrew-restore-${process.pid}`;
+      await fs.writeFile(tempPath, change.content, 'utf-8');
+      await fs.rename(tempPath, change.filePath);
+    }
+    console.log(`[SNAPSHOT] Restored ${changes.length} file(s) in ${root} to ${commit.slice(0, 10)}`);
+    return result;
+  }
+
+  /**
+   * Rebuild the snapshot chain keeping only the file entries `keep` accepts,
+   * then drop unreachable objects
+   *
+   * @param {string} gitDir
+   * @param {Function} keep - (commit, fileEntry, context) => boolean
+   * @returns {Promise<{ before: number, after: number, removedEntries: number }>}
+   */
+  async rewrite(gitDir, keep) {
+    const commits = await this.readLog(gitDir, { reverse: true });
+    let parent = null;
+    let after = 0;
+    let removedEntries = 0;
+
+    // Replaying only the kept entries leaves each file at its last kept
+    // version wherever a dropped version used to be
+    for (const [index, commit] of commits.entries()) {
+      const kept = commit.files.filter(file => file.blob && keep(commit, file, { index, total: commits.length }));
+      removedEntries += commit.files.length - kept.length;
+      if (kept.length === 0) continue;
+
+      parent = await this.writeCommit(gitDir, {
+        parent,
+        entries: kept.map(file => ({ path: file.path, blob: file.blob })),
+        date: commit.timestamp,
+        message: this.buildMessage(commit.reason, { source: commit.source, files: kept })
+      });
+      after++;
+    }
+
+    if (parent) {
+      await runGit(gitDir, ['update-ref', SNAPSHOT_REF, parent]);
+    } else {
+      await runGit(gitDir, ['update-ref', '-d', SNAPSHOT_REF], { allowExitCodes: [1] });
+    }
+    await runGit(gitDir, ['reflog', 'expire', '--expire=now', '--all']);
+    await runGit(gitDir, ['gc', '--prune=now', '--quiet']);
+    // Every replayed commit has a new id
+    await this.syncCatalog(gitDir);
+    return { before: commits.length, after, removedEntries };
+  }
+
+  /**
+   * Mirror a store's history into the catalog
+   */
+  async syncCatalog(gitDir) {
+    const root = this.rootFor(gitDir);
+    if (!this.catalog || !root) return;
+    try {
+      await this.catalog.sync(root, await this.readLog(gitDir));
+    } catch (error) {
+      console.warn(`[SNAPSHOT] Catalog sync failed for ${root}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-catalog stores whose catalog rows don't match their history (first
+   * run with a catalog, or snapshots taken while the tables were missing)
+   */
+  async backfillCatalog() {
+    if (!this.catalog) return;
+    for (const [root, gitDir] of this.workspaces) {
+      const commits = (await this.tip(gitDir))
+        ? Number.parseInt(await runGit(gitDir, ['rev-list', '--count', SNAPSHOT_REF]), 10)
+        : 0;
+      const catalogued = await this.catalog.count(root);
+      if (this.catalog.disabled || catalogued === commits) continue;
+      await this.withLock(gitDir, () => this.syncCatalog(gitDir));
+      console.log(`[SNAPSHOT] Catalogued ${commits} snapshot(s) for ${root}`);
+    }
+  }
+
+  /**
+   * Delete one file's version from a snapshot (or the whole snapshot)
+   */
+  async remove(id, filePath = null, folder = null) {
+    await this.ensureReady();
+    const root = filePath ? this.resolveWorkspaceRoot(filePath, folder) : (folder ? path.resolve(folder) : null);
+    const gitDir = root ? await this.openStore(root) : null;
+    if (!gitDir) throw new Error(`Snapshot ${id} not found`);
+
+    return this.withLock(gitDir, async () => {
+      const commit = await this.resolveCommit(gitDir, id);
+      const treePath = filePath ? toTreePath(root, path.resolve(filePath)) : null;
+      return this.rewrite(gitDir, (entry, file) => entry.id !== commit || (treePath !== null && file.path !== treePath));
+    });
+  }
+
+  /**
+   * Delete every snapshot of a file
+   */
+  async clear(filePath, folder = null) {
+    await this.ensureReady();
+    const root = this.resolveWorkspaceRoot(filePath, folder);
+    const gitDir = await this.openStore(root);
+    if (!gitDir) return { before: 0, after: 0, removedEntries: 0 };
+
+    const treePath = toTreePath(root, path.resolve(filePath));
+    return this.withLock(gitDir, () => this.rewrite(gitDir, (commit, file) => file.path !== treePath));
+  }
+
+  /**
+   * Apply retention limits (per-file count, age, total snapshots)
+   */
+  async gc(folder = null) {
+    await this.ensureReady();
+    const roots = folder ? [this.resolveWorkspaceRoot(path.resolve(folder), folder)] : Array.from(this.workspaces.keys());
+    const results = [];
+
+    for (const root of roots) {
+      const gitDir = await this.openStore(root);
+      if (!gitDir) continue;
+
+      const result = await this.withLock(gitDir, async () => {
+        const { maxPerFile, maxAgeDays, maxTotal } = this.retention;
+        const commits = await this.readLog(gitDir); // newest first
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const perFile = new Map();
+        const keepEntries = new Set();
+
+        commits.forEach((commit, index) => {
+          if (maxTotal > 0 && index >= maxTotal) return;
+          if (cutoff !== null && new Date(commit.timestamp).getTime() < cutoff) return;
+          for (const file of commit.files) {
+            const seen = perFile.get(file.path) || 0;
+            if (maxPerFile > 0 && seen >= maxPerFile) continue;
+            perFile.set(file.path, seen + 1);
+            keepEntries.add(`${commit.id}:${file.path}`);
+          }
+        });
+
+        const total = commits.reduce((sum, commit) => sum + commit.files.length, 0);
+        if (keepEntries.size === total) {
+          return { before: commits.length, after: commits.length, removedEntries: 0 };
+        }
+        return this.rewrite(gitDir, (commit, file) => keepEntries.has(`${commit.id}:${file.path}`));
+      });
+
+      if (result.removedEntries > 0) {
+        console.log(`[SNAPSHOT] GC ${root}: ${result.before} → ${result.after} snapshots (${result.removedEntries} file versions pruned)`);
+      }
+      results.push({ workspace: root, ...result });
+    }
+    return results;
+  }
+
+  /**
+   * Import snapshots/<base64 path>/<id>.json written by older versions
+   */
+  async importLegacySnapshots() {
+    const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    const legacyDirs = entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !entry.name.endsWith('.git'));
+    if (legacyDirs.length === 0) return;
+
+    const snapshots = [];
+    for (const dir of legacyDirs) {
+      const dirPath = path.join(this.rootDir, dir.name);
+      for (const file of await fs.readdir(dirPath)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const data = JSON.parse(await fs.readFile(path.join(dirPath, file), 'utf-8'));
+          if (data.filePath && typeof data.content === 'string') snapshots.push(data);
+        } catch (error) {
+          console.warn(`[SNAPSHOT] Skipping unreadable legacy snapshot ${dir.name}/${file}: ${error.message}`);
+        }
+      }
+    }
+
+    snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    let imported = 0;
+    for (const snapshot of snapshots) {
+      try {
+        await this.recordSnapshot({
+          files: [{ filePath: snapshot.filePath, content: snapshot.content }],
+          reason: snapshot.reason || 'Manual snapshot',
+          source: 'import',
+          date: snapshot.timestamp
+        });
+        imported++;
+      } catch (error) {
+        console.warn(`[SNAPSHOT] Failed to import legacy snapshot ${snapshot.id}: ${error.message}`);
+      }
+    }
+
+    const archiveDir = path.join(this.rootDir, '.legacy-json');
+    await fs.mkdir(archiveDir, { recursive: true });
+    for (const dir of legacyDirs) {
+      await fs.rename(path.join(this.rootDir, dir.name), path.join(archiveDir, dir.name)).catch(() => {});
+    }
+    console.log(`[SNAPSHOT] Imported ${imported} legacy JSON snapshot(s); originals moved to ${archiveDir}`);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSnapshotStore(options = {}) {
+  if (!instance) {
+    instance = new SnapshotStore(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  loadSnapshotRetention,
+  SnapshotStore,
+  getSnapshotStore
+};
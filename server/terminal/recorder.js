@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Terminal session recordings in asciicast v2 format
+ * (https://docs.asciinema.org/manual/asciicast/v2/).
+ *
+ * One `<session_id>.cast` file per session: a JSON header line followed by
+ * `[seconds, code, data]` event lines — "o" output, "i" input, "r" resize and
+ * "m" markers. Input is attributed to whoever typed it with a marker line
+ * ("source:human" / "source:agent") whenever the source changes, so the file
+ * stays playable by stock asciinema players. Human keystrokes can carry
+ * passwords, so only agent input is written unless recordHumanInput is set
+ * (the source markers are kept either way).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HEADER_READ_BYTES = 64 * 1024;
+const TAIL_READ_BYTES = 64 * 1024;
+
+function recordingPath(dir, sessionIdValue) {
+  return path.join(dir, `${sessionIdValue}.cast`);
+}
+
+function isRecordingId(value) {
+  return /^[a-f0-9]{24}$/.test(String(value || ''));
+}
+
+class AsciicastRecorder {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - Target .cast file
+   * @param {number} options.cols
+   * @param {number} options.rows
+   * @param {string} [options.title]
+   * @param {object} [options.env] - Header env (SHELL, TERM)
+   * @param {object} [options.session] - Evobrew metadata stored in the header
+   * @param {number} [options.maxBytes] - Stop recording past this size
+   * @param {boolean} [options.recordHumanInput] - Also write "i" events for human input
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.maxBytes = options.maxBytes || 0;
+    this.bytes = 0;
+    this.truncated = false;
+    this.closed = false;
+    this.lastSource = null;
+    this.recordHumanInput = options.recordHumanInput === true;
+
+    const existing = AsciicastRecorder._readHeader(this.filePath);
+    if (existing) {
+      // Re-adopted session: keep appending on the original timeline
+      this.startedAt = existing.timestamp * 1000;
+      this.bytes = fs.statSync(this.filePath).size;
+    } else {
+      this.startedAt = Date.now();
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (error) => {
+      console.warn('[TERMINAL] Recording write failed:', error.message);
+      this.closed = true;
+    });
+
+    if (!existing) {
+      this._writeLine({
+        version: 2,
+        width: options.cols,
+        height: options.rows,
+        timestamp: Math.floor(this.startedAt / 1000),
+        title: options.title || undefined,
+        env: options.env || undefined,
+        evobrew: options.session || undefined
+      });
+    } else {
+      this.marker('reattached');
+    }
+  }
+
+  static _readHeader(filePath) {
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(HEADER_READ_BYTES);
+        const read = fs.readSync(fd, buffer, 0, HEADER_READ_BYTES, 0);
+        const firstLine = buffer.subarray(0, read).toString('utf8').split('\n')[0];
+        const header = JSON.parse(firstLine);
+        return header && header.version === 2 ? header : null;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _elapsed() {
+    return Number(((Date.now() - this.startedAt) / 1000).toFixed(6));
+  }
+
+  _writeLine(value) {
+    if (this.closed || this.truncated) return;
+    const line = `${JSON.stringify(value)}\n`;
+    const lineBytes = Buffer.byteLength(line, 'utf8');
+
+    if (this.maxBytes && this.bytes + lineBytes > this.maxBytes && this.bytes > 0) {
+      this.truncated = true;
+      this.stream.write(`${JSON.stringify([this._elapsed(), 'm', 'truncated'])}\n`);
+      return;
+    }
+
+    this.bytes += lineBytes;
+    this.stream.write(line);
+  }
+
+  output(data) {
+    if (data) this._writeLine([this._elapsed(), 'o', data]);
+  }
+
+  /**
+   * @param {string} data
+   * @param {'human'|'agent'} source
+   */
+  input(data, source) {
+    if (!data) return;
+    if (source && source !== this.lastSource) {
+      this.lastSource = source;
+      this.marker(`source:${source}`);
+    }
+    if (source === 'human' && !this.recordHumanInput) return;
+    this._writeLine([this._elapsed(), 'i', data]);
+  }
+
+  resize(cols, rows) {
+    this._writeLine([this._elapsed(), 'r', `${cols}x${rows}`]);
+  }
+
+  marker(label) {
+    this._writeLine([this._elapsed(), 'm', String(label)]);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.stream.end();
+  }
+}
+
+/**
+ * Summary of one recording: header metadata plus size and duration.
+ */
+function describeRecording(filePath) {
+  const header = AsciicastRecorder._readHeader(filePath);
+  if (!header) return null;
+
+  const stat = fs.statSync(filePath);
+  let duration = 0;
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const length = Math.min(stat.size, TAIL_READ_BYTES);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, stat.size - length);
+      const lines = buffer.toString('utf8').trim().split('\n').reverse();
+      for (const line of lines) {
+        try {
+          const event = JSON.parse(line);
+          if (Array.isArray(event) && typeof event[0] === 'number') {
+            duration = event[0];
+            break;
+          }
+        } catch (_) {
+          // partial line at the start of the tail window
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (_) {
+    // unreadable tail; report zero duration
+  }
+
+  const session = header.evobrew || {};
+  return {
+    session_id: session.session_id || path.basename(filePath, '.cast'),
+    client_id: session.client_id || null,
+    name: session.name || header.title || null,
+    cwd: session.cwd || null,
+    agent: session.agent === true,
+    width: header.width,
+    height: header.height,
+    started_at: new Date(header.timestamp * 1000).toISOString(),
+    duration,
+    size: stat.size,
+    updated_at: stat.mtime.toISOString()
+  };
+}
+
+/**
+ * Recordings in a directory, newest first, optionally limited to some clients.
+ */
+function listRecordings(dir, { clientIds = null } = {}) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (_) {
+    return [];
+  }
+
+  return entries
+    .filter((name) => name.endsWith('.cast') && isRecordingId(path.basename(name, '.cast')))
+    .map((name) => {
+      try {
+        return describeRecording(path.join(dir, name));
+      } catch (_) {
+        return null;
+      }
+    })
+    .filter((recording) => recording && (!clientIds || clientIds.includes(recording.client_id)))
+    .sort((a, b) => String(b.started_at).localeCompare(String(a.started_at)));
+}
+
+/**
+ * Keep only the newest `maxCount` recordings (by modification time).
+ */
+function pruneRecordings(dir, maxCount, keepIds = new Set()) {
+  if (!maxCount || maxCount <= 0) return 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir)
+      .filter((name) => name.endsWith('.cast'))
+      .map((name) => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+  } catch (_) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const entry of entries.slice(maxCount)) {
+    if (keepIds.has(path.basename(entry.name, '.cast'))) continue;
+    try {
+      fs.unlinkSync(path.join(dir, entry.name));
+      removed += 1;
+    } catch (_) {
+      // already gone
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  AsciicastRecorder,
+  recordingPath,
+  isRecordingId,
+  describeRecording,
+  listRecordings,
+  pruneRecordings
+};
@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * Sandbox for agent-issued commands (run_terminal, run_tests, terminal_open).
+ *
+ * Two isolation levels, chosen by the security profile's `sandbox.mode`:
+ *
+ *   bwrap      — bubblewrap namespaces: the filesystem is mounted read-only
+ *                except the workspace (and explicit writable paths), credential
+ *                directories are hidden, /tmp is private and the network is
+ *                unshared unless enabled
+ *   restricted — no namespaces; scrubbed environment and resource limits only
+ *   auto       — bwrap when it works on this host, otherwise restricted
+ *
+ * Both levels scrub the environment (no provider API keys or tokens reach the
+ * command) and apply CPU-time / memory limits with ulimit.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Variables a shell needs to behave normally; everything else is dropped
+const ENV_ALLOWLIST = new Set([
+  'PATH',
+  'HOME',
+  'USER',
+  'LOGNAME',
+  'SHELL',
+  'LANG',
+  'LANGUAGE',
+  'TERM',
+  'COLORTERM',
+  'TZ',
+  'TMPDIR',
+  'EVOBREW_TERMINAL_SESSION',
+  'EVOBREW_TERMINAL_CLIENT_ID',
+  // Shell integration (zsh loads its init script through ZDOTDIR)
+  'ZDOTDIR',
+  'EVOBREW_ORIGINAL_ZDOTDIR'
+]);
+
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+let bwrapAvailable = null;
+let networkWarned = false;
+
+function isSandboxEnabled(policy) {
+  return Boolean(policy && policy.mode && policy.mode !== 'off');
+}
+
+/**
+ * True if bubblewrap is installed and can create namespaces here
+ * (it is often installed but blocked by disabled user namespaces)
+ */
+function isBubblewrapAvailable() {
+  if (bwrapAvailable !== null) return bwrapAvailable;
+  if (os.platform() !== 'linux') {
+    bwrapAvailable = false;
+    return bwrapAvailable;
+  }
+
+  const probe = spawnSync('bwrap', ['--ro-bind', '/', '/', '--dev', '/dev', '--unshare-all', '--die-with-parent', 'true'], {
+    stdio: 'ignore',
+    timeout: 5000
+  });
+  bwrapAvailable = !probe.error && probe.status === 0;
+  if (!bwrapAvailable) {
+    console.warn('[SANDBOX] bubblewrap unavailable; namespace isolation disabled');
+  }
+  return bwrapAvailable;
+}
+
+/**
+ * Isolation level actually used for a policy: 'bwrap', 'restricted' or null (off)
+ */
+function resolveSandboxKind(policy) {
+  if (!isSandboxEnabled(policy)) return null;
+  if (policy.mode === 'bwrap') {
+    if (!isBubblewrapAvailable()) {
+      throw new Error('Sandbox mode "bwrap" is configured but bubblewrap is not available on this host');
+    }
+    return 'bwrap';
+  }
+
+  const kind = policy.mode === 'auto' && isBubblewrapAvailable() ? 'bwrap' : 'restricted';
+  if (kind === 'restricted' && policy.network === false && !networkWarned) {
+    networkWarned = true;
+    console.warn('[SANDBOX] Network isolation needs bubblewrap; restricted sandbox commands keep network access');
+  }
+  return kind;
+}
+
+/**
+ * Copy of `baseEnv` with only allowlisted variables (plus the policy's
+ * explicit passthrough names)
+ */
+function buildSandboxEnv(baseEnv, policy = {}, kind = 'restricted') {
+  const passthrough = new Set(policy.envPassthrough || []);
+  const env = {};
+  for (const [key, value] of Object.entries(baseEnv || {})) {
+    if (value === undefined) continue;
+    if (ENV_ALLOWLIST.has(key) || key.startsWith('LC_') || passthrough.has(key)) {
+      env[key] = value;
+    }
+  }
+  if (!env.PATH) env.PATH = '/usr/local/bin:/usr/bin:/bin';
+  if (kind === 'bwrap') env.TMPDIR = '/tmp';
+  env.EVOBREW_SANDBOX = kind;
+  return env;
+}
+
+function existingDirectory(candidate) {
+  try {
+    return fs.statSync(candidate).isDirectory();
+  } catch (_) {
+    return false;
+  }
+}
+
+function expandHome(candidate) {
+  const value = String(candidate || '').trim();
+  if (value === '~') return os.homedir();
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2));
+  return value;
+}
+
+function buildBwrapArgs({ workspace, cwd, policy, interactive }) {
+  const args = [
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp',
+    '--unshare-all',
+    '--die-with-parent'
+  ];
+  if (policy.network) args.push('--share-net');
+  // A new session blocks TIOCSTI injection but also drops the controlling
+  // terminal, so interactive PTY shells keep theirs
+  if (!interactive) args.push('--new-session');
+
+  for (const hidden of policy.hiddenPaths || []) {
+    const resolved = path.resolve(expandHome(hidden));
+    if (existingDirectory(resolved)) args.push('--tmpfs', resolved);
+  }
+
+  const writable = [workspace, ...(policy.writablePaths || [])]
+    .filter(Boolean)
+    .map(entry => path.resolve(expandHome(entry)))
+    .filter(existingDirectory);
+  for (const entry of writable) {
+    args.push('--bind', entry, entry);
+  }
+
+  args.push('--chdir', cwd || workspace || '/');
+  return args;
+}
+
+function buildLimitScript(policy) {
+  const limits = [];
+  if (policy.cpuSeconds > 0) limits.push(`ulimit -t ${Math.floor(policy.cpuSeconds)}`);
+  // Data segment rather than virtual memory: V8 and the JVM reserve large
+  // address ranges up front and fail under ulimit -v
+  if (policy.memoryMb > 0) limits.push(`ulimit -d ${Math.floor(policy.memoryMb * 1024)}`);
+  return limits;
+}
+
+/**
+ * Wrap an executable and its arguments so it runs inside the sandbox
+ *
+ * @param {string} file - Executable (e.g. the shell)
+ * @param {string[]} args
+ * @param {Object} options
+ * @param {Object} options.policy - securityConfig.sandbox
+ * @param {string} options.workspace - Writable root for the command
+ * @param {string} options.cwd
+ * @param {Object} options.env - Environment before scrubbing
+ * @param {boolean} [options.interactive] - PTY shell (keeps the controlling terminal)
+ * @returns {{ file: string, args: string[], env: Object, kind: string }}
+ */
+function wrapSandboxCommand(file, args, options = {}) {
+  const policy = options.policy || {};
+  const kind = resolveSandboxKind(policy);
+  if (!kind) {
+    return { file, args, env: options.env || process.env, kind: null };
+  }
+
+  const env = buildSandboxEnv(options.env || process.env, policy, kind);
+  let command = [file, ...args];
+
+  const limits = buildLimitScript(policy);
+  if (limits.length > 0) {
+    command = ['/bin/sh', '-c', `${limits.map(limit => `${limit} || exit 126`).join('; ')}; exec "$0" "$@"`, ...command];
+  }
+
+  if (kind === 'bwrap') {
+    command = [
+      'bwrap',
+      ...buildBwrapArgs({ workspace: options.workspace, cwd: options.cwd, policy, interactive: options.interactive === true }),
+      '--',
+      ...command
+    ];
+  }
+
+  return { file: command[0], args: command.slice(1), env, kind };
+}
+
+/**
+ * Run a shell command in the sandbox without a PTY
+ *
+ * @param {Object} params
+ * @param {string} params.command
+ * @param {string} params.cwd
+ * @param {string} params.workspace
+ * @param {Object} params.policy - securityConfig.sandbox
+ * @param {number} [params.timeoutMs] - Defaults to policy.timeoutMs
+ * @param {Object} [params.env] - Environment before scrubbing (defaults to process.env)
+ * @returns {Promise<Object>} run_terminal-compatible result
+ */
+function runSandboxedCommand(params = {}) {
+  const policy = params.policy || {};
+  const timeoutMs = params.timeoutMs || policy.timeoutMs || 30_000;
+  const wrapped = wrapSandboxCommand('/bin/sh', ['-c', String(params.command || '')], {
+    policy,
+    workspace: params.workspace,
+    cwd: params.cwd,
+    env: params.env || process.env
+  });
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    let bytes = 0;
+    let truncated = false;
+    let timedOut = false;
+
+    let child;
+    try {
+      child = spawn(wrapped.file, wrapped.args, {
+        cwd: params.cwd,
+        env: wrapped.env,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      resolve({ output: '', exitCode: 1, success: false, error: error.message, session_id: null, truncated: false, timedOut: false, sandbox: wrapped.kind });
+      return;
+    }
+
+    const collect = (chunk) => {
+      if (bytes >= MAX_OUTPUT_BYTES) {
+        truncated = true;
+        return;
+      }
+      chunks.push(chunk);
+      bytes += chunk.length;
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (_) {
+        // already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ output: '', exitCode: 1, success: false, error: error.message, session_id: null, truncated: false, timedOut: false, sandbox: wrapped.kind });
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const exitCode = timedOut ? 124 : (typeof code === 'number' ? code : 128);
+      const result = {
+        output: Buffer.concat(chunks).toString('utf8').trimEnd(),
+        exitCode,
+        success: exitCode === 0,
+        session_id: null,
+        truncated,
+        timedOut,
+        sandbox: wrapped.kind
+      };
+      if (timedOut) {
+        result.error = `Command timed out after ${timeoutMs}ms`;
+      } else if (signal) {
+        result.error = signal === 'SIGXCPU'
+          ? `Command exceeded the sandbox CPU limit (${policy.cpuSeconds}s)`
+          : `Command terminated by ${signal}`;
+      }
+      resolve(result);
+    });
+  });
+}
+
+module.exports = {
+  isSandboxEnabled,
+  isBubblewrapAvailable,
+  resolveSandboxKind,
+  buildSandboxEnv,
+  wrapSandboxCommand,
+  runSandboxedCommand
+};
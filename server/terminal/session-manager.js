@@ -6,6 +6,16 @@ const path = require('path');
 const pty = require('node-pty');
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const { wrapSandboxCommand } = require('./sandbox');
+const {
+  SupervisedPty,
+  sessionPaths,
+  readLogTail,
+  listSupervisedSessions,
+  removeSessionFiles
+} = require('./supervised-pty');
+const { AsciicastRecorder, recordingPath, pruneRecordings } = require('./recorder');
+const { integrationLaunch, CommandTracker } = require('./shell-integration');
 
 function toInt(value, fallback, min, max) {
   const parsed = Number.parseInt(String(value ?? ''), 10);
@@ -68,6 +78,47 @@ function escapeRegExp(input) {
   return String(input).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+function evobrewHome() {
+  return process.env.EVOBREW_HOME || path.join(os.homedir(), '.evobrew');
+}
+
+function defaultStateDir() {
+  return path.join(evobrewHome(), 'terminal-sessions');
+}
+
+function defaultRecordingsDir() {
+  return path.join(evobrewHome(), 'terminal-recordings');
+}
+
+// Agent tools use the "ai" / "ai:<browser client>" terminal client ids
+function isAgentClientId(clientId) {
+  return clientId === 'ai' || String(clientId).startsWith('ai:');
+}
+
+/**
+ * The terminal client id agent tools use on behalf of a browser client.
+ * Long ids are hashed to stay within the client id length limit.
+ */
+function agentClientIdFor(clientId) {
+  const baseClientId = String(clientId || '').trim();
+  if (!baseClientId) return 'ai';
+
+  const candidate = `ai:${baseClientId}`;
+  if (candidate.length <= 128) {
+    return candidate;
+  }
+
+  const digest = crypto.createHash('sha256').update(baseClientId).digest('hex').slice(0, 24);
+  return `ai:${digest}`;
+}
+
+function shareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+const SHARE_ROLES = new Set(['viewer', 'driver']);
+const AGENT_PARTICIPANT_ID = 'agent';
+
 function sessionId() {
   return crypto.randomBytes(12).toString('hex');
 }
@@ -149,6 +200,7 @@ class TerminalSessionManager {
   constructor(options = {}) {
     this._sessions = new Map();
     this._clientSessions = new Map();
+    this._shares = new Map();
     this._options = this._normalizeOptions(options);
     this._spawnHelperFixApplied = false;
 
@@ -181,7 +233,27 @@ class TerminalSessionManager {
       hardKillTimeoutMs: toInt(options.hardKillTimeoutMs, 10_000, 1_000, 60_000),
       exitedSessionTtlMs: toInt(options.exitedSessionTtlMs, 5 * 60 * 1000, 10_000, 24 * 60 * 60 * 1000),
       defaultCols: toInt(options.defaultCols, 120, 40, 500),
-      defaultRows: toInt(options.defaultRows, 34, 10, 300)
+      defaultRows: toInt(options.defaultRows, 34, 10, 300),
+      // Persistent sessions run under a detached supervisor and survive restarts
+      persistSessions: options.persistSessions === true,
+      stateDir: options.stateDir && String(options.stateDir).trim()
+        ? path.resolve(String(options.stateDir).trim())
+        : defaultStateDir(),
+      // asciicast v2 recording of every session (see recorder.js)
+      recordSessions: options.recordSessions !== false,
+      // Keystrokes typed by people (passwords included) are left out unless enabled
+      recordHumanInput: options.recordHumanInput === true,
+      recordingsDir: options.recordingsDir && String(options.recordingsDir).trim()
+        ? path.resolve(String(options.recordingsDir).trim())
+        : defaultRecordingsDir(),
+      maxRecordingBytes: toInt(options.maxRecordingBytes, 32 * 1024 * 1024, 64 * 1024, 1024 * 1024 * 1024),
+      maxRecordings: toInt(options.maxRecordings, 200, 1, 10_000),
+      // OSC 133 command tracking for bash/zsh/fish (see shell-integration.js)
+      shellIntegration: options.shellIntegration !== false,
+      maxTrackedCommands: toInt(options.maxTrackedCommands, 200, 10, 5_000),
+      // Share links (viewer / driver) and the typing lock between drivers
+      shareTtlMs: toInt(options.shareTtlMs, 24 * 60 * 60 * 1000, 60_000, 30 * 24 * 60 * 60 * 1000),
+      inputLockIdleMs: toInt(options.inputLockIdleMs, 5_000, 500, 60_000)
     };
   }
 
@@ -268,16 +340,26 @@ class TerminalSessionManager {
       name: session.name,
       shell: session.shell,
       shell_type: session.shellType,
+      sandbox: session.sandbox || null,
       cwd: session.cwd,
       cols: session.cols,
       rows: session.rows,
       state: session.state,
       persistent: session.persistent,
+      detachable: session.supervised === true,
+      restored: session.restored === true,
+      recording: Boolean(session.recorder && !session.recorder.closed),
+      shell_integration: session.shellIntegration || null,
+      integration_active: Boolean(session.commands && session.commands.active),
+      current_cwd: session.commands?.cwd || session.cwd,
       created_at: session.createdAt,
       last_active_at: session.lastActiveAt,
       exit_code: session.exitCode,
       signal: session.signal,
       attached_connections: session.connections.size,
+      participants: session.participants.size,
+      shares: session.shares.size,
+      agent_paused: Boolean(session.agentPaused),
       flow_paused: session.flowPaused,
       buffer_bytes: session.bufferBytes
     };
@@ -337,7 +419,8 @@ class TerminalSessionManager {
       throw new Error(`Terminal session not found: ${id}`);
     }
 
-    if (clientId && session.clientId !== clientId) {
+    // A browser client also owns the sessions its agent opened
+    if (clientId && session.clientId !== clientId && session.clientId !== agentClientIdFor(clientId)) {
       throw new Error('Access denied: terminal session belongs to another client');
     }
 
@@ -362,40 +445,109 @@ class TerminalSessionManager {
     const persistent = params.persistent !== false;
     const resolvedCwd = this._resolveCwd(params.cwd, params.allowedRoot || null);
     const shellInfo = this._resolveShell(params.shell || '');
+    const integration = this._options.shellIntegration && params.shellIntegration !== false && shellInfo.shellType === 'unix'
+      ? integrationLaunch(shellInfo.shell, shellInfo.args)
+      : null;
+    const shellArgs = integration ? integration.args : shellInfo.args;
 
     const id = sessionId();
     const createdAt = nowIso();
-    const env = buildIsolatedTerminalEnv(
+    const isolatedEnv = buildIsolatedTerminalEnv(
       process.env,
-      params.env && typeof params.env === 'object' ? params.env : {},
+      {
+        ...(params.env && typeof params.env === 'object' ? params.env : {}),
+        ...(integration ? integration.env : {})
+      },
       { clientId }
     );
 
-    const ptyProcess = pty.spawn(shellInfo.shell, shellInfo.args, {
-      name: 'xterm-256color',
-      cols,
-      rows,
-      cwd: resolvedCwd,
-      env,
-      encoding: 'utf8'
-    });
+    // Agent sessions may run inside the security profile's sandbox
+    const launch = params.sandbox
+      ? wrapSandboxCommand(shellInfo.shell, shellArgs, {
+        policy: params.sandbox.policy,
+        workspace: params.sandbox.workspace || params.allowedRoot || resolvedCwd,
+        cwd: resolvedCwd,
+        env: isolatedEnv,
+        interactive: true
+      })
+      : { file: shellInfo.shell, args: shellArgs, env: isolatedEnv, kind: null };
+
+    const name = String(params.name || `terminal-${clientSet.size + 1}`);
+    // Only persistent sessions are worth keeping alive across restarts (compat runs are not)
+    const detachable = persistent
+      && (typeof params.detachable === 'boolean' ? params.detachable : this._options.persistSessions);
+
+    const ptyProcess = detachable
+      ? SupervisedPty.spawn({
+        id,
+        stateDir: this._options.stateDir,
+        file: launch.file,
+        args: launch.args,
+        cwd: resolvedCwd,
+        env: launch.env,
+        cols,
+        rows,
+        maxLogBytes: this._options.maxBufferBytes,
+        meta: {
+          session_id: id,
+          client_id: clientId,
+          name,
+          shell: shellInfo.shell,
+          shell_type: shellInfo.shellType,
+          sandbox: launch.kind,
+          shell_integration: integration ? integration.kind : null,
+          cwd: resolvedCwd,
+          persistent,
+          created_at: createdAt
+        }
+      })
+      : pty.spawn(launch.file, launch.args, {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd: resolvedCwd,
+        env: launch.env,
+        encoding: 'utf8'
+      });
 
-    const session = {
+    const session = this._newSession({
       id,
       clientId,
-      name: String(params.name || `terminal-${clientSet.size + 1}`),
+      name,
       shell: shellInfo.shell,
       shellType: shellInfo.shellType,
+      sandbox: launch.kind,
       cwd: resolvedCwd,
       cols,
       rows,
-      state: 'running',
       persistent,
       createdAt,
-      lastActiveAt: createdAt,
+      pty: ptyProcess,
+      supervised: detachable,
+      shellIntegration: integration ? integration.kind : null
+    });
+    this._startRecording(session);
+    this._bindPty(session);
+
+    this._sessions.set(id, session);
+    clientSet.add(id);
+
+    return {
+      ...this._sessionMetadata(session),
+      initial_buffer: ''
+    };
+  }
+
+  _newSession(fields) {
+    const session = {
+      state: 'running',
+      lastActiveAt: fields.createdAt,
       exitCode: null,
       signal: null,
-      pty: ptyProcess,
+      restored: false,
+      recorder: null,
+      shellIntegration: null,
+      ...fields,
       emitter: new EventEmitter(),
       buffer: [],
       bufferBytes: 0,
@@ -403,10 +555,69 @@ class TerminalSessionManager {
       backpressure: new Set(),
       flowPaused: false,
       hardKillTimer: null,
-      cleanupTimer: null
+      cleanupTimer: null,
+      shares: new Map(),
+      participants: new Map(),
+      inputLock: null,
+      agentPaused: null
     };
-
+    session.commands = session.shellIntegration
+      ? new CommandTracker({ cwd: session.cwd, maxCommands: this._options.maxTrackedCommands })
+      : null;
+    if (isAgentClientId(session.clientId)) {
+      this._addAgentParticipant(session);
+    }
     session.emitter.setMaxListeners(200);
+    return session;
+  }
+
+  _scheduleExitedCleanup(session) {
+    if (session.cleanupTimer) {
+      clearTimeout(session.cleanupTimer);
+    }
+
+    session.cleanupTimer = setTimeout(() => {
+      this._removeSession(session.id);
+    }, session.persistent ? this._options.exitedSessionTtlMs : 5_000);
+    if (typeof session.cleanupTimer.unref === 'function') {
+      session.cleanupTimer.unref();
+    }
+  }
+
+  _startRecording(session) {
+    if (!this._options.recordSessions) return;
+    try {
+      session.recorder = new AsciicastRecorder({
+        filePath: recordingPath(this._options.recordingsDir, session.id),
+        cols: session.cols,
+        rows: session.rows,
+        title: session.name,
+        env: { SHELL: session.shell, TERM: 'xterm-256color' },
+        session: {
+          session_id: session.id,
+          client_id: session.clientId,
+          name: session.name,
+          cwd: session.cwd,
+          agent: isAgentClientId(session.clientId)
+        },
+        maxBytes: this._options.maxRecordingBytes,
+        recordHumanInput: this._options.recordHumanInput
+      });
+      pruneRecordings(this._options.recordingsDir, this._options.maxRecordings, new Set(this._sessions.keys()));
+    } catch (error) {
+      console.warn('[TERMINAL] Failed to start recording:', error.message);
+      session.recorder = null;
+    }
+  }
+
+  _stopRecording(session, label = null) {
+    if (!session.recorder) return;
+    if (label) session.recorder.marker(label);
+    session.recorder.close();
+  }
+
+  _bindPty(session) {
+    const ptyProcess = session.pty;
 
     ptyProcess.onData((chunk) => {
       const data = typeof chunk === 'string' ? chunk : String(chunk || '');
@@ -414,6 +625,12 @@ class TerminalSessionManager {
 
       session.lastActiveAt = nowIso();
       this._appendBuffer(session, data);
+      if (session.recorder) session.recorder.output(data);
+      if (session.commands) {
+        for (const event of session.commands.feed(data)) {
+          this._emit(session, 'command', { session_id: session.id, ...event, ts: nowIso() });
+        }
+      }
 
       if (Buffer.byteLength(data, 'utf8') > this._options.maxOutputChunkBytes) {
         const maxBytes = this._options.maxOutputChunkBytes;
@@ -439,6 +656,11 @@ class TerminalSessionManager {
         session.hardKillTimer = null;
       }
 
+      const unfinished = session.commands ? session.commands.close(session.exitCode) : null;
+      if (unfinished) {
+        this._emit(session, 'command', { session_id: session.id, type: 'command_end', command: unfinished, ts: session.lastActiveAt });
+      }
+
       this._emit(session, 'exit', {
         session_id: session.id,
         exit_code: session.exitCode,
@@ -446,35 +668,89 @@ class TerminalSessionManager {
         ts: session.lastActiveAt
       });
 
-      if (session.cleanupTimer) {
-        clearTimeout(session.cleanupTimer);
+      this._stopRecording(session, `exit:${session.exitCode}`);
+      this._scheduleExitedCleanup(session);
+    });
+  }
+
+  /**
+   * Re-adopt sessions left behind by a previous server process. Live
+   * supervisors are reconnected; sessions whose shell exited while the server
+   * was down come back as exited, with their scrollback, until the usual TTL.
+   */
+  adoptSessions() {
+    const result = { adopted: 0, exited: 0 };
+    if (!this.isEnabled()) return result;
+
+    for (const meta of listSupervisedSessions(this._options.stateDir)) {
+      if (this._sessions.has(meta.session_id)) continue;
+
+      let clientId;
+      try {
+        clientId = safeClientId(meta.client_id);
+      } catch (_) {
+        removeSessionFiles(this._options.stateDir, meta.session_id);
+        continue;
       }
 
-      session.cleanupTimer = setTimeout(() => {
-        this._removeSession(session.id);
-      }, session.persistent ? this._options.exitedSessionTtlMs : 5_000);
-      if (typeof session.cleanupTimer.unref === 'function') {
-        session.cleanupTimer.unref();
+      const alive = meta.supervisor_alive === true;
+      const session = this._newSession({
+        id: meta.session_id,
+        clientId,
+        name: String(meta.name || 'terminal'),
+        shell: meta.shell,
+        shellType: meta.shell_type || 'unix',
+        sandbox: meta.sandbox || null,
+        cwd: meta.cwd,
+        cols: toInt(meta.cols, this._options.defaultCols, 10, 500),
+        rows: toInt(meta.rows, this._options.defaultRows, 5, 300),
+        persistent: meta.persistent !== false,
+        createdAt: meta.created_at || nowIso(),
+        lastActiveAt: nowIso(),
+        pty: alive ? SupervisedPty.connect(this._options.stateDir, meta) : null,
+        supervised: true,
+        restored: true,
+        shellIntegration: meta.shell_integration || null
+      });
+
+      this._appendBuffer(session, readLogTail(sessionPaths(this._options.stateDir, session.id).logPath, this._options.maxBufferBytes));
+
+      if (alive) {
+        this._startRecording(session);
+        this._bindPty(session);
+        result.adopted += 1;
+      } else {
+        session.state = 'exited';
+        session.exitCode = typeof meta.exit_code === 'number' ? meta.exit_code : -1;
+        session.signal = meta.state === 'exited' ? (meta.signal ?? null) : 'supervisor-lost';
+        this._scheduleExitedCleanup(session);
+        result.exited += 1;
       }
-    });
 
-    this._sessions.set(id, session);
-    clientSet.add(id);
+      this._sessions.set(session.id, session);
+      this._getClientSessionSet(clientId).add(session.id);
+    }
 
-    return {
-      ...this._sessionMetadata(session),
-      initial_buffer: ''
-    };
+    return result;
   }
 
-  listSessions(clientId) {
+  /**
+   * Sessions of a client, oldest first. `includeAgent` adds the persistent
+   * sessions its agent opened (one-shot agent commands are left out).
+   */
+  listSessions(clientId, options = {}) {
     const normalizedClientId = safeClientId(clientId);
-    const sessionIds = this._clientSessions.get(normalizedClientId);
-    if (!sessionIds || sessionIds.size === 0) {
+    const sessionIds = Array.from(this._clientSessions.get(normalizedClientId) || []);
+    if (options.includeAgent === true) {
+      for (const id of this._clientSessions.get(agentClientIdFor(normalizedClientId)) || []) {
+        if (this._sessions.get(id)?.persistent) sessionIds.push(id);
+      }
+    }
+    if (sessionIds.length === 0) {
       return [];
     }
 
-    return Array.from(sessionIds)
+    return sessionIds
       .map((id) => this._sessions.get(id))
       .filter(Boolean)
       .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
@@ -518,13 +794,37 @@ class TerminalSessionManager {
       subscriptions.push(() => session.emitter.off('exit', listener));
     }
 
+    if (typeof handlers.onCommand === 'function') {
+      const listener = (payload) => handlers.onCommand(payload);
+      session.emitter.on('command', listener);
+      subscriptions.push(() => session.emitter.off('command', listener));
+    }
+
+    if (typeof handlers.onPresence === 'function') {
+      const listener = (payload) => handlers.onPresence(payload);
+      session.emitter.on('presence', listener);
+      subscriptions.push(() => session.emitter.off('presence', listener));
+    }
+
+    if (typeof handlers.onShareRevoked === 'function') {
+      const listener = (payload) => handlers.onShareRevoked(payload);
+      session.emitter.on('share_revoked', listener);
+      subscriptions.push(() => session.emitter.off('share_revoked', listener));
+    }
+
     if (typeof handlers.onState === 'function') {
       handlers.onState(this._sessionMetadata(session));
     }
 
+    // Supervised sessions replay the on-disk scrollback, which survives restarts
+    const diskBuffer = session.supervised
+      ? readLogTail(sessionPaths(this._options.stateDir, session.id).logPath, this._options.maxBufferBytes)
+      : '';
+
     return {
       metadata: this._sessionMetadata(session),
-      buffer: this.getBufferTail(session.id, normalizedClientId),
+      buffer: diskBuffer || this.getBufferTail(session.id, normalizedClientId),
+      bufferSource: diskBuffer ? 'disk' : 'memory',
       detach: () => {
         while (subscriptions.length > 0) {
           const fn = subscriptions.pop();
@@ -538,20 +838,74 @@ class TerminalSessionManager {
     };
   }
 
-  registerConnection(sessionIdValue, clientId, connectionId) {
+  /**
+   * Commands tracked by shell integration, oldest first.
+   * @param {object} options - { limit, includeOutput, maxOutputBytes, failedOnly, contains }
+   */
+  commandHistory(sessionIdValue, clientId, options = {}) {
     const normalizedClientId = safeClientId(clientId);
     const session = this._ensureSession(sessionIdValue, normalizedClientId);
-    session.connections.add(String(connectionId));
+
+    if (!session.commands) {
+      return {
+        session_id: session.id,
+        shell_integration: null,
+        integration_active: false,
+        commands: []
+      };
+    }
+
+    return {
+      session_id: session.id,
+      shell_integration: session.shellIntegration,
+      integration_active: session.commands.active,
+      cwd: session.commands.cwd,
+      at_prompt: session.commands.atPrompt,
+      commands: session.commands.history({
+        limit: toInt(options.limit, 20, 1, this._options.maxTrackedCommands),
+        includeOutput: options.includeOutput !== false,
+        maxOutputBytes: toInt(options.maxOutputBytes, 16 * 1024, 256, 1024 * 1024),
+        failedOnly: options.failedOnly === true,
+        contains: options.contains || ''
+      })
+    };
+  }
+
+  /**
+   * @param {object} [participant] - { name, role: 'owner'|'driver'|'viewer', share }
+   *   shown to everyone attached to the session
+   */
+  registerConnection(sessionIdValue, clientId, connectionId, participant = {}) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    const id = String(connectionId);
+    session.connections.add(id);
+    session.participants.set(id, {
+      id,
+      kind: 'human',
+      name: String(participant.name || 'Owner').slice(0, 64),
+      role: participant.role || 'owner',
+      share: participant.share || null,
+      joinedAt: nowIso(),
+      lastInputAt: null
+    });
     session.lastActiveAt = nowIso();
+    this._emitPresence(session);
     return this._sessionMetadata(session);
   }
 
   unregisterConnection(sessionIdValue, clientId, connectionId) {
     const normalizedClientId = safeClientId(clientId);
     const session = this._ensureSession(sessionIdValue, normalizedClientId);
-    session.connections.delete(String(connectionId));
-    session.backpressure.delete(String(connectionId));
+    const id = String(connectionId);
+    session.connections.delete(id);
+    session.backpressure.delete(id);
+    session.participants.delete(id);
+    if (session.inputLock?.holder === id) {
+      session.inputLock = null;
+    }
     this._recomputeFlow(session);
+    this._emitPresence(session);
   }
 
   setBackpressure(sessionIdValue, clientId, sourceId, enabled) {
@@ -568,7 +922,13 @@ class TerminalSessionManager {
     this._recomputeFlow(session);
   }
 
-  write(sessionIdValue, clientId, data) {
+  /**
+   * Send input to a session. `options.source` ("human" | "agent") attributes
+   * the input in the recording; by default agent client ids count as agent.
+   * `options.participantId` is the attached connection typing, which must
+   * be allowed to drive and hold (or take) the input lock.
+   */
+  write(sessionIdValue, clientId, data, options = {}) {
     const normalizedClientId = safeClientId(clientId);
     const session = this._ensureSession(sessionIdValue, normalizedClientId);
 
@@ -576,6 +936,9 @@ class TerminalSessionManager {
       throw new Error('Terminal session is not running');
     }
 
+    const source = options.source || (isAgentClientId(normalizedClientId) ? 'agent' : 'human');
+    const participant = this._inputParticipant(session, source, options.participantId);
+
     const payload = typeof data === 'string' ? data : String(data ?? '');
     if (!payload) {
       return { success: true, bytes: 0 };
@@ -586,8 +949,15 @@ class TerminalSessionManager {
       throw new Error(`Terminal input exceeds max_input_bytes (${this._options.maxInputBytes})`);
     }
 
+    if (participant) {
+      this._acquireInputLock(session, participant);
+    }
+
     session.pty.write(payload);
     session.lastActiveAt = nowIso();
+    if (session.recorder) {
+      session.recorder.input(payload, source);
+    }
 
     return {
       success: true,
@@ -596,6 +966,280 @@ class TerminalSessionManager {
     };
   }
 
+  // ── Sharing, presence and input control ──
+
+  _addAgentParticipant(session) {
+    if (session.participants.has(AGENT_PARTICIPANT_ID)) return false;
+    session.participants.set(AGENT_PARTICIPANT_ID, {
+      id: AGENT_PARTICIPANT_ID,
+      kind: 'agent',
+      name: 'Agent',
+      role: 'driver',
+      share: null,
+      joinedAt: nowIso(),
+      lastInputAt: null
+    });
+    return true;
+  }
+
+  _presence(session) {
+    const lock = session.inputLock;
+    return {
+      session_id: session.id,
+      participants: Array.from(session.participants.values()).map((participant) => ({
+        id: participant.id,
+        kind: participant.kind,
+        name: participant.name,
+        role: participant.role,
+        joined_at: participant.joinedAt,
+        last_input_at: participant.lastInputAt,
+        controlling: lock?.holder === participant.id
+      })),
+      input_lock: lock
+        ? { holder: lock.holder, name: lock.name, pinned: lock.pinned, since: lock.since }
+        : null,
+      agent: {
+        paused: Boolean(session.agentPaused),
+        paused_by: session.agentPaused?.by || null,
+        paused_at: session.agentPaused?.at || null
+      }
+    };
+  }
+
+  _emitPresence(session) {
+    this._emit(session, 'presence', this._presence(session));
+  }
+
+  presence(sessionIdValue, clientId) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    return this._presence(session);
+  }
+
+  /**
+   * Who is typing: the agent, an attached connection, or nobody in particular
+   * (REST / tool writes by the owner, which skip the lock).
+   */
+  _inputParticipant(session, source, participantId) {
+    if (source === 'agent') {
+      if (session.agentPaused) {
+        throw new Error(`Agent input is paused by ${session.agentPaused.by}`);
+      }
+      if (this._addAgentParticipant(session)) {
+        this._emitPresence(session);
+      }
+      return session.participants.get(AGENT_PARTICIPANT_ID);
+    }
+
+    if (!participantId) return null;
+    const participant = session.participants.get(String(participantId));
+    if (!participant) {
+      throw new Error('Not attached to this terminal session');
+    }
+    if (participant.role === 'viewer') {
+      throw new Error('View-only participants cannot send input');
+    }
+    return participant;
+  }
+
+  /**
+   * One driver types at a time. The lock follows whoever types once its
+   * holder has been idle for inputLockIdleMs, unless it was taken explicitly.
+   */
+  _acquireInputLock(session, participant) {
+    const lock = session.inputLock;
+    const now = Date.now();
+
+    if (lock && lock.holder !== participant.id) {
+      if (lock.pinned) {
+        throw new Error(`Terminal input is locked: ${lock.name} has control`);
+      }
+      if (now - lock.lastInputAt < this._options.inputLockIdleMs) {
+        throw new Error(`Terminal input is locked: ${lock.name} is typing`);
+      }
+    }
+
+    participant.lastInputAt = nowIso();
+    if (lock && lock.holder === participant.id) {
+      lock.lastInputAt = now;
+      return;
+    }
+
+    session.inputLock = {
+      holder: participant.id,
+      name: participant.name,
+      pinned: false,
+      since: nowIso(),
+      lastInputAt: now
+    };
+    this._emitPresence(session);
+  }
+
+  /**
+   * Take the input lock until released. Owners can take it from anyone;
+   * drivers only when nobody else has taken it.
+   */
+  takeControl(sessionIdValue, clientId, participantId) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    const participant = this._inputParticipant(session, 'human', participantId);
+    const lock = session.inputLock;
+
+    if (lock && lock.pinned && lock.holder !== participant.id && participant.role !== 'owner') {
+      throw new Error(`Terminal input is locked: ${lock.name} has control`);
+    }
+
+    session.inputLock = {
+      holder: participant.id,
+      name: participant.name,
+      pinned: true,
+      since: nowIso(),
+      lastInputAt: Date.now()
+    };
+    this._emitPresence(session);
+    return this._presence(session);
+  }
+
+  releaseControl(sessionIdValue, clientId, participantId) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    if (session.inputLock?.holder === String(participantId)) {
+      session.inputLock = null;
+      this._emitPresence(session);
+    }
+    return this._presence(session);
+  }
+
+  /**
+   * Pause or resume the agent's input. While paused, agent writes fail with
+   * an error the agent sees as its tool result.
+   */
+  setAgentPaused(sessionIdValue, clientId, paused, options = {}) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    if (isAgentClientId(normalizedClientId)) {
+      throw new Error('The agent cannot pause itself');
+    }
+
+    let byName = 'Owner';
+    if (options.participantId) {
+      const participant = session.participants.get(String(options.participantId));
+      if (!participant) {
+        throw new Error('Not attached to this terminal session');
+      }
+      if (participant.role === 'viewer') {
+        throw new Error('View-only participants cannot pause the agent');
+      }
+      byName = participant.name;
+    }
+
+    if (paused) {
+      session.agentPaused = { by: byName, at: nowIso() };
+      if (session.inputLock?.holder === AGENT_PARTICIPANT_ID) {
+        session.inputLock = null;
+      }
+    } else {
+      session.agentPaused = null;
+    }
+
+    if (session.recorder) {
+      session.recorder.marker(paused ? `agent-paused:${byName}` : `agent-resumed:${byName}`);
+    }
+    this._emitPresence(session);
+    return this._presence(session);
+  }
+
+  _shareMetadata(share) {
+    return {
+      token: share.token,
+      session_id: share.sessionId,
+      role: share.role,
+      label: share.label,
+      created_at: share.createdAt,
+      expires_at: new Date(share.expiresAt).toISOString()
+    };
+  }
+
+  _dropShare(session, token, reason) {
+    session.shares.delete(token);
+    this._shares.delete(token);
+    this._emit(session, 'share_revoked', { session_id: session.id, token, reason });
+  }
+
+  _pruneShares(session) {
+    const now = Date.now();
+    for (const share of Array.from(session.shares.values())) {
+      if (share.expiresAt <= now) this._dropShare(session, share.token, 'expired');
+    }
+  }
+
+  /**
+   * Create a share link token for a session.
+   * @param {object} options - { role: 'viewer'|'driver', expiresInMs, label }
+   */
+  createShare(sessionIdValue, clientId, options = {}) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    if (isAgentClientId(normalizedClientId)) {
+      throw new Error('Terminal shares are created by the session owner');
+    }
+
+    const role = String(options.role || 'viewer').trim().toLowerCase();
+    if (!SHARE_ROLES.has(role)) {
+      throw new Error('Share role must be "viewer" or "driver"');
+    }
+
+    const ttlMs = toInt(options.expiresInMs, this._options.shareTtlMs, 60_000, 30 * 24 * 60 * 60 * 1000);
+    const share = {
+      token: shareToken(),
+      sessionId: session.id,
+      role,
+      label: String(options.label || '').trim().slice(0, 64) || null,
+      createdAt: nowIso(),
+      expiresAt: Date.now() + ttlMs
+    };
+
+    session.shares.set(share.token, share);
+    this._shares.set(share.token, share);
+    return this._shareMetadata(share);
+  }
+
+  listShares(sessionIdValue, clientId) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    this._pruneShares(session);
+    return Array.from(session.shares.values()).map((share) => this._shareMetadata(share));
+  }
+
+  revokeShare(sessionIdValue, clientId, token) {
+    const normalizedClientId = safeClientId(clientId);
+    const session = this._ensureSession(sessionIdValue, normalizedClientId);
+    const key = String(token || '');
+    if (!session.shares.has(key)) {
+      throw new Error('Share not found');
+    }
+    this._dropShare(session, key, 'revoked');
+    return { success: true, session_id: session.id, token: key };
+  }
+
+  /**
+   * Look up a share token: the shared session, its owner and the guest role.
+   */
+  resolveShare(token) {
+    const share = this._shares.get(String(token || ''));
+    const session = share ? this._sessions.get(share.sessionId) : null;
+    if (!share || !session || share.expiresAt <= Date.now()) {
+      if (share && session) this._dropShare(session, share.token, 'expired');
+      throw new Error('Share link is invalid or has expired');
+    }
+
+    return {
+      ...this._shareMetadata(share),
+      client_id: session.clientId,
+      session_name: session.name
+    };
+  }
+
   resize(sessionIdValue, clientId, cols, rows) {
     const normalizedClientId = safeClientId(clientId);
     const session = this._ensureSession(sessionIdValue, normalizedClientId);
@@ -603,6 +1247,9 @@ class TerminalSessionManager {
     const width = toInt(cols, session.cols, 10, 500);
     const height = toInt(rows, session.rows, 5, 300);
 
+    if (session.recorder && (width !== session.cols || height !== session.rows)) {
+      session.recorder.resize(width, height);
+    }
     session.cols = width;
     session.rows = height;
 
@@ -702,6 +1349,23 @@ class TerminalSessionManager {
       // ignore
     }
 
+    this._stopRecording(session);
+
+    // Disconnects share guests; the owner's own connections see the exit or close
+    for (const token of Array.from(session.shares.keys())) {
+      this._dropShare(session, token, 'session-closed');
+    }
+
+    if (session.supervised) {
+      const stateDir = this._options.stateDir;
+      if (session.pty && (session.state === 'running' || session.state === 'closing')) {
+        // The supervisor records the exit on its way out; clean up after it
+        session.pty.onExit(() => removeSessionFiles(stateDir, session.id));
+      } else {
+        removeSessionFiles(stateDir, session.id);
+      }
+    }
+
     this._sessions.delete(session.id);
     const clientSet = this._clientSessions.get(session.clientId);
     if (clientSet) {
@@ -860,6 +1524,7 @@ class TerminalSessionManager {
       clientId,
       cwd: params.cwd,
       allowedRoot: params.allowedRoot || null,
+      sandbox: params.sandbox || null,
       cols: params.cols,
       rows: params.rows,
       persistent: false,
@@ -868,6 +1533,25 @@ class TerminalSessionManager {
 
     const sid = created.session_id;
     const session = this._ensureSession(sid, clientId);
+
+    // With shell integration the shell itself reports the exit code; the
+    // marker command stays as the fallback for other shells and multi-line input
+    if (session.commands && !/[\r\n]/.test(command)) {
+      const tracked = await this._runTrackedCommand(session, clientId, command, timeoutMs);
+      if (tracked) {
+        this.closeSession(sid, clientId, { force: true, reason: 'compat-finished' });
+        return {
+          output: tracked.output.trimEnd(),
+          exitCode: tracked.exitCode,
+          success: tracked.exitCode === 0 && !tracked.timedOut,
+          session_id: sid,
+          truncated: tracked.truncated,
+          timedOut: tracked.timedOut,
+          ...(session.sandbox && { sandbox: session.sandbox })
+        };
+      }
+    }
+
     const marker = `__EVOBREW_EXIT_${Date.now()}_${Math.random().toString(16).slice(2)}__`;
     const markerCommand = this._buildExitMarkerCommand(session.shellType, marker);
 
@@ -900,13 +1584,74 @@ class TerminalSessionManager {
       success: exitCode === 0 && !waitResult.timed_out,
       session_id: sid,
       truncated: waitResult.truncated === true,
-      timedOut: waitResult.timed_out === true
+      timedOut: waitResult.timed_out === true,
+      ...(session.sandbox && { sandbox: session.sandbox })
     };
   }
 
+  /**
+   * Run one command in an integrated shell and wait for its OSC 133 end mark.
+   * Resolves null when the integration never reports a prompt.
+   */
+  _runTrackedCommand(session, clientId, command, timeoutMs) {
+    const tracker = session.commands;
+
+    return new Promise((resolve) => {
+      let settled = false;
+      let started = false;
+      let timer = null;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        session.emitter.off('command', onCommand);
+        resolve(result);
+      };
+
+      const send = () => {
+        started = true;
+        this.write(session.id, clientId, `${command}\r`);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          const running = tracker.current ? tracker.serialize(tracker.current) : null;
+          finish({
+            output: running ? running.output : '',
+            exitCode: 124,
+            truncated: running ? running.output_truncated : false,
+            timedOut: true
+          });
+        }, timeoutMs);
+      };
+
+      const onCommand = (event) => {
+        if (!started && event.type === 'prompt') {
+          send();
+        } else if (started && event.type === 'command_end') {
+          finish({
+            output: event.command.output,
+            exitCode: typeof event.command.exit_code === 'number' ? event.command.exit_code : 0,
+            truncated: event.command.output_truncated,
+            timedOut: false
+          });
+        }
+      };
+
+      session.emitter.on('command', onCommand);
+
+      if (tracker.active && tracker.atPrompt) {
+        send();
+      } else {
+        // Wait for the integration's first prompt, or give up and use the marker
+        timer = setTimeout(() => finish(null), Math.min(5_000, timeoutMs));
+      }
+    });
+  }
+
   _sweepIdleSessions() {
     const now = Date.now();
     for (const session of this._sessions.values()) {
+      this._pruneShares(session);
       if (session.state !== 'running') continue;
 
       const last = Date.parse(session.lastActiveAt || session.createdAt);
@@ -928,9 +1673,20 @@ class TerminalSessionManager {
       this._sweepTimer = null;
     }
 
-    for (const sessionIdValue of Array.from(this._sessions.keys())) {
-      this._removeSession(sessionIdValue);
+    for (const session of Array.from(this._sessions.values())) {
+      if (session.supervised) {
+        // Leave the supervisor running so the next server process can re-adopt it
+        if (session.hardKillTimer) clearTimeout(session.hardKillTimer);
+        if (session.cleanupTimer) clearTimeout(session.cleanupTimer);
+        if (session.pty) session.pty.detach();
+        this._stopRecording(session, 'detached');
+        this._sessions.delete(session.id);
+        session.emitter.removeAllListeners();
+        continue;
+      }
+      this._removeSession(session.id);
     }
+    this._clientSessions.clear();
   }
 }
 
@@ -956,6 +1712,7 @@ module.exports = {
   TerminalSessionManager,
   configureTerminalSessionManager,
   getTerminalSessionManager,
+  agentClientIdFor,
   toBool,
   toInt
 };
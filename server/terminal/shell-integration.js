@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Shell integration for terminal sessions.
+ *
+ * bash, zsh and fish sessions are launched with a small init script (see
+ * shell-integration/) that reports prompts and commands with OSC 133 marks:
+ *
+ *   ESC ] 133 ; A BEL                        prompt start
+ *   ESC ] 133 ; B BEL                        prompt end (user input starts)
+ *   ESC ] 133 ; C ; cmdline_url=<cmd> BEL    command started
+ *   ESC ] 133 ; D ; <exit code> BEL          command finished
+ *   ESC ] 7 ; file://<host><cwd> BEL         working directory
+ *
+ * CommandTracker parses those marks out of the PTY stream and keeps a bounded
+ * history of commands with their cwd, timing, exit code and output. The marks
+ * themselves stay in the stream; xterm ignores or uses them.
+ */
+
+const path = require('path');
+
+const SCRIPT_DIR = path.join(__dirname, 'shell-integration');
+const MAX_PENDING_SEQUENCE = 8 * 1024;
+const OSC_START = '\x1b]';
+
+/**
+ * Launch arguments that load the integration script for a shell, or null for
+ * shells without integration (sh, dash, ksh, PowerShell, cmd).
+ *
+ * @param {string} shellPath
+ * @param {string[]} args - The shell's regular (isolated) launch args
+ * @returns {{ kind: string, args: string[], env: object } | null}
+ */
+function integrationLaunch(shellPath, args = []) {
+  const shellName = path.basename(String(shellPath || '')).toLowerCase();
+
+  if (shellName === 'bash') {
+    // --rcfile replaces --norc: the script is the only rc file read
+    return {
+      kind: 'bash',
+      args: [...args.filter((arg) => arg !== '--norc'), '--rcfile', path.join(SCRIPT_DIR, 'bash.sh')],
+      env: {}
+    };
+  }
+
+  if (shellName === 'zsh') {
+    // -d skips the global rc files, ZDOTDIR points zsh at the integration .zshrc
+    return {
+      kind: 'zsh',
+      args: [...args.filter((arg) => arg !== '-f'), '-d'],
+      env: {
+        ZDOTDIR: path.join(SCRIPT_DIR, 'zsh'),
+        ...(process.env.ZDOTDIR && { EVOBREW_ORIGINAL_ZDOTDIR: process.env.ZDOTDIR })
+      }
+    };
+  }
+
+  if (shellName === 'fish') {
+    return {
+      kind: 'fish',
+      args: [...args, '--init-command', `source ${JSON.stringify(path.join(SCRIPT_DIR, 'fish.fish'))}`],
+      env: {}
+    };
+  }
+
+  return null;
+}
+
+function decodeOscValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+function stripAnsi(text) {
+  return String(text || '')
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b[@-Z\\-_]/g, '')
+    .replace(/\r(?!\n)/g, '');
+}
+
+class CommandTracker {
+  /**
+   * @param {object} options
+   * @param {string} options.cwd - Initial working directory
+   * @param {number} [options.maxCommands] - History entries kept
+   * @param {number} [options.maxOutputBytes] - Output kept per command
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || null;
+    this.maxCommands = options.maxCommands || 200;
+    this.maxOutputBytes = options.maxOutputBytes || 64 * 1024;
+    this.active = false;
+    this.atPrompt = false;
+    this.commands = [];
+    this.current = null;
+    this._nextId = 1;
+    this._pending = '';
+  }
+
+  /**
+   * Feed PTY output. Returns the command events it produced:
+   * { type: 'command_start' | 'command_end' | 'prompt', command }
+   */
+  feed(chunk) {
+    const events = [];
+    let data = this._pending + String(chunk || '');
+    this._pending = '';
+
+    let cursor = 0;
+    while (cursor < data.length) {
+      const start = data.indexOf(OSC_START, cursor);
+      if (start < 0) {
+        // A trailing ESC may be the first half of the next sequence
+        const tail = data.endsWith('\x1b') ? 1 : 0;
+        this._appendOutput(data.slice(cursor, data.length - tail));
+        if (tail) this._pending = '\x1b';
+        break;
+      }
+
+      this._appendOutput(data.slice(cursor, start));
+
+      const bell = data.indexOf('\x07', start + 2);
+      const st = data.indexOf('\x1b\\', start + 2);
+      let end = -1;
+      let terminatorLength = 0;
+      if (bell >= 0 && (st < 0 || bell < st)) {
+        end = bell;
+        terminatorLength = 1;
+      } else if (st >= 0) {
+        end = st;
+        terminatorLength = 2;
+      }
+
+      if (end < 0) {
+        // Sequence continues in the next chunk
+        const rest = data.slice(start);
+        if (rest.length <= MAX_PENDING_SEQUENCE) this._pending = rest;
+        break;
+      }
+
+      this._handleSequence(data.slice(start + 2, end), events);
+      cursor = end + terminatorLength;
+    }
+
+    return events;
+  }
+
+  _appendOutput(text) {
+    if (!text || !this.current) return;
+    const command = this.current;
+    if (command.outputBytes >= this.maxOutputBytes) {
+      command.outputTruncated = true;
+      return;
+    }
+    command.output += text;
+    command.outputBytes += Buffer.byteLength(text, 'utf8');
+    if (command.outputBytes > this.maxOutputBytes) {
+      command.output = command.output.slice(0, this.maxOutputBytes);
+      command.outputBytes = this.maxOutputBytes;
+      command.outputTruncated = true;
+    }
+  }
+
+  _handleSequence(body, events) {
+    if (body.startsWith('7;')) {
+      const uri = body.slice(2);
+      const match = /^file:\/\/[^/]*(\/.*)$/.exec(uri);
+      if (match) this.cwd = decodeOscValue(match[1]);
+      return;
+    }
+
+    if (!body.startsWith('133;')) return;
+    const [mark, ...params] = body.slice(4).split(';');
+    this.active = true;
+
+    if (mark === 'A') {
+      // A prompt without D means the shell never reported the end
+      if (this.current) events.push({ type: 'command_end', command: this._finish(null) });
+      this.atPrompt = true;
+      events.push({ type: 'prompt', cwd: this.cwd });
+    } else if (mark === 'B') {
+      this.atPrompt = true;
+    } else if (mark === 'C') {
+      if (this.current) events.push({ type: 'command_end', command: this._finish(null) });
+      const cmdline = params.find((param) => param.startsWith('cmdline_url=') || param.startsWith('cmdline='));
+      this.current = {
+        id: this._nextId++,
+        command: cmdline ? decodeOscValue(cmdline.slice(cmdline.indexOf('=') + 1)).trim() : '',
+        cwd: this.cwd,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        exitCode: null,
+        output: '',
+        outputBytes: 0,
+        outputTruncated: false
+      };
+      this.atPrompt = false;
+      events.push({ type: 'command_start', command: this.serialize(this.current, { includeOutput: false }) });
+    } else if (mark === 'D') {
+      if (!this.current) return;
+      const exitCode = Number.parseInt(params[0], 10);
+      events.push({ type: 'command_end', command: this._finish(Number.isFinite(exitCode) ? exitCode : null) });
+    }
+  }
+
+  /**
+   * The shell exited: a command still running ended with it.
+   */
+  close(exitCode) {
+    if (!this.current) return null;
+    return this._finish(typeof exitCode === 'number' ? exitCode : null);
+  }
+
+  _finish(exitCode) {
+    const command = this.current;
+    this.current = null;
+    command.exitCode = exitCode;
+    command.finishedAt = new Date().toISOString();
+    command.durationMs = Date.parse(command.finishedAt) - Date.parse(command.startedAt);
+
+    this.commands.push(command);
+    if (this.commands.length > this.maxCommands) {
+      this.commands.splice(0, this.commands.length - this.maxCommands);
+    }
+    return this.serialize(command);
+  }
+
+  serialize(command, { includeOutput = true, maxOutputBytes = null } = {}) {
+    const result = {
+      id: command.id,
+      command: command.command,
+      cwd: command.cwd,
+      started_at: command.startedAt,
+      finished_at: command.finishedAt,
+      duration_ms: command.durationMs,
+      exit_code: command.exitCode,
+      running: command === this.current
+    };
+    if (includeOutput) {
+      let output = stripAnsi(command.output);
+      let truncated = command.outputTruncated;
+      if (maxOutputBytes && output.length > maxOutputBytes) {
+        output = output.slice(-maxOutputBytes);
+        truncated = true;
+      }
+      result.output = output;
+      result.output_truncated = truncated;
+    }
+    return result;
+  }
+
+  /**
+   * Command history, oldest first.
+   * @param {object} options - { limit, includeOutput, maxOutputBytes, failedOnly, contains }
+   */
+  history(options = {}) {
+    let commands = this.current ? [...this.commands, this.current] : [...this.commands];
+    if (options.failedOnly) {
+      commands = commands.filter((command) => typeof command.exitCode === 'number' && command.exitCode !== 0);
+    }
+    if (options.contains) {
+      const needle = String(options.contains).toLowerCase();
+      commands = commands.filter((command) => command.command.toLowerCase().includes(needle));
+    }
+    if (options.limit && options.limit > 0) {
+      commands = commands.slice(-options.limit);
+    }
+    return commands.map((command) => this.serialize(command, {
+      includeOutput: options.includeOutput !== false,
+      maxOutputBytes: options.maxOutputBytes || null
+    }));
+  }
+}
+
+module.exports = {
+  integrationLaunch,
+  CommandTracker,
+  stripAnsi
+};
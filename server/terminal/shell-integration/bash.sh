@@ -0,0 +1,50 @@
+# Evobrew shell integration for bash (sourced via --rcfile).
+# Emits OSC 133 prompt/command marks and OSC 7 cwd reports so the terminal
+# session manager can track each command's start, end, cwd and exit code.
+
+if [ -n "$__EVOBREW_SI_LOADED" ]; then
+  return
+fi
+__EVOBREW_SI_LOADED=1
+__evobrew_in_command=0
+# Set by the first prompt, so commands in this file are not reported
+__evobrew_ready=0
+
+# Escape the characters that would break an OSC payload
+__evobrew_escape() {
+  local s="$1"
+  s="${s//%/%25}"
+  s="${s//;/%3B}"
+  s="${s//$'\n'/%0A}"
+  s="${s//$'\r'/%0D}"
+  s="${s//$'\a'/%07}"
+  s="${s//$'\e'/%1B}"
+  printf '%s' "$s"
+}
+
+__evobrew_preexec() {
+  [ "$__evobrew_ready" = 1 ] || return
+  [ "$__evobrew_in_command" = 1 ] && return
+  [ -n "$COMP_LINE" ] && return
+  [ "$BASH_COMMAND" = "__evobrew_precmd" ] && return
+  __evobrew_in_command=1
+  local line
+  line="$(HISTTIMEFORMAT= builtin history 1)"
+  line="${line#*[0-9]  }"
+  printf '\e]133;C;cmdline_url=%s\a' "$(__evobrew_escape "$line")"
+}
+
+__evobrew_precmd() {
+  local status=$?
+  if [ "$__evobrew_in_command" = 1 ]; then
+    printf '\e]133;D;%s\a' "$status"
+  fi
+  __evobrew_in_command=0
+  __evobrew_ready=1
+  printf '\e]7;file://%s%s\a' "$HOSTNAME" "$(__evobrew_escape "$PWD")"
+}
+
+set -o history
+trap '__evobrew_preexec' DEBUG
+PROMPT_COMMAND="__evobrew_precmd${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
+PS1="\[\e]133;A\a\]${PS1:-\s-\v\$ }\[\e]133;B\a\]"
@@ -0,0 +1,25 @@
+# Evobrew shell integration for fish (sourced via --init-command).
+# Emits OSC 133 prompt/command marks and OSC 7 cwd reports so the terminal
+# session manager can track each command's start, end, cwd and exit code.
+
+if set -q __evobrew_si_loaded
+    exit
+end
+set -g __evobrew_si_loaded 1
+
+function __evobrew_preexec --on-event fish_preexec
+    printf '\e]133;C;cmdline_url=%s\a' (string escape --style=url -- $argv[1])
+end
+
+function __evobrew_postexec --on-event fish_postexec
+    set -l exit_status $status
+    printf '\e]133;D;%s\a' $exit_status
+end
+
+functions -c fish_prompt __evobrew_original_prompt
+function fish_prompt
+    printf '\e]7;file://%s%s\a' $hostname (string escape --style=url -- $PWD)
+    printf '\e]133;A\a'
+    __evobrew_original_prompt
+    printf '\e]133;B\a'
+end
@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * SupervisedPty — node-pty compatible handle for a terminal owned by a
+ * detached supervisor process (supervisor.js).
+ *
+ * TerminalSessionManager treats it exactly like a node-pty IPty (onData,
+ * onExit, write, resize, kill, pause, resume), but the shell keeps running
+ * when the server stops: detach() drops the connection without killing it,
+ * and SupervisedPty.connect() re-adopts it from its metadata file after a
+ * restart. Scrollback lives in `<stateDir>/<id>.log`.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const SUPERVISOR_SCRIPT = path.join(__dirname, 'supervisor.js');
+const CONNECT_TIMEOUT_MS = 5_000;
+const CONNECT_RETRY_MS = 50;
+
+function sessionPaths(stateDir, id) {
+  return {
+    metaPath: path.join(stateDir, `${id}.json`),
+    logPath: path.join(stateDir, `${id}.log`),
+    errorLogPath: path.join(stateDir, `${id}.supervisor.log`),
+    socketPath: process.platform === 'win32'
+      ? `\\\\.\\pipe\\evobrew-terminal-${id}`
+      : path.join(stateDir, `${id}.sock`)
+  };
+}
+
+function ensureStateDir(stateDir) {
+  fs.mkdirSync(stateDir, { recursive: true, mode: 0o700 });
+}
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Last `maxBytes` of a session's on-disk scrollback ('' when missing).
+ */
+function readLogTail(logPath, maxBytes) {
+  let fd;
+  try {
+    fd = fs.openSync(logPath, 'r');
+  } catch (_) {
+    return '';
+  }
+  try {
+    const size = fs.fstatSync(fd).size;
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    let start = 0;
+    while (start < buffer.length && (buffer[start] & 0xc0) === 0x80) start += 1;
+    return buffer.subarray(start).toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readSessionMeta(metaPath) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Metadata of every session recorded in a state dir.
+ */
+function listSupervisedSessions(stateDir) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(stateDir);
+  } catch (_) {
+    return [];
+  }
+  return entries
+    .filter((name) => /^[a-f0-9]{24}\.json$/.test(name))
+    .map((name) => readSessionMeta(path.join(stateDir, name)))
+    .filter((meta) => meta && meta.session_id)
+    .map((meta) => ({
+      ...meta,
+      supervisor_alive: meta.state === 'running' && isProcessAlive(meta.supervisor_pid)
+    }));
+}
+
+/**
+ * Delete every file a session left in the state dir.
+ */
+function removeSessionFiles(stateDir, id) {
+  const paths = sessionPaths(stateDir, id);
+  for (const filePath of [paths.metaPath, paths.logPath, paths.errorLogPath]) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (_) {
+      // already gone
+    }
+  }
+  if (process.platform !== 'win32') {
+    try {
+      fs.unlinkSync(paths.socketPath);
+    } catch (_) {
+      // already gone
+    }
+  }
+}
+
+class SupervisedPty {
+  constructor({ id, stateDir, token, pid = null }) {
+    this.id = id;
+    this.stateDir = stateDir;
+    this.paths = sessionPaths(stateDir, id);
+    this._token = token;
+    this.pid = pid;
+    this._dataListeners = new Set();
+    this._exitListeners = new Set();
+    this._outbox = [];
+    this._socket = null;
+    this._detached = false;
+    this._exited = false;
+    this._connect(Date.now());
+  }
+
+  /**
+   * Start a supervisor for a new session.
+   * @param {object} params - { id, stateDir, file, args, cwd, env, cols, rows, maxLogBytes, meta }
+   */
+  static spawn(params) {
+    ensureStateDir(params.stateDir);
+    const token = crypto.randomBytes(24).toString('hex');
+    const paths = sessionPaths(params.stateDir, params.id);
+    const errorFd = fs.openSync(paths.errorLogPath, 'a', 0o600);
+
+    let child;
+    try {
+      child = spawn(process.execPath, [SUPERVISOR_SCRIPT], {
+        cwd: params.cwd,
+        detached: true,
+        stdio: ['pipe', 'ignore', errorFd],
+        windowsHide: true
+      });
+    } finally {
+      fs.closeSync(errorFd);
+    }
+
+    child.stdin.end(JSON.stringify({
+      id: params.id,
+      token,
+      socketPath: paths.socketPath,
+      logPath: paths.logPath,
+      metaPath: paths.metaPath,
+      file: params.file,
+      args: params.args,
+      cwd: params.cwd,
+      env: params.env,
+      cols: params.cols,
+      rows: params.rows,
+      maxLogBytes: params.maxLogBytes,
+      meta: params.meta
+    }));
+    child.unref();
+
+    return new SupervisedPty({ id: params.id, stateDir: params.stateDir, token });
+  }
+
+  /**
+   * Re-adopt the supervisor of a session recorded in the state dir.
+   */
+  static connect(stateDir, meta) {
+    return new SupervisedPty({ id: meta.session_id, stateDir, token: meta.token, pid: meta.pty_pid || null });
+  }
+
+  _connect(startedAt) {
+    if (this._detached || this._exited) return;
+
+    const socket = net.connect(this.paths.socketPath);
+    socket.setEncoding('utf8');
+    let pending = '';
+    let connected = false;
+
+    socket.on('connect', () => {
+      connected = true;
+      this._socket = socket;
+      socket.write(`${JSON.stringify({ type: 'hello', token: this._token })}\n`);
+      for (const line of this._outbox.splice(0)) socket.write(line);
+    });
+
+    socket.on('data', (chunk) => {
+      pending += chunk;
+      let newline = pending.indexOf('\n');
+      while (newline >= 0) {
+        const line = pending.slice(0, newline);
+        pending = pending.slice(newline + 1);
+        if (line.trim()) this._handleMessage(JSON.parse(line));
+        newline = pending.indexOf('\n');
+      }
+    });
+
+    socket.on('error', () => {
+      // The supervisor may still be starting: retry until it listens
+      if (!connected && Date.now() - startedAt < CONNECT_TIMEOUT_MS) {
+        setTimeout(() => this._connect(startedAt), CONNECT_RETRY_MS);
+      }
+    });
+
+    socket.on('close', () => {
+      if (this._socket === socket) this._socket = null;
+      if (this._detached || this._exited) return;
+      if (connected || Date.now() - startedAt >= CONNECT_TIMEOUT_MS) {
+        // Supervisor gone without saying goodbye: take the exit status from its metadata
+        const meta = readSessionMeta(this.paths.metaPath);
+        this._finish({
+          exitCode: meta?.state === 'exited' ? meta.exit_code : -1,
+          signal: meta?.state === 'exited' ? meta.signal : 'supervisor-lost'
+        });
+      }
+    });
+  }
+
+  _handleMessage(message) {
+    if (message.type === 'hello') {
+      this.pid = message.pid;
+    } else if (message.type === 'output') {
+      for (const listener of this._dataListeners) listener(message.data);
+    } else if (message.type === 'exit') {
+      this._finish({ exitCode: message.exit_code, signal: message.signal });
+    }
+  }
+
+  _finish(event) {
+    if (this._exited) return;
+    this._exited = true;
+    for (const listener of this._exitListeners) listener(event);
+  }
+
+  _send(message) {
+    const line = `${JSON.stringify(message)}\n`;
+    if (this._socket && !this._socket.destroyed) {
+      this._socket.write(line);
+    } else if (!this._exited && !this._detached) {
+      this._outbox.push(line);
+    }
+  }
+
+  onData(listener) {
+    this._dataListeners.add(listener);
+    return { dispose: () => this._dataListeners.delete(listener) };
+  }
+
+  onExit(listener) {
+    this._exitListeners.add(listener);
+    return { dispose: () => this._exitListeners.delete(listener) };
+  }
+
+  write(data) {
+    this._send({ type: 'input', data });
+  }
+
+  resize(cols, rows) {
+    this._send({ type: 'resize', cols, rows });
+  }
+
+  pause() {
+    this._send({ type: 'pause' });
+  }
+
+  resume() {
+    this._send({ type: 'resume' });
+  }
+
+  kill(signal) {
+    this._send({ type: 'kill', signal: signal || null });
+  }
+
+  /**
+   * Let go of the session without stopping it (server shutdown).
+   */
+  detach() {
+    this._detached = true;
+    if (this._socket) this._socket.end();
+    this._socket = null;
+  }
+}
+
+module.exports = {
+  SupervisedPty,
+  sessionPaths,
+  readLogTail,
+  listSupervisedSessions,
+  removeSessionFiles
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Detached terminal supervisor — one process per persistent session.
+ *
+ * Spawned by SupervisedPty (supervised-pty.js) in its own process group so it
+ * outlives the server. It owns the PTY, appends every byte of output to an
+ * on-disk scrollback log, and serves the session over a local socket
+ * (newline-delimited JSON) to whichever server process connects with the
+ * session token. When the shell exits it records the exit status in the
+ * session's metadata file and exits too.
+ *
+ * The launch spec arrives as JSON on stdin so the environment never touches disk:
+ *   { id, token, socketPath, logPath, metaPath, file, args, cwd, env, cols, rows, maxLogBytes, meta }
+ */
+
+const fs = require('fs');
+const net = require('net');
+const pty = require('node-pty');
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+async function main() {
+  const spec = JSON.parse(await readStdin());
+  const maxLogBytes = spec.maxLogBytes;
+
+  const meta = {
+    ...spec.meta,
+    token: spec.token,
+    supervisor_pid: process.pid,
+    state: 'running',
+    cols: spec.cols,
+    rows: spec.rows,
+    exit_code: null,
+    signal: null,
+    exited_at: null
+  };
+
+  const term = pty.spawn(spec.file, spec.args, {
+    name: 'xterm-256color',
+    cols: spec.cols,
+    rows: spec.rows,
+    cwd: spec.cwd,
+    env: spec.env,
+    encoding: 'utf8'
+  });
+  meta.pty_pid = term.pid;
+  writeJsonAtomic(spec.metaPath, meta);
+
+  // ── Scrollback log: append, and trim back to maxLogBytes once it doubles ──
+  let logFd = fs.openSync(spec.logPath, 'a', 0o600);
+  let logBytes = fs.fstatSync(logFd).size;
+
+  function trimLog() {
+    fs.closeSync(logFd);
+    const content = fs.readFileSync(spec.logPath);
+    let start = Math.max(0, content.length - maxLogBytes);
+    // Don't start in the middle of a UTF-8 sequence
+    while (start < content.length && (content[start] & 0xc0) === 0x80) start += 1;
+    fs.writeFileSync(spec.logPath, content.subarray(start), { mode: 0o600 });
+    logFd = fs.openSync(spec.logPath, 'a', 0o600);
+    logBytes = content.length - start;
+  }
+
+  // ── Connected servers ──
+  const clients = new Set();
+
+  function send(socket, message) {
+    if (socket.destroyed) return;
+    socket.write(`${JSON.stringify(message)}\n`);
+  }
+
+  function broadcast(message) {
+    for (const socket of clients) send(socket, message);
+  }
+
+  term.onData((data) => {
+    const bytes = Buffer.byteLength(data, 'utf8');
+    fs.writeSync(logFd, data);
+    logBytes += bytes;
+    if (logBytes > maxLogBytes * 2) trimLog();
+    broadcast({ type: 'output', data });
+  });
+
+  let server = null;
+
+  term.onExit((event) => {
+    meta.state = 'exited';
+    meta.exit_code = typeof event?.exitCode === 'number' ? event.exitCode : 0;
+    meta.signal = event?.signal ?? null;
+    meta.exited_at = new Date().toISOString();
+    try {
+      writeJsonAtomic(spec.metaPath, meta);
+    } catch (_) {
+      // State dir removed underneath us; nothing left to record
+    }
+    try {
+      fs.closeSync(logFd);
+    } catch (_) {
+      // ignore
+    }
+
+    broadcast({ type: 'exit', exit_code: meta.exit_code, signal: meta.signal });
+    for (const socket of clients) socket.end();
+    if (server) server.close();
+
+    // Give sockets a moment to flush before leaving
+    setTimeout(() => process.exit(0), 200);
+  });
+
+  function handleMessage(socket, message) {
+    if (!socket.authorized) {
+      if (message.type !== 'hello' || message.token !== spec.token) {
+        socket.destroy();
+        return;
+      }
+      socket.authorized = true;
+      clients.add(socket);
+      send(socket, {
+        type: 'hello',
+        pid: term.pid,
+        state: meta.state,
+        cols: meta.cols,
+        rows: meta.rows
+      });
+      return;
+    }
+
+    if (message.type === 'input') {
+      term.write(String(message.data ?? ''));
+    } else if (message.type === 'resize') {
+      meta.cols = message.cols;
+      meta.rows = message.rows;
+      try {
+        term.resize(message.cols, message.rows);
+        writeJsonAtomic(spec.metaPath, meta);
+      } catch (_) {
+        // ignore resize on a closing PTY
+      }
+    } else if (message.type === 'pause') {
+      term.pause();
+    } else if (message.type === 'resume') {
+      term.resume();
+    } else if (message.type === 'kill') {
+      try {
+        term.kill(message.signal || undefined);
+      } catch (_) {
+        // already gone
+      }
+    }
+  }
+
+  server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    let pending = '';
+    socket.on('data', (chunk) => {
+      pending += chunk;
+      let newline = pending.indexOf('\n');
+      while (newline >= 0) {
+        const line = pending.slice(0, newline);
+        pending = pending.slice(newline + 1);
+        if (line.trim()) {
+          try {
+            handleMessage(socket, JSON.parse(line));
+          } catch (_) {
+            socket.destroy();
+            return;
+          }
+        }
+        newline = pending.indexOf('\n');
+      }
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+  });
+
+  if (process.platform !== 'win32' && fs.existsSync(spec.socketPath)) {
+    fs.unlinkSync(spec.socketPath);
+  }
+  server.listen(spec.socketPath, () => {
+    if (process.platform !== 'win32') fs.chmodSync(spec.socketPath, 0o600);
+  });
+
+  // The server going away must not take the shell with it
+  process.on('SIGHUP', () => {});
+  process.on('SIGTERM', () => {
+    try {
+      term.kill();
+    } catch (_) {
+      process.exit(0);
+    }
+  });
+}
+
+main().catch((error) => {
+  process.stderr.write(`[TERMINAL SUPERVISOR] ${error.stack || error.message}\n`);
+  process.exit(1);
+});
@@ -25,6 +25,10 @@ function createTerminalWsProtocol(options = {}) {
   }
 
   const sessionManager = options.sessionManager;
+  const fileWatcher = options.fileWatcher || null;
+  const resolveWatchFolder = typeof options.resolveWatchFolder === 'function'
+    ? options.resolveWatchFolder
+    : async (req, folder) => folder;
   const maxIncomingMessageBytes = toInt(options.maxIncomingMessageBytes, 128 * 1024, 512, 2 * 1024 * 1024);
   const queueHighWatermarkBytes = toInt(options.queueHighWatermarkBytes, 256 * 1024, 16 * 1024, 16 * 1024 * 1024);
   const queueLowWatermarkBytes = toInt(options.queueLowWatermarkBytes, 96 * 1024, 8 * 1024, queueHighWatermarkBytes);
@@ -187,6 +191,34 @@ function createTerminalWsProtocol(options = {}) {
           ts
         });
       },
+      onCommand: ({ type, command, cwd, ts }) => {
+        safeSend(state, {
+          type: 'command',
+          session_id: sessionId,
+          event: type,
+          command: command || null,
+          cwd: cwd || null,
+          ts
+        });
+      },
+      onPresence: (presence) => {
+        safeSend(state, {
+          type: 'presence',
+          ...presence,
+          you: state.connectionId
+        });
+      },
+      onShareRevoked: ({ token, reason }) => {
+        if (!state.share || state.share.token !== token) return;
+        safeSend(state, {
+          type: 'error',
+          error: {
+            expired: 'Share link expired',
+            'session-closed': 'Terminal session closed'
+          }[reason] || 'Share link was revoked'
+        });
+        closeConnection(state, 4403, reason === 'session-closed' ? 'session closed' : 'share revoked');
+      },
       onState: (metadata) => {
         safeSend(state, {
           type: 'state',
@@ -195,7 +227,11 @@ function createTerminalWsProtocol(options = {}) {
       }
     });
 
-    sessionManager.registerConnection(sessionId, state.clientId, state.connectionId);
+    sessionManager.registerConnection(sessionId, state.clientId, state.connectionId, {
+      name: state.name,
+      role: state.share ? state.share.role : 'owner',
+      share: state.share ? state.share.token : null
+    });
 
     state.attachedSessionId = sessionId;
     state.detachListener = attached.detach;
@@ -203,7 +239,66 @@ function createTerminalWsProtocol(options = {}) {
     safeSend(state, {
       type: 'ready',
       session: attached.metadata,
-      replay: attached.buffer || ''
+      replay: attached.buffer || '',
+      replay_source: attached.bufferSource || 'memory',
+      restored: attached.metadata.restored === true,
+      role: state.share ? state.share.role : 'owner',
+      presence: { ...sessionManager.presence(sessionId, state.clientId), you: state.connectionId }
+    });
+  }
+
+  // Share guests act on the owner's session with their role's permissions
+  function assertGuestAllowed(state, sessionId, action) {
+    if (!state.share) return;
+    if (action === 'owner') {
+      throw new Error('Only the session owner can do that');
+    }
+    if (sessionId !== state.share.session_id) {
+      throw new Error('Share link does not grant access to this session');
+    }
+    if (action === 'input' && state.share.role !== 'driver') {
+      throw new Error('View-only share: input is disabled');
+    }
+  }
+
+  function unwatchFolder(state) {
+    state.watchToken += 1;
+    if (typeof state.unwatch === 'function') {
+      try {
+        state.unwatch();
+      } catch (_) {
+        // ignore
+      }
+    }
+    state.unwatch = null;
+    state.watchedFolder = null;
+  }
+
+  async function watchFolder(state, folder) {
+    unwatchFolder(state);
+    const token = state.watchToken;
+
+    const resolved = await resolveWatchFolder(state.req, folder);
+    const unwatch = await fileWatcher.subscribe(resolved, (batch) => {
+      safeSend(state, {
+        type: 'fs_change',
+        folder: batch.folder,
+        changes: batch.changes,
+        ts: batch.ts
+      });
+    });
+
+    // Connection closed or another folder requested while we were starting up
+    if (state.closed || token !== state.watchToken) {
+      unwatch();
+      return;
+    }
+
+    state.unwatch = unwatch;
+    state.watchedFolder = resolved;
+    safeSend(state, {
+      type: 'watching',
+      folder: resolved
     });
   }
 
@@ -212,6 +307,7 @@ function createTerminalWsProtocol(options = {}) {
     state.closed = true;
 
     detachSession(state);
+    unwatchFolder(state);
     stopFlushLoop(state);
 
     try {
@@ -253,6 +349,7 @@ function createTerminalWsProtocol(options = {}) {
           safeSend(state, { type: 'error', error: 'session_id required for attach' });
           return;
         }
+        assertGuestAllowed(state, sid, 'attach');
         attachSession(state, sid);
         return;
       }
@@ -264,8 +361,12 @@ function createTerminalWsProtocol(options = {}) {
           return;
         }
 
+        assertGuestAllowed(state, sid, 'input');
         const data = typeof msg.data === 'string' ? msg.data : String(msg.data ?? '');
-        sessionManager.write(sid, state.clientId, data);
+        sessionManager.write(sid, state.clientId, data, {
+          source: 'human',
+          participantId: sid === state.attachedSessionId ? state.connectionId : null
+        });
         return;
       }
 
@@ -276,6 +377,9 @@ function createTerminalWsProtocol(options = {}) {
           return;
         }
 
+        // The owner's window decides the size; guests fit the terminal locally
+        if (state.share) return;
+
         const cols = toInt(msg.cols, 120, 10, 500);
         const rows = toInt(msg.rows, 34, 5, 300);
         sessionManager.resize(sid, state.clientId, cols, rows);
@@ -289,6 +393,7 @@ function createTerminalWsProtocol(options = {}) {
           return;
         }
 
+        assertGuestAllowed(state, sid, 'owner');
         sessionManager.closeSession(sid, state.clientId, {
           force: true,
           reason: 'client-close'
@@ -308,6 +413,53 @@ function createTerminalWsProtocol(options = {}) {
         return;
       }
 
+      if (type === 'take_control' || type === 'release_control' || type === 'pause_agent' || type === 'resume_agent') {
+        const sid = state.attachedSessionId;
+        if (!sid) {
+          safeSend(state, { type: 'error', error: 'No attached session' });
+          return;
+        }
+
+        if (type === 'take_control') {
+          assertGuestAllowed(state, sid, 'input');
+          sessionManager.takeControl(sid, state.clientId, state.connectionId);
+        } else if (type === 'release_control') {
+          sessionManager.releaseControl(sid, state.clientId, state.connectionId);
+        } else {
+          assertGuestAllowed(state, sid, 'input');
+          sessionManager.setAgentPaused(sid, state.clientId, type === 'pause_agent', {
+            participantId: state.connectionId
+          });
+        }
+        return;
+      }
+
+      if (type === 'watch') {
+        assertGuestAllowed(state, null, 'owner');
+        if (!fileWatcher) {
+          safeSend(state, { type: 'error', error: 'File watching is not available' });
+          return;
+        }
+        const folder = String(msg.folder || '').trim();
+        if (!folder) {
+          safeSend(state, { type: 'error', error: 'folder required for watch' });
+          return;
+        }
+        watchFolder(state, folder).catch((error) => {
+          safeSend(state, {
+            type: 'watch_error',
+            folder,
+            error: error.message || 'Failed to watch folder'
+          });
+        });
+        return;
+      }
+
+      if (type === 'unwatch') {
+        unwatchFolder(state);
+        return;
+      }
+
       if (type === 'ping') {
         safeSend(state, {
           type: 'pong',
@@ -317,9 +469,12 @@ function createTerminalWsProtocol(options = {}) {
       }
 
       if (type === 'list') {
+        const sessions = sessionManager.listSessions(state.clientId, { includeAgent: true });
         safeSend(state, {
           type: 'sessions',
-          sessions: sessionManager.listSessions(state.clientId)
+          sessions: state.share
+            ? sessions.filter((session) => session.session_id === state.share.session_id)
+            : sessions
         });
         return;
       }
@@ -336,12 +491,19 @@ function createTerminalWsProtocol(options = {}) {
     }
   }
 
+  /**
+   * @param {object} context - { clientId } for the owner's own connections, or
+   *   { shareToken, name } for a guest joining through a share link
+   */
   function handleConnection(ws, req, context = {}) {
-    const clientId = safeClientId(context.clientId);
+    const share = context.shareToken ? sessionManager.resolveShare(context.shareToken) : null;
+    const clientId = safeClientId(share ? share.client_id : context.clientId);
     const state = {
       ws,
       req,
       clientId,
+      share,
+      name: String(context.name || '').trim().slice(0, 64) || (share ? `Guest (${share.role})` : 'Owner'),
       connectionId: connectionId(),
       attachedSessionId: null,
       detachListener: null,
@@ -349,13 +511,19 @@ function createTerminalWsProtocol(options = {}) {
       queueBytes: 0,
       flushTimer: null,
       backpressured: false,
-      closed: false
+      closed: false,
+      watchedFolder: null,
+      watchToken: 0,
+      unwatch: null
     };
 
     safeSend(state, {
       type: 'ready',
       connection_id: state.connectionId,
-      client_id: state.clientId,
+      client_id: share ? null : state.clientId,
+      share: share
+        ? { session_id: share.session_id, session_name: share.session_name, role: share.role, expires_at: share.expires_at }
+        : null,
       ts: new Date().toISOString()
     });
 
@@ -0,0 +1,338 @@
+/**
+ * Tool-call approval policies for the agent loop.
+ *
+ * Every tool call the model makes is checked against a policy before
+ * ToolExecutor runs it. A policy resolves to one of:
+ *
+ *   allow — run immediately (default, matches previous behaviour)
+ *   ask   — pause the call, stream an approval request to the chat UI and
+ *           wait for the user to approve or deny it
+ *   deny  — refuse; the model gets an error result
+ *
+ * Configured in ~/.evobrew/config.json:
+ *
+ *   "tool_policies": {
+ *     "default": "allow",
+ *     "tools": { "run_terminal": "ask", "delete_file": "ask" },
+ *     "rules": [
+ *       { "tool": "run_terminal", "commands": ["git status", "npm test"], "action": "allow" },
+ *       { "tool": "*", "paths": [".env*", "**\/secrets/**"], "action": "deny" },
+ *       { "tool": "create_file", "paths": ["docs/**"], "action": "allow" }
+ *     ],
+ *     "approval_timeout_ms": 600000
+ *   }
+ *
+ * Rules are checked in order and the first match wins; then the per-tool
+ * `tools` map; then `default`. Path globs are matched relative to the
+ * workspace folder (absolute globs match absolute paths). Command prefixes
+ * match whole words ("git status" matches "git status -s", not "git statusx").
+ * For a chained command (`a && b`, `a | b`, `$(...)`) an allow rule must
+ * match every segment, while ask/deny rules match if any segment does.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { matchAny } = require('../lib/glob');
+const { listPatchPaths } = require('./patch-apply');
+
+const POLICY_ACTIONS = Object.freeze({
+  ALLOW: 'allow',
+  ASK: 'ask',
+  DENY: 'deny'
+});
+
+const DEFAULT_APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_PREVIEW_CHARS = 2000;
+
+// Argument names that carry file paths, by tool (after ToolExecutor.normalizeToolArgs)
+const PATH_ARGS = ['file_path', 'directory_path', 'path', 'output_path', 'file', 'cwd'];
+// Argument carrying a shell command/input, by tool
+const COMMAND_ARGS = {
+  run_terminal: 'command',
+  run_tests: 'command',
+  terminal_write: 'data'
+};
+
+function normalizeAction(value, fallback = POLICY_ACTIONS.ALLOW) {
+  const action = String(value || '').trim().toLowerCase();
+  return Object.values(POLICY_ACTIONS).includes(action) ? action : fallback;
+}
+
+/**
+ * Normalize the `tool_policies` config section. Invalid entries are dropped
+ * with a warning rather than failing startup.
+ */
+function loadToolPolicies(config = {}) {
+  const raw = config?.tool_policies || {};
+  const tools = {};
+  for (const [toolName, action] of Object.entries(raw.tools || {})) {
+    tools[toolName] = normalizeAction(action);
+  }
+
+  const rules = [];
+  for (const [index, rule] of (Array.isArray(raw.rules) ? raw.rules : []).entries()) {
+    if (!rule || typeof rule !== 'object' || !normalizeAction(rule.action, null)) {
+      console.warn(`[TOOL POLICY] Ignoring invalid rule #${index + 1}: ${JSON.stringify(rule)}`);
+      continue;
+    }
+    rules.push({
+      tool: [].concat(rule.tool || rule.tools || '*').map(String),
+      paths: [].concat(rule.paths || rule.path || []).map(String),
+      commands: [].concat(rule.commands || rule.command || []).map(String),
+      action: normalizeAction(rule.action),
+      reason: rule.reason ? String(rule.reason) : null
+    });
+  }
+
+  const timeout = Number.parseInt(raw.approval_timeout_ms, 10);
+  return {
+    default: normalizeAction(raw.default),
+    tools,
+    rules,
+    approvalTimeoutMs: Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_APPROVAL_TIMEOUT_MS
+  };
+}
+
+/**
+ * Split a shell command into its simple-command segments
+ */
+function splitCommandSegments(command) {
+  return String(command || '')
+    .replace(/\$\(|`/g, '\n')
+    .split(/\n|;|&&|\|\||\||&|\)/)
+    .map(segment => segment.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+function matchesCommandPrefix(segment, prefix) {
+  const normalized = prefix.trim().replace(/\s+/g, ' ');
+  return segment === normalized || segment.startsWith(`${normalized} `);
+}
+
+function collectPaths(args, cwd) {
+  const paths = [];
+  for (const key of PATH_ARGS) {
+    const value = args?.[key];
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const absolute = path.resolve(cwd || process.cwd(), value);
+    paths.push({ absolute, relative: cwd ? path.relative(cwd, absolute) : value });
+  }
+  // apply_patch names its files inside the patch text
+  if (typeof args?.patch === 'string') {
+    for (const value of listPatchPaths(args.patch)) {
+      const absolute = path.resolve(cwd || process.cwd(), value);
+      paths.push({ absolute, relative: cwd ? path.relative(cwd, absolute) : value });
+    }
+  }
+  if (Array.isArray(args?.input_images)) {
+    for (const value of args.input_images) {
+      if (typeof value !== 'string') continue;
+      const absolute = path.resolve(cwd || process.cwd(), value);
+      paths.push({ absolute, relative: cwd ? path.relative(cwd, absolute) : value });
+    }
+  }
+  return paths;
+}
+
+function ruleMatches(rule, toolName, args, cwd) {
+  if (!rule.tool.includes('*') && !rule.tool.includes(toolName)) return false;
+
+  if (rule.paths.length > 0) {
+    const absolutePatterns = rule.paths.filter(pattern => path.isAbsolute(pattern));
+    const relativePatterns = rule.paths.filter(pattern => !path.isAbsolute(pattern));
+    const hit = collectPaths(args, cwd).some(({ absolute, relative }) =>
+      matchAny(absolute, absolutePatterns) ||
+      (!relative.startsWith('..') && matchAny(relative, relativePatterns))
+    );
+    if (!hit) return false;
+  }
+
+  if (rule.commands.length > 0) {
+    const commandArg = COMMAND_ARGS[toolName];
+    const segments = commandArg ? splitCommandSegments(args?.[commandArg]) : [];
+    if (segments.length === 0) return false;
+    const segmentMatches = segment => rule.commands.some(prefix => matchesCommandPrefix(segment, prefix));
+    const hit = rule.action === POLICY_ACTIONS.ALLOW
+      ? segments.every(segmentMatches)
+      : segments.some(segmentMatches);
+    if (!hit) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Decide what to do with a tool call
+ * @param {Object} policies - Result of loadToolPolicies()
+ * @param {string} toolName - Canonical tool name
+ * @param {Object} args - Normalized tool arguments
+ * @param {Object} [context]
+ * @param {string} [context.cwd] - Workspace folder for relative path globs
+ * @returns {{ action: string, reason: string }}
+ */
+function evaluateToolPolicy(policies, toolName, args, context = {}) {
+  if (!policies) return { action: POLICY_ACTIONS.ALLOW, reason: 'no policy' };
+
+  for (const [index, rule] of policies.rules.entries()) {
+    if (ruleMatches(rule, toolName, args, context.cwd)) {
+      return { action: rule.action, reason: rule.reason || `rule #${index + 1}` };
+    }
+  }
+
+  if (policies.tools[toolName]) {
+    return { action: policies.tools[toolName], reason: `tool policy for ${toolName}` };
+  }
+
+  return { action: policies.default, reason: 'default policy' };
+}
+
+/**
+ * Copy of tool args safe to stream to the UI (long strings truncated)
+ */
+function previewToolArgs(args) {
+  const preview = {};
+  for (const [key, value] of Object.entries(args || {})) {
+    if (typeof value === 'string' && value.length > MAX_PREVIEW_CHARS) {
+      preview[key] = `${value.slice(0, MAX_PREVIEW_CHARS)}\n… (${value.length - MAX_PREVIEW_CHARS} more characters)`;
+    } else {
+      preview[key] = value;
+    }
+  }
+  return preview;
+}
+
+/**
+ * Tracks approval requests waiting on a human decision
+ */
+class ToolApprovalManager {
+  constructor() {
+    // approvalId → { sessionId, clientId, conversationId, toolName, args, resolve, timer, createdAt }
+    this.pending = new Map();
+    // sessionId → Set(toolName) approved for the rest of the session
+    this.sessionGrants = new Map();
+  }
+
+  hasSessionGrant(sessionId, toolName) {
+    return Boolean(this.sessionGrants.get(sessionId)?.has(toolName));
+  }
+
+  /**
+   * Register an approval request. `notify` is called with the request
+   * (for the SSE stream) before waiting. `clientId` is the browser client
+   * that started the run; only it can list or decide the request.
+   *
+   * @returns {Promise<{ approvalId: string, approved: boolean, reason: string }>}
+   */
+  request({ sessionId, clientId = null, conversationId = null, toolName, args, reason, timeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS, notify }) {
+    const approvalId = crypto.randomUUID();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.settle(approvalId, { approved: false, reason: 'Approval timed out' });
+      }, timeoutMs);
+      if (typeof timer.unref === 'function') timer.unref();
+
+      this.pending.set(approvalId, {
+        sessionId,
+        clientId: clientId || null,
+        conversationId: conversationId || null,
+        toolName,
+        args,
+        resolve,
+        timer,
+        createdAt: new Date().toISOString()
+      });
+
+      try {
+        notify?.({ approvalId, toolName, args, reason, timeoutMs });
+      } catch (error) {
+        this.settle(approvalId, { approved: false, reason: 'Could not deliver approval request' });
+      }
+    });
+  }
+
+  settle(approvalId, outcome) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    this.pending.delete(approvalId);
+    entry.resolve({ ...outcome, approvalId });
+    return true;
+  }
+
+  /**
+   * Apply a user decision: 'approve', 'approve_session' or 'deny'.
+   * A request made for a client can only be decided by that client; one
+   * without a client only by whoever holds its (unlisted) approvalId.
+   *
+   * @returns {boolean} false if the request is unknown, already settled or
+   *   belongs to another client
+   */
+  decide(approvalId, decision, note = '', { clientId = null } = {}) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return false;
+    if (entry.clientId && entry.clientId !== clientId) return false;
+
+    if (decision === 'approve_session') {
+      if (!this.sessionGrants.has(entry.sessionId)) {
+        this.sessionGrants.set(entry.sessionId, new Set());
+      }
+      this.sessionGrants.get(entry.sessionId).add(entry.toolName);
+    }
+
+    const approved = decision === 'approve' || decision === 'approve_session';
+    return this.settle(approvalId, {
+      approved,
+      reason: note || (approved ? 'Approved by user' : 'Denied by user')
+    });
+  }
+
+  /**
+   * Deny everything still pending for a session and forget its grants
+   * (agent run finished or the client went away)
+   */
+  endSession(sessionId, reason = 'Session ended') {
+    for (const [approvalId, entry] of this.pending) {
+      if (entry.sessionId === sessionId) {
+        this.settle(approvalId, { approved: false, reason });
+      }
+    }
+    this.sessionGrants.delete(sessionId);
+  }
+
+  /**
+   * Pending requests of one client (optionally one conversation)
+   */
+  listPending({ clientId, conversationId = null } = {}) {
+    if (!clientId) return [];
+    return Array.from(this.pending, ([approvalId, entry]) => ({ approvalId, ...entry }))
+      .filter(entry => entry.clientId === clientId && (!conversationId || entry.conversationId === conversationId))
+      .map(entry => ({
+        approvalId: entry.approvalId,
+        conversationId: entry.conversationId,
+        tool: entry.toolName,
+        args: previewToolArgs(entry.args),
+        createdAt: entry.createdAt
+      }));
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getToolApprovalManager() {
+  if (!instance) {
+    instance = new ToolApprovalManager();
+  }
+  return instance;
+}
+
+module.exports = {
+  POLICY_ACTIONS,
+  loadToolPolicies,
+  evaluateToolPolicy,
+  splitCommandSegments,
+  previewToolArgs,
+  ToolApprovalManager,
+  getToolApprovalManager
+};
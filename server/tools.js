@@ -12,8 +12,20 @@ const docx = require('docx');
 const { Document, Packer, Paragraph, TextRun, AlignmentType, HeadingLevel, Table, TableRow, TableCell, WidthType } = docx;
 const XLSX = require('xlsx');
 const MsgReader = require('msgreader').default || require('msgreader');
-const { getQueryEngine, getBrainLoader } = require('./brain-loader-module');
+const {
+  getQueryEngine,
+  getBrainLoader,
+  getBrain,
+  listBrains,
+  isFederatedScope,
+  searchBrains,
+  rememberInBrain,
+  linkInBrain
+} = require('./brain-loader-module');
+const { neighborhood, shortestPath } = require('./brain-graph');
 const { getTerminalSessionManager } = require('./terminal/session-manager');
+const { isSandboxEnabled, runSandboxedCommand } = require('./terminal/sandbox');
+const { parsePatch, applyHunks } = require('./patch-apply');
 
 // ============================================================================
 // TOOL DEFINITIONS (OpenAI/Anthropic Format)
@@ -82,17 +94,25 @@ const toolDefinitions = [
     type: 'function',
     function: {
       name: 'codebase_search',
-      description: 'Semantic search by MEANING (not exact text). Powerful for unfamiliar code.',
+      description: 'Hybrid search by MEANING and by identifier (semantic vectors fused with BM25 keyword ranking). Powerful for unfamiliar code; exact names like resolveAndValidatePath also rank well. Results are symbol-level (function/class/method) and include a file:line location to cite.',
       parameters: {
         type: 'object',
         properties: {
           query: {
             type: 'string',
-            description: 'Natural language query like "Where is auth handled?" or "How does error handling work?"'
+            description: 'Natural language query like "Where is auth handled?" or "How does error handling work?", optionally with identifiers'
           },
           limit: {
             type: 'number',
             description: 'Max results to return (use 10 for typical searches)'
+          },
+          path: {
+            type: 'string',
+            description: 'Optional glob relative to the workspace to restrict results, e.g. "server/**" or "*.test.js"'
+          },
+          language: {
+            type: 'string',
+            description: 'Optional language or file extension to restrict results, e.g. "python", "typescript", "go", "ts"'
           }
         },
         required: ['query', 'limit'],
@@ -190,6 +210,32 @@ const toolDefinitions = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'apply_patch',
+      description: 'Apply a multi-hunk, multi-file change in one call. Accepts a unified diff (--- a/file / +++ b/file / @@ -l,n +l,n @@) or a patch envelope ("*** Begin Patch", "*** Update File: path" / "*** Add File: path", "@@ optional anchor line", then " context", "-removed", "+added" lines, "*** End Patch"). Hunk context is matched fuzzily (line drift, whitespace, up to 2 lines of stale outer context). Every file is queued for user review; hunks that could not be located are reported with the reason so you can retry just those.',
+      parameters: {
+        type: 'object',
+        properties: {
+          patch: {
+            type: 'string',
+            description: 'Unified diff or *** Begin Patch envelope. Include 2-3 lines of unchanged context around each change.'
+          },
+          instructions: {
+            type: 'string',
+            description: 'Brief explanation of what the patch changes'
+          },
+          max_fuzz: {
+            type: 'number',
+            description: 'Outer context lines per hunk that may be ignored when matching (default 2, 0 = exact context)'
+          }
+        },
+        required: ['patch', 'instructions'],
+        additionalProperties: false
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -317,7 +363,7 @@ const toolDefinitions = [
     type: 'function',
     function: {
       name: 'terminal_write',
-      description: 'Write keystrokes/commands to a terminal session.',
+      description: 'Write keystrokes/commands to a terminal session. Fails while a human has paused agent input or holds the session\'s input lock; wait and retry, or ask the user.',
       parameters: {
         type: 'object',
         properties: {
@@ -446,6 +492,48 @@ const toolDefinitions = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'terminal_history',
+      description: 'List commands run in a terminal session (bash/zsh/fish shell integration): command line, cwd, start/end time, exit code and output. Use it instead of scraping terminal_wait output to check what ran and whether it failed.',
+      parameters: {
+        type: 'object',
+        properties: {
+          session_id: {
+            type: 'string',
+            description: 'Target terminal session id'
+          },
+          client_id: {
+            type: 'string',
+            description: 'Terminal client id to validate ownership (optional)'
+          },
+          limit: {
+            type: 'number',
+            description: 'Most recent commands to return (optional; default 20)'
+          },
+          failed_only: {
+            type: 'boolean',
+            description: 'Only commands with a non-zero exit code (optional)'
+          },
+          contains: {
+            type: 'string',
+            description: 'Only commands whose command line contains this text (optional)'
+          },
+          include_output: {
+            type: 'boolean',
+            description: 'Include each command\'s output (optional; default true)'
+          },
+          max_output_bytes: {
+            type: 'number',
+            description: 'Output kept per command, from the end (optional; default 16384)'
+          }
+        },
+        required: ['session_id'],
+        additionalProperties: false
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -698,7 +786,7 @@ const toolDefinitions = [
     type: 'function',
     function: {
       name: 'brain_search',
-      description: 'Search COSMO brain memory for relevant findings on a specific topic. Returns nodes with concepts, tags, and relevance scores. Use when you need to find brain knowledge about a topic.',
+      description: 'Search COSMO brain memory for relevant findings on a specific topic. Returns nodes with concepts, tags, and relevance scores. Use when you need to find brain knowledge about a topic. Searches the active brain unless a brain scope is given; use brain "all" to search every mounted brain (results say which brain they came from).',
       parameters: {
         type: 'object',
         properties: {
@@ -709,6 +797,10 @@ const toolDefinitions = [
           limit: {
             type: 'number',
             description: 'Maximum results to return (default 15, max 30)'
+          },
+          brain: {
+            type: 'string',
+            description: 'Optional brain scope: a mounted brain ID or name, or "all" for a federated search across all mounted brains. Omit for the active brain.'
           }
         },
         // NOTE: Some provider tool-schema validators require `required` to include *all* keys in `properties`.
@@ -729,6 +821,63 @@ const toolDefinitions = [
           node_id: {
             type: 'string',
             description: 'The ID of the node to retrieve'
+          },
+          brain: {
+            type: 'string',
+            description: 'Optional brain ID or name the node belongs to (the brain_id from brain_search results). Omit for the active brain.'
+          }
+        },
+        required: ['node_id'],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'brain_traverse',
+      description: 'Follow brain edges from a node. mode "neighborhood" returns the nodes within depth hops of node_id; mode "path" returns the shortest chain of edges from node_id to target_id. Returns a compact subgraph (truncated node text + edges with type and weight); use brain_node for full content. Use to follow reasoning chains instead of repeated searches.',
+      parameters: {
+        type: 'object',
+        properties: {
+          node_id: {
+            type: 'string',
+            description: 'Start node ID (from brain_search or brain_node)'
+          },
+          mode: {
+            type: 'string',
+            enum: ['neighborhood', 'path'],
+            description: 'neighborhood (default) or path'
+          },
+          target_id: {
+            type: 'string',
+            description: 'End node ID (path mode only)'
+          },
+          depth: {
+            type: 'number',
+            description: 'Neighborhood: hops to expand (default 1, max 4). Path: maximum path length (default 6, max 8)'
+          },
+          edge_types: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Optional: only follow edges of these types'
+          },
+          min_weight: {
+            type: 'number',
+            description: 'Optional: only follow edges at least this strong (0-1)'
+          },
+          direction: {
+            type: 'string',
+            enum: ['both', 'out', 'in'],
+            description: 'Follow edges in either direction (default), outgoing only or incoming only'
+          },
+          limit: {
+            type: 'number',
+            description: 'Neighborhood: maximum nodes returned (default 40, max 150)'
+          },
+          brain: {
+            type: 'string',
+            description: 'Optional brain ID or name the node belongs to. Omit for the active brain.'
           }
         },
         required: ['node_id'],
@@ -784,6 +933,66 @@ const toolDefinitions = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'brain_remember',
+      description: 'Save a durable finding to the brain as a new node (journaled next to the brain, with this conversation and model recorded as provenance). Use for conclusions worth keeping across sessions, not for scratch notes. Returns the new node ID for brain_link.',
+      parameters: {
+        type: 'object',
+        properties: {
+          content: {
+            type: 'string',
+            description: 'The finding to remember - self-contained, readable without this conversation'
+          },
+          tag: {
+            type: 'string',
+            description: 'Optional topic tag (default "evobrew")'
+          },
+          brain: {
+            type: 'string',
+            description: 'Optional mounted brain ID or name. Omit for the active brain.'
+          }
+        },
+        required: ['content'],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'brain_link',
+      description: 'Connect two existing brain nodes with an edge (journaled with provenance). Node IDs come from brain_search, brain_node or brain_remember.',
+      parameters: {
+        type: 'object',
+        properties: {
+          source: {
+            type: 'string',
+            description: 'Source node ID'
+          },
+          target: {
+            type: 'string',
+            description: 'Target node ID'
+          },
+          type: {
+            type: 'string',
+            description: 'Optional relationship type, e.g. "supports", "contradicts", "related" (default)'
+          },
+          weight: {
+            type: 'number',
+            description: 'Optional strength from 0 to 1 (default 0.5)'
+          },
+          brain: {
+            type: 'string',
+            description: 'Optional mounted brain ID or name. Omit for the active brain.'
+          }
+        },
+        required: ['source', 'target'],
+        additionalProperties: false
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -920,13 +1129,20 @@ class ToolExecutor {
       ? new Set(options.allowedToolNames)
       : null;
     this.disableSpreadsheetParsing = options.disableSpreadsheetParsing === true;
+    // Recorded on brain_remember/brain_link journal entries
+    this.provenance = {
+      conversationId: options.provenance?.conversationId || null,
+      model: options.provenance?.model || null
+    };
     this.terminalManager = options.terminalManager || getTerminalSessionManager();
     this.terminalPolicy = {
       enabled: options.terminalPolicy?.enabled !== false,
       allowedRoot: options.terminalPolicy?.allowedRoot || null,
       defaultClientId: typeof options.terminalPolicy?.defaultClientId === 'string' && options.terminalPolicy.defaultClientId.trim()
         ? options.terminalPolicy.defaultClientId.trim()
-        : 'ai'
+        : 'ai',
+      // Security-profile sandbox for agent commands (null = run unsandboxed)
+      sandbox: isSandboxEnabled(options.terminalPolicy?.sandbox) ? options.terminalPolicy.sandbox : null
     };
     this.toolNames = new Set(toolDefinitions.map((tool) => tool.function.name));
     // Track proposed edits so file_read returns agent's own pending changes, not stale disk state
@@ -1102,13 +1318,46 @@ class ToolExecutor {
         args.path = pickFirstString(args.path, args.directory_path, args.directory, args.folder, args.folder_path) || '.';
         break;
       case 'codebase_search':
+        args.query = pickFirstString(args.query, args.search, args.prompt, args.topic, args.text);
+        args.limit = pickFirstNumber(args.limit, args.max_results, args.maxResults, args.count);
+        args.path = pickFirstString(args.path, args.glob, args.include, args.file_pattern, args.directory);
+        args.language = pickFirstString(args.language, args.lang);
+        break;
       case 'brain_search':
       case 'brain_thoughts':
         args.query = pickFirstString(args.query, args.search, args.prompt, args.topic, args.text);
         args.limit = pickFirstNumber(args.limit, args.max_results, args.maxResults, args.count);
+        args.brain = pickFirstString(args.brain, args.brain_id, args.brainId, args.scope);
         break;
       case 'brain_node':
         args.node_id = pickFirstString(args.node_id, args.id, args.nodeId);
+        args.brain = pickFirstString(args.brain, args.brain_id, args.brainId, args.scope);
+        break;
+      case 'brain_traverse':
+        args.node_id = pickFirstString(args.node_id, args.id, args.nodeId, args.source, args.from);
+        args.target_id = pickFirstString(args.target_id, args.targetId, args.target, args.to);
+        args.mode = pickFirstString(args.mode) || (args.target_id ? 'path' : 'neighborhood');
+        args.depth = pickFirstNumber(args.depth, args.hops, args.max_hops, args.maxHops);
+        args.min_weight = pickFirstNumber(args.min_weight, args.minWeight);
+        args.direction = pickFirstString(args.direction) || 'both';
+        args.limit = pickFirstNumber(args.limit, args.max_nodes, args.maxNodes);
+        args.brain = pickFirstString(args.brain, args.brain_id, args.brainId, args.scope);
+        if (!Array.isArray(args.edge_types)) {
+          const types = pickFirstString(args.edge_types, args.edgeTypes, args.edge_type, args.type);
+          args.edge_types = types ? types.split(',').map(t => t.trim()).filter(Boolean) : [];
+        }
+        break;
+      case 'brain_remember':
+        args.content = pickFirstString(args.content, args.finding, args.text, args.concept);
+        args.tag = pickFirstString(args.tag, args.topic);
+        args.brain = pickFirstString(args.brain, args.brain_id, args.brainId, args.scope);
+        break;
+      case 'brain_link':
+        args.source = pickFirstString(args.source, args.source_id, args.from, args.from_id);
+        args.target = pickFirstString(args.target, args.target_id, args.to, args.to_id);
+        args.type = pickFirstString(args.type, args.relation, args.edge_type);
+        args.weight = pickFirstNumber(args.weight, args.strength);
+        args.brain = pickFirstString(args.brain, args.brain_id, args.brainId, args.scope);
         break;
       case 'edit_file':
         args.file_path = pickFirstString(args.file_path, args.path, args.filename, args.file);
@@ -1132,6 +1381,11 @@ class ToolExecutor {
         args.new_string = pickFirstString(args.new_string, args.replace, args.replace_text, args.replacement);
         args.instructions = pickFirstString(args.instructions, args.instruction, args.prompt, args.request);
         break;
+      case 'apply_patch':
+        args.patch = pickFirstString(args.patch, args.diff, args.input, args.content);
+        args.instructions = pickFirstString(args.instructions, args.instruction, args.prompt, args.request);
+        args.max_fuzz = pickFirstNumber(args.max_fuzz, args.maxFuzz, args.fuzz);
+        break;
       case 'insert_lines':
         args.file_path = pickFirstString(args.file_path, args.path, args.filename, args.file);
         args.line_number = pickFirstNumber(args.line_number, args.lineNumber, args.line, args.after_line, args.afterLine);
@@ -1191,7 +1445,10 @@ class ToolExecutor {
           return await this.grepSearch(normalizedArgs.pattern, normalizedArgs.path);
           
         case 'codebase_search':
-          return await this.codebaseSearch(normalizedArgs.query, normalizedArgs.limit);
+          return await this.codebaseSearch(normalizedArgs.query, normalizedArgs.limit, {
+            path: normalizedArgs.path,
+            language: normalizedArgs.language
+          });
           
         case 'edit_file':
           return this.queueEdit(normalizedArgs.file_path, normalizedArgs.instructions, normalizedArgs.code_edit);
@@ -1202,6 +1459,9 @@ class ToolExecutor {
         case 'search_replace':
           return await this.queueSearchReplace(normalizedArgs.file_path, normalizedArgs.old_string, normalizedArgs.new_string, normalizedArgs.instructions);
           
+        case 'apply_patch':
+          return await this.applyPatch(normalizedArgs.patch, normalizedArgs.instructions, normalizedArgs.max_fuzz);
+          
         case 'insert_lines':
           return await this.queueInsertLines(normalizedArgs.file_path, normalizedArgs.line_number, normalizedArgs.content, normalizedArgs.instructions);
           
@@ -1228,6 +1488,9 @@ class ToolExecutor {
 
         case 'terminal_list':
           return await this.terminalList(normalizedArgs);
+
+        case 'terminal_history':
+          return await this.terminalHistory(normalizedArgs);
           
         case 'run_terminal':
           return await this.runCommand(normalizedArgs.command);
@@ -1252,15 +1515,21 @@ class ToolExecutor {
 
         // Brain tools
         case 'brain_search':
-          return await this.brainSearch(normalizedArgs.query, normalizedArgs.limit);
+          return await this.brainSearch(normalizedArgs.query, normalizedArgs.limit, normalizedArgs.brain);
         case 'brain_node':
-          return await this.brainNode(normalizedArgs.node_id);
+          return await this.brainNode(normalizedArgs.node_id, normalizedArgs.brain);
+        case 'brain_traverse':
+          return await this.brainTraverse(normalizedArgs);
         case 'brain_thoughts':
           return await this.brainThoughts(normalizedArgs.query, normalizedArgs.limit);
         case 'brain_coordinator_insights':
           return await this.brainCoordinatorInsights();
         case 'brain_stats':
           return await this.brainStats();
+        case 'brain_remember':
+          return await this.brainRemember(normalizedArgs);
+        case 'brain_link':
+          return await this.brainLink(normalizedArgs);
 
         case 'run_tests':
           return await this.runTests(normalizedArgs.command, normalizedArgs.file);
@@ -1714,12 +1983,12 @@ class ToolExecutor {
     }
   }
 
-  async codebaseSearch(query, limit = 10) {
+  async codebaseSearch(query, limit = 10, filters = {}) {
     if (!this.indexer) {
       return { error: 'Semantic search not available' };
     }
     
-    const result = await this.indexer.searchCode(this.cwd, query, limit);
+    const result = await this.indexer.searchCode(this.cwd, query, limit || 10, filters);
     
     if (!result.results || result.results.length === 0) {
       return { results: [], message: 'No results found' };
@@ -1728,11 +1997,17 @@ class ToolExecutor {
     return {
       results: result.results.map(r => ({
         file: r.filePath,
+        location: `${r.filePath}:${r.symbolLine || r.startLine}`,
+        symbol: this.indexer.formatSymbol(r),
+        kind: r.kind || null,
         lines: `${r.startLine}-${r.endLine}`,
+        score: Math.round(r.score * 100) + '%',
         similarity: Math.round(r.similarity * 100) + '%',
+        matched_by: r.matchedBy,
         content: r.content
       })),
-      count: result.results.length
+      count: result.results.length,
+      ...(result.message ? { message: result.message } : {})
     };
   }
 
@@ -1894,6 +2169,123 @@ class ToolExecutor {
     };
   }
 
+  /**
+   * Apply a unified diff / patch envelope. Every touched file is returned as
+   * one queued edit (nothing is written here); hunks that cannot be located
+   * are reported per file so the model can retry only those.
+   */
+  async applyPatch(patchText, instructions, maxFuzz) {
+    if (typeof patchText !== 'string' || !patchText.trim()) {
+      return { error: 'patch is required (unified diff or *** Begin Patch envelope)' };
+    }
+
+    let filePatches;
+    try {
+      filePatches = parsePatch(patchText);
+    } catch (error) {
+      return { error: `Could not parse patch: ${error.message}` };
+    }
+
+    const staged = new Map(); // resolved path → { content, isNew } (a patch may touch a file twice)
+    const files = [];
+    const failedHunks = [];
+
+    const failFile = (filePath, filePatch, reason) => {
+      files.push({ file_path: filePath, status: 'failed', hunks_applied: 0, hunks_failed: filePatch.hunks.length, reason });
+      if (filePatch.hunks.length === 0) {
+        failedHunks.push({ file_path: filePath, hunk: null, header: null, reason });
+      }
+      filePatch.hunks.forEach((hunk, index) => {
+        failedHunks.push({ file_path: filePath, hunk: index + 1, header: hunk.header, reason });
+      });
+    };
+
+    for (const filePatch of filePatches) {
+      const displayPath = filePatch.newPath || filePatch.oldPath;
+
+      if (filePatch.type === 'delete') {
+        failFile(displayPath, filePatch, 'File deletion is not supported by apply_patch; use delete_file');
+        continue;
+      }
+      if (filePatch.type === 'rename') {
+        failFile(displayPath, filePatch, `Renames are not supported by apply_patch; create ${filePatch.newPath} and delete ${filePatch.oldPath} instead`);
+        continue;
+      }
+
+      let resolved;
+      try {
+        resolved = this.resolveAndValidatePath(displayPath);
+      } catch (error) {
+        failFile(displayPath, filePatch, error.message);
+        continue;
+      }
+
+      let current = staged.has(resolved) ? staged.get(resolved).content : null;
+      if (current === null) {
+        try {
+          current = await this.readFileContent(resolved);
+        } catch {
+          current = null;
+        }
+      }
+
+      if (filePatch.type === 'add' && current !== null) {
+        failFile(resolved, filePatch, 'File already exists; use an "Update File" section or a diff against the current content');
+        continue;
+      }
+      if (filePatch.type === 'update' && current === null) {
+        failFile(resolved, filePatch, 'File not found; use "*** Add File:" or "--- /dev/null" to create it');
+        continue;
+      }
+
+      const { content, results } = applyHunks(current || '', filePatch.hunks, { maxFuzz });
+      const applied = results.filter(result => result.status === 'applied');
+      const failed = results.filter(result => result.status === 'failed');
+      failed.forEach(result => failedHunks.push({ file_path: resolved, ...result }));
+
+      if (applied.length > 0) {
+        staged.set(resolved, {
+          content,
+          isNew: filePatch.type === 'add' || Boolean(staged.get(resolved)?.isNew)
+        });
+      }
+
+      files.push({
+        file_path: resolved,
+        status: failed.length === 0 ? 'queued' : (applied.length > 0 ? 'partial' : 'failed'),
+        hunks_applied: applied.length,
+        hunks_failed: failed.length,
+        hunks: results
+      });
+    }
+
+    const edits = Array.from(staged, ([filePath, entry]) => ({
+      file_path: filePath,
+      code_edit: entry.content,
+      is_new: entry.isNew
+    }));
+    const totalHunks = files.reduce((sum, file) => sum + file.hunks_applied + file.hunks_failed, 0);
+
+    if (edits.length === 0) {
+      return {
+        error: `Patch did not apply: nothing could be applied (${failedHunks.length} failure(s), see failed_hunks)`,
+        files,
+        failed_hunks: failedHunks
+      };
+    }
+
+    return {
+      action: 'queue_patch',
+      edits,
+      instructions,
+      files,
+      failed_hunks: failedHunks,
+      message: failedHunks.length === 0
+        ? `Patch queued for review: ${totalHunks} hunk(s) across ${edits.length} file(s)`
+        : `Patch partially queued for review: ${failedHunks.length} of ${totalHunks} hunk(s) failed (see failed_hunks)`
+    };
+  }
+
   async createFile(filePath, content) {
     const resolved = this.resolveAndValidatePath(filePath);
     const dir = path.dirname(resolved);
@@ -1979,6 +2371,14 @@ class ToolExecutor {
     return this.terminalPolicy.allowedRoot || null;
   }
 
+  getSandboxOptions() {
+    if (!this.terminalPolicy.sandbox) return null;
+    return {
+      policy: this.terminalPolicy.sandbox,
+      workspace: this.getTerminalAllowedRoot() || this.allowedRoot || this.cwd
+    };
+  }
+
   async terminalOpen(args = {}) {
     if (!this.isTerminalEnabled()) {
       return { error: 'Terminal feature is disabled in this deployment profile' };
@@ -1993,7 +2393,8 @@ class ToolExecutor {
       rows: args.rows,
       name: args.name,
       persistent: args.persistent !== false,
-      allowedRoot: this.getTerminalAllowedRoot()
+      allowedRoot: this.getTerminalAllowedRoot(),
+      sandbox: this.getSandboxOptions()
     });
 
     return {
@@ -2008,7 +2409,7 @@ class ToolExecutor {
     }
 
     const clientId = this.getTerminalClientId(args.client_id);
-    const result = this.terminalManager.write(args.session_id, clientId, args.data || '');
+    const result = this.terminalManager.write(args.session_id, clientId, args.data || '', { source: 'agent' });
     return {
       success: true,
       ...result
@@ -2078,6 +2479,35 @@ class ToolExecutor {
     };
   }
 
+  async terminalHistory(args = {}) {
+    if (!this.isTerminalEnabled()) {
+      return { error: 'Terminal feature is disabled in this deployment profile' };
+    }
+
+    const clientId = this.getTerminalClientId(args.client_id);
+    const history = this.terminalManager.commandHistory(args.session_id, clientId, {
+      limit: args.limit,
+      failedOnly: args.failed_only === true,
+      contains: args.contains || '',
+      includeOutput: args.include_output !== false,
+      maxOutputBytes: args.max_output_bytes
+    });
+
+    if (!history.shell_integration) {
+      return {
+        success: true,
+        ...history,
+        note: 'This session\'s shell has no command tracking (bash, zsh and fish are supported); use terminal_wait output instead.'
+      };
+    }
+
+    return {
+      success: true,
+      count: history.commands.length,
+      ...history
+    };
+  }
+
   async runCommand(command) {
     const commandText = String(command || '').trim();
     if (!commandText) {
@@ -2092,22 +2522,39 @@ class ToolExecutor {
       };
     }
 
+    const sandbox = this.getSandboxOptions();
+
     if (this.isTerminalEnabled()) {
       try {
         const result = await this.terminalManager.runCompatibilityCommand({
           clientId: this.getTerminalClientId(),
           cwd: this.cwd,
           command: commandText,
-          timeoutMs: 30_000,
-          allowedRoot: this.getTerminalAllowedRoot()
+          timeoutMs: sandbox ? sandbox.policy.timeoutMs : 30_000,
+          allowedRoot: this.getTerminalAllowedRoot(),
+          sandbox
         });
         if (result.output) result.output = ToolExecutor.capOutput(result.output);
         return result;
       } catch (error) {
-        console.warn('[TOOL] run_terminal PTY fallback to execSync:', error.message);
+        console.warn(`[TOOL] run_terminal PTY fallback to ${sandbox ? 'sandboxed spawn' : 'execSync'}:`, error.message);
       }
     }
 
+    // Never fall back to an unsandboxed execSync when a sandbox is configured
+    if (sandbox) {
+      const result = await runSandboxedCommand({
+        command: commandText,
+        cwd: this.cwd,
+        workspace: sandbox.workspace,
+        policy: sandbox.policy
+      });
+      const wasTruncated = result.truncated || result.output.length > 20000;
+      result.output = ToolExecutor.capOutput(result.output);
+      result.truncated = wasTruncated;
+      return result;
+    }
+
     try {
       let output = execSync(commandText, {
         cwd: this.cwd,
@@ -2600,13 +3047,39 @@ class ToolExecutor {
   // BRAIN TOOLS - Access COSMO brain knowledge
   // ============================================================================
 
-  async brainSearch(query, limit = 15) {
-    const qe = getQueryEngine();
-    if (!qe) return { error: 'No brain loaded.' };
-
+  async brainSearch(query, limit = 15, brain = null) {
     const safeLimit = Math.min(Math.max(1, limit || 15), 100);
+    const formatNode = n => ({
+      id: n.id,
+      score: Math.round(n.score * 100) / 100,
+      tag: n.tag,
+      concept: (n.concept || '').substring(0, 2000), // Full meaningful context
+      connected: n.connected || false
+    });
+
+    if (isFederatedScope(brain)) {
+      if (listBrains().length === 0) return { error: 'No brain loaded.' };
+      try {
+        const { results, brains } = await searchBrains(query, { limit: safeLimit });
+        return {
+          success: true,
+          query,
+          federated: true,
+          brains,
+          count: results.length,
+          nodes: results.map(n => ({ ...formatNode(n), brain_id: n.brainId, brain_name: n.brainName }))
+        };
+      } catch (error) {
+        console.error('[BRAIN SEARCH] Federated error:', error);
+        return { error: `Brain search failed: ${error.message}` };
+      }
+    }
+
+    const target = getBrain(brain);
+    if (!target) return { error: brain ? `Brain "${brain}" is not mounted.` : 'No brain loaded.' };
 
     try {
+      const qe = target.queryEngine;
       const state = await qe.queryEngine.loadBrainState();
       const results = await qe.queryEngine.queryMemory(state, query, {
         limit: safeLimit,
@@ -2617,14 +3090,10 @@ class ToolExecutor {
       return {
         success: true,
         query,
+        brain_id: target.id,
+        brain_name: target.name,
         count: results.length,
-        nodes: results.map(n => ({
-          id: n.id,
-          score: Math.round(n.score * 100) / 100,
-          tag: n.tag,
-          concept: (n.concept || '').substring(0, 2000), // Full meaningful context
-          connected: n.connected || false
-        }))
+        nodes: results.map(formatNode)
       };
     } catch (error) {
       console.error('[BRAIN SEARCH] Error:', error);
@@ -2632,11 +3101,23 @@ class ToolExecutor {
     }
   }
 
-  async brainNode(nodeId) {
-    const loader = getBrainLoader();
+  async brainNode(nodeId, brain = null) {
+    let loader = getBrain(brain);
+    if (brain && !loader) return { error: `Brain "${brain}" is not mounted.` };
     if (!loader) return { error: 'No brain loaded.' };
 
-    const node = loader.nodes.find(n => String(n.id) === String(nodeId));
+    let node = loader.nodes.find(n => String(n.id) === String(nodeId));
+    if (!node && !brain) {
+      // Unscoped lookup: the ID may come from a federated search of another brain
+      for (const mounted of listBrains()) {
+        const candidate = getBrain(mounted.id);
+        node = candidate.nodes.find(n => String(n.id) === String(nodeId));
+        if (node) {
+          loader = candidate;
+          break;
+        }
+      }
+    }
     if (!node) return { error: `Node ${nodeId} not found.` };
 
     // Full content - no truncation for specific node lookup
@@ -2648,6 +3129,8 @@ class ToolExecutor {
 
     return {
       success: true,
+      brain_id: loader.id,
+      brain_name: loader.name,
       node: {
         id: node.id,
         concept: node.concept, // FULL content
@@ -2661,6 +3144,56 @@ class ToolExecutor {
     };
   }
 
+  async brainTraverse({ node_id, mode, target_id, depth, edge_types, min_weight, direction, limit, brain }) {
+    const target = getBrain(brain);
+    if (brain && !target) return { error: `Brain "${brain}" is not mounted.` };
+    if (!target) return { error: 'No brain loaded.' };
+    if (!node_id) return { error: 'node_id is required.' };
+
+    const filters = { edgeTypes: edge_types, minWeight: min_weight, direction };
+    const base = {
+      success: true,
+      brain_id: target.id,
+      brain_name: target.name,
+      filters: {
+        edge_types: edge_types && edge_types.length ? edge_types : 'all',
+        min_weight: min_weight ?? null,
+        direction: direction || 'both'
+      }
+    };
+
+    if (mode === 'path') {
+      if (!target_id) return { error: 'target_id is required for path mode.' };
+      const result = shortestPath(target, { source: node_id, target: target_id, maxHops: depth, filters });
+      if (result.missing.length) return { error: `Node ${result.missing.join(', ')} not found in ${target.id}.` };
+      return {
+        ...base,
+        mode: 'path',
+        from: node_id,
+        to: target_id,
+        found: result.found,
+        hops: result.hops,
+        nodes: result.nodes,
+        edges: result.edges,
+        ...(result.found ? {} : { message: `No path within ${depth || 6} hops with these filters (${result.searched} nodes reached).` })
+      };
+    }
+
+    const result = neighborhood(target, { nodeIds: [node_id], depth, limit, filters });
+    if (result.missing.length) return { error: `Node ${node_id} not found in ${target.id}.` };
+    return {
+      ...base,
+      mode: 'neighborhood',
+      root: node_id,
+      depth: Math.max(...result.nodes.map(n => n.depth)),
+      node_count: result.nodes.length,
+      edge_count: result.edges.length,
+      truncated: result.truncated,
+      nodes: result.nodes,
+      edges: result.edges
+    };
+  }
+
   async brainThoughts(query, limit = 15) {
     const qe = getQueryEngine();
     if (!qe) return { error: 'No brain loaded.' };
@@ -2726,6 +3259,34 @@ class ToolExecutor {
       top_tags: Object.entries(tagCounts).sort((a, b) => b[1] - a[1]).slice(0, 15)
     };
   }
+
+  async brainRemember({ content, tag, brain }) {
+    try {
+      const { brain: target, node } = await rememberInBrain(brain, { content, tag }, this.provenance);
+      return {
+        success: true,
+        brain_id: target.id,
+        node_id: node.id,
+        tag: node.tag,
+        message: `Remembered as node ${node.id} in ${target.name} (journaled; compacted into the brain on the next compaction).`
+      };
+    } catch (error) {
+      return { error: `brain_remember failed: ${error.message}` };
+    }
+  }
+
+  async brainLink({ source, target, type, weight, brain }) {
+    try {
+      const { brain: mounted, edge } = await linkInBrain(brain, { source, target, type, weight }, this.provenance);
+      return {
+        success: true,
+        brain_id: mounted.id,
+        edge: { source: edge.source, target: edge.target, type: edge.type, weight: edge.weight }
+      };
+    } catch (error) {
+      return { error: `brain_link failed: ${error.message}` };
+    }
+  }
 }
 
 // OpenAI-compatible tools (exclude complex Office tools that need optional properties)
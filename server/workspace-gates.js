@@ -0,0 +1,371 @@
+/**
+ * Validation gates for workspace merges.
+ *
+ * Before a workspace is merged back, a set of checks runs inside its worktree:
+ *
+ *   test_command   e.g. "npm test"
+ *   lint_command   e.g. "npm run lint"
+ *   node_check     `node --check` on every touched .js/.cjs/.mjs file
+ *   scripts        custom commands: [{ name, command }]
+ *
+ * Gates are configured per repo in `.evobrew-workspaces/gates.json` (next to
+ * workspaces.json, so it is never part of the worktree an agent can edit).
+ * Without a config file, test/lint commands are detected from the source
+ * checkout's package.json; a worktree whose package.json changed those
+ * scripts fails the gate. `mode` decides what a failure does: "block" stops
+ * the merge unless it is explicitly overridden, "warn" merges and reports.
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isSandboxEnabled, buildSandboxEnv, runSandboxedCommand } = require('./terminal/sandbox');
+
+const GATES_FILE = 'gates.json';
+const DEFAULT_TIMEOUT_MS = 300000;
+const MAX_OUTPUT_CHARS = 8000;
+const NODE_CHECK_EXTENSIONS = new Set(['.js', '.cjs', '.mjs']);
+
+const DEFAULT_GATE_CONFIG = {
+  mode: 'block',          // block | warn
+  test_command: null,     // null = detect from package.json
+  lint_command: null,     // null = detect from package.json
+  node_check: true,
+  scripts: [],            // [{ name, command }]
+  timeout_ms: DEFAULT_TIMEOUT_MS
+};
+
+function gatesPath(repoRoot) {
+  return path.join(repoRoot, '.evobrew-workspaces', GATES_FILE);
+}
+
+/**
+ * Load the gate config for a repo, merged over the defaults.
+ * @returns {object} config with a `configured` flag (false = defaults/detection only)
+ */
+function loadGateConfig(repoRoot) {
+  const config = { ...DEFAULT_GATE_CONFIG, scripts: [], configured: false };
+  const filePath = gatesPath(repoRoot);
+  if (!fs.existsSync(filePath)) return config;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid gate config ${filePath}: ${err.message}`);
+  }
+
+  config.configured = true;
+  if (raw.mode === 'block' || raw.mode === 'warn') config.mode = raw.mode;
+  if (typeof raw.test_command === 'string' || raw.test_command === false) config.test_command = raw.test_command;
+  if (typeof raw.lint_command === 'string' || raw.lint_command === false) config.lint_command = raw.lint_command;
+  if (typeof raw.node_check === 'boolean') config.node_check = raw.node_check;
+  if (Array.isArray(raw.scripts)) {
+    config.scripts = raw.scripts
+      .filter(script => script && typeof script.command === 'string' && script.command.trim())
+      .map((script, i) => ({ name: String(script.name || `script ${i + 1}`), command: script.command }));
+  }
+  if (Number.isFinite(raw.timeout_ms) && raw.timeout_ms > 0) config.timeout_ms = raw.timeout_ms;
+  return config;
+}
+
+/**
+ * Validate and persist a gate config. Returns the normalized config.
+ */
+function saveGateConfig(repoRoot, input = {}) {
+  if (input.mode !== undefined && input.mode !== 'block' && input.mode !== 'warn') {
+    throw new Error('mode must be "block" or "warn"');
+  }
+  if (input.scripts !== undefined && !Array.isArray(input.scripts)) {
+    throw new Error('scripts must be an array of { name, command }');
+  }
+
+  const stored = {
+    mode: input.mode || DEFAULT_GATE_CONFIG.mode,
+    test_command: typeof input.test_command === 'string' && input.test_command.trim() ? input.test_command.trim()
+      : input.test_command === false ? false : null,
+    lint_command: typeof input.lint_command === 'string' && input.lint_command.trim() ? input.lint_command.trim()
+      : input.lint_command === false ? false : null,
+    node_check: input.node_check !== false,
+    scripts: (input.scripts || [])
+      .filter(script => script && typeof script.command === 'string' && script.command.trim())
+      .map((script, i) => ({ name: String(script.name || `script ${i + 1}`).slice(0, 80), command: script.command.trim() })),
+    timeout_ms: Number.isFinite(input.timeout_ms) && input.timeout_ms > 0 ? input.timeout_ms : DEFAULT_TIMEOUT_MS
+  };
+
+  const filePath = gatesPath(repoRoot);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(stored, null, 2), 'utf-8');
+  return loadGateConfig(repoRoot);
+}
+
+/**
+ * `scripts` of the package.json in a directory, or null without a readable one.
+ */
+function readPackageScripts(dir) {
+  const pkgPath = path.join(dir, 'package.json');
+  if (!fs.existsSync(pkgPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(pkgPath, 'utf-8')).scripts || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Test/lint commands from the source checkout's package.json. Read from the
+ * repo root rather than the worktree so an agent can't rewrite its own gates.
+ */
+function detectPackageCommands(repoRoot) {
+  const scripts = readPackageScripts(repoRoot) || {};
+  const detected = {};
+  if (scripts.test && !/no test specified/.test(scripts.test)) detected.test = 'npm test';
+  if (scripts.lint) detected.lint = 'npm run lint';
+  return detected;
+}
+
+/**
+ * npm resolves a detected gate from the worktree's own package.json, so the
+ * script (and its pre/post hooks) must still match the source checkout's.
+ * @returns {string[]} names of the scripts the workspace changed
+ */
+function changedGateScripts(workspace, script) {
+  const source = readPackageScripts(workspace.repoRoot) || {};
+  const worktree = readPackageScripts(workspace.path) || {};
+  return [`pre${script}`, script, `post${script}`].filter(name => source[name] !== worktree[name]);
+}
+
+/**
+ * The list of gates to run for a repo: [{ name, type, command, script? }].
+ * `script` marks a command detected from package.json.
+ */
+function resolveGates(repoRoot, config) {
+  const detected = detectPackageCommands(repoRoot);
+  const gates = [];
+
+  if (config.test_command === null && detected.test) {
+    gates.push({ name: 'test', type: 'command', command: detected.test, script: 'test' });
+  } else if (config.test_command) {
+    gates.push({ name: 'test', type: 'command', command: config.test_command });
+  }
+  if (config.lint_command === null && detected.lint) {
+    gates.push({ name: 'lint', type: 'command', command: detected.lint, script: 'lint' });
+  } else if (config.lint_command) {
+    gates.push({ name: 'lint', type: 'command', command: config.lint_command });
+  }
+  if (config.node_check) gates.push({ name: 'node --check', type: 'node-check' });
+  for (const script of config.scripts) {
+    gates.push({ name: script.name, type: 'command', command: script.command });
+  }
+  return gates;
+}
+
+/**
+ * Fingerprint of the gate list, so a config change invalidates old results.
+ */
+function gatesFingerprint(gates, mode) {
+  return crypto.createHash('sha1').update(JSON.stringify({ gates, mode })).digest('hex').slice(0, 12);
+}
+
+/**
+ * Sandbox policy that also lets the gate's own variables through the
+ * environment allowlist.
+ */
+function gatePolicy(sandbox, extraEnv) {
+  const policy = sandbox || {};
+  return { ...policy, envPassthrough: [...(policy.envPassthrough || []), ...Object.keys(extraEnv)] };
+}
+
+/**
+ * Environment for unsandboxed gate commands: the sandbox allowlist (no
+ * provider API keys or tokens) plus the gate's own variables.
+ */
+function gateCommandEnv(sandbox, extraEnv) {
+  const env = buildSandboxEnv({ ...process.env, ...extraEnv }, gatePolicy(sandbox, extraEnv));
+  delete env.EVOBREW_SANDBOX;
+  return env;
+}
+
+/**
+ * Run a gate command through the agent command sandbox (terminal/sandbox.js),
+ * in the same result shape as runCommand.
+ */
+async function runSandboxedGate(command, cwd, timeoutMs, extraEnv, sandbox) {
+  const started = Date.now();
+  const result = await runSandboxedCommand({
+    command,
+    cwd,
+    workspace: cwd,
+    policy: gatePolicy(sandbox, extraEnv),
+    timeoutMs,
+    env: { ...process.env, ...extraEnv }
+  });
+  const output = result.output.length > MAX_OUTPUT_CHARS ? result.output.slice(-MAX_OUTPUT_CHARS) : result.output;
+  return {
+    exitCode: result.timedOut ? null : result.exitCode,
+    timedOut: result.timedOut,
+    durationMs: Date.now() - started,
+    output: (result.error && !result.timedOut ? `${result.error}\n` : '') + output + (result.timedOut ? `\n[timed out after ${timeoutMs}ms]` : '')
+  };
+}
+
+/**
+ * Run a shell command in its own process group, keeping the tail of its output.
+ * With an enabled sandbox policy the command runs sandboxed; either way it
+ * never sees the server's secrets.
+ */
+function runCommand(command, cwd, timeoutMs, extraEnv = {}, sandbox = null) {
+  extraEnv = { ...extraEnv, CI: '1', FORCE_COLOR: '0' };
+  if (isSandboxEnabled(sandbox)) {
+    return runSandboxedGate(command, cwd, timeoutMs, extraEnv, sandbox);
+  }
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let output = '';
+    let timedOut = false;
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      env: gateCommandEnv(sandbox, extraEnv)
+    });
+
+    const append = (chunk) => {
+      output += chunk.toString();
+      if (output.length > MAX_OUTPUT_CHARS * 2) output = output.slice(-MAX_OUTPUT_CHARS);
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (process.platform !== 'win32') process.kill(-child.pid, 'SIGKILL');
+        else child.kill('SIGKILL');
+      } catch {
+        // Already exited
+      }
+    }, timeoutMs);
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      const tail = output.length > MAX_OUTPUT_CHARS ? output.slice(-MAX_OUTPUT_CHARS) : output;
+      resolve({
+        exitCode,
+        timedOut,
+        durationMs: Date.now() - started,
+        output: (error ? `${error}\n` : '') + tail + (timedOut ? `\n[timed out after ${timeoutMs}ms]` : '')
+      });
+    };
+    child.on('error', (err) => finish(null, err.message));
+    child.on('close', (code) => finish(code, null));
+  });
+}
+
+/**
+ * Files added or modified on the workspace branch relative to its source.
+ */
+function touchedFiles(workspace) {
+  try {
+    return execFileSync('git', ['diff', '--name-only', '--diff-filter=AMR', '-z', `${workspace.sourceBranch}...HEAD`], {
+      cwd: workspace.path,
+      encoding: 'utf-8',
+      timeout: 10000
+    }).split('\0').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Worktrees live under <repoRoot>/.evobrew-workspaces/, so require() already
+ * finds the source checkout's node_modules by walking up; its .bin only needs
+ * adding to PATH for test/lint tools.
+ */
+function gateEnv(workspace) {
+  const bin = path.join(workspace.repoRoot, 'node_modules', '.bin');
+  return fs.existsSync(bin)
+    ? { PATH: `${bin}${path.delimiter}${process.env.PATH || ''}` }
+    : {};
+}
+
+/**
+ * Run every gate in the worktree.
+ * @param {object} [options]
+ * @param {object} [options.sandbox] - securityConfig.sandbox policy for the commands
+ * @returns {{ status: 'passed'|'failed', mode, fingerprint, gates: Array }}
+ */
+async function runGates(workspace, config, options = {}) {
+  const gates = resolveGates(workspace.repoRoot, config);
+  const fingerprint = gatesFingerprint(gates, config.mode);
+  const results = [];
+  const env = gateEnv(workspace);
+  const sandbox = options.sandbox || null;
+
+  for (const gate of gates) {
+    if (gate.type === 'node-check') {
+      const files = touchedFiles(workspace).filter(file =>
+        NODE_CHECK_EXTENSIONS.has(path.extname(file)) && fs.existsSync(path.join(workspace.path, file)));
+      if (files.length === 0) {
+        results.push({ ...gate, status: 'skipped', output: 'No touched JavaScript files', durationMs: 0 });
+        continue;
+      }
+      const started = Date.now();
+      const failures = [];
+      for (const file of files) {
+        const result = await runCommand(`node --check ${JSON.stringify(file)}`, workspace.path, 30000, {}, sandbox);
+        if (result.exitCode !== 0) failures.push(result.output.trim());
+      }
+      results.push({
+        ...gate,
+        files,
+        status: failures.length ? 'failed' : 'passed',
+        exitCode: failures.length ? 1 : 0,
+        durationMs: Date.now() - started,
+        output: failures.length ? failures.join('\n\n').slice(-MAX_OUTPUT_CHARS) : `${files.length} file(s) OK`
+      });
+      continue;
+    }
+
+    const changed = gate.script ? changedGateScripts(workspace, gate.script) : [];
+    if (changed.length) {
+      results.push({
+        ...gate,
+        status: 'failed',
+        exitCode: null,
+        durationMs: 0,
+        output: `package.json script${changed.length > 1 ? 's' : ''} ${changed.join(', ')} changed in this workspace, so "${gate.command}" would not run the source checkout's check. Review the change and override to merge anyway.`
+      });
+      continue;
+    }
+
+    console.log(`[GATES] ${workspace.id}: running ${gate.name} (${gate.command})`);
+    const result = await runCommand(gate.command, workspace.path, config.timeout_ms, env, sandbox);
+    results.push({
+      ...gate,
+      status: result.exitCode === 0 ? 'passed' : 'failed',
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      durationMs: result.durationMs,
+      output: result.output
+    });
+  }
+
+  return {
+    status: results.some(r => r.status === 'failed') ? 'failed' : 'passed',
+    mode: config.mode,
+    fingerprint,
+    gates: results
+  };
+}
+
+module.exports = {
+  DEFAULT_GATE_CONFIG,
+  loadGateConfig,
+  saveGateConfig,
+  resolveGates,
+  gatesFingerprint,
+  runGates
+};
@@ -12,6 +12,7 @@ const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { loadGateConfig, resolveGates, gatesFingerprint, runGates } = require('./workspace-gates');
 
 class WorkspaceManager {
   constructor() {
@@ -210,6 +211,9 @@ class WorkspaceManager {
   commit(id, message) {
     const workspace = this.workspaces.get(id);
     if (!workspace) throw new Error(`Workspace ${id} not found`);
+    if (this._operationInProgress(workspace)) {
+      throw new Error(`Workspace ${id} has a merge in progress — resolve or abort it first`);
+    }
 
     try {
       // Stage all changes
@@ -248,16 +252,33 @@ class WorkspaceManager {
    * Merge a workspace's changes back to the source branch.
    * Commits any uncommitted changes first.
    *
+   * If the source branch has moved on, it is first brought into the workspace
+   * (merged, or rebased onto with `rebase: true`) inside the worktree. Conflicts
+   * from that step are left in place so they can be resolved file by file with
+   * getConflicts()/resolveConflict() — the user's own checkout is never left
+   * in a conflicted state.
+   *
    * @param {string} id - Workspace ID
    * @param {object} options
    * @param {string} options.commitMessage - Message for the merge commit
    * @param {boolean} options.cleanup - Remove workspace after merge (default: true)
+   * @param {boolean} options.rebase - Rebase the workspace onto the source branch before merging
+   * @param {boolean} options.noFastForward - Force a merge commit (default: only when the branches diverged)
    * @returns {{ merged, conflicts, commitHash }}
    */
   merge(id, options = {}) {
     const workspace = this.workspaces.get(id);
     if (!workspace) throw new Error(`Workspace ${id} not found`);
 
+    if (this._operationInProgress(workspace)) {
+      if (this._unmergedFiles(workspace).length > 0) {
+        return this._conflictResult(workspace);
+      }
+      // All files resolved — conclude the pending merge/rebase, then carry on
+      const continued = this.continueMerge(id);
+      if (continued.conflicts) return continued;
+    }
+
     // Auto-commit any uncommitted changes in the worktree
     const uncommitted = execFileSync('git', ['status', '--porcelain'], {
       cwd: workspace.path,
@@ -284,12 +305,23 @@ class WorkspaceManager {
       return { merged: false, message: 'No changes to merge', conflicts: false };
     }
 
+    // Bring the source branch into the workspace first, so any conflicts
+    // surface in the worktree where they can be resolved
+    if (behind > 0 || options.rebase) {
+      const synced = this._syncWithSource(workspace, options.rebase ? 'rebase' : 'merge');
+      if (synced.conflicts) return synced;
+    }
+
     try {
       // Merge the workspace branch into the source branch
       const mergeMsg = options.commitMessage ||
         `Merge workspace ${id}: ${workspace.description || 'agent changes'}`;
+      const mergeArgs = ['merge', workspace.branch, '-m', mergeMsg];
+      // Keep a merge commit where the branches had diverged, as before the sync step
+      const noFastForward = options.noFastForward !== undefined ? options.noFastForward : (behind > 0 && !options.rebase);
+      if (noFastForward) mergeArgs.splice(1, 0, '--no-ff');
 
-      execFileSync('git', ['merge', workspace.branch, '-m', mergeMsg], {
+      execFileSync('git', mergeArgs, {
         cwd: workspace.repoRoot,
         encoding: 'utf-8',
         timeout: 30000
@@ -307,7 +339,7 @@ class WorkspaceManager {
         this.remove(id);
       }
 
-      return { merged: true, conflicts: false, commitHash, ahead, behind };
+      return { merged: true, conflicts: false, commitHash, ahead, behind, rebased: Boolean(options.rebase) };
     } catch (err) {
       // Check if it's a merge conflict
       const mergeStatus = execFileSync('git', ['status', '--porcelain'], {
@@ -319,7 +351,8 @@ class WorkspaceManager {
       const hasConflicts = mergeStatus.split('\n').some(l => l.startsWith('UU') || l.startsWith('AA'));
 
       if (hasConflicts) {
-        // Abort the merge — don't leave the source repo in a conflicted state
+        // Abort the merge — don't leave the source repo in a conflicted state.
+        // Only reachable if the source branch moved again after the sync step.
         try {
           execFileSync('git', ['merge', '--abort'], {
             cwd: workspace.repoRoot,
@@ -333,7 +366,7 @@ class WorkspaceManager {
         return {
           merged: false,
           conflicts: true,
-          message: `Merge conflicts detected. The source branch (${workspace.sourceBranch}) has diverged. Resolve manually or use cherry-pick.`,
+          message: `Merge conflicts detected. The source branch (${workspace.sourceBranch}) changed during the merge — merge again to resolve them in the workspace.`,
           conflictFiles: mergeStatus.split('\n').filter(l => l.startsWith('UU') || l.startsWith('AA'))
         };
       }
@@ -342,6 +375,296 @@ class WorkspaceManager {
     }
   }
 
+  // ── Validation gates ──────────────────────────────────────────────────
+
+  /**
+   * Run the repo's validation gates (see workspace-gates.js) in the worktree and
+   * record the result on the workspace. Uncommitted changes are committed first
+   * so the result belongs to an exact commit; a result for the same commit and
+   * gate config is reused unless options.force is set. options.sandbox is the
+   * sandbox policy the gate commands run under.
+   *
+   * @returns {{ status, mode, commit, ranAt, gates, reused }}
+   */
+  async validate(id, options = {}) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+    if (this._operationInProgress(workspace)) {
+      throw new Error(`Workspace ${id} has a merge in progress — resolve or abort it first`);
+    }
+
+    if (this.hasUncommittedChanges(workspace.path)) {
+      this.commit(id, options.commitMessage || null);
+    }
+
+    const config = loadGateConfig(workspace.repoRoot);
+    const commit = this._git(workspace.path, ['rev-parse', 'HEAD']).trim();
+    const fingerprint = gatesFingerprint(resolveGates(workspace.repoRoot, config), config.mode);
+    const previous = workspace.validation;
+    if (!options.force && previous && previous.commit === commit && previous.fingerprint === fingerprint) {
+      return { ...previous, reused: true };
+    }
+
+    const result = await runGates(workspace, config, { sandbox: options.sandbox });
+    // The workspace may have been removed while the gates ran
+    if (!this.workspaces.has(id)) throw new Error(`Workspace ${id} was removed during validation`);
+
+    workspace.validation = { ...result, commit, ranAt: new Date().toISOString() };
+    this._saveToDisk(workspace.repoRoot);
+
+    const failed = result.gates.filter(g => g.status === 'failed').map(g => g.name);
+    console.log(`[WORKSPACE] Validation ${result.status} for ${id} at ${commit.slice(0, 7)}${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+    return { ...workspace.validation, reused: false };
+  }
+
+  /**
+   * merge() behind the validation gates. The source branch is brought in first
+   * so the gates check what will actually land; a failure in "block" mode stops
+   * the merge unless options.override is set, in "warn" mode it merges anyway.
+   *
+   * @param {string} id - Workspace ID
+   * @param {object} options - merge() options plus { override, sandbox }
+   * @returns {Promise<object>} merge() result plus { validation, blocked?, warning? }
+   */
+  async mergeWithGates(id, options = {}) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+
+    if (this._operationInProgress(workspace)) {
+      if (this._unmergedFiles(workspace).length > 0) return this._conflictResult(workspace);
+      const continued = this.continueMerge(id);
+      if (continued.conflicts) return continued;
+    }
+
+    if (this.hasUncommittedChanges(workspace.path)) {
+      this.commit(id, options.commitMessage || null);
+    }
+
+    const [behind, ahead] = this._git(workspace.repoRoot, [
+      'rev-list', '--left-right', '--count', `${workspace.sourceBranch}...${workspace.branch}`
+    ]).trim().split('\t').map(Number);
+    if (ahead === 0) {
+      return { merged: false, message: 'No changes to merge', conflicts: false };
+    }
+    if (behind > 0 || options.rebase) {
+      const synced = this._syncWithSource(workspace, options.rebase ? 'rebase' : 'merge');
+      if (synced.conflicts) return synced;
+    }
+
+    const validation = await this.validate(id, { sandbox: options.sandbox });
+    const failed = validation.gates.filter(g => g.status === 'failed').map(g => g.name);
+
+    if (validation.status === 'failed') {
+      if (validation.mode === 'block' && !options.override) {
+        return {
+          merged: false,
+          conflicts: false,
+          blocked: true,
+          validation,
+          message: `Validation failed (${failed.join(', ')}). Fix the workspace or merge with override.`
+        };
+      }
+      workspace.validation.overridden = validation.mode === 'block';
+      this._saveToDisk(workspace.repoRoot);
+    }
+
+    const result = this.merge(id, {
+      ...options,
+      rebase: false,
+      noFastForward: behind > 0 && !options.rebase
+    });
+    return {
+      ...result,
+      rebased: Boolean(options.rebase),
+      validation,
+      ...(validation.status === 'failed' && {
+        warning: `Merged despite failed validation (${failed.join(', ')})${validation.mode === 'block' ? ' — override' : ''}`
+      })
+    };
+  }
+
+  // ── Conflict resolution ───────────────────────────────────────────────
+
+  /**
+   * Describe the conflicts of an in-progress merge/rebase in a workspace.
+   * Each file carries its conflict hunks parsed from the diff3 markers; pass
+   * options.file to also get the full base/ours/theirs/working contents.
+   *
+   * "ours"/"theirs" follow git's stage numbering. During a merge "ours" is
+   * the workspace; during a rebase "ours" is the source branch being
+   * rebased onto — the `labels` field spells out which is which.
+   */
+  getConflicts(id, options = {}) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+
+    const operation = this._operationInProgress(workspace);
+    if (!operation) {
+      return { id, inProgress: false, operation: null, files: [] };
+    }
+
+    const labels = this._stageLabels(workspace, operation);
+    const files = this._unmergedFiles(workspace)
+      .filter(entry => !options.file || entry.file === options.file)
+      .map(entry => {
+        const working = this._readWorkingFile(workspace, entry.file);
+        const info = {
+          file: entry.file,
+          type: entry.type,
+          hunks: working === null ? [] : parseConflictHunks(working)
+        };
+        if (options.file) {
+          info.base = entry.stages.includes(1) ? this._readStage(workspace, 1, entry.file) : null;
+          info.ours = entry.stages.includes(2) ? this._readStage(workspace, 2, entry.file) : null;
+          info.theirs = entry.stages.includes(3) ? this._readStage(workspace, 3, entry.file) : null;
+          info.working = working;
+        }
+        return info;
+      });
+
+    if (options.file && files.length === 0) {
+      throw new Error(`File ${options.file} has no unresolved conflicts in workspace ${id}`);
+    }
+
+    return {
+      id,
+      inProgress: true,
+      operation,
+      path: workspace.path,
+      sourceBranch: workspace.sourceBranch,
+      branch: workspace.branch,
+      labels,
+      files
+    };
+  }
+
+  /**
+   * Resolve one conflicted file and stage it.
+   *
+   * @param {string} id - Workspace ID
+   * @param {object} params
+   * @param {string} params.file - Repo-relative path of the conflicted file
+   * @param {string} params.resolution - 'ours' | 'theirs' | 'base' | 'workspace' | 'source'
+   *   takes that whole side; 'working' stages the file as currently edited on disk
+   *   (e.g. after the agent resolved it)
+   * @param {string} params.content - Explicit resolved content
+   * @param {Array} params.hunks - Per-hunk choices: { index, choice: 'ours'|'theirs'|'base'|'both'|
+   *   'workspace'|'source', content }. Hunks left out keep their markers and the file stays unresolved.
+   * @returns {{ file, resolved, remainingHunks, remainingFiles }}
+   */
+  resolveConflict(id, params = {}) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+
+    const operation = this._operationInProgress(workspace);
+    if (!operation) throw new Error(`Workspace ${id} has no merge in progress`);
+
+    const entry = this._unmergedFiles(workspace).find(e => e.file === params.file);
+    if (!entry) throw new Error(`File ${params.file} has no unresolved conflicts in workspace ${id}`);
+
+    const labels = this._stageLabels(workspace, operation);
+    const filePath = this._worktreeFilePath(workspace, entry.file);
+    let content;
+
+    if (typeof params.content === 'string') {
+      content = params.content;
+    } else if (Array.isArray(params.hunks)) {
+      const working = this._readWorkingFile(workspace, entry.file);
+      if (working === null) throw new Error(`File ${entry.file} is missing from the workspace`);
+      content = applyHunkChoices(working, params.hunks.map(h => ({
+        ...h,
+        choice: resolveSideAlias(h.choice, labels)
+      })));
+    } else if (params.resolution === 'working') {
+      content = this._readWorkingFile(workspace, entry.file);
+      if (content === null) throw new Error(`File ${entry.file} is missing from the workspace`);
+    } else {
+      const side = resolveSideAlias(params.resolution, labels);
+      const stage = { base: 1, ours: 2, theirs: 3 }[side];
+      if (!stage) throw new Error(`Unknown resolution: ${params.resolution}`);
+
+      if (!entry.stages.includes(stage)) {
+        // That side deleted the file — resolving to it means deleting
+        this._git(workspace.path, ['rm', '--quiet', '--', entry.file]);
+        return this._resolvedResult(workspace, entry.file, 0);
+      }
+      content = this._readStage(workspace, stage, entry.file);
+    }
+
+    const remainingHunks = parseConflictHunks(content).length;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf-8');
+
+    if (remainingHunks > 0) {
+      return { ...this._resolvedResult(workspace, entry.file, remainingHunks), resolved: false };
+    }
+
+    this._git(workspace.path, ['add', '--', entry.file]);
+    return this._resolvedResult(workspace, entry.file, 0);
+  }
+
+  /**
+   * Conclude an in-progress merge/rebase once every file is resolved.
+   * A rebase may stop again on a later commit — the new conflicts are returned.
+   */
+  continueMerge(id) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+
+    const operation = this._operationInProgress(workspace);
+    if (!operation) {
+      this._setMergeState(workspace, null);
+      return { continued: false, conflicts: false, message: 'No merge in progress' };
+    }
+
+    const remaining = this._unmergedFiles(workspace);
+    if (remaining.length > 0) {
+      throw new Error(`Resolve all conflicts first (${remaining.length} file${remaining.length !== 1 ? 's' : ''} remaining)`);
+    }
+
+    if (operation === 'merge') {
+      this._git(workspace.path, ['commit', '--no-edit'], 30000);
+    } else {
+      try {
+        this._git(workspace.path, ['rebase', '--continue'], 60000);
+      } catch (err) {
+        if (this._unmergedFiles(workspace).length > 0) {
+          return this._conflictResult(workspace);
+        }
+        if (!this._operationInProgress(workspace)) throw err;
+        // The resolved commit ended up empty — drop it and keep replaying
+        try {
+          this._git(workspace.path, ['rebase', '--skip'], 60000);
+        } catch (skipErr) {
+          if (this._unmergedFiles(workspace).length > 0) {
+            return this._conflictResult(workspace);
+          }
+          throw skipErr;
+        }
+      }
+    }
+
+    this._setMergeState(workspace, null);
+    console.log(`[WORKSPACE] Completed ${operation} with ${workspace.sourceBranch} in workspace ${id}`);
+    return { continued: true, conflicts: false, operation };
+  }
+
+  /**
+   * Abandon an in-progress merge/rebase, restoring the workspace branch.
+   */
+  abortMerge(id) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) throw new Error(`Workspace ${id} not found`);
+
+    const operation = this._operationInProgress(workspace);
+    if (operation) {
+      this._git(workspace.path, [operation, '--abort'], 30000);
+      console.log(`[WORKSPACE] Aborted ${operation} in workspace ${id}`);
+    }
+    this._setMergeState(workspace, null);
+    return { aborted: Boolean(operation), operation };
+  }
+
   /**
    * Remove a workspace — deletes the worktree and branch.
    */
@@ -427,6 +750,175 @@ class WorkspaceManager {
 
   // ── Internal helpers ──────────────────────────────────────────────────
 
+  /**
+   * Run git in a workspace. diff3 conflict style keeps the base version in
+   * conflict markers; GIT_EDITOR=true keeps commit/rebase non-interactive.
+   */
+  _git(cwd, args, timeout = 10000) {
+    return execFileSync('git', ['-c', 'merge.conflictStyle=diff3', ...args], {
+      cwd,
+      encoding: 'utf-8',
+      timeout,
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, GIT_EDITOR: 'true' }
+    });
+  }
+
+  /**
+   * Merge or rebase the source branch into the workspace branch, inside the
+   * worktree. Conflicts are kept for resolution rather than aborted.
+   */
+  _syncWithSource(workspace, operation) {
+    const args = operation === 'rebase'
+      ? ['rebase', workspace.sourceBranch]
+      : ['merge', '--no-edit', '-m', `Merge ${workspace.sourceBranch} into workspace ${workspace.id}`, workspace.sourceBranch];
+
+    try {
+      this._git(workspace.path, args, 60000);
+      return { conflicts: false };
+    } catch (err) {
+      if (this._unmergedFiles(workspace).length > 0) {
+        this._setMergeState(workspace, { operation, startedAt: new Date().toISOString() });
+        console.log(`[WORKSPACE] ${operation} with ${workspace.sourceBranch} stopped on conflicts in workspace ${workspace.id}`);
+        return this._conflictResult(workspace);
+      }
+      // Failed for another reason — don't leave a half-done operation behind
+      const pending = this._operationInProgress(workspace);
+      if (pending) {
+        try { this._git(workspace.path, [pending, '--abort'], 30000); } catch { /* best effort */ }
+      }
+      throw new Error(`Failed to ${operation} ${workspace.sourceBranch} into workspace ${workspace.id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Which operation (if any) is mid-flight in the worktree.
+   * @returns {'merge'|'rebase'|null}
+   */
+  _operationInProgress(workspace) {
+    const gitPath = (name) => {
+      try {
+        const rel = execFileSync('git', ['rev-parse', '--git-path', name], {
+          cwd: workspace.path,
+          encoding: 'utf-8',
+          timeout: 5000
+        }).trim();
+        return path.resolve(workspace.path, rel);
+      } catch {
+        return null;
+      }
+    };
+
+    const rebaseMerge = gitPath('rebase-merge');
+    const rebaseApply = gitPath('rebase-apply');
+    if ((rebaseMerge && fs.existsSync(rebaseMerge)) || (rebaseApply && fs.existsSync(rebaseApply))) {
+      return 'rebase';
+    }
+    const mergeHead = gitPath('MERGE_HEAD');
+    if (mergeHead && fs.existsSync(mergeHead)) return 'merge';
+    return null;
+  }
+
+  /**
+   * Unmerged index entries: [{ file, stages: [1,2,3], type }].
+   */
+  _unmergedFiles(workspace) {
+    let raw;
+    try {
+      raw = execFileSync('git', ['ls-files', '-u', '-z'], {
+        cwd: workspace.path,
+        encoding: 'utf-8',
+        timeout: 5000
+      });
+    } catch {
+      return [];
+    }
+
+    const byFile = new Map();
+    for (const record of raw.split('\0').filter(Boolean)) {
+      const tab = record.indexOf('\t');
+      const [, , stage] = record.slice(0, tab).split(' ');
+      const file = record.slice(tab + 1);
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push(Number(stage));
+    }
+
+    return Array.from(byFile.entries()).map(([file, stages]) => {
+      stages.sort();
+      let type = 'both-modified';
+      if (!stages.includes(1)) type = 'both-added';
+      else if (!stages.includes(3)) type = 'deleted-by-theirs';
+      else if (!stages.includes(2)) type = 'deleted-by-ours';
+      return { file, stages, type };
+    });
+  }
+
+  /**
+   * Map git's ours/theirs stages onto workspace/source for the current operation.
+   */
+  _stageLabels(workspace, operation) {
+    return operation === 'rebase'
+      ? { ours: 'source', theirs: 'workspace' }
+      : { ours: 'workspace', theirs: 'source' };
+  }
+
+  _worktreeFilePath(workspace, file) {
+    const filePath = path.resolve(workspace.path, file);
+    if (filePath !== workspace.path && !filePath.startsWith(workspace.path + path.sep)) {
+      throw new Error(`Path escapes workspace: ${file}`);
+    }
+    return filePath;
+  }
+
+  _readWorkingFile(workspace, file) {
+    const filePath = this._worktreeFilePath(workspace, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  }
+
+  _readStage(workspace, stage, file) {
+    return execFileSync('git', ['show', `:${stage}:${file}`], {
+      cwd: workspace.path,
+      encoding: 'utf-8',
+      timeout: 10000,
+      maxBuffer: 64 * 1024 * 1024
+    });
+  }
+
+  _conflictResult(workspace) {
+    const details = this.getConflicts(workspace.id);
+    const count = details.files.length;
+    return {
+      merged: false,
+      conflicts: true,
+      operation: details.operation,
+      message: `${count} file${count !== 1 ? 's' : ''} conflict with ${workspace.sourceBranch}. Resolve them in the workspace, then merge again.`,
+      conflictFiles: details.files.map(f => f.file),
+      files: details.files,
+      labels: details.labels
+    };
+  }
+
+  _resolvedResult(workspace, file, remainingHunks) {
+    return {
+      file,
+      resolved: remainingHunks === 0,
+      remainingHunks,
+      remainingFiles: this._unmergedFiles(workspace).map(e => e.file)
+    };
+  }
+
+  _setMergeState(workspace, state) {
+    if (state) {
+      workspace.mergeState = state;
+    } else if (workspace.mergeState) {
+      delete workspace.mergeState;
+    } else {
+      return;
+    }
+    this._saveToDisk(workspace.repoRoot);
+  }
+
   /**
    * Ensure .evobrew-workspaces/ is in .gitignore so worktrees don't pollute the repo.
    */
@@ -499,6 +991,93 @@ class WorkspaceManager {
   }
 }
 
+// ── Conflict marker helpers ──────────────────────────────────────────────
+
+/**
+ * Parse diff3-style conflict markers into hunks.
+ * @returns {Array<{ index, startLine, endLine, ours, base, theirs, oursLabel, theirsLabel }>}
+ *   Line numbers are 1-based and point at the <<<<<<< / >>>>>>> markers; base is
+ *   null when the markers carry no ||||||| section.
+ */
+function parseConflictHunks(content) {
+  const lines = content.split('\n');
+  const hunks = [];
+  let current = null;
+  let section = null;
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (!current) {
+      if (/^<{7}( |$)/.test(line)) {
+        current = { index: hunks.length, startLine: i + 1, ours: [], base: null, theirs: [], oursLabel: line.slice(8) };
+        section = 'ours';
+      }
+      return;
+    }
+    if (section === 'ours' && /^\|{7}( |$)/.test(line)) {
+      current.base = [];
+      section = 'base';
+    } else if ((section === 'ours' || section === 'base') && line === '=======') {
+      section = 'theirs';
+    } else if (section === 'theirs' && /^>{7}( |$)/.test(line)) {
+      hunks.push({
+        ...current,
+        endLine: i + 1,
+        ours: current.ours.join('\n'),
+        base: current.base ? current.base.join('\n') : null,
+        theirs: current.theirs.join('\n'),
+        theirsLabel: line.slice(8)
+      });
+      current = null;
+    } else {
+      current[section].push(rawLine);
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Replace conflict hunks with the chosen side. Hunks without a choice keep
+ * their markers.
+ */
+function applyHunkChoices(content, choices) {
+  const byIndex = new Map(choices.map(c => [Number(c.index), c]));
+  const hunks = parseConflictHunks(content);
+  const lines = content.split('\n');
+
+  // Replace from the bottom so earlier line numbers stay valid
+  for (const hunk of [...hunks].reverse()) {
+    const choice = byIndex.get(hunk.index);
+    if (!choice) continue;
+
+    let replacement;
+    if (typeof choice.content === 'string') replacement = choice.content;
+    else if (choice.choice === 'ours') replacement = hunk.ours;
+    else if (choice.choice === 'theirs') replacement = hunk.theirs;
+    else if (choice.choice === 'base') {
+      if (hunk.base === null) throw new Error(`Hunk ${hunk.index} has no base section`);
+      replacement = hunk.base;
+    } else if (choice.choice === 'both') replacement = [hunk.ours, hunk.theirs].filter(Boolean).join('\n');
+    else throw new Error(`Unknown choice for hunk ${hunk.index}: ${choice.choice}`);
+
+    const replacementLines = replacement === '' ? [] : replacement.split('\n');
+    lines.splice(hunk.startLine - 1, hunk.endLine - hunk.startLine + 1, ...replacementLines);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Accept 'workspace'/'source' in place of git's 'ours'/'theirs'.
+ */
+function resolveSideAlias(side, labels) {
+  if (side === 'workspace' || side === 'source') {
+    return Object.keys(labels).find(key => labels[key] === side);
+  }
+  return side;
+}
+
 // Singleton instance
 let instance = null;
 
@@ -509,4 +1088,4 @@ function getWorkspaceManager() {
   return instance;
 }
 
-module.exports = { WorkspaceManager, getWorkspaceManager };
+module.exports = { WorkspaceManager, getWorkspaceManager, parseConflictHunks, applyHunkChoices };